@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback } from 'react'
 import { 
   Box, 
   Container, 
@@ -20,7 +20,11 @@ import { MoonIcon, SunIcon } from '@chakra-ui/icons'
 import DebugPanel from './components/DebugPanel'
 import TechTree from './components/TechTree/TechTree'
 import PlaysetSelector from './components/PlaysetSelector'
+import SaveGameSelector from './components/SaveGameSelector'
+import LanguageSelector from './components/LanguageSelector'
+import WatchModeToggle from './components/WatchModeToggle'
 import PlanTab from './components/TechTree/PlanTab'
+import { fetchTechnologies } from './services/api'
 
 // Constants for localStorage keys
 const STORAGE_KEYS = {
@@ -167,6 +171,23 @@ function App() {
     }));
   };
 
+  // Handle files reloaded by the watch mode - the technologies are fetched again without resetting the canvas
+  const handleFilesReloaded = useCallback(() => {
+    window.dispatchEvent(new CustomEvent('reloadTechnologies'));
+  }, []);
+
+  // Handle a loaded save game - its researched techs replace the ones marked by hand
+  const handleSaveLoaded = async () => {
+    try {
+      const technologies = await fetchTechnologies();
+      setResearchedTechs(technologies.filter(tech => tech.isResearched));
+    } catch (error) {
+      console.error('Error fetching researched techs after loading save game:', error);
+    }
+    
+    handleTechReload();
+  };
+
   // Handle adding/removing tech to/from plan
   const handleTogglePlanTech = (tech) => {
     setPlannedTechs(prev => {
@@ -191,6 +212,20 @@ function App() {
     });
   };
 
+  // Handle a plan loaded from the server - its technologies replace the planned and researched ones
+  const handleLoadPlan = async (plan) => {
+    try {
+      const technologies = await fetchTechnologies();
+      const byId = new Map(technologies.map(tech => [tech.id, tech]));
+      
+      // Technologies that no longer exist are reported by the plan's check and left out
+      setPlannedTechs(plan.targets.map(id => byId.get(id)).filter(Boolean));
+      setResearchedTechs(plan.researched.map(id => byId.get(id)).filter(Boolean));
+    } catch (error) {
+      console.error('Error fetching technologies for the loaded plan:', error);
+    }
+  };
+
   // Handle clearing all planned and researched technologies
   const handleClearPlan = () => {
     setPlannedTechs([]);
@@ -221,7 +256,9 @@ function App() {
   return (
     <Box bg={bgColor} color={textColor} minH="100vh" pb="100px">
       <Container maxW="100%" px={2} pt={2} h="calc(100vh - 100px)">
-        <Flex justifyContent="flex-end" mb={1}>
+        <Flex justifyContent="flex-end" alignItems="center" mb={1}>
+          <WatchModeToggle onUpdate={handleFilesReloaded} />
+          <LanguageSelector onLanguageChange={handleTechReload} />
           <IconButton
             aria-label="Toggle color mode"
             icon={colorMode === 'light' ? <MoonIcon /> : <SunIcon />}
@@ -243,6 +280,9 @@ function App() {
           {/* Playset Selector */}
           <PlaysetSelector onTechReload={handleTechReload} />
           
+          {/* Save Game Selector */}
+          <SaveGameSelector onSaveLoaded={handleSaveLoaded} />
+          
           {/* Main content - Tech Tree and Plan Tabs */}
           <Box 
             p={2} 
@@ -275,6 +315,7 @@ function App() {
                     onTogglePlanTech={handleTogglePlanTech}
                     onToggleResearchedTech={handleToggleResearchedTech}
                     onClearPlan={handleClearPlan}
+                    onLoadPlan={handleLoadPlan}
                   />
                 </TabPanel>
               </TabPanels>
@@ -0,0 +1,59 @@
+import { useState, useEffect } from 'react';
+import { Select, Tooltip } from '@chakra-ui/react';
+import { fetchLanguages, getLanguage, setLanguage } from '../services/api';
+
+const LanguageSelector = ({ onLanguageChange }) => {
+  const [languages, setLanguages] = useState([]);
+  const [selectedLanguage, setSelectedLanguage] = useState(getLanguage() || '');
+
+  // Load the languages the game has localizations for
+  useEffect(() => {
+    fetchLanguages()
+      .then(data => {
+        setLanguages(data);
+        if (!getLanguage()) {
+          const defaultLanguage = data.find(language => language.isDefault);
+          setSelectedLanguage(defaultLanguage ? defaultLanguage.id : '');
+        }
+      })
+      .catch(error => {
+        console.error('Error loading languages:', error);
+      });
+  }, []);
+
+  // Handle selecting a language - technologies are fetched again in the new language
+  const handleChange = (event) => {
+    const language = event.target.value;
+    setSelectedLanguage(language);
+    setLanguage(language);
+
+    if (onLanguageChange) {
+      onLanguageChange(language);
+    }
+  };
+
+  if (languages.length === 0) {
+    return null;
+  }
+
+  return (
+    <Tooltip label="Language of technology names and descriptions (English is used where a translation is missing)">
+      <Select
+        value={selectedLanguage}
+        onChange={handleChange}
+        size="sm"
+        width="auto"
+        mr={2}
+        aria-label="Language"
+      >
+        {languages.map(language => (
+          <option key={language.id} value={language.id}>
+            {language.name}
+          </option>
+        ))}
+      </Select>
+    </Tooltip>
+  );
+};
+
+export default LanguageSelector;
@@ -0,0 +1,173 @@
+import { useState } from 'react';
+import {
+  Box,
+  Button,
+  Collapse,
+  Flex,
+  Progress,
+  Text,
+  Alert,
+  AlertIcon,
+  VStack,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { ChevronDownIcon, ChevronUpIcon } from '@chakra-ui/icons';
+
+// Labels of the load phases, in the order the server runs them
+const PHASE_LABELS = {
+  paths: 'Detecting game paths',
+  mods: 'Reading the mod list',
+  variables: 'Loading scripted variables',
+  parse: 'Parsing technology files',
+  load: 'Loading technologies',
+  unlockables: 'Loading unlockable objects',
+  localisation: 'Loading localisation',
+  tree: 'Building the technology tree'
+};
+
+// Number of warnings listed, the others are only counted
+const MAX_LISTED_WARNINGS = 5;
+
+/**
+ * Initial state of a load, before the server sent its state
+ */
+export const EMPTY_LOAD = {
+  status: 'idle',
+  phase: null,
+  phaseIndex: -1,
+  phaseCount: Object.keys(PHASE_LABELS).length,
+  message: '',
+  done: 0,
+  total: 0,
+  mods: [],
+  warnings: [],
+  warningCount: 0,
+  cancellable: false
+};
+
+/**
+ * Apply an event of /api/load/events to the state of a load
+ * @param {Object} load Current state
+ * @param {string} type Event type
+ * @param {Object} data Event data
+ * @returns {Object} The new state
+ */
+export const applyLoadEvent = (load, type, data) => {
+  switch (type) {
+    case 'state':
+      return { ...EMPTY_LOAD, ...data };
+    case 'start':
+      return { ...EMPTY_LOAD, status: 'running', cancellable: true, id: data.id };
+    case 'phase':
+      return { ...load, ...data, mods: data.mods || load.mods };
+    case 'progress': {
+      const mods = data.mod
+        ? load.mods.some(mod => mod.id === data.mod.id)
+          ? load.mods.map(mod => (mod.id === data.mod.id ? data.mod : mod))
+          : [...load.mods, data.mod]
+        : load.mods;
+      return { ...load, message: data.message, done: data.done, total: data.total, mods };
+    }
+    case 'warning':
+      return { ...load, warnings: [...load.warnings, data], warningCount: load.warningCount + 1 };
+    case 'done':
+    case 'error':
+    case 'cancelled':
+      return { ...load, ...data, status: type, cancellable: false };
+    default:
+      return load;
+  }
+};
+
+/**
+ * Progress of loading the technologies of a playset, with the progress of each mod and a cancel button
+ */
+const LoadProgressPanel = ({ load, onCancel, isCancelling = false }) => {
+  const [showMods, setShowMods] = useState(false);
+  const trackColor = useColorModeValue('gray.100', 'gray.700');
+  const mutedColor = useColorModeValue('gray.600', 'gray.400');
+
+  const phaseProgress = load.total > 0 ? load.done / load.total : 0;
+  const overall = load.phaseIndex >= 0 ? ((load.phaseIndex + phaseProgress) / load.phaseCount) * 100 : 0;
+  const activeMods = load.mods.filter(mod => mod.total > 0);
+
+  return (
+    <Box mt={3}>
+      <Flex justifyContent="space-between" alignItems="center" mb={1}>
+        <Text fontSize="sm" fontWeight="medium">
+          {PHASE_LABELS[load.phase] || 'Starting...'}
+        </Text>
+        {load.total > 0 && (
+          <Text fontSize="sm" color={mutedColor}>
+            {load.done}/{load.total}
+          </Text>
+        )}
+      </Flex>
+
+      <Progress value={overall} size="sm" colorScheme="blue" borderRadius="md" bg={trackColor} hasStripe isAnimated />
+
+      {load.message && (
+        <Text fontSize="xs" mt={1} color={mutedColor} noOfLines={1}>
+          {load.message}
+        </Text>
+      )}
+
+      {activeMods.length > 0 && (
+        <Box mt={2}>
+          <Button
+            size="xs"
+            variant="ghost"
+            rightIcon={showMods ? <ChevronUpIcon /> : <ChevronDownIcon />}
+            onClick={() => setShowMods(!showMods)}
+          >
+            {showMods ? 'Hide' : 'Show'} progress of {activeMods.length} sources
+          </Button>
+          <Collapse in={showMods} animateOpacity>
+            <VStack align="stretch" spacing={1} mt={1} maxH="160px" overflowY="auto">
+              {activeMods.map(mod => (
+                <Box key={mod.id || 'base-game'}>
+                  <Flex justifyContent="space-between">
+                    <Text fontSize="xs" noOfLines={1}>{mod.name}</Text>
+                    <Text fontSize="xs" color={mutedColor}>{mod.done}/{mod.total}</Text>
+                  </Flex>
+                  <Progress value={(mod.done / mod.total) * 100} size="xs" borderRadius="md" bg={trackColor} />
+                </Box>
+              ))}
+            </VStack>
+          </Collapse>
+        </Box>
+      )}
+
+      {load.warningCount > 0 && (
+        <Alert status="warning" mt={2} borderRadius="md" alignItems="flex-start" fontSize="xs">
+          <AlertIcon boxSize={3} mt={1} />
+          <Box>
+            {load.warnings.slice(0, MAX_LISTED_WARNINGS).map((warning, index) => (
+              <Text key={index}>{warning.message}</Text>
+            ))}
+            {load.warningCount > MAX_LISTED_WARNINGS && (
+              <Text fontStyle="italic">and {load.warningCount - MAX_LISTED_WARNINGS} more</Text>
+            )}
+          </Box>
+        </Alert>
+      )}
+
+      {onCancel && (
+        <Button
+          size="sm"
+          mt={2}
+          variant="outline"
+          colorScheme="red"
+          onClick={onCancel}
+          isLoading={isCancelling}
+          loadingText="Cancelling"
+          isDisabled={!load.cancellable}
+        >
+          Cancel
+        </Button>
+      )}
+    </Box>
+  );
+};
+
+export default LoadProgressPanel;
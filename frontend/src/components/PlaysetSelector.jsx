@@ -19,7 +19,8 @@ import {
   Divider
 } from '@chakra-ui/react';
 import { RepeatIcon, InfoIcon } from '@chakra-ui/icons';
-import { fetchPlaysets, fetchActivePlayset, activatePlayset } from '../services/api';
+import { fetchPlaysets, fetchActivePlayset, activatePlayset, subscribeToLoadEvents, cancelLoad } from '../services/api';
+import LoadProgressPanel, { EMPTY_LOAD, applyLoadEvent } from './LoadProgressPanel';
 
 const PlaysetSelector = ({ onTechReload }) => {
   const [playsets, setPlaysets] = useState([]);
@@ -27,6 +28,8 @@ const PlaysetSelector = ({ onTechReload }) => {
   const [selectedPlaysetId, setSelectedPlaysetId] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [isReloading, setIsReloading] = useState(false);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [load, setLoad] = useState(EMPTY_LOAD);
   const [error, setError] = useState(null);
   
   const toast = useToast();
@@ -97,11 +100,28 @@ const PlaysetSelector = ({ onTechReload }) => {
     }
     
     setIsReloading(true);
+    setLoad({ ...EMPTY_LOAD, status: 'running' });
+    
+    // Follow the progress of the load while the activation request runs
+    const unsubscribe = subscribeToLoadEvents((type, data) => {
+      setLoad(current => applyLoadEvent(current, type, data));
+    });
     
     try {
       // Activate the selected playset
       const result = await activatePlayset(selectedPlaysetId);
       
+      if (result.cancelled) {
+        toast({
+          title: 'Loading cancelled',
+          description: 'The technologies of the previous playset were loaded again',
+          status: 'info',
+          duration: 5000,
+          isClosable: true,
+        });
+        return;
+      }
+      
       // Update the active playset with the data returned from the API
       if (result.playset) {
         setActivePlayset(result.playset);
@@ -139,7 +159,27 @@ const PlaysetSelector = ({ onTechReload }) => {
         isClosable: true,
       });
     } finally {
+      unsubscribe();
       setIsReloading(false);
+      setIsCancelling(false);
+    }
+  };
+  
+  // Handle cancelling the running load
+  const handleCancelLoad = async () => {
+    setIsCancelling(true);
+    
+    try {
+      await cancelLoad();
+    } catch (err) {
+      setIsCancelling(false);
+      toast({
+        title: 'Could not cancel loading',
+        description: err.message,
+        status: 'warning',
+        duration: 3000,
+        isClosable: true,
+      });
     }
   };
   
@@ -234,9 +274,7 @@ const PlaysetSelector = ({ onTechReload }) => {
             </Flex>
             
             {isReloading && (
-              <Text fontSize="sm" mt={2} color="blue.500">
-                Loading technologies... This may take a moment.
-              </Text>
+              <LoadProgressPanel load={load} onCancel={handleCancelLoad} isCancelling={isCancelling} />
             )}
           </Box>
           
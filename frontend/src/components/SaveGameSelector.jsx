@@ -0,0 +1,158 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Flex,
+  Heading,
+  Text,
+  Select,
+  useToast,
+  Badge,
+  useColorModeValue,
+  Tooltip,
+  IconButton
+} from '@chakra-ui/react';
+import { RepeatIcon } from '@chakra-ui/icons';
+import { fetchSaveGames, loadSaveGame } from '../services/api';
+
+const SaveGameSelector = ({ onSaveLoaded }) => {
+  const [saves, setSaves] = useState([]);
+  const [selectedSavePath, setSelectedSavePath] = useState('');
+  const [currentSave, setCurrentSave] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isApplying, setIsApplying] = useState(false);
+
+  const toast = useToast();
+
+  // Colors
+  const bgColor = useColorModeValue('white', 'gray.800');
+  const borderColor = useColorModeValue('gray.200', 'gray.700');
+
+  // Load save games on component mount
+  useEffect(() => {
+    loadSaves();
+  }, []);
+
+  // Load save games from the backend
+  const loadSaves = async () => {
+    setIsLoading(true);
+
+    try {
+      const savesData = await fetchSaveGames();
+      setSaves(savesData);
+
+      if (savesData.length > 0) {
+        setSelectedSavePath(savesData[0].path);
+      }
+    } catch (err) {
+      toast({
+        title: 'Error loading save games',
+        description: err.message,
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Handle loading the selected save game
+  const handleLoadSave = async () => {
+    setIsApplying(true);
+
+    try {
+      const result = await loadSaveGame(selectedSavePath);
+      setCurrentSave(result);
+
+      toast({
+        title: 'Save game loaded',
+        description: `${result.researched} researched technologies found for ${result.name || 'the player empire'}`,
+        status: 'success',
+        duration: 5000,
+        isClosable: true,
+      });
+
+      // Notify parent component so it can refresh the research state
+      if (onSaveLoaded) {
+        onSaveLoaded(result);
+      }
+    } catch (err) {
+      toast({
+        title: 'Error loading save game',
+        description: err.message,
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  return (
+    <Box
+      p={4}
+      borderWidth="1px"
+      borderRadius="lg"
+      bg={bgColor}
+      borderColor={borderColor}
+      width="100%"
+      mb={4}
+    >
+      <Flex justifyContent="space-between" alignItems="center" mb={2}>
+        <Heading size="md">Save Game</Heading>
+        <Tooltip label="Refresh save games">
+          <IconButton
+            icon={<RepeatIcon />}
+            size="sm"
+            aria-label="Refresh save games"
+            onClick={loadSaves}
+            isLoading={isLoading}
+          />
+        </Tooltip>
+      </Flex>
+
+      {currentSave && (
+        <Flex alignItems="center" mb={2}>
+          <Text fontWeight="bold" mr={2}>Loaded:</Text>
+          <Badge colorScheme="green" px={2} py={1} borderRadius="md" mr={2}>
+            {currentSave.name || currentSave.path}
+          </Badge>
+          <Text fontSize="sm">{currentSave.date}</Text>
+        </Flex>
+      )}
+
+      <Flex>
+        <Select
+          value={selectedSavePath}
+          onChange={(e) => setSelectedSavePath(e.target.value)}
+          mr={2}
+          isDisabled={isLoading || isApplying || saves.length === 0}
+        >
+          {saves.length === 0 ? (
+            <option value="">No save games found</option>
+          ) : (
+            saves.map(save => (
+              <option key={save.path} value={save.path}>
+                {save.name} ({new Date(save.modified).toLocaleString()})
+              </option>
+            ))
+          )}
+        </Select>
+
+        <Button
+          colorScheme="blue"
+          onClick={handleLoadSave}
+          isLoading={isApplying}
+          loadingText="Loading"
+          isDisabled={isLoading || saves.length === 0}
+        >
+          Load
+        </Button>
+      </Flex>
+    </Box>
+  );
+};
+
+export default SaveGameSelector;
@@ -35,7 +35,8 @@ const FilterPanel = ({
     categories: categories.reduce((acc, cat) => ({ ...acc, [cat]: true }), {}),
     areas: areas.reduce((acc, area) => ({ ...acc, [area]: true }), {}),
     tiers: tiers.reduce((acc, tier) => ({ ...acc, [tier]: true }), {}),
-    showPrerequisites: true
+    showPrerequisites: true,
+    hideImpossible: false
   };
   
   // State for filters
@@ -78,6 +79,11 @@ const FilterPanel = ({
       count += 1;
     }
     
+    // Count hidden impossible technologies if enabled
+    if (filters.hideImpossible) {
+      count += 1;
+    }
+    
     setActiveFiltersCount(count);
   }, [filters, categories, areas, tiers]);
   
@@ -127,6 +133,15 @@ const FilterPanel = ({
     onFiltersChange(newFilters);
   };
   
+  const handleHideImpossibleChange = (isChecked) => {
+    const newFilters = {
+      ...filters,
+      hideImpossible: isChecked
+    };
+    setFilters(newFilters);
+    onFiltersChange(newFilters);
+  };
+  
   // Reset filters to default
   const resetFilters = () => {
     setFilters(defaultFilters);
@@ -308,6 +323,13 @@ const FilterPanel = ({
               >
                 Show prerequisites when filtering
               </Checkbox>
+              <Checkbox
+                mt={2}
+                isChecked={filters.hideImpossible}
+                onChange={(e) => handleHideImpossibleChange(e.target.checked)}
+              >
+                Hide technologies that cannot appear for the loaded empire
+              </Checkbox>
             </Box>
             
             {/* Reset button */}
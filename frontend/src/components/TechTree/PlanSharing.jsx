@@ -0,0 +1,229 @@
+import { useState } from 'react';
+import {
+  Box,
+  Button,
+  HStack,
+  VStack,
+  Input,
+  Text,
+  Textarea,
+  Alert,
+  AlertIcon,
+  AlertDescription,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalBody,
+  ModalFooter,
+  ModalCloseButton,
+  useDisclosure,
+  useToast
+} from '@chakra-ui/react';
+import { exportPlan, importPlan } from '../../services/api';
+
+/**
+ * Exports the current plan as a JSON file or share code for other players, and imports their plans
+ *
+ * Imported plans are checked against the loaded technologies: renamed technologies are replaced and missing ones
+ * are reported before the plan is applied with onLoadPlan.
+ */
+const PlanSharing = ({ plannedTechs, researchedTechs, researchOutput, onLoadPlan }) => {
+  const exportModal = useDisclosure();
+  const importModal = useDisclosure();
+  const [name, setName] = useState('');
+  const [notes, setNotes] = useState('');
+  const [exported, setExported] = useState(null);
+  const [code, setCode] = useState('');
+  const [file, setFile] = useState(null); // Parsed JSON file of an exported plan
+  const [report, setReport] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const toast = useToast();
+
+  // Run a request against the plans API, reporting failures
+  const run = async (action, request) => {
+    setIsBusy(true);
+    try {
+      await request();
+    } catch (error) {
+      toast({ title: `Could not ${action}`, description: error.message, status: 'error', duration: 5000, isClosable: true });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleExport = () => run('export the plan', async () => {
+    setExported(await exportPlan({
+      name: name.trim(),
+      notes,
+      targets: plannedTechs.map(tech => tech.id),
+      output: researchOutput
+    }));
+  });
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(exported.code);
+      toast({ title: 'Share code copied', status: 'success', duration: 2000 });
+    } catch (error) {
+      console.error('Error copying the share code:', error);
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([JSON.stringify(exported.document, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${exported.document.name.replace(/[^\w.-]+/g, '_') || 'plan'}.plan.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleFile = (event) => {
+    const [selected] = event.target.files;
+    if (!selected) {
+      return;
+    }
+
+    selected.text()
+      .then(text => {
+        setFile(JSON.parse(text));
+        setCode('');
+        setReport(null);
+      })
+      .catch(error => {
+        toast({ title: 'Could not read the file', description: error.message, status: 'error', duration: 5000, isClosable: true });
+      });
+  };
+
+  const handleCheck = () => run('import the plan', async () => {
+    setReport(await importPlan(file ? { document: file } : { code: code.trim() }));
+  });
+
+  const handleApply = () => {
+    onLoadPlan({
+      ...report.plan,
+      researched: researchedTechs.map(tech => tech.id)
+    });
+    importModal.onClose();
+    setReport(null);
+    setFile(null);
+    setCode('');
+  };
+
+  const openExport = () => {
+    setExported(null);
+    exportModal.onOpen();
+  };
+
+  return (
+    <Box>
+      <HStack spacing={2}>
+        <Button size="sm" onClick={openExport} isDisabled={plannedTechs.length === 0}>Export</Button>
+        <Button size="sm" onClick={importModal.onOpen}>Import</Button>
+      </HStack>
+
+      <Modal isOpen={exportModal.isOpen} onClose={exportModal.onClose} size="lg">
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>Export Plan</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody>
+            <VStack spacing={3} align="stretch">
+              <Input size="sm" placeholder="Plan name" value={name} onChange={(event) => setName(event.target.value)} />
+              <Textarea size="sm" placeholder="Notes" value={notes} onChange={(event) => setNotes(event.target.value)} />
+              {exported && (
+                <>
+                  <Text fontSize="sm">Share code</Text>
+                  <Textarea size="sm" fontFamily="mono" value={exported.code} isReadOnly rows={4} />
+                </>
+              )}
+            </VStack>
+          </ModalBody>
+          <ModalFooter>
+            <HStack spacing={2}>
+              {exported && <Button size="sm" onClick={handleCopy}>Copy code</Button>}
+              {exported && <Button size="sm" onClick={handleDownload}>Download JSON</Button>}
+              <Button size="sm" colorScheme="blue" onClick={handleExport} isDisabled={!name.trim() || isBusy}>
+                {exported ? 'Export again' : 'Export'}
+              </Button>
+            </HStack>
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
+
+      <Modal isOpen={importModal.isOpen} onClose={importModal.onClose} size="lg">
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>Import Plan</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody>
+            <VStack spacing={3} align="stretch">
+              <Textarea
+                size="sm"
+                fontFamily="mono"
+                placeholder="Paste a share code"
+                value={code}
+                onChange={(event) => {
+                  setCode(event.target.value);
+                  setFile(null);
+                  setReport(null);
+                }}
+              />
+              <Input size="sm" type="file" accept=".json,application/json" onChange={handleFile} />
+              {report && (
+                <>
+                  <Text fontSize="sm">
+                    "{report.plan.name}": {report.plan.targets.length} target technologies
+                  </Text>
+                  {!report.playset.matches && (
+                    <Alert status="info">
+                      <AlertIcon />
+                      <AlertDescription>
+                        The plan was made for another playset{report.playset.name ? ` (${report.playset.name})` : ''}
+                      </AlertDescription>
+                    </Alert>
+                  )}
+                  {!report.gameVersion.matches && (
+                    <Alert status="info">
+                      <AlertIcon />
+                      <AlertDescription>
+                        The plan was made for game version {report.gameVersion.exported || 'unknown'}
+                        {report.gameVersion.loaded ? `, loaded is ${report.gameVersion.loaded}` : ''}
+                      </AlertDescription>
+                    </Alert>
+                  )}
+                  {report.renamed.length > 0 && (
+                    <Alert status="warning">
+                      <AlertIcon />
+                      <AlertDescription>
+                        Renamed technologies: {report.renamed.map(entry => `${entry.id} → ${entry.to}`).join(', ')}
+                      </AlertDescription>
+                    </Alert>
+                  )}
+                  {report.missing.length > 0 && (
+                    <Alert status="warning">
+                      <AlertIcon />
+                      <AlertDescription>
+                        Missing technologies, left out: {report.missing.map(entry => entry.id).join(', ')}
+                      </AlertDescription>
+                    </Alert>
+                  )}
+                </>
+              )}
+            </VStack>
+          </ModalBody>
+          <ModalFooter>
+            <HStack spacing={2}>
+              <Button size="sm" onClick={handleCheck} isDisabled={(!code.trim() && !file) || isBusy}>Check</Button>
+              <Button size="sm" colorScheme="blue" onClick={handleApply} isDisabled={!report}>Apply</Button>
+            </HStack>
+          </ModalFooter>
+        </ModalContent>
+      </Modal>
+    </Box>
+  );
+};
+
+export default PlanSharing;
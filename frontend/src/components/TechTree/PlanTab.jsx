@@ -25,7 +25,15 @@ import {
   AccordionIcon,
   Tag,
   IconButton,
-  Tooltip
+  Tooltip,
+  FormControl,
+  FormLabel,
+  NumberInput,
+  NumberInputField,
+  Stat,
+  StatLabel,
+  StatNumber,
+  StatHelpText
 } from '@chakra-ui/react';
 import { 
   ChevronRightIcon, 
@@ -35,14 +43,17 @@ import {
   StarIcon
 } from '@chakra-ui/icons';
 import { mockTechnologies } from './mockTechnologies';
-import { fetchAllPrerequisitesForMultipleTechnologies } from '../../services/api';
+import { fetchAllPrerequisitesForMultipleTechnologies, planResearch } from '../../services/api';
+import SavedPlans from './SavedPlans';
+import PlanSharing from './PlanSharing';
 
 const PlanTab = ({ 
   plannedTechs = [], 
   researchedTechs = [], 
   onTogglePlanTech, 
   onToggleResearchedTech,
-  onClearPlan
+  onClearPlan,
+  onLoadPlan
 }) => {
   const [allPrerequisites, setAllPrerequisites] = useState([]);
   const [availableTechs, setAvailableTechs] = useState([]);
@@ -50,6 +61,11 @@ const PlanTab = ({
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   
+  // Research points per month of each queue, and the schedule the planner returns for them
+  const [researchOutput, setResearchOutput] = useState({ physics: 100, society: 100, engineering: 100 });
+  const [schedule, setSchedule] = useState(null);
+  const [scheduleError, setScheduleError] = useState(null);
+  
   // Debug function to manually add a tech to available techs
   const addToAvailable = (tech) => {
     console.log('Manually adding tech to available:', tech);
@@ -315,6 +331,64 @@ const PlanTab = ({
     fetchPrerequisites();
   }, [plannedTechs, researchedTechs, allTechs]);
   
+  // Plan the order of research on the three queues
+  useEffect(() => {
+    if (plannedTechs.length === 0) {
+      setSchedule(null);
+      return;
+    }
+    
+    let cancelled = false;
+    setScheduleError(null);
+    
+    planResearch(
+      plannedTechs.map(tech => tech.id),
+      researchOutput,
+      researchedTechs.map(tech => tech.id)
+    )
+      .then(result => {
+        if (!cancelled) {
+          setSchedule(result);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setSchedule(null);
+          setScheduleError(err.message);
+        }
+      });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [plannedTechs, researchedTechs, researchOutput]);
+  
+  // Load a saved or imported plan, with the research output it was planned for
+  const handleLoadPlan = (plan) => {
+    if (plan.output && Object.keys(plan.output).length > 0) {
+      setResearchOutput(prev => ({ ...prev, ...plan.output }));
+    }
+    onLoadPlan(plan);
+  };
+  
+  // Saved plans of the server, and plans shared with other players
+  const savedPlans = (
+    <VStack spacing={2} align="stretch">
+      <SavedPlans
+        plannedTechs={plannedTechs}
+        researchedTechs={researchedTechs}
+        researchOutput={researchOutput}
+        onLoadPlan={handleLoadPlan}
+      />
+      <PlanSharing
+        plannedTechs={plannedTechs}
+        researchedTechs={researchedTechs}
+        researchOutput={researchOutput}
+        onLoadPlan={handleLoadPlan}
+      />
+    </VStack>
+  );
+  
   // Group technologies by category
   const techsByCategory = useMemo(() => {
     const grouped = {
@@ -472,6 +546,9 @@ const PlanTab = ({
             Add technologies to your plan by selecting them in the Tech Tree tab and clicking "Add to Plan".
           </AlertDescription>
         </Alert>
+        <Box mt={4}>
+          {savedPlans}
+        </Box>
       </Box>
     );
   }
@@ -481,6 +558,8 @@ const PlanTab = ({
       <VStack spacing={6} align="stretch">
         <Heading size="lg">Research Plan</Heading>
         
+        {savedPlans}
+        
         {error && (
           <Alert status="error" mb={4}>
             <AlertIcon />
@@ -499,8 +578,98 @@ const PlanTab = ({
           </Box>
         ) : (
           <>
-            {/* Available Technologies Section */}
+            {/* Research Schedule Section */}
             <Box>
+              <Accordion defaultIndex={[0]} allowMultiple>
+                <AccordionItem>
+                  <h2>
+                    <AccordionButton>
+                      <Box flex="1" textAlign="left" fontWeight="bold">
+                        Research Schedule
+                      </Box>
+                      <AccordionIcon />
+                    </AccordionButton>
+                  </h2>
+                  <AccordionPanel pb={4}>
+                    <HStack spacing={4} mb={4} align="flex-end">
+                      {Object.keys(categoryColors).map(category => (
+                        <FormControl key={category}>
+                          <FormLabel fontSize="sm" color={`${categoryColors[category]}.500`}>
+                            {category.charAt(0).toUpperCase() + category.slice(1)} / month
+                          </FormLabel>
+                          <NumberInput
+                            size="sm"
+                            min={0}
+                            value={researchOutput[category]}
+                            onChange={(_, value) => setResearchOutput(prev => ({
+                              ...prev,
+                              [category]: Number.isNaN(value) ? 0 : value
+                            }))}
+                          >
+                            <NumberInputField />
+                          </NumberInput>
+                        </FormControl>
+                      ))}
+                    </HStack>
+                    
+                    {scheduleError && (
+                      <Text color="red.500" mb={2}>Could not plan the research: {scheduleError}</Text>
+                    )}
+                    
+                    {schedule && (
+                      <VStack spacing={3} align="stretch">
+                        <Stat>
+                          <StatLabel>Estimated time</StatLabel>
+                          <StatNumber>
+                            {schedule.months === null ? 'Not reachable' : `${schedule.months} months`}
+                          </StatNumber>
+                          {schedule.unscheduled.length > 0 && (
+                            <StatHelpText>
+                              {schedule.unscheduled.length} technologies cannot be researched: {schedule.unscheduled.map(entry => 
+                                `${entry.id} (${entry.reason.replace(/_/g, ' ')})`
+                              ).join(', ')}
+                            </StatHelpText>
+                          )}
+                        </Stat>
+                        
+                        {Object.entries(schedule.queues).map(([category, queue]) => (
+                          queue.technologies.length > 0 && (
+                            <Box key={category}>
+                              <Heading size="xs" mb={2} color={`${categoryColors[category]}.500`}>
+                                {category.charAt(0).toUpperCase() + category.slice(1)} ({queue.months} months)
+                              </Heading>
+                              <List spacing={1}>
+                                {queue.technologies.map((entry, index) => (
+                                  <ListItem key={entry.id} display="flex" alignItems="center">
+                                    <Text width="2em" color="gray.500">{index + 1}.</Text>
+                                    <ListIcon 
+                                      as={entry.isTarget ? StarIcon : ChevronRightIcon} 
+                                      color={entry.isTarget ? "yellow.500" : `${categoryColors[category]}.500`} 
+                                    />
+                                    <Text flex="1">
+                                      {entry.displayName || entry.name || entry.id}
+                                      <Badge ml={2} colorScheme={categoryColors[category]}>
+                                        Tier {entry.tier}
+                                      </Badge>
+                                    </Text>
+                                    <Text fontSize="sm" color="gray.500">
+                                      Month {entry.start}–{entry.finish}
+                                    </Text>
+                                  </ListItem>
+                                ))}
+                              </List>
+                            </Box>
+                          )
+                        ))}
+                      </VStack>
+                    )}
+                  </AccordionPanel>
+                </AccordionItem>
+              </Accordion>
+            </Box>
+            
+            {/* Available Technologies Section */}
+            <Box mt={4}>
               <Accordion defaultIndex={[0]} allowMultiple>
                 <AccordionItem>
                   <h2>
@@ -0,0 +1,136 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  HStack,
+  Input,
+  Select,
+  Alert,
+  AlertIcon,
+  AlertDescription,
+  useToast
+} from '@chakra-ui/react';
+import { fetchPlans, fetchPlan, createPlan, updatePlan, deletePlan } from '../../services/api';
+
+/**
+ * Saves the current plan on the server as a named plan of the active playset, and loads saved plans
+ *
+ * Saving a loaded plan stores a new revision of it. onLoadPlan is called with the loaded plan; technologies the
+ * plan lists that no longer exist (e.g. after a mod update) are reported.
+ */
+const SavedPlans = ({ plannedTechs, researchedTechs, researchOutput, onLoadPlan }) => {
+  const [plans, setPlans] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [name, setName] = useState('');
+  const [stale, setStale] = useState([]);
+  const [available, setAvailable] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const toast = useToast();
+
+  const refreshPlans = useCallback(async () => {
+    try {
+      setPlans(await fetchPlans());
+      setAvailable(true);
+    } catch (error) {
+      console.error('Error fetching saved plans:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshPlans();
+  }, [refreshPlans]);
+
+  // Run a request against the plans API, reporting failures
+  const run = async (action, request) => {
+    setIsBusy(true);
+    try {
+      await request();
+    } catch (error) {
+      toast({ title: `Could not ${action}`, description: error.message, status: 'error', duration: 5000, isClosable: true });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSave = (asNew) => run('save the plan', async () => {
+    const contents = {
+      name: name.trim(),
+      targets: plannedTechs.map(tech => tech.id),
+      researched: researchedTechs.map(tech => tech.id),
+      output: researchOutput
+    };
+    const plan = selectedId && !asNew ? await updatePlan(selectedId, contents) : await createPlan(contents);
+
+    setSelectedId(String(plan.id));
+    setStale(plan.check.stale);
+    toast({ title: `Saved "${plan.name}" (revision ${plan.revision})`, status: 'success', duration: 3000, isClosable: true });
+    await refreshPlans();
+  });
+
+  const handleLoad = () => run('load the plan', async () => {
+    const plan = await fetchPlan(selectedId);
+
+    setName(plan.name);
+    setStale(plan.check.stale);
+    onLoadPlan(plan);
+  });
+
+  const handleDelete = () => run('delete the plan', async () => {
+    await deletePlan(selectedId);
+
+    setSelectedId('');
+    setStale([]);
+    await refreshPlans();
+  });
+
+  if (!available) {
+    return null;
+  }
+
+  return (
+    <Box>
+      <HStack spacing={2}>
+        <Select
+          size="sm"
+          placeholder="Saved plans"
+          value={selectedId}
+          onChange={(event) => {
+            setSelectedId(event.target.value);
+            const plan = plans.find(p => String(p.id) === event.target.value);
+            setName(plan ? plan.name : '');
+          }}
+        >
+          {plans.map(plan => (
+            <option key={plan.id} value={plan.id}>
+              {plan.name}{plan.playset ? ` – ${plan.playset.name}` : ''} (revision {plan.revision}
+              {plan.staleCount > 0 ? `, ${plan.staleCount} missing` : ''})
+            </option>
+          ))}
+        </Select>
+        <Button size="sm" onClick={handleLoad} isDisabled={!selectedId || isBusy}>Load</Button>
+        <Button size="sm" colorScheme="red" variant="outline" onClick={handleDelete} isDisabled={!selectedId || isBusy}>
+          Delete
+        </Button>
+      </HStack>
+      <HStack spacing={2} mt={2}>
+        <Input size="sm" placeholder="Plan name" value={name} onChange={(event) => setName(event.target.value)} />
+        <Button size="sm" colorScheme="blue" onClick={() => handleSave(false)} isDisabled={!name.trim() || isBusy}>
+          Save
+        </Button>
+        <Button size="sm" onClick={() => handleSave(true)} isDisabled={!name.trim() || !selectedId || isBusy}>
+          Save as new
+        </Button>
+      </HStack>
+      {stale.length > 0 && (
+        <Alert status="warning" mt={2}>
+          <AlertIcon />
+          <AlertDescription>
+            Technologies of this plan no longer exist, e.g. after a mod update: {stale.map(entry => entry.id).join(', ')}
+          </AlertDescription>
+        </Alert>
+      )}
+    </Box>
+  );
+};
+
+export default SavedPlans;
@@ -48,6 +48,7 @@ import {
   AddIcon,
   MinusIcon
 } from '@chakra-ui/icons';
+import { fetchTechnologyById } from '../../services/api';
 
 // Component to display debug information with copy button
 const DebugInfoContent = ({ tech }) => {
@@ -96,6 +97,58 @@ const DebugInfoContent = ({ tech }) => {
   );
 };
 
+// Nested list of rendered conditions ({ text, children }), structured like the in-game tooltip
+const ConditionList = ({ nodes }) => (
+  <List spacing={1} pl={3}>
+    {nodes.map((node, index) => (
+      <ListItem key={index}>
+        <Text fontSize="sm">{node.text}</Text>
+        {node.children && node.children.length > 0 && <ConditionList nodes={node.children} />}
+      </ListItem>
+    ))}
+  </List>
+);
+
+// Chakra colours for the colour names of localisation colour codes
+const locColors = {
+  blue: 'blue.500',
+  teal: 'teal.500',
+  green: 'green.500',
+  orange: 'orange.400',
+  brown: 'orange.700',
+  purple: 'purple.500',
+  pink: 'pink.400',
+  red: 'red.500',
+  darkorange: 'orange.600',
+  lightgray: 'gray.400',
+  white: 'gray.600',
+  yellow: 'yellow.500',
+  gray: 'gray.500'
+};
+
+// Localised text with colours, icons and placeholders ({ text, color, icon, placeholder } segments)
+const RichText = ({ segments }) => (
+  <Text fontSize="md" mb={3} whiteSpace="pre-wrap">
+    {segments.map((segment, index) => {
+      if (segment.icon) {
+        return <Badge key={index} mx={1} variant="subtle" textTransform="none">{segment.icon}</Badge>;
+      }
+      if (segment.placeholder) {
+        return (
+          <Tooltip key={index} label={segment.placeholder}>
+            <Text as="span" color="gray.500">{segment.text}</Text>
+          </Tooltip>
+        );
+      }
+      return (
+        <Text as="span" key={index} color={segment.color ? locColors[segment.color] || segment.color : undefined}>
+          {segment.text}
+        </Text>
+      );
+    })}
+  </Text>
+);
+
 // Separate component for the debug info container to avoid hooks in JSX
 const DebugInfoContainer = ({ children }) => {
   const bgColor = useColorModeValue('gray.50', 'gray.700');
@@ -129,6 +182,9 @@ const TechDetailsPanel = ({
   const [unlocks, setUnlocks] = useState([]);
   const [showPrereqs, setShowPrereqs] = useState(true);
   const [showUnlocks, setShowUnlocks] = useState(true);
+  const [showEffects, setShowEffects] = useState(true);
+  const [showRequirements, setShowRequirements] = useState(true);
+  const [rendered, setRendered] = useState(null);
   
   // Call all context hooks unconditionally at the top level
   // This ensures consistent hook order across renders
@@ -159,6 +215,29 @@ const TechDetailsPanel = ({
     setUnlocks(unlockedTechs);
   }, [selectedTech, technologies]);
   
+  // Fetch the requirements, weight modifiers and modifiers as readable text
+  useEffect(() => {
+    setRendered(null);
+    if (!selectedTech) {
+      return;
+    }
+    
+    let cancelled = false;
+    fetchTechnologyById(selectedTech.id)
+      .then(details => {
+        if (!cancelled) {
+          setRendered(details.rendered || null);
+        }
+      })
+      .catch(() => {
+        // Fall back to the raw modifier keys
+      });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedTech]);
+  
   // Check if the selected tech is in the plan
   const isInPlan = selectedTech && plannedTechs.some(tech => tech.id === selectedTech.id);
   
@@ -176,6 +255,21 @@ const TechDetailsPanel = ({
     engineering: 'orange'
   };
   
+  // Labels for the game objects a technology unlocks
+  const unlockTypeLabels = {
+    building: 'Building',
+    component: 'Component',
+    section: 'Ship Section',
+    ship_size: 'Ship',
+    starbase_building: 'Starbase Building',
+    starbase_module: 'Starbase Module',
+    megastructure: 'Megastructure',
+    district: 'District',
+    army: 'Army',
+    edict: 'Edict',
+    decision: 'Decision'
+  };
+  
   // Area icons (can be expanded later)
   const areaIcons = {
     weapons: '🔫',
@@ -220,6 +314,13 @@ const TechDetailsPanel = ({
   // Get area icon
   const areaIcon = areaIcons[selectedTech.area] || areaIcons.default;
   
+  // Game objects and modifiers the technology gives
+  const unlockedObjects = selectedTech.unlocks || [];
+  const modifiers = Object.entries(selectedTech.modifiers || {});
+  const effectCount = unlockedObjects.length + modifiers.length;
+  const requirements = rendered ? rendered.potential : [];
+  const weightModifiers = rendered ? rendered.weightModifiers : [];
+  
   return (
     <Drawer
       isOpen={isOpen}
@@ -272,9 +373,13 @@ const TechDetailsPanel = ({
                 </Badge>
               </HStack>
               
-              <Text fontSize="md" mb={3}>
-                {selectedTech.description}
-              </Text>
+              {rendered && rendered.description ? (
+                <RichText segments={rendered.description.segments} />
+              ) : (
+                <Text fontSize="md" mb={3}>
+                  {selectedTech.description}
+                </Text>
+              )}
               
               <HStack spacing={4} mb={3}>
                 <Tag size="md" variant="outline" colorScheme="blue">
@@ -426,6 +531,141 @@ const TechDetailsPanel = ({
               </Collapse>
             </Box>
             
+            {/* Requirements section */}
+            <Box>
+              <Flex 
+                p={2} 
+                bg={sectionBgColor} 
+                borderRadius="md" 
+                justify="space-between" 
+                align="center"
+                onClick={() => setShowRequirements(!showRequirements)}
+                cursor="pointer"
+                mb={showRequirements ? 2 : 0}
+              >
+                <HStack>
+                  <LockIcon />
+                  <Text fontWeight="bold">Requirements</Text>
+                </HStack>
+                <IconButton
+                  icon={showRequirements ? <ChevronUpIcon /> : <ChevronDownIcon />}
+                  variant="ghost"
+                  size="sm"
+                  aria-label={showRequirements ? "Hide requirements" : "Show requirements"}
+                />
+              </Flex>
+              
+              <Collapse in={showRequirements} animateOpacity>
+                <VStack align="stretch" spacing={3} p={2}>
+                  <Box>
+                    <Text fontWeight="medium">Requires:</Text>
+                    {requirements.length > 0 ? (
+                      <ConditionList nodes={requirements} />
+                    ) : (
+                      <Text fontSize="sm" color="gray.500" pl={3}>No conditions</Text>
+                    )}
+                  </Box>
+                  <Box>
+                    <Text fontWeight="medium">Research weight: {selectedTech.weight}</Text>
+                    <List spacing={1} pl={3}>
+                      {weightModifiers.map((modifier, index) => (
+                        <ListItem key={index}>
+                          <Text fontSize="sm">
+                            <Badge mr={2}>{modifier.text}</Badge>
+                            {modifier.conditions.length === 0 && 'Always'}
+                          </Text>
+                          {modifier.conditions.length > 0 && <ConditionList nodes={modifier.conditions} />}
+                        </ListItem>
+                      ))}
+                    </List>
+                  </Box>
+                </VStack>
+              </Collapse>
+            </Box>
+            
+            {/* Effects section */}
+            <Box>
+              <Flex 
+                p={2} 
+                bg={sectionBgColor} 
+                borderRadius="md" 
+                justify="space-between" 
+                align="center"
+                onClick={() => setShowEffects(!showEffects)}
+                cursor="pointer"
+                mb={showEffects ? 2 : 0}
+              >
+                <HStack>
+                  <StarIcon />
+                  <Text fontWeight="bold">Effects ({effectCount})</Text>
+                </HStack>
+                <IconButton
+                  icon={showEffects ? <ChevronUpIcon /> : <ChevronDownIcon />}
+                  variant="ghost"
+                  size="sm"
+                  aria-label={showEffects ? "Hide effects" : "Show effects"}
+                />
+              </Flex>
+              
+              <Collapse in={showEffects} animateOpacity>
+                {effectCount > 0 ? (
+                  <List spacing={2}>
+                    {unlockedObjects.map(unlock => (
+                      <ListItem 
+                        key={`${unlock.type}:${unlock.id}`}
+                        p={2}
+                        borderWidth="1px"
+                        borderColor={borderColor}
+                        borderRadius="md"
+                      >
+                        <Flex justify="space-between" align="center">
+                          <HStack>
+                            <ListIcon as={UnlockIcon} color="orange.500" />
+                            <Text fontWeight="medium">{unlock.name || unlock.id}</Text>
+                          </HStack>
+                          <Badge>{unlockTypeLabels[unlock.type] || unlock.type}</Badge>
+                        </Flex>
+                      </ListItem>
+                    ))}
+                    {rendered ? rendered.modifiers.map(modifier => (
+                      <ListItem 
+                        key={modifier.key}
+                        p={2}
+                        borderWidth="1px"
+                        borderColor={borderColor}
+                        borderRadius="md"
+                      >
+                        <HStack>
+                          <ListIcon as={AddIcon} color="green.500" />
+                          <Text fontWeight="medium">{modifier.text}</Text>
+                        </HStack>
+                      </ListItem>
+                    )) : modifiers.map(([key, value]) => (
+                      <ListItem 
+                        key={key}
+                        p={2}
+                        borderWidth="1px"
+                        borderColor={borderColor}
+                        borderRadius="md"
+                      >
+                        <Flex justify="space-between" align="center">
+                          <HStack>
+                            <ListIcon as={AddIcon} color="green.500" />
+                            <Code>{key}</Code>
+                          </HStack>
+                          <Text fontWeight="medium">{String(value)}</Text>
+                        </Flex>
+                      </ListItem>
+                    ))}
+                  </List>
+                ) : (
+                  <Text color="gray.500" p={2}>
+                    This technology doesn't unlock any buildings, components or modifiers.
+                  </Text>
+                )}
+              </Collapse>
+            </Box>
+            
             {/* Navigation buttons */}
             <Flex justify="space-between" mt={4}>
               <Button 
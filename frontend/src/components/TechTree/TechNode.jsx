@@ -59,6 +59,7 @@ const TechNode = ({ id, data, isConnectable, selected: reactFlowSelected }) => {
   const selectedBgColor = useColorModeValue('blue.50', 'blue.900');
   const highlightedBorderColor = useColorModeValue('purple.500', 'purple.300');
   const highlightedBgColor = useColorModeValue('purple.50', 'purple.900');
+  const researchedBorderColor = useColorModeValue('green.400', 'green.300');
   
   // Get category colors
   const category = data.category || 'default';
@@ -71,6 +72,8 @@ const TechNode = ({ id, data, isConnectable, selected: reactFlowSelected }) => {
   // Determine if this node is selected or highlighted
   const isSelected = data.selected || reactFlowSelected;
   const isHighlighted = data.highlighted;
+  // Technologies whose `potential` rules them out for the loaded empire are greyed out
+  const isImpossible = data.isPossible === false;
   
   // Determine node styling based on selection/highlight state
   let nodeBgColor = bgColor;
@@ -82,6 +85,8 @@ const TechNode = ({ id, data, isConnectable, selected: reactFlowSelected }) => {
   } else if (isHighlighted) {
     nodeBgColor = highlightedBgColor;
     nodeBorderColor = highlightedBorderColor;
+  } else if (data.isResearched) {
+    nodeBorderColor = researchedBorderColor;
   }
   
   // Handle mouse events
@@ -107,7 +112,7 @@ const TechNode = ({ id, data, isConnectable, selected: reactFlowSelected }) => {
       />
       
       <Tooltip 
-        label={`${data.displayName || data.name} (${data.tier}) - ${data.category} / ${data.area}`}
+        label={`${data.displayName || data.name} (${data.tier}) - ${data.category} / ${data.area}${isImpossible ? ' - cannot appear for this empire' : ''}`}
         placement="top"
         hasArrow
         openDelay={300}
@@ -122,6 +127,8 @@ const TechNode = ({ id, data, isConnectable, selected: reactFlowSelected }) => {
           maxWidth="180px"
           boxShadow={`0 2px 4px ${shadowColor}`}
           transition="all 0.2s"
+          opacity={isImpossible && !isSelected && !isHovered ? 0.4 : 1}
+          filter={isImpossible ? 'grayscale(1)' : 'none'}
           transform={isHovered ? 'translateY(-2px)' : 'none'}
           _hover={{
             boxShadow: `0 4px 8px ${shadowColor}`,
@@ -170,6 +177,17 @@ const TechNode = ({ id, data, isConnectable, selected: reactFlowSelected }) => {
                 {areaIcon} {data.area}
               </Text>
             </Flex>
+            
+            {/* Research status from the loaded save game */}
+            {data.isResearched ? (
+              <Badge colorScheme="green" fontSize="xs" alignSelf="flex-start">
+                Researched
+              </Badge>
+            ) : data.researchProgress > 0 && (
+              <Text fontSize="xs" color={mutedTextColor}>
+                {Math.round(data.researchProgress)} / {data.cost} research
+              </Text>
+            )}
           </Flex>
         </Box>
       </Tooltip>
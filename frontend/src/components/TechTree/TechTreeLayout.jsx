@@ -22,16 +22,21 @@ import {
   AlertDescription,
   Button,
   Spinner,
-  Text
+  Text,
+  Menu,
+  MenuButton,
+  MenuList,
+  MenuItem,
+  MenuDivider
 } from '@chakra-ui/react';
-import { HamburgerIcon, InfoIcon, WarningIcon, RepeatIcon } from '@chakra-ui/icons';
+import { HamburgerIcon, InfoIcon, WarningIcon, RepeatIcon, DownloadIcon } from '@chakra-ui/icons';
 
 import TechTreeCanvas from './TechTreeCanvas';
 import SearchBar from './SearchBar';
 import FilterPanel from './FilterPanel';
 import TechDetailsPanel from './TechDetailsPanel';
 import { mockTechnologies } from './mockTechnologies';
-import { fetchTechnologies, checkBackendAvailability } from '../../services/api';
+import { fetchTechnologies, checkBackendAvailability, getTreeExportUrl, getGraphExportUrl } from '../../services/api';
 
 const TechTreeLayout = ({ plannedTechs = [], onTogglePlanTech }) => {
   // Always call all hooks at the top level, in the same order
@@ -54,6 +59,9 @@ const TechTreeLayout = ({ plannedTechs = [], onTogglePlanTech }) => {
     localizedCount: 0
   });
   
+  // Filters applied last, for exports of the tree
+  const [activeFilters, setActiveFilters] = useState(null);
+  
   // Call all disclosure hooks unconditionally
   const { 
     isOpen: isFilterOpen, 
@@ -223,6 +231,8 @@ const TechTreeLayout = ({ plannedTechs = [], onTogglePlanTech }) => {
   
   // Handle filter changes
   const handleFiltersChange = useCallback((filters) => {
+    setActiveFilters(filters);
+    
     // Determine which dataset to filter - prioritize real data when available
     const dataToFilter = (!usingMockData && realTechnologies.length > 0) 
       ? realTechnologies 
@@ -245,6 +255,11 @@ const TechTreeLayout = ({ plannedTechs = [], onTogglePlanTech }) => {
         return false;
       }
       
+      // Check if the technology can appear for the loaded empire
+      if (filters.hideImpossible && tech.isPossible === false) {
+        return false;
+      }
+      
       return true;
     });
     
@@ -285,6 +300,25 @@ const TechTreeLayout = ({ plannedTechs = [], onTogglePlanTech }) => {
     });
   }, [toast, usingMockData, realTechnologies]);
   
+  // URL of an export of the tree with the applied filters, highlighting the planned and selected technologies.
+  // The filter panel's categories are the research areas of the server and its areas the server's categories.
+  const getExportUrl = (format, formatOptions = {}) => {
+    const selected = (values) => {
+      const entries = Object.entries(values || {});
+      return entries.every(([, isSelected]) => isSelected) ? [] : entries.filter(([, isSelected]) => isSelected).map(([key]) => key);
+    };
+
+    return getTreeExportUrl(format, {
+      areas: activeFilters ? selected(activeFilters.categories) : [],
+      categories: activeFilters ? selected(activeFilters.areas) : [],
+      tiers: activeFilters ? selected(activeFilters.tiers) : [],
+      hideImpossible: activeFilters ? activeFilters.hideImpossible : false,
+      showPrerequisites: activeFilters ? activeFilters.showPrerequisites : false,
+      highlight: [...plannedTechs.map(tech => tech.id), ...(selectedTech ? [selectedTech.id] : [])],
+      ...formatOptions
+    });
+  };
+
   // Handle search selection
   const handleSearchSelect = useCallback((tech) => {
     handleSelectTech(tech);
@@ -412,6 +446,34 @@ const TechTreeLayout = ({ plannedTechs = [], onTogglePlanTech }) => {
           />
         </Box>
         
+        <Menu>
+          <MenuButton
+            as={IconButton}
+            icon={<DownloadIcon />}
+            aria-label="Export tech tree"
+            variant="outline"
+            isDisabled={!backendAvailable || usingMockData}
+            height="40px"
+          />
+          <MenuList>
+            <MenuItem as="a" href={getExportUrl('svg')}>SVG</MenuItem>
+            <MenuItem as="a" href={getExportUrl('png')}>PNG</MenuItem>
+            <MenuItem as="a" href={getExportUrl('pdf')}>PDF (A4)</MenuItem>
+            <MenuItem as="a" href={getExportUrl('pdf', { paper: 'a3', pagesAcross: 4 })}>PDF poster (4 × A3 across)</MenuItem>
+            {selectedTech && (
+              <>
+                <MenuDivider />
+                <MenuItem as="a" href={getGraphExportUrl('dot', { root: selectedTech.id, direction: 'both' })}>
+                  Prerequisite graph (DOT)
+                </MenuItem>
+                <MenuItem as="a" href={getGraphExportUrl('mermaid', { root: selectedTech.id, direction: 'both' })}>
+                  Prerequisite graph (Mermaid)
+                </MenuItem>
+              </>
+            )}
+          </MenuList>
+        </Menu>
+        
         <IconButton
           icon={<InfoIcon />}
           aria-label="Tech details"
@@ -0,0 +1,95 @@
+import { useState, useEffect } from 'react';
+import { Flex, FormControl, FormLabel, Switch, Tooltip, useToast } from '@chakra-ui/react';
+import { fetchWatchState, setWatchEnabled, subscribeToWatchEvents } from '../services/api';
+
+/**
+ * Turns the watch mode of the server on and off, and reports the files it reloaded
+ *
+ * While watching, the server reloads technology and localisation files of the loaded playset when they change;
+ * onUpdate is then called with the IDs of the technologies added, updated and removed.
+ */
+const WatchModeToggle = ({ onUpdate }) => {
+  const [watching, setWatching] = useState(false);
+  const [available, setAvailable] = useState(false);
+  const [isChanging, setIsChanging] = useState(false);
+  const toast = useToast();
+
+  // Follow the state of the watch mode and the files it reloads
+  useEffect(() => {
+    fetchWatchState()
+      .then(state => {
+        setWatching(state.watching);
+        setAvailable(true);
+      })
+      .catch(error => {
+        console.error('Error fetching the watch mode:', error);
+      });
+
+    return subscribeToWatchEvents((type, data) => {
+      switch (type) {
+        case 'state':
+          setWatching(data.watching);
+          setAvailable(true);
+          break;
+        case 'watching':
+          setWatching(true);
+          break;
+        case 'stopped':
+          setWatching(false);
+          break;
+        case 'update':
+          toast({
+            title: 'Files reloaded',
+            description: `${data.added.length} technologies added, ${data.updated.length} changed, ${data.removed.length} removed`,
+            status: 'info',
+            duration: 3000,
+            isClosable: true,
+          });
+          if (onUpdate) {
+            onUpdate(data);
+          }
+          break;
+        case 'error':
+          toast({
+            title: 'Could not reload the changed files',
+            description: data.error,
+            status: 'error',
+            duration: 5000,
+            isClosable: true,
+          });
+          break;
+        default:
+          break;
+      }
+    });
+  }, [toast, onUpdate]);
+
+  const handleChange = async (event) => {
+    setIsChanging(true);
+    try {
+      const state = await setWatchEnabled(event.target.checked);
+      setWatching(state.watching);
+    } catch (error) {
+      console.error('Error changing the watch mode:', error);
+    } finally {
+      setIsChanging(false);
+    }
+  };
+
+  if (!available) {
+    return null;
+  }
+
+  return (
+    <Tooltip label="Reload technology and localisation files of the playset when they change on disk">
+      <FormControl as={Flex} alignItems="center" width="auto" mr={2}>
+        <FormLabel htmlFor="watch-mode" mb={0} fontSize="sm">
+          Hot reload
+        </FormLabel>
+        <Switch id="watch-mode" size="sm" isChecked={watching} isDisabled={isChanging} onChange={handleChange} />
+      </FormControl>
+    </Tooltip>
+  );
+};
+
+export default WatchModeToggle;
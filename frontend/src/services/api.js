@@ -8,22 +8,69 @@ const API_BASE_URL = 'http://localhost:3000/api';
 // Timeout for fetch requests in milliseconds
 const FETCH_TIMEOUT = 5000;
 
+// Timeout for loading the technologies of a playset in milliseconds; progress is followed with loading events
+const LOAD_TIMEOUT = 10 * 60 * 1000;
+
+// Types of the Server-Sent Events of /api/load/events
+const LOAD_EVENT_TYPES = ['state', 'start', 'phase', 'progress', 'warning', 'done', 'error', 'cancelled'];
+
+// Types of the Server-Sent Events of /api/watch/events
+const WATCH_EVENT_TYPES = ['state', 'watching', 'stopped', 'update', 'error'];
+
+// localStorage key of the language technologies are localized in
+const LANGUAGE_STORAGE_KEY = 'stellaris-tools-language';
+
+// Language sent as ?lang= with technology requests; null uses the server's default language
+let currentLanguage = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+
+/**
+ * Set the language technologies are localized in
+ * @param {string|null} language Language ID (e.g. 'german'), or null for the server's default
+ */
+export const setLanguage = (language) => {
+  currentLanguage = language || null;
+  if (currentLanguage) {
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, currentLanguage);
+  } else {
+    localStorage.removeItem(LANGUAGE_STORAGE_KEY);
+  }
+};
+
+/**
+ * Get the language technologies are localized in
+ * @returns {string|null} Language ID, or null for the server's default
+ */
+export const getLanguage = () => currentLanguage;
+
+/**
+ * Add the selected language to a technology request URL
+ * @param {string} url Request URL
+ * @returns {string} URL with a lang query parameter if a language is selected
+ */
+const withLanguage = (url) => {
+  if (!currentLanguage) {
+    return url;
+  }
+  return `${url}${url.includes('?') ? '&' : '?'}lang=${encodeURIComponent(currentLanguage)}`;
+};
+
 /**
  * Fetch with timeout to prevent hanging requests
  * @param {string} url URL to fetch
- * @param {Object} options Fetch options
+ * @param {Object} options Fetch options, and `timeout` in milliseconds (FETCH_TIMEOUT by default)
  * @returns {Promise} Fetch promise with timeout
  */
 const fetchWithTimeout = async (url, options = {}) => {
+  const { timeout: timeoutMs = FETCH_TIMEOUT, ...fetchOptions } = options;
   const controller = new AbortController();
   const { signal } = controller;
   
   const timeout = setTimeout(() => {
     controller.abort();
-  }, FETCH_TIMEOUT);
+  }, timeoutMs);
   
   try {
-    const response = await fetch(url, { ...options, signal });
+    const response = await fetch(url, { ...fetchOptions, signal });
     clearTimeout(timeout);
     return response;
   } catch (error) {
@@ -62,7 +109,7 @@ export const fetchTechnologies = async () => {
       throw new Error('Backend service is not available. Please ensure the server is running.');
     }
     
-    const response = await fetchWithTimeout(`${API_BASE_URL}/technologies`, {
+    const response = await fetchWithTimeout(withLanguage(`${API_BASE_URL}/technologies`), {
       method: 'GET',
       headers: { 'Accept': 'application/json' },
     });
@@ -123,7 +170,7 @@ export const fetchTechnologyById = async (id) => {
       throw new Error('Backend service is not available. Please ensure the server is running.');
     }
     
-    const response = await fetchWithTimeout(`${API_BASE_URL}/technologies/${id}`, {
+    const response = await fetchWithTimeout(withLanguage(`${API_BASE_URL}/technologies/${id}`), {
       method: 'GET',
       headers: { 'Accept': 'application/json' },
     });
@@ -183,7 +230,7 @@ export const fetchTechnologiesWithFilters = async (filters) => {
         .forEach(([key, _]) => queryParams.append('tier', key));
     }
     
-    const url = `${API_BASE_URL}/technologies?${queryParams.toString()}`;
+    const url = withLanguage(`${API_BASE_URL}/technologies?${queryParams.toString()}`);
     const response = await fetchWithTimeout(url, {
       method: 'GET',
       headers: { 'Accept': 'application/json' },
@@ -291,8 +338,10 @@ export const fetchActivePlayset = async () => {
 
 /**
  * Activate a playset and reload technologies
+ *
+ * The request only returns once the technologies are loaded; follow the progress with subscribeToLoadEvents.
  * @param {string} playsetId Playset ID to activate
- * @returns {Promise<Object>} Result of the activation
+ * @returns {Promise<Object>} Result of the activation, with `cancelled: true` if the load was cancelled
  */
 export const activatePlayset = async (playsetId) => {
   try {
@@ -308,8 +357,17 @@ export const activatePlayset = async (playsetId) => {
         'Accept': 'application/json',
         'Content-Type': 'application/json'
       },
+      timeout: LOAD_TIMEOUT,
     });
     
+    if (response.status === 409) {
+      const data = await response.json();
+      if (data.cancelled) {
+        return data;
+      }
+      throw new Error(data.error);
+    }
+    
     if (!response.ok) {
       throw new Error(`API error: ${response.status} ${response.statusText}`);
     }
@@ -335,6 +393,227 @@ export const activatePlayset = async (playsetId) => {
   }
 };
 
+/**
+ * Follow the progress of technology loads
+ * @param {Function} onEvent Called with the event type (`state`, `start`, `phase`, `progress`, `warning`, `done`,
+ *   `error` or `cancelled`) and its data
+ * @returns {Function} Call to stop following the progress
+ */
+export const subscribeToLoadEvents = (onEvent) => {
+  const source = new EventSource(`${API_BASE_URL}/load/events`);
+  
+  LOAD_EVENT_TYPES.forEach(type => {
+    source.addEventListener(type, (event) => {
+      onEvent(type, JSON.parse(event.data));
+    });
+  });
+  
+  source.onerror = () => {
+    // EventSource reconnects by itself and the server sends the current state again
+    console.log('Load events connection lost, reconnecting');
+  };
+  
+  return () => source.close();
+};
+
+/**
+ * Cancel the running technology load; the server loads the technologies of the previous playset again
+ * @returns {Promise<Object>} `{ cancelled: true }`
+ */
+export const cancelLoad = async () => {
+  const response = await fetchWithTimeout(`${API_BASE_URL}/load/cancel`, {
+    method: 'POST',
+    headers: { 'Accept': 'application/json' },
+  });
+  
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `API error: ${response.status} ${response.statusText}`);
+  }
+  
+  return data;
+};
+
+/**
+ * Fetch the state of the watch mode, which reloads technology and localisation files when they change
+ * @returns {Promise<Object>} `{ watching, directories, reloading, lastUpdate }`
+ */
+export const fetchWatchState = async () => {
+  const response = await fetchWithTimeout(`${API_BASE_URL}/watch`, {
+    method: 'GET',
+    headers: { 'Accept': 'application/json' },
+  });
+  
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `API error: ${response.status} ${response.statusText}`);
+  }
+  
+  return data;
+};
+
+/**
+ * Turn the watch mode on or off
+ * @param {boolean} enabled Whether to watch the files of the loaded playset
+ * @returns {Promise<Object>} The new state, see fetchWatchState
+ */
+export const setWatchEnabled = async (enabled) => {
+  const response = await fetchWithTimeout(`${API_BASE_URL}/watch`, {
+    method: 'POST',
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ enabled }),
+  });
+  
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `API error: ${response.status} ${response.statusText}`);
+  }
+  
+  return data;
+};
+
+/**
+ * Follow the files reloaded by the watch mode
+ * @param {Function} onEvent Called with the event type (`state`, `watching`, `stopped`, `update` or `error`) and
+ *   its data; `update` data lists the IDs of the technologies `added`, `updated` and `removed`
+ * @returns {Function} Call to stop following the changes
+ */
+export const subscribeToWatchEvents = (onEvent) => {
+  const source = new EventSource(`${API_BASE_URL}/watch/events`);
+  
+  WATCH_EVENT_TYPES.forEach(type => {
+    source.addEventListener(type, (event) => {
+      // Connection errors are `error` events too, without data
+      if (event.data) {
+        onEvent(type, JSON.parse(event.data));
+      }
+    });
+  });
+  
+  source.onerror = () => {
+    // EventSource reconnects by itself and the server sends the current state again
+    console.log('Watch events connection lost, reconnecting');
+  };
+  
+  return () => source.close();
+};
+
+/**
+ * Fetch the languages technologies can be localized in
+ * @returns {Promise<Array>} Array of language objects with id, name, loaded and isDefault
+ */
+export const fetchLanguages = async () => {
+  try {
+    const response = await fetchWithTimeout(`${API_BASE_URL}/languages`, {
+      method: 'GET',
+      headers: { 'Accept': 'application/json' },
+    });
+    
+    if (!response.ok) {
+      throw new Error(`API error: ${response.status} ${response.statusText}`);
+    }
+    
+    const data = await response.json();
+    return data;
+  } catch (error) {
+    // Handle different types of errors
+    if (error.name === 'AbortError') {
+      console.error('Request timeout: The server took too long to respond');
+      throw new Error('Request timeout: The server took too long to respond');
+    } else if (error.name === 'TypeError' && error.message === 'Failed to fetch') {
+      console.error('Connection error: Unable to connect to the backend server');
+      throw new Error('Connection error: Unable to connect to the backend server');
+    } else {
+      console.error('Error fetching languages:', error.message);
+      throw error;
+    }
+  }
+};
+
+/**
+ * Fetch the available save games
+ * @returns {Promise<Array>} Array of save game objects, newest first
+ */
+export const fetchSaveGames = async () => {
+  try {
+    // First check if the backend is available
+    const isAvailable = await checkBackendAvailability();
+    if (!isAvailable) {
+      throw new Error('Backend service is not available. Please ensure the server is running.');
+    }
+    
+    const response = await fetchWithTimeout(`${API_BASE_URL}/saves`, {
+      method: 'GET',
+      headers: { 'Accept': 'application/json' },
+    });
+    
+    if (!response.ok) {
+      throw new Error(`API error: ${response.status} ${response.statusText}`);
+    }
+    
+    const data = await response.json();
+    return data;
+  } catch (error) {
+    // Handle different types of errors
+    if (error.name === 'AbortError') {
+      console.error('Request timeout: The server took too long to respond');
+      throw new Error('Request timeout: The server took too long to respond');
+    } else if (error.name === 'TypeError' && error.message === 'Failed to fetch') {
+      console.error('Connection error: Unable to connect to the backend server');
+      throw new Error('Connection error: Unable to connect to the backend server');
+    } else {
+      console.error('Error fetching save games:', error.message);
+      throw error;
+    }
+  }
+};
+
+/**
+ * Load a save game and apply its research state to the technologies
+ * @param {string} [savePath] Path to the save game; the most recent save is used if omitted
+ * @returns {Promise<Object>} Summary of the loaded save game
+ */
+export const loadSaveGame = async (savePath) => {
+  try {
+    // First check if the backend is available
+    const isAvailable = await checkBackendAvailability();
+    if (!isAvailable) {
+      throw new Error('Backend service is not available. Please ensure the server is running.');
+    }
+    
+    const response = await fetchWithTimeout(`${API_BASE_URL}/saves/load`, {
+      method: 'POST',
+      headers: { 
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ path: savePath }),
+    });
+    
+    if (!response.ok) {
+      throw new Error(`API error: ${response.status} ${response.statusText}`);
+    }
+    
+    const data = await response.json();
+    return data;
+  } catch (error) {
+    // Handle different types of errors
+    if (error.name === 'AbortError') {
+      console.error('Request timeout: The server took too long to respond');
+      throw new Error('Request timeout: The server took too long to respond');
+    } else if (error.name === 'TypeError' && error.message === 'Failed to fetch') {
+      console.error('Connection error: Unable to connect to the backend server');
+      throw new Error('Connection error: Unable to connect to the backend server');
+    } else {
+      console.error('Error loading save game:', error.message);
+      throw error;
+    }
+  }
+};
+
 /**
  * Fetch all prerequisites for a technology (recursively)
  * @param {string} techId Technology ID
@@ -348,7 +627,7 @@ export const fetchTechnologyPrerequisites = async (techId) => {
       throw new Error('Backend service is not available. Please ensure the server is running.');
     }
     
-    const response = await fetchWithTimeout(`${API_BASE_URL}/technologies/${techId}/prerequisites?recursive=true`, {
+    const response = await fetchWithTimeout(withLanguage(`${API_BASE_URL}/technologies/${techId}/prerequisites?recursive=true`), {
       method: 'GET',
       headers: { 'Accept': 'application/json' },
     });
@@ -392,7 +671,7 @@ export const fetchMultipleTechnologyPrerequisites = async (techIds) => {
     techIds.forEach(id => queryParams.append('ids', id));
     queryParams.append('recursive', 'true');
     
-    const response = await fetchWithTimeout(`${API_BASE_URL}/technologies/prerequisites?${queryParams.toString()}`, {
+    const response = await fetchWithTimeout(withLanguage(`${API_BASE_URL}/technologies/prerequisites?${queryParams.toString()}`), {
       method: 'GET',
       headers: { 'Accept': 'application/json' },
     });
@@ -433,7 +712,7 @@ export const fetchAllPrerequisites = async (techId, includeOriginal = false) =>
     }
     
     const response = await fetchWithTimeout(
-      `${API_BASE_URL}/technologies/${techId}/prerequisites/all?includeOriginal=${includeOriginal}`, 
+      withLanguage(`${API_BASE_URL}/technologies/${techId}/prerequisites/all?includeOriginal=${includeOriginal}`), 
       {
         method: 'GET',
         headers: { 'Accept': 'application/json' },
@@ -492,6 +771,9 @@ export const fetchAllPrerequisitesForMultipleTechnologies = async (techIds, incl
     
     // Add other parameters
     url.searchParams.append('includeOriginal', includeOriginal.toString());
+    if (currentLanguage) {
+      url.searchParams.append('lang', currentLanguage);
+    }
     
     const response = await fetchWithTimeout(url.toString(), {
       method: 'GET',
@@ -517,4 +799,187 @@ export const fetchAllPrerequisitesForMultipleTechnologies = async (techIds, incl
       throw error;
     }
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Plan the research of target technologies and their prerequisites on the three research queues
+ * @param {Array<string>} targets Target technology IDs
+ * @param {Object} output Research points per month, e.g. { physics: 120, society: 90, engineering: 100 }
+ * @param {Array<string>} [researched] Researched technology IDs; the server uses the loaded save game's if omitted
+ * @returns {Promise<Object>} Schedule of each queue and the estimated months until every target is researched
+ */
+export const planResearch = async (targets, output, researched) => {
+  try {
+    // First check if the backend is available
+    const isAvailable = await checkBackendAvailability();
+    if (!isAvailable) {
+      throw new Error('Backend service is not available. Please ensure the server is running.');
+    }
+    
+    const response = await fetchWithTimeout(withLanguage(`${API_BASE_URL}/plan`), {
+      method: 'POST',
+      headers: { 
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ targets, output, researched }),
+    });
+    
+    if (!response.ok) {
+      throw new Error(`API error: ${response.status} ${response.statusText}`);
+    }
+    
+    const data = await response.json();
+    return data;
+  } catch (error) {
+    // Handle different types of errors
+    if (error.name === 'AbortError') {
+      console.error('Request timeout: The server took too long to respond when planning research');
+      throw new Error('Request timeout: The server took too long to respond');
+    } else if (error.name === 'TypeError' && error.message === 'Failed to fetch') {
+      console.error('Connection error: Unable to connect to the backend server');
+      throw new Error('Connection error: Unable to connect to the backend server');
+    } else {
+      console.error('Error planning research:', error.message);
+      throw error;
+    }
+  }
+};
+
+/**
+ * Send a request to the plans API and handle its errors like the other requests
+ * @param {string} path Path below /api/plans
+ * @param {Object} options Fetch options; `body` is sent as JSON
+ * @param {string} action Description of the request for error messages, e.g. 'saving plan'
+ * @returns {Promise<Object|null>} The response, or null for responses without content
+ */
+const requestPlans = async (path, options, action) => {
+  try {
+    // First check if the backend is available
+    const isAvailable = await checkBackendAvailability();
+    if (!isAvailable) {
+      throw new Error('Backend service is not available. Please ensure the server is running.');
+    }
+    
+    const response = await fetchWithTimeout(`${API_BASE_URL}/plans${path}`, {
+      ...options,
+      headers: { 
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      },
+      body: options.body ? JSON.stringify(options.body) : undefined,
+    });
+    
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `API error: ${response.status} ${response.statusText}`);
+    }
+    
+    return response.status === 204 ? null : await response.json();
+  } catch (error) {
+    // Handle different types of errors
+    if (error.name === 'AbortError') {
+      console.error(`Request timeout: The server took too long to respond when ${action}`);
+      throw new Error('Request timeout: The server took too long to respond');
+    } else if (error.name === 'TypeError' && error.message === 'Failed to fetch') {
+      console.error('Connection error: Unable to connect to the backend server');
+      throw new Error('Connection error: Unable to connect to the backend server');
+    } else {
+      console.error(`Error ${action}:`, error.message);
+      throw error;
+    }
+  }
+};
+
+/**
+ * Fetch the research plans saved on the server
+ * @param {string} [playsetId] Only fetch the plans of this playset
+ * @returns {Promise<Array>} Plans, most recently updated first, with the number of technologies that no longer exist
+ */
+export const fetchPlans = (playsetId) =>
+  requestPlans(playsetId ? `?playset=${encodeURIComponent(playsetId)}` : '', { method: 'GET' }, 'fetching plans');
+
+/**
+ * Fetch a research plan
+ * @param {number} id Plan ID
+ * @returns {Promise<Object>} The plan, with the technologies that no longer exist in `check.stale`
+ */
+export const fetchPlan = (id) => requestPlans(`/${id}`, { method: 'GET' }, 'fetching plan');
+
+/**
+ * Save a new research plan for the active playset
+ * @param {Object} plan Plan with name, targets, researched, output and notes
+ * @returns {Promise<Object>} The saved plan
+ */
+export const createPlan = (plan) => requestPlans('', { method: 'POST', body: plan }, 'saving plan');
+
+/**
+ * Save a new revision of a research plan
+ * @param {number} id Plan ID
+ * @param {Object} changes Changed name, targets, researched, output or notes
+ * @returns {Promise<Object>} The updated plan
+ */
+export const updatePlan = (id, changes) => requestPlans(`/${id}`, { method: 'PUT', body: changes }, 'updating plan');
+
+/**
+ * Delete a research plan with its revisions
+ * @param {number} id Plan ID
+ * @returns {Promise<null>}
+ */
+export const deletePlan = (id) => requestPlans(`/${id}`, { method: 'DELETE' }, 'deleting plan');
+
+/**
+ * Export plan contents for other players
+ * @param {Object} plan Plan with name, targets, output and notes
+ * @returns {Promise<{document: Object, code: string}>} The export document and its share code
+ */
+export const exportPlan = (plan) => requestPlans('/export', { method: 'POST', body: plan }, 'exporting plan');
+
+/**
+ * Import an exported plan, checked against the loaded technologies
+ * @param {{document: Object}|{code: string}} input The export document or a share code
+ * @returns {Promise<Object>} The imported `plan` with the `renamed` and `missing` technologies and whether the
+ *   `playset` and `gameVersion` match
+ */
+export const importPlan = (input) => requestPlans('/import', { method: 'POST', body: input }, 'importing plan');
+
+/**
+ * Get the URL of a static export of the tech tree
+ * @param {string} format One of svg, png and pdf
+ * @param {Object} [options={}] Filters (areas, categories, tiers as arrays; hideImpossible, showPrerequisites),
+ *   highlighted and researched technology IDs, and the options of the format (scale, paper, landscape, pagesAcross)
+ * @returns {string} URL that downloads the export
+ */
+export const getTreeExportUrl = (format, options = {}) => {
+  const params = new URLSearchParams({ download: 'true' });
+  
+  Object.entries(options).forEach(([name, value]) => {
+    if (Array.isArray(value)) {
+      if (value.length > 0) {
+        params.set(name, value.join(','));
+      }
+    } else if (value !== undefined && value !== null && value !== false) {
+      params.set(name, String(value));
+    }
+  });
+  
+  return `${API_BASE_URL}/export/tree.${format}?${params.toString()}`;
+};
+
+/**
+ * Get the URL of a prerequisite graph export for mod wikis
+ * @param {string} format dot or mermaid
+ * @param {Object} [options={}] The root technology ID, the direction (ancestors, descendants, both or path) and area
+ * @returns {string} URL that downloads the graph
+ */
+export const getGraphExportUrl = (format, options = {}) => {
+  const params = new URLSearchParams({ format, download: 'true' });
+  
+  Object.entries(options).forEach(([name, value]) => {
+    if (value) {
+      params.set(name, value);
+    }
+  });
+  
+  return `${API_BASE_URL}/export/graph?${params.toString()}`;
+};
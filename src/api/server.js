@@ -9,6 +9,14 @@ const cors = require('cors');
 const path = require('path');
 const { init, shutdown } = require('../index');
 const logger = require('../utils/logger');
+const config = require('../config');
+const { LoadProgress, LoadCancelledError } = require('../services/loadProgress');
+const WatchService = require('../services/watchService');
+const { PlanImportError } = require('../services/planService');
+const { SaveGameError } = require('../services/saveGameService');
+const { TreeExportService, ExportOptionsError } = require('../services/treeExportService');
+const TechTree = require('../models/techTree');
+const EmpireState = require('../models/empireState');
 
 // Create Express app
 const app = express();
@@ -21,7 +29,163 @@ app.use(express.json());
 // Services
 let techService = null;
 let techTreeService = null;
+let saveGameService = null;
+let researchService = null;
+let researchPlanner = null;
+let treeExportService = null;
+let conflictService = null;
+let planService = null;
 let modRepository = null;
+let watchService = null;
+
+// Progress of the technology loads started by activating a playset, streamed by /api/load/events
+const loadProgress = new LoadProgress();
+
+// Set while an activation looks up its playset, before its load is started
+let isActivatingPlayset = false;
+
+/**
+ * Loads the technologies of the active mods and updates the services that depend on them
+ *
+ * Callers must have started loadProgress first, which holds off hot reloads until the load finishes.
+ * @param {string} gameDir Path to the game installation
+ * @param {Object} [options={}] Options for TechService#loadAllTechnologies
+ * @returns {Promise<Object>} The load result
+ */
+async function reloadTechnologies(gameDir, options = {}) {
+  // Let changed files that are being loaded finish patching the technologies before they are all replaced
+  if (watchService) {
+    await watchService.whenIdle();
+  }
+  
+  const loadResult = await techService.loadAllTechnologies(gameDir, options);
+  
+  // Keep the research state of the loaded save game on the reloaded technologies
+  if (saveGameService) {
+    saveGameService.reapplyCurrentSave();
+  }
+  
+  // Mark the reloaded technologies for the empire of the last save game or /api/research/possible
+  if (researchService) {
+    researchService.remarkPossibleTechnologies();
+  }
+  
+  // Update the tech tree for the reloaded technologies
+  await techTreeService.rebuild();
+  
+  // The mods may have changed, so watch the directories of the reloaded technologies
+  if (watchService) {
+    watchService.restart();
+  }
+  
+  return loadResult;
+}
+
+/**
+ * Streams the events of an emitter as Server-Sent Events, starting with a `state` event
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @param {EventEmitter} emitter Emitter of `event` events with `{ type, data }`
+ * @param {Object} state Current state, sent first
+ */
+function streamEvents(req, res, emitter, state) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  const listener = ({ type, data }) => send(type, data);
+  
+  send('state', state);
+  emitter.on('event', listener);
+  
+  // Keep proxies from closing the idle connection
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    emitter.off('event', listener);
+  });
+}
+
+/**
+ * Localizes technologies in the language requested with `?lang=`
+ * @param {Object} req Express request
+ * @param {Object[]} technologies Technologies
+ * @returns {Object[]} The technologies, localized if a language was requested
+ */
+function localizeForRequest(req, technologies) {
+  return req.language ? techService.localizeTechnologies(technologies, req.language) : technologies;
+}
+
+/**
+ * Gets the id and name of a technology in the language requested with `?lang=`
+ * @param {Object} req Express request
+ * @param {Object} technology The technology
+ * @returns {{id: string, name: string, displayName: string}} Technology summary
+ */
+function summarizeForRequest(req, technology) {
+  const [localized] = localizeForRequest(req, [technology]);
+  return {
+    id: localized.id,
+    name: localized.name,
+    displayName: localized.displayName
+  };
+}
+
+/**
+ * Checks the body of a request that creates or updates a plan
+ * @param {Object} body Request body
+ * @param {boolean} partial Whether fields may be left out, as when updating a plan
+ * @returns {string|null} The problem, or null if the body is valid
+ */
+function validatePlanBody(body, partial) {
+  const isIdList = value => Array.isArray(value) && value.every(id => typeof id === 'string');
+  
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') {
+      return 'name must be a non-empty string';
+    }
+  }
+  if ((!partial || body.targets !== undefined) && !isIdList(body.targets)) {
+    return 'targets must be an array of technology IDs';
+  }
+  if (body.researched !== undefined && !isIdList(body.researched)) {
+    return 'researched must be an array of technology IDs';
+  }
+  if (body.output !== undefined && (!body.output || typeof body.output !== 'object' ||
+      !Object.values(body.output).every(points => typeof points === 'number' && points >= 0))) {
+    return 'output must map research areas to monthly research points';
+  }
+  if (body.notes !== undefined && typeof body.notes !== 'string') {
+    return 'notes must be a string';
+  }
+  return null;
+}
+
+// Load the language requested with ?lang= on the technology and localization endpoints (English is used for missing keys)
+app.use(['/api/technologies', '/api/tech-tree', '/api/localization', '/api/plan', '/api/export'], async (req, res, next) => {
+  const { lang } = req.query;
+  if (!lang || !techService) {
+    return next();
+  }
+  
+  try {
+    if (!techService.isSupportedLanguage(lang)) {
+      return res.status(400).json({ error: `Unsupported language: ${lang}` });
+    }
+    
+    await techService.loadLanguage(lang);
+    req.language = lang.toLowerCase();
+    next();
+  } catch (error) {
+    logger.error(`Error loading language ${lang}: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -31,6 +195,11 @@ app.get('/api/health', (req, res) => {
     services: {
       techService: techService ? 'initialized' : 'not initialized',
       techTreeService: techTreeService ? 'initialized' : 'not initialized',
+      saveGameService: saveGameService ? 'initialized' : 'not initialized',
+      researchService: researchService ? 'initialized' : 'not initialized',
+      researchPlanner: researchPlanner ? 'initialized' : 'not initialized',
+      treeExportService: treeExportService ? 'initialized' : 'not initialized',
+      planService: planService ? 'initialized' : 'not initialized',
       modRepository: modRepository ? 'initialized' : 'not initialized'
     }
   });
@@ -65,7 +234,7 @@ app.get('/api/technologies', (req, res) => {
       technologies = technologies.filter(tech => tiers.includes(tech.tier));
     }
     
-    res.json(technologies);
+    res.json(localizeForRequest(req, technologies));
   } catch (error) {
     logger.error(`Error getting technologies: ${error.message}`);
     res.status(500).json({ error: error.message });
@@ -80,7 +249,8 @@ app.get('/api/technologies/:id', (req, res) => {
     }
     
     const { id } = req.params;
-    const technology = techService.getTechnology(id);
+    // Includes the requirements, weight modifiers and modifiers as readable text
+    const technology = techService.getTechnologyDetails(id, req.language);
     
     if (!technology) {
       return res.status(404).json({ error: `Technology with ID ${id} not found` });
@@ -93,6 +263,27 @@ app.get('/api/technologies/:id', (req, res) => {
   }
 });
 
+// Get every definition of a technology (base game, then mods in load order) with the one in use marked
+app.get('/api/technologies/:id/history', (req, res) => {
+  try {
+    if (!techService) {
+      return res.status(503).json({ error: 'Tech service not initialized' });
+    }
+    
+    const { id } = req.params;
+    const history = techService.getTechnologyHistory(id);
+    
+    if (!history) {
+      return res.status(404).json({ error: `Technology with ID ${id} not found` });
+    }
+    
+    res.json({ id, history });
+  } catch (error) {
+    logger.error(`Error getting technology history: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get all prerequisites for a technology by ID
 app.get('/api/technologies/:id/prerequisites', (req, res) => {
   try {
@@ -110,12 +301,8 @@ app.get('/api/technologies/:id/prerequisites', (req, res) => {
     const prerequisites = techService.getPrerequisites(id);
     
     res.json({
-      technology: {
-        id: technology.id,
-        name: technology.name,
-        displayName: technology.displayName
-      },
-      prerequisites: prerequisites
+      technology: summarizeForRequest(req, technology),
+      prerequisites: localizeForRequest(req, prerequisites)
     });
   } catch (error) {
     logger.error(`Error getting prerequisites: ${error.message}`);
@@ -142,12 +329,10 @@ app.get('/api/technologies/:id/prerequisites/all', (req, res) => {
     const allPrerequisites = techService.getAllPrerequisites(id, includeOriginal);
     
     res.json({
-      technology: {
-        id: technology.id,
-        name: technology.name,
-        displayName: technology.displayName
-      },
-      ...allPrerequisites
+      technology: summarizeForRequest(req, technology),
+      ...allPrerequisites,
+      directPrerequisites: localizeForRequest(req, allPrerequisites.directPrerequisites),
+      allPrerequisites: localizeForRequest(req, allPrerequisites.allPrerequisites)
     });
   } catch (error) {
     logger.error(`Error getting all prerequisites: ${error.message}`);
@@ -184,12 +369,10 @@ app.get('/api/technologies/prerequisites/all', (req, res) => {
         const allPrerequisites = techService.getAllPrerequisites(id, includeOriginal);
         
         result.technologies[id] = {
-          technology: {
-            id: technology.id,
-            name: technology.name,
-            displayName: technology.displayName
-          },
-          ...allPrerequisites
+          technology: summarizeForRequest(req, technology),
+          ...allPrerequisites,
+          directPrerequisites: localizeForRequest(req, allPrerequisites.directPrerequisites),
+          allPrerequisites: localizeForRequest(req, allPrerequisites.allPrerequisites)
         };
       }
     });
@@ -239,13 +422,63 @@ app.get('/api/tech-tree', (req, res) => {
     }
     
     const rootTechs = techTreeService.getRootTechnologies();
-    res.json(rootTechs);
+    res.json(localizeForRequest(req, rootTechs));
   } catch (error) {
     logger.error(`Error getting tech tree: ${error.message}`);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Validate the prerequisites of the tech tree: missing prerequisites, cycles, unreachable technologies and tier inversions
+app.get('/api/tech-tree/validate', (req, res) => {
+  try {
+    if (!techTreeService) {
+      return res.status(503).json({ error: 'Tech tree service not initialized' });
+    }
+    
+    // Optional filters: ?severity=error|warning&type=<issue type>
+    const { severity, type } = req.query;
+    res.json(techTreeService.validate({ severity, type }));
+  } catch (error) {
+    logger.error(`Error validating tech tree: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the languages technologies can be localized in with ?lang=
+app.get('/api/languages', async (req, res) => {
+  try {
+    if (!techService) {
+      return res.status(503).json({ error: 'Tech service not initialized' });
+    }
+    
+    res.json(await techService.getLanguages());
+  } catch (error) {
+    logger.error(`Error getting languages: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the value of a localization key with the file and mod it comes from and the values it overrode
+app.get('/api/localization/:key', (req, res) => {
+  try {
+    if (!techService) {
+      return res.status(503).json({ error: 'Tech service not initialized' });
+    }
+    
+    const entry = techService.getLocalizationEntry(req.params.key, req.language);
+    
+    if (!entry) {
+      return res.status(404).json({ error: `Localization key not found: ${req.params.key}` });
+    }
+    
+    res.json(entry);
+  } catch (error) {
+    logger.error(`Error getting localization ${req.params.key}: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get all playsets
 app.get('/api/playsets', async (req, res) => {
   try {
@@ -319,15 +552,27 @@ app.post('/api/playsets/:id/activate', async (req, res) => {
       return res.status(503).json({ error: 'Required services not initialized' });
     }
     
+    if (loadProgress.isRunning() || isActivatingPlayset) {
+      return res.status(409).json({ error: 'Technologies are already being loaded' });
+    }
+    
     const { id } = req.params;
     
-    // Get the playset by ID
-    const playset = await modRepository.getPlaysetById(id);
+    // Claim the load before the first await, so that activations sent together cannot both start one
+    isActivatingPlayset = true;
+    let playset;
+    try {
+      playset = await modRepository.getPlaysetById(id);
+    } finally {
+      isActivatingPlayset = false;
+    }
     
     if (!playset) {
       return res.status(404).json({ error: `Playset with ID ${id} not found` });
     }
     
+    loadProgress.start({ playset: { id: playset.id, name: playset.name } });
+    
     // Since the database is read-only, we can't actually change the active playset
     // Instead, we'll load the technologies based on the selected playset's mods
     logger.info(`Loading technologies for playset: ${playset.name}`);
@@ -336,20 +581,39 @@ app.post('/api/playsets/:id/activate', async (req, res) => {
     const enabledMods = playset.getEnabledMods();
     
     // Reload technologies
+    loadProgress.handle({ phase: 'paths', message: 'Detecting the game installation' });
     const gameDir = await require('../utils/gamePathDetector').getGameInstallDir();
     const startTime = Date.now();
+    const previousMods = techService.activeMods;
     
     // We should update the techService to use the mods from the selected playset
     // This is a simplified version - in a real implementation with a writable DB,
     // you would update the active playset in the database first
     techService.setActiveMods(enabledMods);
     
-    const loadResult = await techService.loadAllTechnologies(gameDir);
+    let loadResult;
+    try {
+      loadResult = await reloadTechnologies(gameDir, { onProgress: loadProgress.handle });
+    } catch (error) {
+      // Load the previous mods again, so that the mod list matches the technologies whether the load was cancelled
+      // or failed; their files are still cached, so this is much faster than the load was
+      const reason = error instanceof LoadCancelledError ? 'cancelled' : `failed (${error.message})`;
+      logger.info(`Loading playset ${playset.name} ${reason}, restoring the previous technologies`);
+      techService.setActiveMods(previousMods);
+      try {
+        await reloadTechnologies(gameDir);
+      } catch (restoreError) {
+        logger.error(`Error restoring the previous technologies: ${restoreError.message}`);
+      }
+      
+      if (!(error instanceof LoadCancelledError)) {
+        throw error;
+      }
+      loadProgress.fail(error);
+      return res.status(409).json({ success: false, cancelled: true, error: error.message });
+    }
     const endTime = Date.now();
     
-    // Reinitialize the tech tree service
-    await techTreeService.initialize();
-    
     // Format the response with detailed playset information
     const formattedPlayset = {
       id: playset.id,
@@ -364,26 +628,100 @@ app.post('/api/playsets/:id/activate', async (req, res) => {
       }))
     };
     
+    const stats = {
+      totalCount: loadResult.totalCount,
+      baseGameCount: loadResult.baseGameCount,
+      modCount: loadResult.modCount,
+      newModCount: loadResult.newModCount,
+      localizedCount: loadResult.localizedCount,
+      duration: (endTime - startTime) / 1000,
+      rootTechnologies: techTreeService.getRootTechnologies().length
+    };
+    loadProgress.finish({ playset: formattedPlayset, stats });
+    
     res.json({
       success: true,
       message: `Technologies loaded for playset: ${playset.name}`,
       playset: formattedPlayset,
-      stats: {
-        totalCount: loadResult.totalCount,
-        baseGameCount: loadResult.baseGameCount,
-        modCount: loadResult.modCount,
-        newModCount: loadResult.newModCount,
-        localizedCount: loadResult.localizedCount,
-        duration: (endTime - startTime) / 1000,
-        rootTechnologies: techTreeService.getRootTechnologies().length
-      }
+      stats
     });
   } catch (error) {
     logger.error(`Error activating playset: ${error.message}`);
+    if (loadProgress.isRunning()) {
+      loadProgress.fail(error);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the progress of the current or last technology load
+app.get('/api/load/status', (req, res) => {
+  res.json(loadProgress.getState());
+});
+
+// Stream the progress of technology loads as Server-Sent Events: a `state` event with the current state, then
+// `start`, `phase`, `progress`, `warning` and `done`, `error` or `cancelled` events as loads run
+app.get('/api/load/events', (req, res) => {
+  streamEvents(req, res, loadProgress, loadProgress.getState());
+});
+
+// Cancel the running technology load; the technologies of the previous playset are loaded again
+app.post('/api/load/cancel', (req, res) => {
+  if (!loadProgress.isRunning()) {
+    return res.status(409).json({ error: 'No technologies are being loaded' });
+  }
+  
+  if (!loadProgress.cancel()) {
+    return res.status(409).json({ error: 'The load can no longer be cancelled' });
+  }
+  
+  res.status(202).json({ cancelled: true });
+});
+
+// Get the state of the watch mode, which reloads technology and localisation files when they change
+app.get('/api/watch', (req, res) => {
+  if (!watchService) {
+    return res.status(503).json({ error: 'Watch service not initialized' });
+  }
+  
+  res.json(watchService.getState());
+});
+
+// Turn the watch mode on or off with `{ enabled: true|false }`
+app.post('/api/watch', (req, res) => {
+  try {
+    if (!watchService) {
+      return res.status(503).json({ error: 'Watch service not initialized' });
+    }
+    
+    const { enabled } = req.body || {};
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+    
+    if (enabled) {
+      watchService.start();
+    } else {
+      watchService.stop();
+    }
+    
+    res.json(watchService.getState());
+  } catch (error) {
+    logger.error(`Error changing the watch mode: ${error.message}`);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Stream the changes of the watch mode as Server-Sent Events: a `state` event with the current state, then
+// `watching`, `stopped`, `update` (after changed files were reloaded) and `error` events
+app.get('/api/watch/events', (req, res) => {
+  if (!watchService) {
+    return res.status(503).json({ error: 'Watch service not initialized' });
+  }
+  
+  streamEvents(req, res, watchService, watchService.getState());
+});
+
 // Get technology statistics
 app.get('/api/tech-stats', (req, res) => {
   try {
@@ -423,9 +761,12 @@ app.get('/api/tech-stats', (req, res) => {
       modCount: lastLoadResult.modCount || 0,
       newModCount: lastLoadResult.newModCount || 0,
       localizedCount: lastLoadResult.localizedCount || 0,
+      diagnosticCounts: techService.getDiagnosticCounts(),
       categoryCounts,
       areaCounts,
       tierCounts,
+      tierCosts: techService.getTierStatistics(),
+      cacheStats: techService.getCacheStats(),
       rootTechnologies: techTreeService ? techTreeService.getRootTechnologies().length : 0
     });
   } catch (error) {
@@ -434,6 +775,520 @@ app.get('/api/tech-stats', (req, res) => {
   }
 });
 
+// Calculate each technology's weight and chance of being offered as a research option
+app.post('/api/research/draw-chances', (req, res) => {
+  try {
+    if (!researchService) {
+      return res.status(503).json({ error: 'Research service not initialized' });
+    }
+    
+    // Body: { empire: { ethics, civics, traits, technologies, scientists, ... }, area: 'physics' }
+    const { empire = {}, area } = req.body || {};
+    const problem = EmpireState.validate(empire);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+    
+    res.json(researchService.calculateDrawChances(empire, { area }));
+  } catch (error) {
+    logger.error(`Error calculating draw chances: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Report which technologies can appear for an empire and mark them in the tech tree
+app.post('/api/research/possible', (req, res) => {
+  try {
+    if (!researchService) {
+      return res.status(503).json({ error: 'Research service not initialized' });
+    }
+    
+    // Body: { empire: { ethics, civics, origin, authority, dlcs, ... } }, defaults to the loaded save game's empire
+    let { empire } = req.body || {};
+    if (!empire) {
+      const currentSave = saveGameService ? saveGameService.getCurrentSave() : null;
+      if (!currentSave) {
+        return res.status(400).json({ error: 'No empire given and no save game loaded' });
+      }
+      empire = currentSave.empire;
+    }
+    
+    const problem = EmpireState.validate(empire);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+    
+    res.json(researchService.markPossibleTechnologies(empire));
+  } catch (error) {
+    logger.error(`Error checking possible technologies: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Plan the research of target technologies and their prerequisites on the physics, society and engineering queues
+app.post('/api/plan', (req, res) => {
+  try {
+    if (!researchPlanner) {
+      return res.status(503).json({ error: 'Research planner not initialized' });
+    }
+    
+    // Body: { targets: [ids], researched: [ids] (defaults to the researched technologies), output: { physics, society, engineering } }
+    const { targets, researched, output } = req.body || {};
+    if (!Array.isArray(targets) || targets.length === 0 || !targets.every(id => typeof id === 'string')) {
+      return res.status(400).json({ error: 'targets must be a non-empty array of technology IDs' });
+    }
+    if (researched !== undefined && (!Array.isArray(researched) || !researched.every(id => typeof id === 'string'))) {
+      return res.status(400).json({ error: 'researched must be an array of technology IDs' });
+    }
+    if (!output || typeof output !== 'object' ||
+        !Object.values(output).every(points => typeof points === 'number' && points >= 0)) {
+      return res.status(400).json({ error: 'output must map research areas to monthly research points' });
+    }
+    
+    const plan = researchPlanner.plan({ targets, researched, output });
+    
+    // Add the (localized) names of the scheduled technologies
+    for (const queue of Object.values(plan.queues)) {
+      queue.technologies = queue.technologies.map(entry => ({
+        ...entry,
+        ...summarizeForRequest(req, techService.getTechnology(entry.id))
+      }));
+    }
+    
+    res.json(plan);
+  } catch (error) {
+    logger.error(`Error planning research: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List the saved research plans, optionally only those of a playset (?playset=<id>)
+app.get('/api/plans', async (req, res) => {
+  try {
+    if (!planService) {
+      return res.status(503).json({ error: 'Plan service not initialized' });
+    }
+    
+    res.json(await planService.listPlans({ playsetId: req.query.playset }));
+  } catch (error) {
+    logger.error(`Error listing plans: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save a new plan for a playset, the active playset by default
+app.post('/api/plans', async (req, res) => {
+  try {
+    if (!planService || !modRepository) {
+      return res.status(503).json({ error: 'Required services not initialized' });
+    }
+    
+    // Body: { name, targets: [ids], researched: [ids], output: { physics, society, engineering }, notes, playsetId }
+    const body = req.body || {};
+    const problem = validatePlanBody(body, false);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+    
+    const playset = body.playsetId
+      ? await modRepository.getPlaysetById(body.playsetId)
+      : await modRepository.getActivePlayset();
+    if (body.playsetId && !playset) {
+      return res.status(404).json({ error: `Playset with ID ${body.playsetId} not found` });
+    }
+    
+    const plan = await planService.createPlan({
+      ...body,
+      name: body.name.trim(),
+      playset: playset ? { id: playset.id, name: playset.name } : null
+    });
+    res.status(201).json(plan);
+  } catch (error) {
+    logger.error(`Error creating plan: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a plan (?revision=<n> for an earlier revision) with the technologies that no longer exist
+app.get('/api/plans/:id', async (req, res) => {
+  try {
+    if (!planService) {
+      return res.status(503).json({ error: 'Plan service not initialized' });
+    }
+    
+    const revision = req.query.revision !== undefined ? parseInt(req.query.revision, 10) : null;
+    const plan = await planService.getPlan(Number(req.params.id), revision);
+    
+    if (!plan) {
+      return res.status(404).json({ error: `Plan ${req.params.id}${revision !== null ? ` revision ${req.query.revision}` : ''} not found` });
+    }
+    
+    res.json(plan);
+  } catch (error) {
+    logger.error(`Error getting plan: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save a new revision of a plan; fields left out keep their value
+app.put('/api/plans/:id', async (req, res) => {
+  try {
+    if (!planService) {
+      return res.status(503).json({ error: 'Plan service not initialized' });
+    }
+    
+    const body = req.body || {};
+    const problem = validatePlanBody(body, true);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+    
+    const { name, targets, researched, output, notes } = body;
+    const changes = Object.fromEntries(Object.entries({ name: name && name.trim(), targets, researched, output, notes })
+      .filter(([, value]) => value !== undefined));
+    const plan = await planService.updatePlan(Number(req.params.id), changes);
+    
+    if (!plan) {
+      return res.status(404).json({ error: `Plan ${req.params.id} not found` });
+    }
+    
+    res.json(plan);
+  } catch (error) {
+    logger.error(`Error updating plan: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a plan with all its revisions
+app.delete('/api/plans/:id', async (req, res) => {
+  try {
+    if (!planService) {
+      return res.status(503).json({ error: 'Plan service not initialized' });
+    }
+    
+    if (!await planService.deletePlan(Number(req.params.id))) {
+      return res.status(404).json({ error: `Plan ${req.params.id} not found` });
+    }
+    
+    res.status(204).end();
+  } catch (error) {
+    logger.error(`Error deleting plan: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List the revisions of a plan, newest first
+app.get('/api/plans/:id/revisions', async (req, res) => {
+  try {
+    if (!planService) {
+      return res.status(503).json({ error: 'Plan service not initialized' });
+    }
+    
+    const revisions = await planService.getRevisions(Number(req.params.id));
+    
+    if (!revisions) {
+      return res.status(404).json({ error: `Plan ${req.params.id} not found` });
+    }
+    
+    res.json(revisions);
+  } catch (error) {
+    logger.error(`Error getting plan revisions: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Make an earlier revision of a plan current again, saved as a new revision
+app.post('/api/plans/:id/revisions/:revision/restore', async (req, res) => {
+  try {
+    if (!planService) {
+      return res.status(503).json({ error: 'Plan service not initialized' });
+    }
+    
+    const plan = await planService.restoreRevision(Number(req.params.id), parseInt(req.params.revision, 10));
+    
+    if (!plan) {
+      return res.status(404).json({ error: `Plan ${req.params.id} revision ${req.params.revision} not found` });
+    }
+    
+    res.json(plan);
+  } catch (error) {
+    logger.error(`Error restoring plan revision: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export plan contents for other players: a JSON document and a compact share code of it
+app.post('/api/plans/export', async (req, res) => {
+  try {
+    if (!planService || !modRepository) {
+      return res.status(503).json({ error: 'Required services not initialized' });
+    }
+    
+    // Body: { name, targets: [ids], output: { physics, society, engineering }, notes }
+    const body = req.body || {};
+    const problem = validatePlanBody(body, false);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+    
+    const playset = await modRepository.getActivePlayset();
+    const document = await planService.exportPlan({ ...body, name: body.name.trim(), playset });
+    res.json({ document, code: planService.createShareCode(document) });
+  } catch (error) {
+    logger.error(`Error exporting plan: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download a saved plan as a JSON file
+app.get('/api/plans/:id/export', async (req, res) => {
+  try {
+    if (!planService) {
+      return res.status(503).json({ error: 'Plan service not initialized' });
+    }
+    
+    const document = await planService.exportSavedPlan(Number(req.params.id));
+    
+    if (!document) {
+      return res.status(404).json({ error: `Plan ${req.params.id} not found` });
+    }
+    
+    const filename = `${document.name.replace(/[^\w.-]+/g, '_') || 'plan'}.plan.json`;
+    res.attachment(filename).json(document);
+  } catch (error) {
+    logger.error(`Error exporting plan: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import an exported plan (a JSON document or a share code), reporting technologies that are missing or were renamed;
+// with save, the imported plan is also saved for the active playset
+app.post('/api/plans/import', async (req, res) => {
+  try {
+    if (!planService || !modRepository) {
+      return res.status(503).json({ error: 'Required services not initialized' });
+    }
+    
+    // Body: { document } or { code }, with optional save and name
+    const body = req.body || {};
+    if ((body.document === undefined) === (body.code === undefined)) {
+      return res.status(400).json({ error: 'Either document or code is required' });
+    }
+    if (body.code !== undefined && typeof body.code !== 'string') {
+      return res.status(400).json({ error: 'code must be a string' });
+    }
+    if (body.name !== undefined && (typeof body.name !== 'string' || body.name.trim() === '')) {
+      return res.status(400).json({ error: 'name must be a non-empty string' });
+    }
+    
+    const result = await planService.importPlan(body);
+    
+    if (!body.save) {
+      return res.json(result);
+    }
+    
+    const playset = await modRepository.getActivePlayset();
+    const saved = await planService.createPlan({
+      ...result.plan,
+      name: body.name ? body.name.trim() : result.plan.name || 'Imported plan',
+      playset: playset ? { id: playset.id, name: playset.name } : null
+    });
+    res.status(201).json({ ...result, saved });
+  } catch (error) {
+    if (error instanceof PlanImportError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error(`Error importing plan: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export the tech tree as a standalone SVG, a PNG image or a PDF (tree.svg, tree.png, tree.pdf), with the filters of
+// the tech tree tab (?areas=&categories=&tiers=&hideImpossible=&showPrerequisites=), highlighted and researched
+// technologies (?highlight=&researched=, comma separated IDs), and for PNG ?scale=, for PDF ?paper=&landscape=&pagesAcross=
+app.get('/api/export/tree.:format', (req, res) => {
+  try {
+    if (!treeExportService) {
+      return res.status(503).json({ error: 'Tree export service not initialized' });
+    }
+    
+    const { format } = req.params;
+    if (!TreeExportService.FORMATS[format]) {
+      return res.status(400).json({ error: `Unsupported export format: ${format}` });
+    }
+    
+    const options = { ...TreeExportService.parseOptions(req.query), language: req.language };
+    const { contentType, data } = treeExportService.exportTree(format, options);
+    
+    res.type(contentType);
+    if (req.query.download === 'true') {
+      res.attachment(`tech-tree.${format}`);
+    }
+    res.send(data);
+  } catch (error) {
+    if (error instanceof ExportOptionsError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error(`Error exporting tech tree: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export prerequisite graphs as GraphViz DOT or Mermaid (?format=dot|mermaid): the whole tree, one area (?area=), or
+// the relatives of a technology (?root=<id>&direction=ancestors|descendants|both|path), labelled in ?lang=
+app.get('/api/export/graph', (req, res) => {
+  try {
+    if (!techTreeService || !techTreeService.isInitialized()) {
+      return res.status(503).json({ error: 'Tech tree service not initialized' });
+    }
+    
+    const { format = 'dot', root, direction, area } = req.query;
+    if (!TechTree.GRAPH_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${TechTree.GRAPH_FORMATS.join(', ')}` });
+    }
+    if (direction !== undefined && !TechTree.GRAPH_DIRECTIONS.includes(direction)) {
+      return res.status(400).json({ error: `direction must be one of ${TechTree.GRAPH_DIRECTIONS.join(', ')}` });
+    }
+    
+    // The tree is initialized, so only a root that is not a technology leaves no graph
+    const graph = techTreeService.exportGraph(format, { root, direction, area, language: req.language });
+    if (graph === null) {
+      return res.status(404).json({ error: `Technology with ID ${root} not found` });
+    }
+    
+    res.type(format === 'dot' ? 'text/vnd.graphviz' : 'text/plain');
+    if (req.query.download === 'true') {
+      res.attachment(`${root || area || 'tech-tree'}.${format === 'dot' ? 'dot' : 'mmd'}`);
+    }
+    res.send(graph);
+  } catch (error) {
+    logger.error(`Error exporting graph: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get buildings, components, edicts and other game objects with the technologies that unlock them
+app.get('/api/unlocks', (req, res) => {
+  try {
+    if (!techService) {
+      return res.status(503).json({ error: 'Tech service not initialized' });
+    }
+    
+    // Optional filters: ?type=building|component|...&search=<text matched against ID and name>
+    const { type, search } = req.query;
+    
+    res.json(techService.getUnlockables({ type, search }));
+  } catch (error) {
+    logger.error(`Error getting unlockables: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get problems found while loading technology files
+app.get('/api/diagnostics', (req, res) => {
+  try {
+    if (!techService) {
+      return res.status(503).json({ error: 'Tech service not initialized' });
+    }
+    
+    // Optional filters: ?severity=error|warning&mod=<mod id> (use an empty mod id for the base game)
+    const { severity, mod } = req.query;
+    const diagnostics = techService.getDiagnostics({ severity, modId: mod });
+    
+    res.json({
+      ...techService.getDiagnosticCounts(),
+      diagnostics
+    });
+  } catch (error) {
+    logger.error(`Error getting diagnostics: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the technologies, files and localisation keys the base game and the mods of the active playset fight over
+app.get('/api/conflicts', (req, res) => {
+  try {
+    if (!conflictService) {
+      return res.status(503).json({ error: 'Conflict service not initialized' });
+    }
+    
+    // Optional filters: ?severity=error|warning|info&type=<conflict type>&mod=<mod id> (empty mod id for the base game)
+    const { severity, type, mod } = req.query;
+    const conflicts = conflictService.getConflicts({ severity, type, modId: mod });
+    
+    res.json({
+      ...conflictService.countConflicts(conflicts),
+      conflicts
+    });
+  } catch (error) {
+    logger.error(`Error getting conflicts: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get available save games
+app.get('/api/saves', async (req, res) => {
+  try {
+    if (!saveGameService) {
+      return res.status(503).json({ error: 'Save game service not initialized' });
+    }
+    
+    const saves = await saveGameService.listSaveGames();
+    res.json(saves);
+  } catch (error) {
+    logger.error(`Error getting save games: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the currently loaded save game
+app.get('/api/saves/current', (req, res) => {
+  try {
+    if (!saveGameService) {
+      return res.status(503).json({ error: 'Save game service not initialized' });
+    }
+    
+    const currentSave = saveGameService.getCurrentSave();
+    if (!currentSave) {
+      return res.status(404).json({ error: 'No save game loaded' });
+    }
+    
+    res.json(currentSave);
+  } catch (error) {
+    logger.error(`Error getting current save game: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Load a save game and apply its research state to the technologies
+app.post('/api/saves/load', async (req, res) => {
+  try {
+    if (!saveGameService) {
+      return res.status(503).json({ error: 'Save game service not initialized' });
+    }
+    
+    // Body: { path } of a save game in the save games directory, or its name from /api/saves; without a path the
+    // most recent save game is loaded
+    const { path: savePath } = req.body || {};
+    if (savePath !== undefined && savePath !== null && typeof savePath !== 'string') {
+      return res.status(400).json({ error: 'path must be a string' });
+    }
+    
+    const result = await saveGameService.loadSaveGame(savePath);
+    
+    // Grey out the technologies that can never appear for the loaded empire
+    const possible = researchService ? researchService.markPossibleTechnologies(result.empire) : null;
+    
+    res.json({ ...result, impossibleTechCount: possible ? possible.impossible.length : 0 });
+  } catch (error) {
+    if (error instanceof SaveGameError) {
+      return res.status(error.notFound ? 404 : 400).json({ error: error.message });
+    }
+    logger.error(`Error loading save game: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Serve static files from the frontend build directory in production
 if (process.env.NODE_ENV === 'production') {
   const frontendPath = path.join(__dirname, '../../frontend/dist');
@@ -460,8 +1315,20 @@ async function startServer() {
     // Store services for API endpoints
     techService = services.techService;
     techTreeService = services.techTreeService;
+    saveGameService = services.saveGameService;
+    researchService = services.researchService;
+    researchPlanner = services.researchPlanner;
+    treeExportService = services.treeExportService;
+    conflictService = services.conflictService;
+    planService = services.planService;
     modRepository = services.modRepository;
     
+    // Reload changed files, but not while all technologies are being loaded for another playset
+    watchService = new WatchService(techService, techTreeService, { isBusy: () => loadProgress.isRunning() });
+    if (config.watchFiles) {
+      watchService.start();
+    }
+    
     // Start the server
     app.listen(PORT, () => {
       logger.info(`API server listening on port ${PORT}`);
@@ -1,5 +1,8 @@
 /**
  * Command-line utility to display mod information
+ *
+ * Usage: npm run mod-info [-- --conflicts [--severity=error|warning|info]]
+ * With --conflicts the technologies of the active playset are loaded and the conflicts between its mods are listed.
  */
 
 const modRepository = require('../database/modRepository');
@@ -67,12 +70,74 @@ async function displayModInfo() {
   }
 }
 
-// If this script is run directly, display mod information
+/**
+ * Display the conflicts between the base game and the mods of the active playset, most severe first
+ * @param {Object} [options={}] Options
+ * @param {string} [options.severity] Only display conflicts with this severity
+ * @returns {Promise<number>} Number of errors, so the exit code can tell if the load order needs fixing
+ * @throws {Error} If the technologies could not be loaded, so that a failed check is not read as no conflicts
+ */
+async function displayConflicts(options = {}) {
+  // Loaded here so `mod-info` without --conflicts does not load the technologies
+  const { init, shutdown } = require('../index');
+  
+  try {
+    const app = await init();
+    if (!app) {
+      throw new Error('Failed to initialize application');
+    }
+    
+    const { conflictService, activePlayset } = app;
+    const conflicts = conflictService.getConflicts({ severity: options.severity });
+    const counts = conflictService.countConflicts(conflicts);
+    
+    // Without an active playset only the base game is loaded
+    console.log(`\n=== Conflicts in ${activePlayset ? activePlayset.name : 'the base game (no active playset)'} ===`);
+    console.log(`Errors: ${counts.errors}, warnings: ${counts.warnings}, info: ${counts.info}`);
+    
+    let severity = null;
+    for (const conflict of conflicts) {
+      if (conflict.severity !== severity) {
+        severity = conflict.severity;
+        console.log(`\n--- ${severity.toUpperCase()} ---`);
+      }
+      console.log(`[${conflict.type}] ${conflict.id}`);
+      console.log(`   ${conflict.message}`);
+    }
+    
+    if (conflicts.length === 0) {
+      console.log('\nNo conflicts found');
+    }
+    
+    return counts.errors;
+  } catch (error) {
+    logger.error(`Error displaying conflicts: ${error.message}`);
+    throw error;
+  } finally {
+    await shutdown();
+  }
+}
+
+// If this script is run directly, display mod information or the conflicts
 if (require.main === module) {
-  displayModInfo().catch(error => {
-    logger.error(`Unhandled error: ${error.message}`);
-    process.exit(1);
-  });
+  const args = process.argv.slice(2);
+  
+  if (args.includes('--conflicts')) {
+    const severityArg = args.find(arg => arg.startsWith('--severity='));
+    displayConflicts({ severity: severityArg ? severityArg.split('=')[1] : undefined })
+      .then(errors => {
+        process.exitCode = errors > 0 ? 1 : 0;
+      })
+      .catch(() => {
+        // displayConflicts logged the error
+        process.exitCode = 1;
+      });
+  } else {
+    displayModInfo().catch(error => {
+      logger.error(`Unhandled error: ${error.message}`);
+      process.exit(1);
+    });
+  }
 }
 
-module.exports = { displayModInfo }; 
\ No newline at end of file
+module.exports = { displayModInfo, displayConflicts }; 
\ No newline at end of file
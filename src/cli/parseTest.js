@@ -1,6 +1,9 @@
+const fs = require('fs').promises;
 const path = require('path');
 const { TechParser } = require('../parsers');
+const TechService = require('../services/techService');
 const TechFileLocator = require('../utils/techFileLocator');
+const gamePathDetector = require('../utils/gamePathDetector');
 const logger = require('../utils/logger');
 
 /**
@@ -103,16 +106,115 @@ async function testParser() {
   }
 }
 
+/**
+ * Print diagnostics grouped by file, with the offending line and a marker under the column
+ * @param {import('../models/diagnostic')[]} diagnostics Diagnostics to print
+ */
+function printDiagnostics(diagnostics) {
+  const byFile = new Map();
+  for (const diagnostic of diagnostics) {
+    if (!byFile.has(diagnostic.file)) {
+      byFile.set(diagnostic.file, []);
+    }
+    byFile.get(diagnostic.file).push(diagnostic);
+  }
+
+  for (const [file, fileDiagnostics] of byFile) {
+    const source = fileDiagnostics[0].modName || fileDiagnostics[0].modId;
+    console.log(`\n=== ${source ? `${file} (${source})` : file} ===`);
+
+    for (const diagnostic of fileDiagnostics) {
+      console.log(diagnostic.toString());
+      if (diagnostic.snippet) {
+        const gutter = String(diagnostic.line).length;
+        console.log(`  ${diagnostic.line} | ${diagnostic.snippet}`);
+        console.log(`  ${' '.repeat(gutter)} | ${' '.repeat(Math.max(0, diagnostic.column - 1))}^`);
+      }
+    }
+  }
+}
+
+/**
+ * Report parse diagnostics for a file or directory, or for the whole game and active playset
+ * @param {string} [targetPath] File or directory to check; everything is loaded if omitted
+ * @returns {Promise<number>} Number of errors found
+ */
+async function reportDiagnostics(targetPath) {
+  let techService;
+
+  if (targetPath) {
+    techService = new TechService();
+    await techService.initialize();
+
+    // Resolve scripted variables from the base game when the installation can be found
+    try {
+      await gamePathDetector.initialize();
+      const gameDir = await gamePathDetector.getGameInstallDir();
+      if (gameDir) {
+        await techService.loadScriptedVariables(gameDir, '', 'Base Game');
+      }
+    } catch (error) {
+      logger.warn(`Could not load scripted variables: ${error.message}`);
+    }
+
+    const stats = await fs.stat(targetPath);
+    if (stats.isDirectory()) {
+      await techService.loadTechDirectory(targetPath);
+    } else {
+      await techService.loadTechFile(targetPath);
+    }
+  } else {
+    // Load everything exactly as the application does
+    const { init, shutdown } = require('../index');
+    const app = await init();
+    await shutdown();
+
+    if (!app) {
+      throw new Error('Failed to initialize application');
+    }
+    techService = app.techService;
+  }
+
+  const diagnostics = techService.getDiagnostics();
+  const counts = techService.getDiagnosticCounts();
+
+  printDiagnostics(diagnostics);
+
+  console.log('\n=== Parse Report ===');
+  console.log(`Technologies loaded: ${techService.getAllTechnologies().length}`);
+  console.log(`Errors: ${counts.errors}`);
+  console.log(`Warnings: ${counts.warnings}`);
+
+  return counts.errors;
+}
+
 // Run the test if this script is executed directly
 if (require.main === module) {
-  testParser()
-    .then(() => {
-      logger.info('Parser test completed');
-    })
-    .catch((error) => {
-      logger.error(`Parser test failed: ${error.message}`);
-      process.exit(1);
-    });
+  const args = process.argv.slice(2);
+
+  if (args.includes('--report')) {
+    // Usage: npm run parse-test -- --report [file or directory]
+    const targetPath = args.find(arg => arg !== '--report');
+
+    reportDiagnostics(targetPath)
+      .then((errorCount) => {
+        process.exit(errorCount > 0 ? 1 : 0);
+      })
+      .catch((error) => {
+        logger.error(`Parse report failed: ${error.message}`);
+        process.exit(1);
+      });
+  } else {
+    testParser()
+      .then(() => {
+        logger.info('Parser test completed');
+      })
+      .catch((error) => {
+        logger.error(`Parser test failed: ${error.message}`);
+        process.exit(1);
+      });
+  }
 }
 
-module.exports = testParser; 
\ No newline at end of file
+module.exports = testParser;
+module.exports.reportDiagnostics = reportDiagnostics; 
\ No newline at end of file
@@ -0,0 +1,58 @@
+/**
+ * CLI tool for displaying the research state stored in a save game
+ *
+ * Usage: npm run save-info [path/to/save.sav]
+ * Without a path the most recent save game is used.
+ */
+const config = require('../config');
+const logger = require('../utils/logger');
+const SaveGameParser = require('../parsers/saveGameParser');
+const { SaveGameService } = require('../services/saveGameService');
+
+/**
+ * Main function
+ */
+async function main() {
+  let savePath = process.argv[2];
+
+  if (!savePath) {
+    const saves = await new SaveGameService(null, config.saveGamesPath).listSaveGames();
+    if (saves.length === 0) {
+      console.log(`No save games found in ${config.saveGamesPath}`);
+      return;
+    }
+    savePath = saves[0].path;
+  }
+
+  const parser = new SaveGameParser();
+  const result = await parser.parseFile(savePath);
+
+  console.log('\n=== Save Game ===');
+  console.log(`File: ${savePath}`);
+  console.log(`Name: ${result.meta.name || 'Unknown'}`);
+  console.log(`Date: ${result.meta.date || 'Unknown'}`);
+  console.log(`Version: ${result.meta.version || 'Unknown'}`);
+  console.log(`Player: ${result.playerName} (country ${result.countryId})`);
+
+  console.log(`\n=== Researched Technologies (${result.researchedTechs.length}) ===`);
+  for (const tech of result.researchedTechs) {
+    console.log(tech.level > 1 ? `${tech.id} (level ${tech.level})` : tech.id);
+  }
+
+  console.log('\n=== Current Research ===');
+  for (const [area, queue] of Object.entries(result.researchQueues)) {
+    const current = queue[0];
+    console.log(`${area}: ${current ? `${current.techId} (${current.progress} points)` : 'None'}`);
+  }
+
+  console.log('\n=== Research Options ===');
+  for (const [area, options] of Object.entries(result.alternatives)) {
+    console.log(`${area}: ${options.length > 0 ? options.join(', ') : 'None'}`);
+  }
+}
+
+// Run the main function
+main().catch(error => {
+  logger.error(`Error: ${error.message}`);
+  process.exit(1);
+});
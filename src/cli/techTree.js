@@ -1,8 +1,160 @@
 /**
  * CLI tool for testing the technology tree
+ *
+ * Usage: npm run tech-tree [search query]
+ *        npm run tech-tree validate [--warnings]
+ * `validate` lists missing prerequisites and prerequisite cycles (errors), and with --warnings also unreachable
+ * technologies and tier inversions. It exits with code 1 if there are errors.
+ *
+ *        npm run tech-tree export -- --format svg|png|pdf [--output <file>] [--lang <language>] [options]
+ * `export` writes the tech tree to a file (tech-tree.<format> by default). Options are those of
+ * `/api/export/tree.<format>`: --areas, --categories, --tiers, --highlight and --researched take comma separated
+ * lists; --hide-impossible, --show-prerequisites and --landscape are flags; --title, --scale, --paper and
+ * --pages-across take a value.
+ *
+ *        npm run tech-tree export -- --format dot|mermaid [--root <id>] [--direction <direction>] [--area <area>]
+ * With `dot` or `mermaid`, `export` writes a prerequisite graph (tech-tree.dot or tech-tree.mmd by default) of the
+ * whole tree, one area, or the ancestors, descendants, both or path to the root of a technology.
  */
+const fs = require('fs').promises;
 const { init, shutdown } = require('../index');
 const logger = require('../utils/logger');
+const { TreeExportService } = require('../services/treeExportService');
+const TechTree = require('../models/techTree');
+
+/**
+ * File extensions of the graph formats
+ * @type {Object<string, string>}
+ */
+const GRAPH_EXTENSIONS = {
+  dot: 'dot',
+  mermaid: 'mmd'
+};
+
+/**
+ * Reads `--name value` and `--flag` arguments
+ * @param {string[]} args Command line arguments
+ * @returns {Object<string, (string|boolean)>} The arguments by camel cased name
+ */
+function parseFlags(args) {
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      continue;
+    }
+    const name = args[i].slice(2).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    if (args[i + 1] !== undefined && !args[i + 1].startsWith('--')) {
+      flags[name] = args[++i];
+    } else {
+      flags[name] = true;
+    }
+  }
+  return flags;
+}
+
+/**
+ * Exports the technology tree to a file
+ * @param {Object<string, (string|boolean)>} flags Command line flags, see the usage above
+ * @returns {Promise<boolean>} True if the file was written
+ */
+async function exportTree(flags) {
+  const format = flags.format || 'svg';
+  const isGraph = TechTree.GRAPH_FORMATS.includes(format);
+  if (!TreeExportService.FORMATS[format] && !isGraph) {
+    const formats = [...Object.keys(TreeExportService.FORMATS), ...TechTree.GRAPH_FORMATS];
+    logger.error(`Unsupported export format: ${format} (use ${formats.join(', ')})`);
+    return false;
+  }
+  if (isGraph && flags.direction !== undefined && !TechTree.GRAPH_DIRECTIONS.includes(flags.direction)) {
+    logger.error(`Unsupported direction: ${flags.direction} (use ${TechTree.GRAPH_DIRECTIONS.join(', ')})`);
+    return false;
+  }
+
+  let options;
+  try {
+    options = isGraph ? { root: flags.root, direction: flags.direction, area: flags.area } : TreeExportService.parseOptions(flags);
+  } catch (error) {
+    logger.error(error.message);
+    return false;
+  }
+
+  try {
+    const app = await init();
+    
+    if (!app) {
+      logger.error('Failed to initialize application');
+      return false;
+    }
+    
+    if (typeof flags.lang === 'string') {
+      if (!app.techService.isSupportedLanguage(flags.lang)) {
+        logger.error(`Unsupported language: ${flags.lang}`);
+        return false;
+      }
+      await app.techService.loadLanguage(flags.lang);
+      options.language = flags.lang.toLowerCase();
+    }
+    
+    const output = typeof flags.output === 'string' ? flags.output : `tech-tree.${GRAPH_EXTENSIONS[format] || format}`;
+    const data = isGraph
+      ? app.techTreeService.exportGraph(format, options)
+      : app.treeExportService.exportTree(format, options).data;
+    
+    if (data === null) {
+      logger.error(`Technology with ID ${options.root} not found`);
+      return false;
+    }
+    
+    await fs.writeFile(output, data);
+    
+    console.log(`Exported the technology tree to ${output}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error: ${error.message}`);
+    return false;
+  } finally {
+    await shutdown();
+  }
+}
+
+/**
+ * Validates the technology tree and prints the issues found
+ * @param {Object} [options={}] Options
+ * @param {boolean} [options.warnings=false] Also print the warnings
+ * @returns {Promise<boolean>} True if the tree has no errors
+ */
+async function validate(options = {}) {
+  try {
+    const app = await init();
+    
+    if (!app) {
+      logger.error('Failed to initialize application');
+      return false;
+    }
+    
+    const { valid, errors, warnings, issues } = app.techTreeService.validate();
+    
+    console.log('\n=== Technology Tree Validation ===');
+    console.log(`Errors: ${errors}, warnings: ${warnings}`);
+    
+    for (const issue of issues) {
+      if (issue.isError() || options.warnings) {
+        console.log(issue.toString());
+      }
+    }
+    
+    if (warnings > 0 && !options.warnings) {
+      console.log(`\n${warnings} warnings not shown, use --warnings to list them`);
+    }
+    
+    return valid;
+  } catch (error) {
+    logger.error(`Error: ${error.message}`);
+    return false;
+  } finally {
+    await shutdown();
+  }
+}
 
 /**
  * Main function
@@ -136,9 +288,29 @@ async function main() {
   }
 }
 
-// Run the main function
-main().catch(error => {
-  logger.error(`Unhandled error: ${error.message}`);
-  logger.error(error.stack);
-  process.exit(1);
-}); 
\ No newline at end of file
+// Run the validation, the export or the main function
+if (process.argv[2] === 'export') {
+  exportTree(parseFlags(process.argv.slice(3)))
+    .then(written => {
+      process.exitCode = written ? 0 : 1;
+    })
+    .catch(error => {
+      logger.error(`Unhandled error: ${error.message}`);
+      process.exit(1);
+    });
+} else if (process.argv[2] === 'validate') {
+  validate({ warnings: process.argv.includes('--warnings') })
+    .then(valid => {
+      process.exitCode = valid ? 0 : 1;
+    })
+    .catch(error => {
+      logger.error(`Unhandled error: ${error.message}`);
+      process.exit(1);
+    });
+} else {
+  main().catch(error => {
+    logger.error(`Unhandled error: ${error.message}`);
+    logger.error(error.stack);
+    process.exit(1);
+  });
+} 
\ No newline at end of file
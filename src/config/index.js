@@ -32,6 +32,33 @@ const config = {
   // Application paths
   get cachePath() {
     return path.join(process.cwd(), '.cache');
+  },
+  
+  // Parsed technology files, kept across restarts (TECH_CACHE=off disables it, as do the tests)
+  get techCachePath() {
+    return path.join(this.cachePath, 'tech-cache.sqlite');
+  },
+  
+  get techCacheEnabled() {
+    return process.env.TECH_CACHE !== 'off' && process.env.NODE_ENV !== 'test';
+  },
+  
+  // Worker threads that parse technology files (PARSER_WORKERS, 0 parses on the main thread as the tests do)
+  get parserWorkers() {
+    if (process.env.PARSER_WORKERS !== undefined) {
+      return Math.max(0, parseInt(process.env.PARSER_WORKERS, 10) || 0);
+    }
+    return process.env.NODE_ENV === 'test' ? 0 : Math.max(1, os.cpus().length - 1);
+  },
+  
+  // Named research plans, kept apart from the read-only launcher database (PLANS_DB sets another file)
+  get plansDbPath() {
+    return process.env.PLANS_DB || path.join(process.cwd(), 'data', 'plans.sqlite');
+  },
+  
+  // Reload changed technology and localisation files while the server runs (WATCH_FILES=on, or POST /api/watch)
+  get watchFiles() {
+    return process.env.WATCH_FILES === 'on';
   }
 };
 
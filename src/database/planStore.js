@@ -0,0 +1,285 @@
+/**
+ * Storage for named research plans
+ * Keeps the plans and every revision of them in a local SQLite database, apart from the read-only launcher database
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const sqlite = require('sqlite');
+const logger = require('../utils/logger');
+
+/**
+ * Columns of a plan joined with one of its revisions
+ * @type {string}
+ */
+const PLAN_COLUMNS = `p.id, p.playset_id, p.playset_name, p.revision AS current_revision, p.created_at,
+  r.revision, r.name, r.data, r.created_at AS updated_at`;
+
+/**
+ * SQLite store for research plans and their revisions
+ */
+class PlanStore {
+  /**
+   * Creates a new PlanStore instance
+   * @param {string} dbPath Path to the SQLite file, created if it does not exist
+   */
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+    this.db = null;
+    this.opening = null; // Pending open(), so requests arriving together share the connection
+    this.writes = Promise.resolve(); // Transactions run one at a time on the shared connection
+  }
+
+  /**
+   * Opens the database, creating the tables
+   * @returns {Promise<void>}
+   */
+  async open() {
+    if (!this.opening) {
+      this.opening = this._open().catch(error => {
+        this.opening = null;
+        throw error;
+      });
+    }
+    return this.opening;
+  }
+
+  /**
+   * Opens the database
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _open() {
+    await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+    const db = await sqlite.open({ filename: this.dbPath, driver: sqlite3.Database });
+    await db.exec(`
+      PRAGMA journal_mode = WAL;
+      PRAGMA foreign_keys = ON;
+      CREATE TABLE IF NOT EXISTS plans (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        playset_id TEXT,
+        playset_name TEXT,
+        revision INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS plan_revisions (
+        plan_id INTEGER NOT NULL REFERENCES plans (id) ON DELETE CASCADE,
+        revision INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        PRIMARY KEY (plan_id, revision)
+      );
+    `);
+
+    this.db = db;
+    logger.debug(`Opened plan database at ${this.dbPath}`);
+  }
+
+  /**
+   * Lists the current revision of the plans
+   * @param {string} [playsetId] Only list the plans of this playset
+   * @returns {Promise<Object[]>} The plans, most recently updated first
+   */
+  async listPlans(playsetId) {
+    await this.open();
+
+    const rows = await this.db.all(`
+      SELECT ${PLAN_COLUMNS} FROM plans p
+      JOIN plan_revisions r ON r.plan_id = p.id AND r.revision = p.revision
+      ${playsetId ? 'WHERE p.playset_id = ?' : ''}
+      ORDER BY p.updated_at DESC, p.id DESC
+    `, playsetId ? [playsetId] : []);
+
+    return rows.map(toPlan);
+  }
+
+  /**
+   * Gets a plan
+   * @param {number} id Plan ID
+   * @param {number} [revision] Revision to get; the current one by default
+   * @returns {Promise<Object|null>} The plan, or null if the plan or revision does not exist
+   */
+  async getPlan(id, revision = null) {
+    await this.open();
+
+    const row = await this.db.get(`
+      SELECT ${PLAN_COLUMNS} FROM plans p
+      JOIN plan_revisions r ON r.plan_id = p.id AND r.revision = ${revision === null ? 'p.revision' : '?'}
+      WHERE p.id = ?
+    `, revision === null ? [id] : [revision, id]);
+
+    return row ? toPlan(row) : null;
+  }
+
+  /**
+   * Lists the revisions of a plan
+   * @param {number} id Plan ID
+   * @returns {Promise<Object[]|null>} The revisions, newest first, or null if the plan does not exist
+   */
+  async getRevisions(id) {
+    await this.open();
+
+    const rows = await this.db.all(
+      'SELECT revision, name, data, created_at FROM plan_revisions WHERE plan_id = ? ORDER BY revision DESC',
+      [id]
+    );
+    if (rows.length === 0) {
+      return null;
+    }
+
+    return rows.map(row => {
+      const { targets, researched, notes } = JSON.parse(row.data);
+      return {
+        revision: row.revision,
+        name: row.name,
+        targetCount: targets.length,
+        researchedCount: researched.length,
+        notes,
+        createdAt: new Date(row.created_at).toISOString()
+      };
+    });
+  }
+
+  /**
+   * Creates a plan with its first revision
+   * @param {Object} plan The plan
+   * @param {string} plan.name Name of the plan
+   * @param {{id: string, name: string}|null} plan.playset Playset the plan was made for
+   * @param {Object} plan.data Contents of the plan (targets, researched technologies, research output, notes)
+   * @returns {Promise<Object>} The stored plan
+   */
+  async createPlan({ name, playset, data }) {
+    const id = await this._transaction(async now => {
+      const { lastID } = await this.db.run(
+        'INSERT INTO plans (playset_id, playset_name, revision, created_at, updated_at) VALUES (?, ?, 1, ?, ?)',
+        [playset ? playset.id : null, playset ? playset.name : null, now, now]
+      );
+      await this._insertRevision(lastID, 1, name, data, now);
+      return lastID;
+    });
+
+    return this.getPlan(id);
+  }
+
+  /**
+   * Stores a new revision of a plan, which becomes its current revision
+   * @param {number} id Plan ID
+   * @param {string} name Name of the plan
+   * @param {Object} data Contents of the plan
+   * @returns {Promise<Object|null>} The updated plan, or null if the plan does not exist
+   */
+  async addRevision(id, name, data) {
+    const updated = await this._transaction(async now => {
+      const plan = await this.db.get('SELECT revision FROM plans WHERE id = ?', [id]);
+      if (!plan) {
+        return false;
+      }
+
+      const revision = plan.revision + 1;
+      await this._insertRevision(id, revision, name, data, now);
+      await this.db.run('UPDATE plans SET revision = ?, updated_at = ? WHERE id = ?', [revision, now, id]);
+      return true;
+    });
+
+    return updated ? this.getPlan(id) : null;
+  }
+
+  /**
+   * Deletes a plan with all its revisions
+   * @param {number} id Plan ID
+   * @returns {Promise<boolean>} True if the plan existed
+   */
+  async deletePlan(id) {
+    return this._transaction(async () => {
+      const { changes } = await this.db.run('DELETE FROM plans WHERE id = ?', [id]);
+      return changes > 0;
+    });
+  }
+
+  /**
+   * Closes the database
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.db) {
+      return;
+    }
+
+    await this.writes;
+    try {
+      await this.db.close();
+    } catch (error) {
+      logger.error(`Failed to close the plan database: ${error.message}`);
+    }
+    this.db = null;
+    this.opening = null;
+  }
+
+  /**
+   * Runs writes in a transaction, after the transactions started before
+   * @param {function(number): Promise<*>} task Writes, called with the current timestamp
+   * @returns {Promise<*>} What the task returns
+   * @private
+   */
+  async _transaction(task) {
+    await this.open();
+
+    const run = this.writes.then(async () => {
+      await this.db.exec('BEGIN');
+      try {
+        const result = await task(Date.now());
+        await this.db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        await this.db.exec('ROLLBACK');
+        throw error;
+      }
+    });
+    this.writes = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Inserts a revision of a plan
+   * @param {number} id Plan ID
+   * @param {number} revision Revision number
+   * @param {string} name Name of the plan
+   * @param {Object} data Contents of the plan
+   * @param {number} now Timestamp
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _insertRevision(id, revision, name, data, now) {
+    await this.db.run(
+      'INSERT INTO plan_revisions (plan_id, revision, name, data, created_at) VALUES (?, ?, ?, ?, ?)',
+      [id, revision, name, JSON.stringify(data), now]
+    );
+  }
+}
+
+/**
+ * Converts a row of plans joined with one of its revisions to a plan
+ * @param {Object} row Database row
+ * @returns {Object} The plan
+ */
+function toPlan(row) {
+  const { targets, researched, output, notes } = JSON.parse(row.data);
+  return {
+    id: row.id,
+    name: row.name,
+    playset: row.playset_id ? { id: row.playset_id, name: row.playset_name } : null,
+    revision: row.revision,
+    currentRevision: row.current_revision,
+    targets,
+    researched,
+    output,
+    notes,
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString()
+  };
+}
+
+module.exports = PlanStore;
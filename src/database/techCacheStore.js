@@ -0,0 +1,278 @@
+/**
+ * Disk cache for parsed technology files
+ * Keeps the parse results in a local SQLite database so restarts do not re-parse unchanged files
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const sqlite = require('sqlite');
+const logger = require('../utils/logger');
+const Tech = require('../models/tech');
+const Diagnostic = require('../models/diagnostic');
+
+/**
+ * Version of the stored data format, increase when the serialization changes
+ * @type {number}
+ */
+const FORMAT_VERSION = 1;
+
+/**
+ * Number of pending writes after which they are written to disk
+ * @type {number}
+ */
+const FLUSH_THRESHOLD = 500;
+
+/**
+ * SQLite store for parsed technology files, keyed by file path, content hash and parser version
+ */
+class TechCacheStore {
+  /**
+   * Creates a new TechCacheStore instance
+   * @param {string} dbPath Path to the SQLite file, created if it does not exist
+   * @param {string} parserVersion Version of the parser, entries of other versions are discarded
+   */
+  constructor(dbPath, parserVersion) {
+    this.dbPath = dbPath;
+    this.parserVersion = `${FORMAT_VERSION}:${parserVersion}`;
+    this.db = null;
+    this.enabled = true; // False once the database could not be opened
+    this.pending = new Map(); // Writes not flushed yet, by file path
+    this.entryCount = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.writes = 0;
+    this.invalidated = 0; // Entries discarded because the parser changed
+  }
+
+  /**
+   * Opens the database, creating the table and discarding entries of other parser versions
+   * @returns {Promise<boolean>} Whether the store can be used
+   */
+  async open() {
+    if (this.db || !this.enabled) {
+      return this.enabled;
+    }
+
+    try {
+      await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+      this.db = await sqlite.open({ filename: this.dbPath, driver: sqlite3.Database });
+      await this.db.exec(`
+        PRAGMA journal_mode = WAL;
+        PRAGMA synchronous = NORMAL;
+        CREATE TABLE IF NOT EXISTS parsed_files (
+          file_path TEXT PRIMARY KEY,
+          content_hash TEXT NOT NULL,
+          variables_hash TEXT NOT NULL,
+          parser_version TEXT NOT NULL,
+          data TEXT NOT NULL,
+          updated_at INTEGER NOT NULL
+        );
+      `);
+
+      const { changes } = await this.db.run('DELETE FROM parsed_files WHERE parser_version != ?', [this.parserVersion]);
+      this.invalidated += changes;
+      if (changes > 0) {
+        logger.info(`Discarded ${changes} cached technology files parsed by another parser version`);
+      }
+
+      await this._countEntries();
+      logger.debug(`Opened technology cache at ${this.dbPath} (${this.entryCount} files)`);
+      return true;
+    } catch (error) {
+      logger.warn(`Technology cache not available, parsing without it: ${error.message}`);
+      this.enabled = false;
+      this.db = null;
+      return false;
+    }
+  }
+
+  /**
+   * Gets a parsed file
+   * @param {string} filePath Path to the file
+   * @param {string} contentHash Hash of the file content
+   * @param {string} variablesHash Hash of the scripted variables the file was parsed with
+   * @returns {Promise<{technologies: Tech[], diagnostics: Diagnostic[], variablesHash: string}|null>} The parse
+   *   result, or null if the file is not cached or has changed
+   */
+  async get(filePath, contentHash, variablesHash) {
+    if (!await this.open()) {
+      return null;
+    }
+
+    try {
+      const row = this.pending.get(filePath) || await this.db.get(
+        'SELECT content_hash, variables_hash, data FROM parsed_files WHERE file_path = ? AND parser_version = ?',
+        [filePath, this.parserVersion]
+      );
+
+      if (!row || row.content_hash !== contentHash || row.variables_hash !== variablesHash) {
+        this.misses++;
+        return null;
+      }
+
+      this.hits++;
+      return deserialize(row.data, variablesHash);
+    } catch (error) {
+      logger.warn(`Could not read ${filePath} from the technology cache: ${error.message}`);
+      this.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Stores a parsed file; writes are batched, call flush() once loading is done
+   * @param {string} filePath Path to the file
+   * @param {string} contentHash Hash of the file content
+   * @param {{technologies: Tech[], diagnostics: Diagnostic[], variablesHash: string}} parsed The parse result
+   * @returns {Promise<void>}
+   */
+  async set(filePath, contentHash, parsed) {
+    if (!await this.open()) {
+      return;
+    }
+
+    this.pending.set(filePath, {
+      content_hash: contentHash,
+      variables_hash: parsed.variablesHash,
+      data: serialize(parsed)
+    });
+
+    if (this.pending.size >= FLUSH_THRESHOLD) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * Writes the pending entries to disk in one transaction
+   * @returns {Promise<number>} Number of entries written
+   */
+  async flush() {
+    if (!this.db || this.pending.size === 0) {
+      return 0;
+    }
+
+    const entries = Array.from(this.pending.entries());
+    this.pending.clear();
+
+    try {
+      await this.db.exec('BEGIN');
+      const statement = await this.db.prepare(`
+        INSERT OR REPLACE INTO parsed_files (file_path, content_hash, variables_hash, parser_version, data, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `);
+      const now = Date.now();
+      for (const [filePath, row] of entries) {
+        await statement.run([filePath, row.content_hash, row.variables_hash, this.parserVersion, row.data, now]);
+      }
+      await statement.finalize();
+      await this.db.exec('COMMIT');
+
+      this.writes += entries.length;
+      await this._countEntries();
+      logger.debug(`Wrote ${entries.length} parsed technology files to the cache`);
+      return entries.length;
+    } catch (error) {
+      logger.error(`Failed to write the technology cache: ${error.message}`);
+      await this.db.exec('ROLLBACK').catch(rollbackError => logger.debug(`Rollback failed: ${rollbackError.message}`));
+      return 0;
+    }
+  }
+
+  /**
+   * Removes all entries
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.pending.clear();
+    if (!await this.open()) {
+      return;
+    }
+
+    try {
+      await this.db.run('DELETE FROM parsed_files');
+      this.entryCount = 0;
+    } catch (error) {
+      logger.error(`Failed to clear the technology cache: ${error.message}`);
+    }
+  }
+
+  /**
+   * Writes the pending entries and closes the database
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.db) {
+      return;
+    }
+
+    await this.flush();
+    try {
+      await this.db.close();
+    } catch (error) {
+      logger.error(`Failed to close the technology cache: ${error.message}`);
+    }
+    this.db = null;
+  }
+
+  /**
+   * Gets cache statistics
+   * @returns {object} Cache statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      path: this.dbPath,
+      parserVersion: this.parserVersion,
+      entries: this.entryCount,
+      pending: this.pending.size,
+      hits: this.hits,
+      misses: this.misses,
+      writes: this.writes,
+      invalidated: this.invalidated,
+      hitRate: this.hits + this.misses > 0
+        ? (this.hits / (this.hits + this.misses) * 100).toFixed(2) + '%'
+        : '0%'
+    };
+  }
+
+  /**
+   * Updates the number of stored entries
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _countEntries() {
+    const { count } = await this.db.get('SELECT COUNT(*) AS count FROM parsed_files');
+    this.entryCount = count;
+  }
+}
+
+/**
+ * Converts a parse result to JSON, keeping all fields of the technologies and diagnostics
+ * @param {{technologies: Tech[], diagnostics: Diagnostic[]}} parsed The parse result
+ * @returns {string} JSON string
+ */
+function serialize(parsed) {
+  // Spread the instances rather than using their toJSON(), which leaves out fields and renames others
+  return JSON.stringify({
+    technologies: parsed.technologies.map(tech => ({ ...tech })),
+    diagnostics: parsed.diagnostics.map(diagnostic => ({ ...diagnostic }))
+  });
+}
+
+/**
+ * Restores a parse result stored by serialize()
+ * @param {string} data JSON string
+ * @param {string} variablesHash Hash of the scripted variables the file was parsed with
+ * @returns {{technologies: Tech[], diagnostics: Diagnostic[], variablesHash: string}} The parse result
+ */
+function deserialize(data, variablesHash) {
+  const { technologies, diagnostics } = JSON.parse(data);
+  return {
+    technologies: technologies.map(tech => Object.assign(new Tech(), tech)),
+    diagnostics: diagnostics.map(diagnostic => Object.assign(new Diagnostic(), diagnostic)),
+    variablesHash
+  };
+}
+
+module.exports = TechCacheStore;
@@ -4,11 +4,22 @@
  */
 
 const logger = require('./utils/logger');
+const config = require('./config');
 const gamePathDetector = require('./utils/gamePathDetector');
 const db = require('./database/connection');
 const modRepository = require('./database/modRepository');
 const TechService = require('./services/techService');
 const TechTreeService = require('./services/techTreeService');
+const { SaveGameService } = require('./services/saveGameService');
+const ResearchService = require('./services/researchService');
+const ResearchPlanner = require('./services/researchPlanner');
+const { TreeExportService } = require('./services/treeExportService');
+const ConflictService = require('./services/conflictService');
+const { PlanService } = require('./services/planService');
+const PlanStore = require('./database/planStore');
+
+// Research plans saved on the server, closed on shutdown
+let planService = null;
 
 /**
  * Initialize the application
@@ -99,7 +110,23 @@ async function init() {
       logger.info(`- Maximum depth: ${techTreeService.getMaxDepth()}`);
       logger.info(`- Maximum width: ${techTreeService.getMaxWidth()}`);
       
-      // TODO: In Phase 3, add save game parsing here
+      // Initialize save game service (saves are only loaded on request)
+      const saveGameService = new SaveGameService(techService, saveGamesDir);
+      
+      // Initialize research service (weights and draw chances of research options)
+      const researchService = new ResearchService(techService);
+      
+      // Initialize research planner (schedules of target technologies on the three research queues)
+      const researchPlanner = new ResearchPlanner(techService);
+      
+      // Initialize tree export service (SVG, PNG and PDF exports of the tech tree)
+      const treeExportService = new TreeExportService(techService);
+      
+      // Initialize conflict service (technologies and localisation the mods of the playset fight over)
+      const conflictService = new ConflictService(techService);
+      
+      // Initialize plan service (named research plans in their own SQLite file, opened on first use)
+      planService = new PlanService(new PlanStore(config.plansDbPath), techService, researchPlanner);
       
       // TODO: In Phase 4, add visualization here
       
@@ -109,6 +136,12 @@ async function init() {
       return {
         techService,
         techTreeService,
+        saveGameService,
+        researchService,
+        researchPlanner,
+        treeExportService,
+        conflictService,
+        planService,
         modRepository,
         activePlayset,
         gameDir
@@ -137,6 +170,10 @@ async function shutdown() {
   // Disconnect from the database
   await db.disconnect();
   
+  if (planService) {
+    await planService.close();
+  }
+  
   logger.info('Application shutdown complete');
 }
 
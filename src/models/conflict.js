@@ -0,0 +1,84 @@
+/**
+ * Represents a conflict between the base game and the mods of the active playset, or between mods
+ */
+class Conflict {
+  /**
+   * Severity of conflicts that break the game, e.g. a prerequisite that no longer exists
+   * @type {string}
+   */
+  static ERROR = 'error';
+
+  /**
+   * Severity of conflicts between mods, where the load order decides which mod wins
+   * @type {string}
+   */
+  static WARNING = 'warning';
+
+  /**
+   * Severity of a mod changing the base game, which is usually intended
+   * @type {string}
+   */
+  static INFO = 'info';
+
+  /**
+   * A technology is defined more than once
+   * @type {string}
+   */
+  static TECH_REDEFINED = 'tech_redefined';
+
+  /**
+   * A file replaces a file with the same path of the base game or an earlier mod entirely
+   * @type {string}
+   */
+  static FILE_REPLACED = 'file_replaced';
+
+  /**
+   * A technology requires a technology that a replaced file defined and no other file does
+   * @type {string}
+   */
+  static PREREQUISITE_REMOVED = 'prerequisite_removed';
+
+  /**
+   * A localisation key is defined more than once
+   * @type {string}
+   */
+  static LOCALIZATION_REDEFINED = 'localization_redefined';
+
+  /**
+   * Creates a new Conflict instance
+   * @param {Object} data Conflict data
+   */
+  constructor(data = {}) {
+    this.type = data.type || '';
+    this.severity = data.severity || Conflict.WARNING;
+    this.id = data.id || ''; // Technology ID, file path or localisation key the conflict is about
+    this.message = data.message || '';
+    this.mods = data.mods || []; // { id, name } of the mods involved, in load order ('' for the base game)
+    this.details = data.details || {};
+  }
+
+  /**
+   * Formats the conflict as `severity: [type] id: message`
+   * @returns {string} The formatted conflict
+   */
+  toString() {
+    return `${this.severity}: [${this.type}] ${this.id}: ${this.message}`;
+  }
+
+  /**
+   * Converts the conflict to a plain object
+   * @returns {Object} Plain object representation of the conflict
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      severity: this.severity,
+      id: this.id,
+      message: this.message,
+      mods: this.mods,
+      details: this.details
+    };
+  }
+}
+
+module.exports = Conflict;
@@ -0,0 +1,88 @@
+/**
+ * Represents a problem found while loading game or mod files
+ */
+class Diagnostic {
+  /**
+   * Severity of problems that caused data to be skipped
+   * @type {string}
+   */
+  static ERROR = 'error';
+
+  /**
+   * Severity of problems that were worked around
+   * @type {string}
+   */
+  static WARNING = 'warning';
+
+  /**
+   * Creates a new Diagnostic instance
+   * @param {Object} data Diagnostic data
+   */
+  constructor(data = {}) {
+    this.severity = data.severity || Diagnostic.ERROR;
+    this.modId = data.mod_id || '';
+    this.modName = data.mod_name || '';
+    this.file = data.file || '';
+    this.line = data.line || 0;
+    this.column = data.column || 0;
+    this.message = data.message || '';
+    this.snippet = data.snippet || '';
+  }
+
+  /**
+   * Creates a diagnostic for a parse error, taking the snippet from the source content
+   * @param {Object} error Parse error with message, line and column
+   * @param {string} content Content of the file that failed to parse
+   * @param {Object} [context={}] File and mod information (file, mod_id, mod_name)
+   * @returns {Diagnostic} The diagnostic
+   */
+  static fromParseError(error, content, context = {}) {
+    const lines = content.split(/\r?\n/);
+    const snippet = error.line > 0 && error.line <= lines.length ? lines[error.line - 1].trimEnd() : '';
+
+    return new Diagnostic({
+      ...context,
+      severity: Diagnostic.ERROR,
+      line: error.line,
+      column: error.column,
+      message: error.reason || error.message,
+      snippet
+    });
+  }
+
+  /**
+   * Checks if the diagnostic is an error
+   * @returns {boolean} True if the severity is error
+   */
+  isError() {
+    return this.severity === Diagnostic.ERROR;
+  }
+
+  /**
+   * Formats the diagnostic as `file:line:column: severity: message`
+   * @returns {string} The formatted diagnostic
+   */
+  toString() {
+    const location = this.line ? `${this.file}:${this.line}:${this.column}` : this.file;
+    return `${location}: ${this.severity}: ${this.message}`;
+  }
+
+  /**
+   * Converts the diagnostic to a plain object
+   * @returns {Object} Plain object representation of the diagnostic
+   */
+  toJSON() {
+    return {
+      severity: this.severity,
+      modId: this.modId,
+      modName: this.modName,
+      file: this.file,
+      line: this.line,
+      column: this.column,
+      message: this.message,
+      snippet: this.snippet
+    };
+  }
+}
+
+module.exports = Diagnostic;
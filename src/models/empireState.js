@@ -0,0 +1,167 @@
+/**
+ * Largest number of research options per area that an empire can be offered
+ * @type {number}
+ */
+const MAX_RESEARCH_OPTIONS = 10;
+
+/**
+ * Fields of the empire data that are lists of IDs
+ * @type {string[]}
+ */
+const LIST_FIELDS = ['ethics', 'civics', 'traits', 'technologies', 'traditions', 'ascensionPerks', 'countryFlags'];
+
+/**
+ * Describes the empire that research options are drawn for
+ */
+class EmpireState {
+  /**
+   * Largest number of research options per area that an empire can be offered
+   * @type {number}
+   */
+  static MAX_RESEARCH_OPTIONS = MAX_RESEARCH_OPTIONS;
+
+  /**
+   * Checks empire data sent by a client, see the constructor
+   * @param {any} data Empire data
+   * @returns {string|null} The problem, or null if the data is valid
+   */
+  static validate(data) {
+    const isIdList = value => Array.isArray(value) && value.every(id => typeof id === 'string');
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return 'empire must be an object';
+    }
+    for (const field of LIST_FIELDS) {
+      if (data[field] !== undefined && !isIdList(data[field])) {
+        return `empire.${field} must be an array of IDs`;
+      }
+    }
+    for (const field of ['origin', 'authority']) {
+      if (data[field] !== undefined && typeof data[field] !== 'string') {
+        return `empire.${field} must be a string`;
+      }
+    }
+    if (data.scientists !== undefined && (!data.scientists || typeof data.scientists !== 'object' ||
+        !Object.values(data.scientists).every(scientist => scientist && typeof scientist === 'object' &&
+          (scientist.traits === undefined || isIdList(scientist.traits))))) {
+      return 'empire.scientists must map research areas to scientists with a list of traits';
+    }
+    if (data.researchOptions !== undefined && (!Number.isInteger(data.researchOptions) ||
+        data.researchOptions < 1 || data.researchOptions > MAX_RESEARCH_OPTIONS)) {
+      return `empire.researchOptions must be a whole number from 1 to ${MAX_RESEARCH_OPTIONS}`;
+    }
+    if (data.dlcs !== undefined && data.dlcs !== null && !isIdList(data.dlcs)) {
+      return 'empire.dlcs must be an array of DLC names or null';
+    }
+    return null;
+  }
+
+  /**
+   * Creates a new EmpireState instance
+   * @param {Object} data Empire data
+   * @param {string[]} [data.ethics] - Ethics, e.g. `ethic_fanatic_materialist`
+   * @param {string[]} [data.civics] - Civics
+   * @param {string} [data.origin] - Origin, e.g. `origin_default`
+   * @param {string} [data.authority] - Authority, e.g. `auth_democratic`
+   * @param {string[]} [data.traits] - Traits of the founder species
+   * @param {string[]} [data.technologies] - Researched technology IDs
+   * @param {string[]} [data.traditions] - Adopted traditions
+   * @param {string[]} [data.ascensionPerks] - Adopted ascension perks
+   * @param {string[]} [data.countryFlags] - Country flags that are set
+   * @param {Object<string, {traits: string[]}>} [data.scientists] - Traits of the scientist leading each
+   *   research area, e.g. `{ physics: { traits: ['leader_trait_expertise_computing'] } }`
+   * @param {number} [data.researchOptions] - Number of options offered in each area
+   * @param {string[]|null} [data.dlcs] - Enabled DLCs, e.g. `Utopia`; null if unknown
+   */
+  constructor(data = {}) {
+    this.ethics = data.ethics || [];
+    this.civics = data.civics || [];
+    this.origin = data.origin || '';
+    this.authority = data.authority || '';
+    this.traits = data.traits || [];
+    this.technologies = data.technologies || [];
+    this.traditions = data.traditions || [];
+    this.ascensionPerks = data.ascensionPerks || [];
+    this.countryFlags = data.countryFlags || [];
+    this.scientists = data.scientists || {};
+    this.researchOptions = data.researchOptions || 3;
+    this.dlcs = Array.isArray(data.dlcs) ? data.dlcs : null;
+  }
+
+  /**
+   * Checks if the empire has an ethic (a fanatic ethic does not count as the moderate one)
+   * @param {string} ethic Ethic ID
+   * @returns {boolean} True if the empire has the ethic
+   */
+  hasEthic(ethic) {
+    return this.ethics.includes(ethic);
+  }
+
+  /**
+   * Checks if the empire has a civic or origin
+   * @param {string} civic Civic or origin ID
+   * @returns {boolean} True if the empire has the civic
+   */
+  hasCivic(civic) {
+    return this.civics.includes(civic) || this.origin === civic;
+  }
+
+  /**
+   * Checks if the empire has researched a technology
+   * @param {string} techId Technology ID
+   * @returns {boolean} True if the technology is researched
+   */
+  hasTechnology(techId) {
+    return this.technologies.includes(techId);
+  }
+
+  /**
+   * Checks if the empire is a machine or hive mind
+   * @returns {boolean} True for gestalt consciousness empires
+   */
+  isGestalt() {
+    return this.authority === 'auth_machine_intelligence' || this.authority === 'auth_hive_mind';
+  }
+
+  /**
+   * Checks if a DLC is enabled
+   * @param {string} dlc DLC name as used by `host_has_dlc`
+   * @returns {boolean|null} True if the DLC is enabled, null if the enabled DLCs are unknown
+   */
+  hasDlc(dlc) {
+    return this.dlcs ? this.dlcs.includes(dlc) : null;
+  }
+
+  /**
+   * Gets the traits of the scientist leading research in an area
+   * @param {string} area Research area (physics, society or engineering)
+   * @returns {string[]} Leader traits, empty if there is no scientist
+   */
+  getScientistTraits(area) {
+    const scientist = this.scientists[area];
+    return scientist && Array.isArray(scientist.traits) ? scientist.traits : [];
+  }
+
+  /**
+   * Converts the empire state to a plain object
+   * @returns {Object} Plain object representation of the empire state
+   */
+  toJSON() {
+    return {
+      ethics: this.ethics,
+      civics: this.civics,
+      origin: this.origin,
+      authority: this.authority,
+      traits: this.traits,
+      technologies: this.technologies,
+      traditions: this.traditions,
+      ascensionPerks: this.ascensionPerks,
+      countryFlags: this.countryFlags,
+      scientists: this.scientists,
+      researchOptions: this.researchOptions,
+      dlcs: this.dlcs
+    };
+  }
+}
+
+module.exports = EmpireState;
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+
+/**
+ * Scripted variables (`@name = value`) defined in `common/scripted_variables` of the base game and mods
+ */
+class ScriptedVariableRegistry {
+  /**
+   * Creates a new ScriptedVariableRegistry instance
+   */
+  constructor() {
+    this._variables = new Map(); // Map of variable name (without @) to { value, file, modId }
+    this._hash = null;
+  }
+
+  /**
+   * Defines a variable, replacing an earlier definition (later mods in the load order win)
+   * @param {string} name Variable name, with or without the leading @
+   * @param {any} value Variable value (a number, string, a reference to another variable like `@other`
+   *   or inline math like `@[ other * 2 ]`)
+   * @param {Object} [source={}] Where the variable was defined
+   * @param {string} [source.file] Path of the file
+   * @param {string} [source.modId] ID of the mod ('' for the base game)
+   */
+  define(name, value, source = {}) {
+    this._variables.set(this._normalize(name), {
+      value,
+      file: source.file || '',
+      modId: source.modId || ''
+    });
+    this._hash = null;
+  }
+
+  /**
+   * Defines the variables of parsed script statements
+   * @param {Array<Object>} statements Top-level statements from ScriptParser
+   * @param {Object} [source={}] Where the statements were read from (file, modId)
+   * @returns {number} Number of variables defined
+   */
+  defineFromStatements(statements, source = {}) {
+    let count = 0;
+
+    for (const statement of statements || []) {
+      if (!statement.key.startsWith('@') || statement.operator !== '=') {
+        continue;
+      }
+
+      const { type, value } = statement.value;
+      if (type === 'number' || type === 'string' || type === 'identifier') {
+        this.define(statement.key, value, source);
+        count++;
+      } else if (type === 'variable') {
+        this.define(statement.key, `@${value}`, source);
+        count++;
+      } else if (type === 'math') {
+        this.define(statement.key, `@[${value}]`, source);
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Checks if a variable is defined
+   * @param {string} name Variable name, with or without the leading @
+   * @returns {boolean} True if the variable is defined
+   */
+  has(name) {
+    return this._variables.has(this._normalize(name));
+  }
+
+  /**
+   * Gets the value of a variable, following references to other variables
+   *
+   * Inline math is returned as written (`@[ ... ]`), it is evaluated by the parser.
+   * @param {string} name Variable name, with or without the leading @
+   * @returns {any} The value, or undefined if the variable (or a variable it refers to) is not defined
+   */
+  get(name) {
+    const seen = new Set();
+    let current = this._normalize(name);
+
+    while (this._variables.has(current) && !seen.has(current)) {
+      seen.add(current);
+      const { value } = this._variables.get(current);
+
+      if (typeof value !== 'string' || !value.startsWith('@') || value.startsWith('@[')) {
+        return value;
+      }
+      current = this._normalize(value);
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Gets where a variable was defined
+   * @param {string} name Variable name, with or without the leading @
+   * @returns {{file: string, modId: string}|null} The source or null if the variable is not defined
+   */
+  getSource(name) {
+    const entry = this._variables.get(this._normalize(name));
+    return entry ? { file: entry.file, modId: entry.modId } : null;
+  }
+
+  /**
+   * Gets a hash of all definitions, which changes whenever a variable is added or changed
+   * @returns {string} Hex digest of the definitions
+   */
+  getHash() {
+    if (!this._hash) {
+      const hash = crypto.createHash('sha1');
+      for (const [name, { value }] of this._variables) {
+        hash.update(`${name}=${value}\n`);
+      }
+      this._hash = hash.digest('hex');
+    }
+    return this._hash;
+  }
+
+  /**
+   * Gets all definitions, to copy the registry to a worker thread
+   * @returns {Array<[string, {value: any, file: string, modId: string}]>} Variable names and definitions
+   */
+  toEntries() {
+    return Array.from(this._variables.entries());
+  }
+
+  /**
+   * Creates a registry from the definitions returned by toEntries()
+   * @param {Array<[string, {value: any, file: string, modId: string}]>} entries Variable names and definitions
+   * @returns {ScriptedVariableRegistry} The registry
+   */
+  static fromEntries(entries) {
+    const registry = new ScriptedVariableRegistry();
+    for (const [name, { value, file, modId }] of entries) {
+      registry.define(name, value, { file, modId });
+    }
+    return registry;
+  }
+
+  /**
+   * Gets the number of defined variables
+   * @returns {number} Number of variables
+   */
+  get size() {
+    return this._variables.size;
+  }
+
+  /**
+   * Removes all variables
+   */
+  clear() {
+    this._variables.clear();
+    this._hash = null;
+  }
+
+  /**
+   * Strips the leading @ from a variable name
+   * @param {string} name Variable name
+   * @returns {string} Name without @
+   * @private
+   */
+  _normalize(name) {
+    return name.startsWith('@') ? name.slice(1) : name;
+  }
+}
+
+module.exports = ScriptedVariableRegistry;
@@ -35,14 +35,17 @@ class Tech {
     
     // Relationships
     this.prerequisites = data.prerequisites || [];
-    this.unlocks = data.unlocks || [];
+    this.unlocks = data.unlocks || []; // Game objects ({ type, id, name }) that list this tech as a prerequisite
     
     // Visual properties
     this.icon = data.icon || '';
     
+    // Effects
+    this.modifiers = data.modifiers || {};
+    
     // Additional properties
     this.potential = data.potential || null;
-    this.weightModifiers = data.weight_modifiers || [];
+    this.weightModifiers = data.weight_modifiers || []; // { type: 'factor'|'add', value, conditions } entries
     this.aiWeight = data.ai_weight || null;
     this.startingPotential = data.starting_potential || null;
     this.prereqForDesc = data.prereq_for_desc || null;
@@ -51,6 +54,7 @@ class Tech {
     this.isResearched = data.is_researched || false;
     this.researchProgress = data.research_progress || 0;
     this.isResearchable = data.is_researchable || false;
+    this.isPossible = data.is_possible !== undefined ? data.is_possible : null; // false if `potential` rules the tech out for the empire
     
     // Computed properties (populated after all techs are loaded)
     this._childTechs = []; // Technologies that have this as a prerequisite
@@ -148,6 +152,7 @@ class Tech {
       sourceModName: this.sourceModName,
       prerequisites: this.prerequisites,
       unlocks: this.unlocks,
+      modifiers: this.modifiers,
       icon: this.icon,
       potential: this.potential,
       weightModifiers: this.weightModifiers,
@@ -157,6 +162,7 @@ class Tech {
       isResearched: this.isResearched,
       researchProgress: this.researchProgress,
       isResearchable: this.isResearchable,
+      isPossible: this.isPossible,
       childTechs: this.getChildTechs()
     };
   }
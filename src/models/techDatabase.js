@@ -14,6 +14,8 @@ class TechDatabase {
     this._categories = new Map(); // Map of category ID to category name
     this._sourceFiles = new Map(); // Map of file path to array of tech IDs
     this._modTechs = new Map(); // Map of mod ID to array of tech IDs
+    this._unlockables = new Map(); // Map of `type:id` to Unlockable instance
+    this._history = new Map(); // Map of tech ID to every definition read, in the order they were added
     this._initialized = false;
   }
 
@@ -39,14 +41,19 @@ class TechDatabase {
    * Adds a technology to the database
    * @param {Tech} tech Technology to add
    * @param {boolean} [overrideExisting=true] Whether to override existing technology with the same ID
+   * @param {Object} [origin={}] Where the definition was read, recorded in the history of the technology
+   * @param {string} [origin.relativePath] Path of the file relative to the game or mod directory
+   * @param {number} [origin.loadOrder] 0 for the base game, the position in the load order plus one for mods
    * @returns {Tech} The added or existing technology
    */
-  addTechnology(tech, overrideExisting = true) {
+  addTechnology(tech, overrideExisting = true, origin = {}) {
     if (!tech || !tech.id) {
       logger.warn('Attempted to add invalid technology to database');
       return null;
     }
 
+    this._recordDefinition(tech, origin);
+
     const existingTech = this._technologies.get(tech.id);
     
     // If the tech already exists and we're not overriding, return the existing one
@@ -56,38 +63,7 @@ class TechDatabase {
 
     // Add or update the technology
     this._technologies.set(tech.id, tech);
-
-    // Track the source file
-    if (tech.sourceFile) {
-      if (!this._sourceFiles.has(tech.sourceFile)) {
-        this._sourceFiles.set(tech.sourceFile, []);
-      }
-      const techsInFile = this._sourceFiles.get(tech.sourceFile);
-      if (!techsInFile.includes(tech.id)) {
-        techsInFile.push(tech.id);
-      }
-    }
-
-    // Track the mod
-    if (tech.modId) {
-      if (!this._modTechs.has(tech.modId)) {
-        this._modTechs.set(tech.modId, []);
-      }
-      const techsInMod = this._modTechs.get(tech.modId);
-      if (!techsInMod.includes(tech.id)) {
-        techsInMod.push(tech.id);
-      }
-    }
-
-    // Track the area
-    if (tech.areaId && tech.areaName) {
-      this._areas.set(tech.areaId, tech.areaName);
-    }
-
-    // Track the category
-    if (tech.categoryId && tech.categoryName) {
-      this._categories.set(tech.categoryId, tech.categoryName);
-    }
+    this._trackTechnology(tech);
 
     return tech;
   }
@@ -96,9 +72,10 @@ class TechDatabase {
    * Adds multiple technologies to the database
    * @param {Tech[]} technologies Array of technologies to add
    * @param {boolean} [overrideExisting=true] Whether to override existing technologies
+   * @param {Object} [origin={}] Where the definitions were read, see addTechnology
    * @returns {number} Number of technologies added
    */
-  addTechnologies(technologies, overrideExisting = true) {
+  addTechnologies(technologies, overrideExisting = true, origin = {}) {
     if (!Array.isArray(technologies)) {
       logger.warn('Attempted to add non-array of technologies to database');
       return 0;
@@ -106,7 +83,7 @@ class TechDatabase {
 
     let addedCount = 0;
     for (const tech of technologies) {
-      if (this.addTechnology(tech, overrideExisting)) {
+      if (this.addTechnology(tech, overrideExisting, origin)) {
         addedCount++;
       }
     }
@@ -114,6 +91,138 @@ class TechDatabase {
     return addedCount;
   }
 
+  /**
+   * Records the technologies of a file that was replaced by a file with the same path, so they are never loaded
+   * @param {Tech[]} technologies Technologies of the replaced file
+   * @param {Object} origin Where the definitions were read, see addTechnology
+   * @param {Object} origin.replacedBy The file that replaced it: `{ file, modId, modName }`
+   * @returns {number} Number of definitions recorded
+   */
+  addReplacedTechnologies(technologies, origin) {
+    const valid = (technologies || []).filter(tech => tech && tech.id);
+    for (const tech of valid) {
+      this._recordDefinition(tech, origin);
+    }
+    return valid.length;
+  }
+
+  /**
+   * Replaces the definitions read from a file path, e.g. after the file changed on disk
+   *
+   * The new definitions take the place of the old ones in the read order, so the technologies in use are the ones
+   * a full load would pick. Technologies that changed keep their research state and are linked to their
+   * prerequisites, dependent technologies and unlocked objects again.
+   * @param {string} relativePath Path of the file relative to the game or mod directories
+   * @param {Array<{technologies: Tech[], origin: Object}>} files The files now read from the path, the replaced
+   *   ones first (with `origin.replacedBy`), then the one in use; empty if no source has the file anymore
+   * @param {boolean} [overrideExisting=true] Whether the last definition read wins, see addTechnology
+   * @returns {{added: string[], removed: string[], updated: string[]}} IDs of the technologies in use that were
+   *   added, removed or replaced by another definition
+   */
+  replaceFileDefinitions(relativePath, files, overrideExisting = true) {
+    const key = relativePath.toLowerCase();
+    const affected = new Set();
+
+    // Drop the definitions previously read from the path
+    for (const [id, definitions] of this._history) {
+      const remaining = definitions.filter(({ origin }) => (origin.relativePath || '').toLowerCase() !== key);
+      if (remaining.length !== definitions.length) {
+        affected.add(id);
+        this._history.set(id, remaining);
+      }
+    }
+
+    // Insert the new ones after the definitions of files read before the path
+    for (const { technologies, origin } of files) {
+      for (const tech of technologies.filter(tech => tech && tech.id)) {
+        affected.add(tech.id);
+        const definitions = this._history.get(tech.id) || [];
+        const index = definitions.findIndex(definition =>
+          compareAscii(definition.origin.relativePath || '', relativePath) > 0);
+        definitions.splice(index === -1 ? definitions.length : index, 0, { tech, origin });
+        this._history.set(tech.id, definitions);
+      }
+    }
+
+    const changes = { added: [], removed: [], updated: [] };
+    const previous = new Map();
+
+    for (const id of affected) {
+      const definitions = this._history.get(id);
+      const loaded = definitions.filter(({ origin }) => !origin.replacedBy);
+      const winner = loaded.length > 0 ? loaded[overrideExisting ? loaded.length - 1 : 0].tech : null;
+      const current = this._technologies.get(id) || null;
+
+      if (definitions.length === 0) {
+        this._history.delete(id);
+      }
+      if (winner === current) {
+        continue;
+      }
+
+      if (current) {
+        previous.set(id, current);
+        this._untrackTechnology(current);
+      }
+
+      if (winner) {
+        winner.isResearched = current ? current.isResearched : false;
+        winner.researchProgress = current ? current.researchProgress : 0;
+        winner.isResearchable = current ? current.isResearchable : false;
+        winner.isPossible = current ? current.isPossible : null;
+        this._technologies.set(id, winner);
+        this._trackTechnology(winner);
+        changes[current ? 'updated' : 'added'].push(id);
+      } else {
+        this._technologies.delete(id);
+        changes.removed.push(id);
+      }
+    }
+
+    this._relinkTechnologies(previous, [...changes.added, ...changes.updated]);
+
+    logger.debug(`Replaced the definitions of ${relativePath}: ${changes.added.length} added, ${changes.updated.length} updated, ${changes.removed.length} removed`);
+    return changes;
+  }
+
+  /**
+   * Gets every definition of a technology, from the base game through the mods in load order
+   * @param {string} id Technology ID
+   * @returns {Array<Object>|null} Definitions with their file, mod and load order; the one in use has `winning` set,
+   *   the others the reason they are not used. Null if the technology was never defined
+   */
+  getTechnologyHistory(id) {
+    const definitions = this._history.get(id);
+    if (!definitions) {
+      return null;
+    }
+
+    const current = this._technologies.get(id);
+    return definitions
+      .map(({ tech, origin }) => {
+        const winning = tech === current;
+        return {
+          modId: tech.sourceModId || tech.modId || '',
+          modName: tech.sourceModName || '',
+          file: tech.sourceFile || '',
+          relativePath: origin.relativePath || null,
+          loadOrder: origin.loadOrder || 0,
+          winning,
+          reason: winning ? null : (origin.replacedBy ? 'file_replaced' : 'overridden'),
+          replacedBy: origin.replacedBy || null
+        };
+      })
+      .sort((a, b) => a.loadOrder - b.loadOrder);
+  }
+
+  /**
+   * Gets the IDs of all technologies that were ever defined, including those only defined in replaced files
+   * @returns {string[]} Technology IDs
+   */
+  getDefinedTechnologyIds() {
+    return Array.from(this._history.keys());
+  }
+
   /**
    * Gets a technology by its ID
    * @param {string} id Technology ID
@@ -161,6 +270,31 @@ class TechDatabase {
     return this.getAllTechnologies().filter(tech => tech.tier === tier);
   }
 
+  /**
+   * Gets research cost statistics for each tier, using the effective cost of the technologies
+   * @returns {Object<number, {count: number, minCost: number, maxCost: number, averageCost: number}>} Statistics by tier
+   */
+  getTierStatistics() {
+    const stats = {};
+
+    for (const tech of this._technologies.values()) {
+      const cost = tech.getEffectiveCost();
+      const tierStats = stats[tech.tier] || (stats[tech.tier] = { count: 0, minCost: cost, maxCost: cost, totalCost: 0 });
+
+      tierStats.count++;
+      tierStats.minCost = Math.min(tierStats.minCost, cost);
+      tierStats.maxCost = Math.max(tierStats.maxCost, cost);
+      tierStats.totalCost += cost;
+    }
+
+    for (const tierStats of Object.values(stats)) {
+      tierStats.averageCost = Math.round(tierStats.totalCost / tierStats.count);
+      delete tierStats.totalCost;
+    }
+
+    return stats;
+  }
+
   /**
    * Gets technologies by mod
    * @param {string} modId Mod ID
@@ -171,6 +305,40 @@ class TechDatabase {
     return techIds.map(id => this.getTechnology(id)).filter(Boolean);
   }
 
+  /**
+   * Adds game objects that require technologies, later objects replace earlier ones with the same type and ID
+   * @param {import('./unlockable')[]} unlockables Array of unlockables to add
+   * @returns {number} Number of unlockables added
+   */
+  addUnlockables(unlockables) {
+    if (!Array.isArray(unlockables)) {
+      logger.warn('Attempted to add non-array of unlockables to database');
+      return 0;
+    }
+
+    for (const unlockable of unlockables) {
+      this._unlockables.set(unlockable.key, unlockable);
+    }
+
+    return unlockables.length;
+  }
+
+  /**
+   * Gets game objects that require technologies
+   * @param {Object} [filters={}] Optional filters
+   * @param {string} [filters.type] Only return objects of this type
+   * @param {string} [filters.search] Only return objects whose ID or name contains this text (case-insensitive)
+   * @returns {import('./unlockable')[]} Array of unlockables
+   */
+  getUnlockables(filters = {}) {
+    const search = filters.search ? filters.search.toLowerCase() : null;
+
+    return Array.from(this._unlockables.values()).filter(unlockable =>
+      (!filters.type || unlockable.type === filters.type) &&
+      (!search || unlockable.id.toLowerCase().includes(search) || unlockable.name.toLowerCase().includes(search))
+    );
+  }
+
   /**
    * Gets all areas in the database
    * @returns {Object[]} Array of area objects with id and name properties
@@ -226,6 +394,7 @@ class TechDatabase {
     // Reset all child relationships
     for (const tech of this._technologies.values()) {
       tech._childTechs = [];
+      tech.unlocks = [];
     }
 
     // Establish parent-child relationships
@@ -242,9 +411,82 @@ class TechDatabase {
       }
     }
 
+    // Link game objects to the technologies they require
+    for (const unlockable of this._unlockables.values()) {
+      for (const techId of unlockable.prerequisites) {
+        const tech = this.getTechnology(techId);
+        if (tech) {
+          tech.unlocks.push({ type: unlockable.type, id: unlockable.id, name: unlockable.name });
+        }
+      }
+    }
+
     logger.info('Technology tree relationships built successfully');
   }
 
+  /**
+   * Applies the research state read from a save game to the technologies
+   * @param {Object} status Research state as returned by SaveGameParser
+   * @param {Array<{id: string}>} status.researchedTechs Researched technologies
+   * @param {Object<string, Array>} [status.researchQueues] Research queues by area
+   * @param {Object<string, string[]>} [status.alternatives] Research options by area
+   * @returns {Object} Counts of applied entries and IDs not found in the database
+   */
+  applyResearchStatus(status) {
+    const { researchedTechs = [], researchQueues = {}, alternatives = {} } = status || {};
+    const unknownTechs = new Set();
+    const result = { researched: 0, inProgress: 0, researchable: 0, unknownTechs: [] };
+
+    // Reset any state from a previously applied save
+    for (const tech of this._technologies.values()) {
+      tech.isResearched = false;
+      tech.researchProgress = 0;
+      tech.isResearchable = false;
+    }
+
+    for (const { id } of researchedTechs) {
+      const tech = this.getTechnology(id);
+      if (!tech) {
+        unknownTechs.add(id);
+        continue;
+      }
+      tech.isResearched = true;
+      result.researched++;
+    }
+
+    for (const queue of Object.values(researchQueues)) {
+      for (const { techId, progress } of queue) {
+        const tech = this.getTechnology(techId);
+        if (!tech) {
+          unknownTechs.add(techId);
+          continue;
+        }
+        tech.researchProgress = progress;
+        result.inProgress++;
+      }
+    }
+
+    for (const options of Object.values(alternatives)) {
+      for (const techId of options) {
+        const tech = this.getTechnology(techId);
+        if (!tech) {
+          unknownTechs.add(techId);
+          continue;
+        }
+        tech.isResearchable = true;
+        result.researchable++;
+      }
+    }
+
+    result.unknownTechs = Array.from(unknownTechs);
+    if (result.unknownTechs.length > 0) {
+      logger.warn(`Save game references ${result.unknownTechs.length} unknown technologies`);
+    }
+
+    logger.info(`Applied research status: ${result.researched} researched, ${result.inProgress} in progress, ${result.researchable} researchable`);
+    return result;
+  }
+
   /**
    * Gets the total number of technologies in the database
    * @returns {number} Total number of technologies
@@ -260,9 +502,145 @@ class TechDatabase {
     this._technologies.clear();
     this._sourceFiles.clear();
     this._modTechs.clear();
+    this._unlockables.clear();
+    this._history.clear();
     // Don't clear areas and categories as they might be reused
     logger.info('Technology database cleared');
   }
+
+  /**
+   * Records a definition of a technology in its history
+   * @param {Tech} tech The definition
+   * @param {Object} origin Where the definition was read
+   * @private
+   */
+  _recordDefinition(tech, origin) {
+    if (!this._history.has(tech.id)) {
+      this._history.set(tech.id, []);
+    }
+    this._history.get(tech.id).push({ tech, origin });
+  }
+
+  /**
+   * Tracks the file, mod, area and category of a technology in use
+   * @param {Tech} tech The technology
+   * @private
+   */
+  _trackTechnology(tech) {
+    // Track the source file
+    if (tech.sourceFile) {
+      if (!this._sourceFiles.has(tech.sourceFile)) {
+        this._sourceFiles.set(tech.sourceFile, []);
+      }
+      const techsInFile = this._sourceFiles.get(tech.sourceFile);
+      if (!techsInFile.includes(tech.id)) {
+        techsInFile.push(tech.id);
+      }
+    }
+
+    // Track the mod
+    if (tech.modId) {
+      if (!this._modTechs.has(tech.modId)) {
+        this._modTechs.set(tech.modId, []);
+      }
+      const techsInMod = this._modTechs.get(tech.modId);
+      if (!techsInMod.includes(tech.id)) {
+        techsInMod.push(tech.id);
+      }
+    }
+
+    // Track the area
+    if (tech.areaId && tech.areaName) {
+      this._areas.set(tech.areaId, tech.areaName);
+    }
+
+    // Track the category
+    if (tech.categoryId && tech.categoryName) {
+      this._categories.set(tech.categoryId, tech.categoryName);
+    }
+  }
+
+  /**
+   * Stops tracking the file and mod of a technology that is no longer in use
+   * @param {Tech} tech The technology
+   * @private
+   */
+  _untrackTechnology(tech) {
+    for (const [map, key] of [[this._sourceFiles, tech.sourceFile], [this._modTechs, tech.modId]]) {
+      const ids = map.get(key);
+      if (ids) {
+        const remaining = ids.filter(id => id !== tech.id);
+        if (remaining.length > 0) {
+          map.set(key, remaining);
+        } else {
+          map.delete(key);
+        }
+      }
+    }
+  }
+
+  /**
+   * Updates the parent-child relationships and unlocked objects of technologies whose definition changed,
+   * like buildTechTree does for all technologies
+   * @param {Map<string, Tech>} previous Map of tech ID to the definition that was in use before
+   * @param {string[]} changedIds IDs of the technologies with a new definition
+   * @private
+   */
+  _relinkTechnologies(previous, changedIds) {
+    // Unlink the definitions that are no longer in use from their prerequisites
+    for (const [id, tech] of previous) {
+      for (const prereqId of tech.prerequisites || []) {
+        const prereq = this.getTechnology(prereqId);
+        if (prereq) {
+          prereq._childTechs = prereq._childTechs.filter(childId => childId !== id);
+        }
+      }
+    }
+
+    for (const id of changedIds) {
+      const tech = this.getTechnology(id);
+
+      // Other technologies may require the new definition, whatever the old one was
+      tech._childTechs = [];
+      for (const other of this._technologies.values()) {
+        if (other.prerequisites && other.prerequisites.includes(id)) {
+          tech.addChildTech(other.id);
+        }
+      }
+
+      tech.unlocks = [];
+      for (const unlockable of this._unlockables.values()) {
+        if (unlockable.prerequisites.includes(id)) {
+          tech.unlocks.push({ type: unlockable.type, id: unlockable.id, name: unlockable.name });
+        }
+      }
+    }
+
+    for (const id of changedIds) {
+      const tech = this.getTechnology(id);
+      for (const prereqId of tech.prerequisites || []) {
+        const prereq = this.getTechnology(prereqId);
+        if (prereq) {
+          prereq.addChildTech(id);
+        } else {
+          logger.warn(`Technology ${id} has missing prerequisite: ${prereqId}`);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Compares strings by character code, the order VirtualFileSystem lists the files the game reads in
+ * @param {string} a First string
+ * @param {string} b Second string
+ * @returns {number} Negative if a comes first, positive if b comes first, 0 if equal
+ */
+function compareAscii(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  return a < b ? -1 : 1;
 }
 
 module.exports = TechDatabase; 
\ No newline at end of file
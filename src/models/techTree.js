@@ -1,7 +1,30 @@
+const ValidationIssue = require('./validationIssue');
+
+/**
+ * Colors of the research areas in exported graphs, as in the Tech Tree tab
+ * @type {Object<string, string>}
+ */
+const AREA_COLORS = {
+  physics: '#3182ce',
+  society: '#38a169',
+  engineering: '#dd6b20',
+  default: '#718096'
+};
+
+/**
+ * Subgraphs of a technology: its prerequisites, the technologies it leads to, both, or its path to the furthest root
+ * @type {string[]}
+ */
+const GRAPH_DIRECTIONS = ['ancestors', 'descendants', 'both', 'path'];
+
 /**
  * Represents a technology tree structure
  */
 class TechTree {
+  static AREA_COLORS = AREA_COLORS;
+  static GRAPH_FORMATS = ['dot', 'mermaid'];
+  static GRAPH_DIRECTIONS = GRAPH_DIRECTIONS;
+
   /**
    * Creates a new TechTree instance
    * @param {TechDatabase} techDatabase The technology database
@@ -14,6 +37,7 @@ class TechTree {
     this._maxDepth = 0; // Maximum depth of the tree
     this._maxWidth = 0; // Maximum width of the tree at any level
     this._depthMap = new Map(); // Map of depth to array of nodes at that depth
+    this._missingPrerequisites = new Map(); // Map of missing prerequisite ID to the IDs of the techs requiring it
   }
 
   /**
@@ -39,83 +63,335 @@ class TechTree {
    * @private
    */
   async _buildTree() {
-    // Get all technologies from the database
-    const allTechs = this._techDatabase.getAllTechnologies();
-    
     // Create nodes for all technologies
-    for (const tech of allTechs) {
-      this._nodeMap.set(tech.id, {
-        tech,
-        children: [], // Technologies that have this as a prerequisite
-        parents: [], // Technologies that are prerequisites for this
-        depth: 0, // Depth in the tree (0 for root nodes)
-        position: { x: 0, y: 0 } // Position for visualization
-      });
+    for (const tech of this._techDatabase.getAllTechnologies()) {
+      this._nodeMap.set(tech.id, this._createNode(tech));
     }
     
     // Build relationships between nodes
-    for (const tech of allTechs) {
+    for (const id of this._nodeMap.keys()) {
+      this._linkNode(id);
+    }
+    
+    // Calculate depth for each node
+    this._calculateDepth();
+  }
+
+  /**
+   * Adds a technology to the tree, or updates it if the tree has a technology with the same ID
+   *
+   * Technologies that required it while it was missing are linked to it, and the depths of its descendants and
+   * the metrics of the tree are updated.
+   * @param {Tech} tech The technology
+   */
+  addTechnology(tech) {
+    this._refresh(this._addNode(tech));
+  }
+
+  /**
+   * Removes a technology from the tree; the technologies that require it keep it as a missing prerequisite
+   * @param {string} techId The technology ID
+   * @returns {boolean} True if the technology was in the tree
+   */
+  removeTechnology(techId) {
+    if (!this._nodeMap.has(techId)) {
+      return false;
+    }
+    
+    this._refresh(this._removeNode(techId));
+    return true;
+  }
+
+  /**
+   * Replaces a technology with another definition, e.g. after its file changed
+   *
+   * Its links are only rebuilt if its prerequisites changed.
+   * @param {Tech} tech The new definition
+   */
+  updateTechnology(tech) {
+    this._refresh(this._nodeMap.has(tech.id) ? this._updateNode(tech) : this._addNode(tech));
+  }
+
+  /**
+   * Brings the tree up to date with the technology database, e.g. after technologies were loaded for another
+   * playset
+   *
+   * Only technologies that were added, removed or replaced by another definition are relinked. Without
+   * prerequisite cycles, the tree is the same as a tree built from scratch.
+   * @returns {{added: string[], removed: string[], updated: string[]}} IDs of the technologies that changed
+   */
+  sync() {
+    const technologies = this._techDatabase.getAllTechnologies();
+    const ids = new Set(technologies.map(tech => tech.id));
+    const changes = { added: [], removed: [], updated: [] };
+    const changed = new Set();
+    
+    for (const id of Array.from(this._nodeMap.keys())) {
+      if (!ids.has(id)) {
+        this._removeNode(id).forEach(changedId => changed.add(changedId));
+        changes.removed.push(id);
+      }
+    }
+    
+    for (const tech of technologies) {
       const node = this._nodeMap.get(tech.id);
+      if (!node) {
+        this._addNode(tech).forEach(changedId => changed.add(changedId));
+        changes.added.push(tech.id);
+      } else if (node.tech !== tech) {
+        this._updateNode(tech).forEach(changedId => changed.add(changedId));
+        changes.updated.push(tech.id);
+      }
+    }
+    
+    this._refresh(changed);
+    return changes;
+  }
+
+  /**
+   * Creates the node of a technology, without links
+   * @param {Tech} tech The technology
+   * @returns {Object} The node
+   * @private
+   */
+  _createNode(tech) {
+    return {
+      tech,
+      children: [], // Technologies that have this as a prerequisite
+      parents: [], // Technologies that are prerequisites for this
+      missingPrerequisites: [], // Prerequisite IDs that are not in the database
+      depth: -1, // Depth in the tree (0 for root nodes), -1 until calculated
+      position: { x: 0, y: 0 } // Position for visualization
+    };
+  }
+
+  /**
+   * Links a node to its prerequisites
+   * @param {string} id The technology ID
+   * @private
+   */
+  _linkNode(id) {
+    const node = this._nodeMap.get(id);
+    
+    // Add parent-child relationships
+    for (const prereqId of node.tech.prerequisites) {
+      const prereqNode = this._nodeMap.get(prereqId);
       
-      // Add parent-child relationships
-      for (const prereqId of tech.prerequisites) {
-        const prereqNode = this._nodeMap.get(prereqId);
+      if (prereqNode) {
+        // Add this tech as a child of its prerequisite
+        prereqNode.children.push(id);
         
-        if (prereqNode) {
-          // Add this tech as a child of its prerequisite
-          prereqNode.children.push(tech.id);
-          
-          // Add the prerequisite as a parent of this tech
-          node.parents.push(prereqId);
+        // Add the prerequisite as a parent of this tech
+        node.parents.push(prereqId);
+      } else {
+        // Reported by validate(), and linked once a technology with this ID is added
+        node.missingPrerequisites.push(prereqId);
+        if (!this._missingPrerequisites.has(prereqId)) {
+          this._missingPrerequisites.set(prereqId, new Set());
         }
+        this._missingPrerequisites.get(prereqId).add(id);
       }
-      
-      // If this tech has no prerequisites, it's a root node
-      if (tech.prerequisites.length === 0) {
-        this._rootNodes.push(tech.id);
+    }
+    
+    // If this tech has no prerequisites, it's a root node
+    if (node.tech.prerequisites.length === 0) {
+      this._rootNodes.push(id);
+    }
+  }
+
+  /**
+   * Removes the links of a node to its prerequisites
+   * @param {string} id The technology ID
+   * @private
+   */
+  _unlinkNode(id) {
+    const node = this._nodeMap.get(id);
+    
+    for (const parentId of new Set(node.parents)) {
+      // The parent is already gone when a removed node's children are relinked
+      const parent = this._nodeMap.get(parentId);
+      if (parent) {
+        parent.children = parent.children.filter(childId => childId !== id);
       }
     }
     
-    // Calculate depth for each node using breadth-first traversal
-    this._calculateDepth();
+    for (const prereqId of node.missingPrerequisites) {
+      const waiting = this._missingPrerequisites.get(prereqId);
+      waiting.delete(id);
+      if (waiting.size === 0) {
+        this._missingPrerequisites.delete(prereqId);
+      }
+    }
+    
+    node.parents = [];
+    node.missingPrerequisites = [];
+    this._rootNodes = this._rootNodes.filter(rootId => rootId !== id);
   }
 
   /**
-   * Calculates the depth of each node in the tree
+   * Adds the node of a technology and links the technologies waiting for it as a missing prerequisite
+   * @param {Tech} tech The technology
+   * @returns {string[]} IDs of the nodes whose depth may have changed
    * @private
    */
-  _calculateDepth() {
-    // Initialize queue with root nodes
-    const queue = [...this._rootNodes.map(id => ({ id, depth: 0 }))];
-    const visited = new Set();
+  _addNode(tech) {
+    if (this._nodeMap.has(tech.id)) {
+      return this._updateNode(tech);
+    }
+    
+    this._nodeMap.set(tech.id, this._createNode(tech));
+    this._linkNode(tech.id);
     
-    // Process queue
+    const waiting = Array.from(this._missingPrerequisites.get(tech.id) || []);
+    for (const childId of waiting) {
+      this._unlinkNode(childId);
+      this._linkNode(childId);
+    }
+    
+    return [tech.id, ...waiting];
+  }
+
+  /**
+   * Removes the node of a technology; its children keep it as a missing prerequisite
+   * @param {string} id The technology ID
+   * @returns {string[]} IDs of the nodes whose depth may have changed
+   * @private
+   */
+  _removeNode(id) {
+    const node = this._nodeMap.get(id);
+    const children = Array.from(new Set(node.children));
+    
+    this._unlinkNode(id);
+    this._removeFromDepthMap(id, node.depth);
+    this._nodeMap.delete(id);
+    
+    for (const childId of children) {
+      this._unlinkNode(childId);
+      this._linkNode(childId);
+    }
+    
+    return children;
+  }
+
+  /**
+   * Replaces the technology of a node, relinking it if its prerequisites changed
+   * @param {Tech} tech The new definition
+   * @returns {string[]} IDs of the nodes whose depth may have changed
+   * @private
+   */
+  _updateNode(tech) {
+    const node = this._nodeMap.get(tech.id);
+    const previous = node.tech.prerequisites;
+    node.tech = tech;
+    
+    if (previous.length === tech.prerequisites.length && previous.every((id, index) => tech.prerequisites[index] === id)) {
+      return [];
+    }
+    
+    this._unlinkNode(tech.id);
+    this._linkNode(tech.id);
+    return [tech.id];
+  }
+
+  /**
+   * Updates the depths of changed nodes and their descendants, and the metrics of the tree
+   * @param {Iterable<string>} changedIds IDs of the nodes whose prerequisites changed
+   * @private
+   */
+  _refresh(changedIds) {
+    const ids = Array.from(changedIds).filter(id => this._nodeMap.has(id));
+    
+    // The depth of a node only depends on its ancestors, so only the descendants of the changed nodes can move
+    const affected = new Set(ids);
+    const queue = [...ids];
     while (queue.length > 0) {
-      const { id, depth } = queue.shift();
-      
-      // Skip if already visited with equal or greater depth
-      if (visited.has(id) && this._nodeMap.get(id).depth >= depth) {
-        continue;
+      for (const childId of this._nodeMap.get(queue.shift()).children) {
+        if (!affected.has(childId)) {
+          affected.add(childId);
+          queue.push(childId);
+        }
+      }
+    }
+    
+    if (affected.size > 0) {
+      this._calculateDepth(affected);
+    }
+    this._calculateMetrics();
+  }
+
+  /**
+   * Calculates the depth of nodes in the tree
+   *
+   * The depth is the length of the longest prerequisite chain leading to the node. Prerequisites that close a
+   * cycle are ignored, so cycles introduced by mods cannot make the calculation loop.
+   * @param {Set<string>} [ids] Nodes to calculate the depth of, keeping the depth of the other nodes; all nodes
+   *   if not given
+   * @private
+   */
+  _calculateDepth(ids = null) {
+    const depths = new Map();
+    const visiting = new Set();
+    const nodes = ids || new Set(this._nodeMap.keys());
+    
+    if (ids) {
+      for (const id of ids) {
+        this._removeFromDepthMap(id, this._nodeMap.get(id).depth);
+      }
+    } else {
+      this._depthMap.clear();
+    }
+    
+    const calculate = id => {
+      if (!nodes.has(id)) {
+        return this._nodeMap.get(id).depth;
+      }
+      if (depths.has(id)) {
+        return depths.get(id);
       }
       
-      // Update node depth
-      const node = this._nodeMap.get(id);
-      node.depth = Math.max(node.depth, depth);
-      visited.add(id);
-      
-      // Add children to queue with incremented depth
-      for (const childId of node.children) {
-        queue.push({ id: childId, depth: depth + 1 });
+      visiting.add(id);
+      let depth = 0;
+      for (const parentId of this._nodeMap.get(id).parents) {
+        if (!visiting.has(parentId)) {
+          depth = Math.max(depth, calculate(parentId) + 1);
+        }
       }
+      visiting.delete(id);
+      
+      depths.set(id, depth);
+      return depth;
+    };
+    
+    for (const id of nodes) {
+      this._nodeMap.get(id).depth = calculate(id);
     }
     
     // Group nodes by depth
-    this._depthMap.clear();
-    for (const [id, node] of this._nodeMap.entries()) {
-      if (!this._depthMap.has(node.depth)) {
-        this._depthMap.set(node.depth, []);
+    for (const id of nodes) {
+      const depth = this._nodeMap.get(id).depth;
+      if (!this._depthMap.has(depth)) {
+        this._depthMap.set(depth, []);
       }
-      this._depthMap.get(node.depth).push(id);
+      this._depthMap.get(depth).push(id);
+    }
+  }
+
+  /**
+   * Removes a node from the group of its depth
+   * @param {string} id The technology ID
+   * @param {number} depth The depth it is grouped at
+   * @private
+   */
+  _removeFromDepthMap(id, depth) {
+    const group = this._depthMap.get(depth);
+    const index = group ? group.indexOf(id) : -1;
+    if (index === -1) {
+      return;
+    }
+    
+    group.splice(index, 1);
+    if (group.length === 0) {
+      this._depthMap.delete(depth);
     }
   }
 
@@ -137,6 +413,198 @@ class TechTree {
     }
   }
 
+  /**
+   * Validates the prerequisites of the tree
+   *
+   * Reports prerequisites that do not resolve and prerequisite cycles as errors, and technologies that cannot be
+   * reached from the starting technologies (see getReachableNodes) and technologies requiring a higher tier as
+   * warnings. The technologies with the errors are not reported as unreachable too; the technologies after them
+   * are, blocked by the technologies with the errors they depend on.
+   * @returns {ValidationIssue[]} The issues found
+   */
+  validate() {
+    const issues = [];
+    
+    for (const [id, node] of this._nodeMap.entries()) {
+      for (const prereqId of node.missingPrerequisites) {
+        issues.push(new ValidationIssue({
+          type: ValidationIssue.MISSING_PREREQUISITE,
+          severity: ValidationIssue.ERROR,
+          techId: id,
+          message: `Requires ${prereqId}, which does not exist`,
+          details: { prerequisite: prereqId }
+        }));
+      }
+    }
+    
+    const cycles = this.findCycles();
+    const inCycle = new Set(cycles.flat());
+    for (const cycle of cycles) {
+      issues.push(new ValidationIssue({
+        type: ValidationIssue.CYCLE,
+        severity: ValidationIssue.ERROR,
+        techId: cycle[0],
+        message: `Prerequisite cycle: ${[...cycle, cycle[0]].join(' -> ')}`,
+        details: { cycle: [...cycle, cycle[0]] }
+      }));
+    }
+    
+    const reachable = this.getReachableNodes();
+    for (const [id, node] of this._nodeMap.entries()) {
+      if (reachable.has(id) || inCycle.has(id) || node.missingPrerequisites.length > 0) {
+        continue;
+      }
+      
+      const blockedBy = Array.from(this.getAncestors(id)).filter(ancestorId => !reachable.has(ancestorId) &&
+        (inCycle.has(ancestorId) || this._nodeMap.get(ancestorId).missingPrerequisites.length > 0));
+      issues.push(new ValidationIssue({
+        type: ValidationIssue.UNREACHABLE,
+        severity: ValidationIssue.WARNING,
+        techId: id,
+        message: `Cannot be reached from the starting technologies (blocked by ${blockedBy.join(', ')})`,
+        details: { blockedBy }
+      }));
+    }
+    
+    for (const [id, node] of this._nodeMap.entries()) {
+      for (const parentId of node.parents) {
+        const parent = this._nodeMap.get(parentId).tech;
+        if (parent.tier > node.tech.tier) {
+          issues.push(new ValidationIssue({
+            type: ValidationIssue.TIER_INVERSION,
+            severity: ValidationIssue.WARNING,
+            techId: id,
+            message: `Tier ${node.tech.tier} technology requires tier ${parent.tier} technology ${parentId}`,
+            details: { prerequisite: parentId, tier: node.tech.tier, prerequisiteTier: parent.tier }
+          }));
+        }
+      }
+    }
+    
+    return issues;
+  }
+
+  /**
+   * Finds the prerequisite cycles of the tree
+   *
+   * Uses Tarjan's algorithm to find the groups of technologies that require each other and reports one cycle
+   * per group.
+   * @returns {Array<string[]>} Cycles as technology IDs, each requiring the next and the last requiring the first
+   */
+  findCycles() {
+    const indexes = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cycles = [];
+    let index = 0;
+    
+    const connect = id => {
+      indexes.set(id, index);
+      lowLinks.set(id, index);
+      index++;
+      stack.push(id);
+      onStack.add(id);
+      
+      for (const parentId of this._nodeMap.get(id).parents) {
+        if (!indexes.has(parentId)) {
+          connect(parentId);
+          lowLinks.set(id, Math.min(lowLinks.get(id), lowLinks.get(parentId)));
+        } else if (onStack.has(parentId)) {
+          lowLinks.set(id, Math.min(lowLinks.get(id), indexes.get(parentId)));
+        }
+      }
+      
+      if (lowLinks.get(id) === indexes.get(id)) {
+        const group = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          group.push(member);
+        } while (member !== id);
+        
+        if (group.length > 1 || this._nodeMap.get(id).parents.includes(id)) {
+          cycles.push(this._findCyclePath(new Set(group)));
+        }
+      }
+    };
+    
+    for (const id of this._nodeMap.keys()) {
+      if (!indexes.has(id)) {
+        connect(id);
+      }
+    }
+    
+    return cycles;
+  }
+
+  /**
+   * Finds a cycle through the technologies of a group that require each other
+   * @param {Set<string>} group Technology IDs of the group
+   * @returns {string[]} The cycle, starting with the first technology of the group in ID order when it is on it
+   * @private
+   */
+  _findCyclePath(group) {
+    const start = Array.from(group).sort()[0];
+    const path = [start];
+    const visited = new Set(path);
+    
+    // Follow prerequisites inside the group until the path comes back to a technology on it
+    let current = start;
+    for (;;) {
+      const parents = this._nodeMap.get(current).parents.filter(parentId => group.has(parentId));
+      const next = parents.includes(start) ? start : parents.find(parentId => !visited.has(parentId)) || parents[0];
+      
+      if (visited.has(next)) {
+        return path.slice(path.indexOf(next));
+      }
+      
+      path.push(next);
+      visited.add(next);
+      current = next;
+    }
+  }
+
+  /**
+   * Gets the technologies that can be researched starting from the starting technologies
+   *
+   * Besides the start techs an empire has researched at the start of a game, the technologies without
+   * prerequisites count as starting technologies, since they can be offered from the start too. A technology can be
+   * reached when all its prerequisites exist and can be reached.
+   * @returns {Set<string>} Technology IDs
+   */
+  getReachableNodes() {
+    const remaining = new Map();
+    const queue = [];
+    
+    for (const [id, node] of this._nodeMap.entries()) {
+      if (node.tech.isStartingTech || (node.parents.length === 0 && node.missingPrerequisites.length === 0)) {
+        queue.push(id);
+      } else if (node.missingPrerequisites.length === 0) {
+        remaining.set(id, new Set(node.parents).size);
+      }
+    }
+    
+    const reachable = new Set();
+    while (queue.length > 0) {
+      const id = queue.shift();
+      reachable.add(id);
+      
+      for (const childId of new Set(this._nodeMap.get(id).children)) {
+        if (!remaining.has(childId)) {
+          continue;
+        }
+        remaining.set(childId, remaining.get(childId) - 1);
+        if (remaining.get(childId) === 0) {
+          queue.push(childId);
+        }
+      }
+    }
+    
+    return reachable;
+  }
+
   /**
    * Gets all root nodes (technologies with no prerequisites)
    * @returns {string[]} Array of root node technology IDs
@@ -283,6 +751,130 @@ class TechTree {
     return path.reverse();
   }
 
+  /**
+   * Gets all technologies a technology needs, directly or through other prerequisites
+   * @param {string} techId The technology ID
+   * @returns {Set<string>} The prerequisite IDs, without the technology
+   */
+  getAncestors(techId) {
+    return this._collect(techId, node => node.parents);
+  }
+
+  /**
+   * Gets all technologies that need a technology, directly or through other technologies
+   * @param {string} techId The technology ID
+   * @returns {Set<string>} The technology IDs, without the technology
+   */
+  getDescendants(techId) {
+    return this._collect(techId, node => node.children);
+  }
+
+  /**
+   * Gets a part of the tree with the prerequisites between its technologies
+   * @param {Object} [options={}] Which part of the tree; the whole tree by default
+   * @param {string} [options.root] Only this technology and its relatives
+   * @param {string} [options.direction='ancestors'] Relatives of the root: `ancestors` (all prerequisites),
+   *   `descendants`, `both`, or `path` (the path to its furthest root, see getPathToRoot)
+   * @param {string} [options.area] Only technologies of this area
+   * @returns {{ids: string[], edges: {from: string, to: string}[]}|null} The technology IDs and the prerequisite
+   *   edges between them, or null if the root is not in the tree
+   */
+  getSubgraph(options = {}) {
+    let ids;
+    if (options.root) {
+      if (!this._nodeMap.has(options.root)) {
+        return null;
+      }
+
+      const direction = options.direction || 'ancestors';
+      if (direction === 'path') {
+        ids = this.getPathToRoot(options.root);
+      } else {
+        ids = [
+          ...(direction !== 'descendants' ? this.getAncestors(options.root) : []),
+          options.root,
+          ...(direction === 'descendants' || direction === 'both' ? this.getDescendants(options.root) : [])
+        ];
+      }
+    } else {
+      ids = Array.from(this._nodeMap.keys());
+    }
+
+    if (options.area) {
+      ids = ids.filter(id => this._nodeMap.get(id).tech.areaId === options.area);
+    }
+
+    const included = new Set(ids);
+    const edges = [];
+    for (const id of included) {
+      for (const parentId of new Set(this._nodeMap.get(id).parents)) {
+        if (included.has(parentId)) {
+          edges.push({ from: parentId, to: id });
+        }
+      }
+    }
+
+    // A path only follows one prerequisite of each technology
+    if (options.root && options.direction === 'path') {
+      const next = new Map(ids.slice(0, -1).map((id, index) => [id, ids[index + 1]]));
+      return { ids, edges: edges.filter(edge => next.get(edge.from) === edge.to) };
+    }
+
+    return { ids, edges };
+  }
+
+  /**
+   * Exports a part of the tree as a GraphViz DOT or Mermaid flowchart, with nodes colored by area
+   * @param {string} format `dot` or `mermaid`
+   * @param {Object} [options={}] The part of the tree (see getSubgraph), and
+   * @param {function(Tech): string} [options.getLabel] Label of a technology; its display name by default
+   * @param {string} [options.title] Name of the graph
+   * @returns {string|null} The graph, or null if the root is not in the tree
+   */
+  exportGraph(format, options = {}) {
+    const subgraph = this.getSubgraph(options);
+    if (!subgraph) {
+      return null;
+    }
+
+    const getLabel = options.getLabel || (tech => tech.displayName || tech.id);
+    const nodes = subgraph.ids.map(id => {
+      const { tech } = this._nodeMap.get(id);
+      return { id, label: getLabel(tech), area: tech.areaId || 'default', isRoot: id === options.root };
+    });
+
+    return format === 'mermaid'
+      ? toMermaid(nodes, subgraph.edges)
+      : toDot(nodes, subgraph.edges, options.title || 'Technologies');
+  }
+
+  /**
+   * Collects the nodes reached from a node
+   * @param {string} techId The technology ID to start from
+   * @param {function(Object): string[]} next The IDs to follow from a node
+   * @returns {Set<string>} The IDs reached, without the start
+   * @private
+   */
+  _collect(techId, next) {
+    const reached = new Set();
+    const queue = [techId];
+
+    while (queue.length > 0) {
+      const node = this._nodeMap.get(queue.shift());
+      if (!node) {
+        continue;
+      }
+      for (const id of next(node)) {
+        if (!reached.has(id) && id !== techId && this._nodeMap.has(id)) {
+          reached.add(id);
+          queue.push(id);
+        }
+      }
+    }
+
+    return reached;
+  }
+
   /**
    * Searches for technologies by name or ID
    * @param {string} query The search query
@@ -312,4 +904,79 @@ class TechTree {
   }
 }
 
+/**
+ * Writes a graph in the GraphViz DOT language, prerequisites above the technologies they lead to
+ * @param {Object[]} nodes The nodes with their id, label, area and whether they are the root
+ * @param {{from: string, to: string}[]} edges The prerequisite edges
+ * @param {string} title Name of the graph
+ * @returns {string} The DOT graph
+ */
+function toDot(nodes, edges, title) {
+  const quote = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+  const lines = [
+    `digraph ${quote(title)} {`,
+    '  rankdir=TB;',
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica", fontcolor="#ffffff"];',
+    '  edge [color="#a0aec0"];'
+  ];
+
+  for (const node of nodes) {
+    const color = AREA_COLORS[node.area] || AREA_COLORS.default;
+    lines.push(`  ${quote(node.id)} [label=${quote(node.label)}, fillcolor="${color}"${node.isRoot ? ', penwidth=3, color="#1a202c"' : ''}];`);
+  }
+  for (const edge of edges) {
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)};`);
+  }
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Writes a graph as a Mermaid flowchart, prerequisites above the technologies they lead to
+ * @param {Object[]} nodes The nodes with their id, label, area and whether they are the root
+ * @param {{from: string, to: string}[]} edges The prerequisite edges
+ * @returns {string} The Mermaid flowchart
+ */
+function toMermaid(nodes, edges) {
+  // Mermaid IDs may only have letters, digits and underscores, and `end` is a keyword
+  const ids = new Map();
+  const used = new Set();
+  for (const node of nodes) {
+    let id = node.id.replace(/[^A-Za-z0-9_]/g, '_');
+    if (id.toLowerCase() === 'end') {
+      id = `${id}_`;
+    }
+    while (used.has(id)) {
+      id = `${id}_`;
+    }
+    used.add(id);
+    ids.set(node.id, id);
+  }
+
+  const label = text => String(text).replace(/"/g, '#quot;');
+  const lines = ['flowchart TD'];
+  for (const node of nodes) {
+    lines.push(`  ${ids.get(node.id)}["${label(node.label)}"]`);
+  }
+  for (const edge of edges) {
+    lines.push(`  ${ids.get(edge.from)} --> ${ids.get(edge.to)}`);
+  }
+
+  const areas = Array.from(new Set(nodes.map(node => node.area)));
+  for (const area of areas) {
+    const color = AREA_COLORS[area] || AREA_COLORS.default;
+    const className = `area_${area.replace(/[^A-Za-z0-9_]/g, '_')}`;
+    lines.push(`  classDef ${className} fill:${color},stroke:${color},color:#ffffff`);
+    lines.push(`  class ${nodes.filter(node => node.area === area).map(node => ids.get(node.id)).join(',')} ${className}`);
+  }
+
+  const root = nodes.find(node => node.isRoot);
+  if (root) {
+    lines.push(`  style ${ids.get(root.id)} stroke:#1a202c,stroke-width:3px`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
 module.exports = TechTree; 
\ No newline at end of file
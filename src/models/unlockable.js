@@ -0,0 +1,46 @@
+/**
+ * Represents a game object that requires technologies, e.g. a building, ship component or edict
+ */
+class Unlockable {
+  /**
+   * Creates a new Unlockable instance
+   * @param {Object} data Unlockable data
+   */
+  constructor(data = {}) {
+    this.id = data.id || '';
+    this.type = data.type || '';
+    this.name = data.name || data.id || '';
+    this.prerequisites = data.prerequisites || [];
+
+    // Source tracking
+    this.modId = data.mod_id || '';
+    this.modName = data.mod_name || '';
+    this.sourceFile = data.source_file || '';
+  }
+
+  /**
+   * Gets the key identifying the object, objects of different types may share an ID
+   * @returns {string} The key in the form `type:id`
+   */
+  get key() {
+    return `${this.type}:${this.id}`;
+  }
+
+  /**
+   * Converts the unlockable to a plain object
+   * @returns {Object} Plain object representation of the unlockable
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      name: this.name,
+      prerequisites: this.prerequisites,
+      modId: this.modId,
+      modName: this.modName,
+      sourceFile: this.sourceFile
+    };
+  }
+}
+
+module.exports = Unlockable;
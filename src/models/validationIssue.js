@@ -0,0 +1,84 @@
+/**
+ * Represents a problem in the prerequisites of the technology tree
+ */
+class ValidationIssue {
+  /**
+   * Severity of problems that make technologies impossible to research
+   * @type {string}
+   */
+  static ERROR = 'error';
+
+  /**
+   * Severity of problems that are suspicious but do not break the tree
+   * @type {string}
+   */
+  static WARNING = 'warning';
+
+  /**
+   * A prerequisite does not resolve to a technology
+   * @type {string}
+   */
+  static MISSING_PREREQUISITE = 'missing_prerequisite';
+
+  /**
+   * Technologies require each other
+   * @type {string}
+   */
+  static CYCLE = 'cycle';
+
+  /**
+   * A technology cannot be reached from the start techs or the technologies without prerequisites
+   * @type {string}
+   */
+  static UNREACHABLE = 'unreachable';
+
+  /**
+   * A technology requires a technology of a higher tier
+   * @type {string}
+   */
+  static TIER_INVERSION = 'tier_inversion';
+
+  /**
+   * Creates a new ValidationIssue instance
+   * @param {Object} data Issue data
+   */
+  constructor(data = {}) {
+    this.type = data.type || '';
+    this.severity = data.severity || ValidationIssue.ERROR;
+    this.techId = data.techId || '';
+    this.message = data.message || '';
+    this.details = data.details || {};
+  }
+
+  /**
+   * Checks if the issue is an error
+   * @returns {boolean} True if the severity is error
+   */
+  isError() {
+    return this.severity === ValidationIssue.ERROR;
+  }
+
+  /**
+   * Formats the issue as `severity: [type] techId: message`
+   * @returns {string} The formatted issue
+   */
+  toString() {
+    return `${this.severity}: [${this.type}] ${this.techId}: ${this.message}`;
+  }
+
+  /**
+   * Converts the issue to a plain object
+   * @returns {Object} Plain object representation of the issue
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      severity: this.severity,
+      techId: this.techId,
+      message: this.message,
+      details: this.details
+    };
+  }
+}
+
+module.exports = ValidationIssue;
@@ -1,5 +1,14 @@
 const TechParser = require('./techParser');
+const SaveGameParser = require('./saveGameParser');
+const UnlockParser = require('./unlockParser');
+const LocalizationFormatter = require('./localizationFormatter');
+const { ScriptParser, ScriptParseError } = require('./scriptParser');
 
 module.exports = {
-  TechParser
-}; 
\ No newline at end of file
+  TechParser,
+  SaveGameParser,
+  UnlockParser,
+  LocalizationFormatter,
+  ScriptParser,
+  ScriptParseError
+};
@@ -0,0 +1,183 @@
+/**
+ * Colour names of the `§X ... §!` codes used in localisation strings
+ * @type {Object<string, string>}
+ */
+const COLOR_CODES = {
+  B: 'blue',
+  E: 'teal',
+  G: 'green',
+  H: 'orange',
+  L: 'brown',
+  M: 'purple',
+  P: 'pink',
+  R: 'red',
+  S: 'darkorange',
+  T: 'lightgray',
+  W: 'white',
+  Y: 'yellow',
+  g: 'gray'
+};
+
+/**
+ * Text shown for scripted localisation (`[Root.GetName]`) and parameters that cannot be resolved
+ * @type {string}
+ */
+const PLACEHOLDER_TEXT = '…';
+
+/**
+ * Content of a `$key$` reference or `£icon£`, optionally followed by a `|` and a format or frame
+ * @type {RegExp}
+ */
+const REFERENCE_CONTENT = /^[A-Za-z0-9_.:-]+(\|[^$£]*)?$/;
+
+/**
+ * Longest string `expand` produces; references that would make it longer are kept as written
+ * @type {number}
+ */
+const MAX_EXPANDED_LENGTH = 10000;
+
+/**
+ * Formatter for localisation strings
+ *
+ * Expands `$other_key$` references (recursively, with cycle protection and a length limit) and turns `§Y...§!` colour codes,
+ * `£energy£` icons and `[Root.GetName]` scripted localisation into segments:
+ * `{ text, color }` for text, `{ text: '', icon }` for icons and `{ text: '…', placeholder }` for anything
+ * that depends on the game state.
+ */
+class LocalizationFormatter {
+  /**
+   * Creates a new LocalizationFormatter instance
+   * @param {Function} lookup - Called with a localisation key, returns the raw string or undefined
+   */
+  constructor(lookup) {
+    this._lookup = lookup;
+  }
+
+  /**
+   * Format a localisation string
+   * @param {string} text - Raw localisation string
+   * @returns {{text: string, segments: Array<Object>}} Plain text and rich segments
+   */
+  format(text) {
+    const segments = this._tokenize(this.expand(text));
+    return {
+      text: segments.map(segment => segment.text).join('').replace(/ {2,}/g, ' ').trim(),
+      segments
+    };
+  }
+
+  /**
+   * Expand the `$key$` references of a string, keeping colour codes, icons and scripted localisation
+   * @param {string} text - Raw localisation string
+   * @returns {string} The expanded string, at most `MAX_EXPANDED_LENGTH` characters unless the raw string is
+   *   longer; unknown and cyclic references and those that would exceed the limit are kept as written
+   */
+  expand(text) {
+    text = String(text);
+    return this._expand(text, new Set(), { remaining: MAX_EXPANDED_LENGTH - text.length });
+  }
+
+  /**
+   * Expand the `$key$` references of a string
+   * @param {string} text - Localisation string
+   * @param {Set<string>} seen - Keys being expanded, used to stop reference cycles
+   * @param {{remaining: number}} budget - Characters the expansion may still add
+   * @returns {string} The expanded string
+   * @private
+   */
+  _expand(text, seen, budget) {
+    return text.replace(/\$([A-Za-z0-9_.:-]+)(\|[^$]*)?\$/g, (reference, key) => {
+      const value = seen.has(key) ? undefined : this._lookup(key);
+      if (value === undefined || value === null) {
+        return reference;
+      }
+
+      const raw = String(value);
+      if (raw.length - reference.length > budget.remaining) {
+        return reference;
+      }
+
+      budget.remaining -= raw.length - reference.length;
+      seen.add(key);
+      const expanded = this._expand(raw, seen, budget);
+      seen.delete(key);
+      return expanded;
+    });
+  }
+
+  /**
+   * Split an expanded string into segments
+   * @param {string} text - Expanded localisation string
+   * @returns {Array<Object>} Text, icon and placeholder segments
+   * @private
+   */
+  _tokenize(text) {
+    const segments = [];
+    const colors = [];
+    let buffer = '';
+
+    const flush = () => {
+      if (!buffer) {
+        return;
+      }
+
+      const color = colors[colors.length - 1];
+      const last = segments[segments.length - 1];
+
+      if (last && last.icon === undefined && last.placeholder === undefined && last.color === color) {
+        last.text += buffer;
+      } else {
+        segments.push(color ? { text: buffer, color } : { text: buffer });
+      }
+      buffer = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (ch === '§' && i + 1 < text.length) {
+        flush();
+        const code = text[++i];
+        if (code === '!') {
+          colors.pop();
+        } else {
+          colors.push(COLOR_CODES[code] || code);
+        }
+        continue;
+      }
+
+      if (ch === '£' || ch === '[' || ch === '$') {
+        const close = text.indexOf(ch === '[' ? ']' : ch, i + 1);
+        const content = close === -1 ? '' : text.slice(i + 1, close);
+
+        // A pair of `$` or `£` around anything but a key is text, e.g. prices like "5$ or 10$"
+        if (close !== -1 && (ch === '[' || REFERENCE_CONTENT.test(content))) {
+          flush();
+
+          if (ch === '£') {
+            // Icons may select a frame, e.g. £trigger_yes|1£
+            segments.push({ text: '', icon: content.split('|')[0] });
+          } else {
+            segments.push({ text: PLACEHOLDER_TEXT, placeholder: content.split('|')[0] });
+          }
+
+          i = close;
+          continue;
+        }
+      }
+
+      if (ch === '\\' && text[i + 1] === 'n') {
+        buffer += '\n';
+        i++;
+        continue;
+      }
+
+      buffer += ch;
+    }
+
+    flush();
+    return segments;
+  }
+}
+
+module.exports = LocalizationFormatter;
@@ -0,0 +1,191 @@
+/**
+ * Error thrown when an inline math expression cannot be evaluated
+ */
+class MathExpressionError extends Error {
+  /**
+   * Creates a new MathExpressionError
+   * @param {string} message Description of the problem
+   * @param {string} expression The expression that failed
+   */
+  constructor(message, expression) {
+    super(`${message} in @[ ${expression} ]`);
+    this.name = 'MathExpressionError';
+    this.reason = message;
+    this.expression = expression;
+  }
+}
+
+/**
+ * Tokens of inline math expressions, e.g. `tier3cost1 * (1 + 0.25)`
+ */
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d*)?|\.\d+)|(@?[A-Za-z_][A-Za-z0-9_.:]*)|([-+*/%()]))/y;
+
+/**
+ * Evaluator for the `@[ ... ]` inline math syntax of Paradox script files
+ *
+ * Supports numbers, scripted variable names, `+ - * / %`, unary signs and parentheses.
+ */
+class MathEvaluator {
+  /**
+   * Evaluate an inline math expression
+   * @param {string} expression - The expression without the surrounding `@[ ]`
+   * @param {Function} resolveVariable - Called with a variable name (without @), returns its numeric value or undefined
+   * @returns {number} The result
+   * @throws {MathExpressionError} If the expression is invalid or refers to unknown variables
+   */
+  evaluate(expression, resolveVariable) {
+    // Parse state is kept per call, variables may themselves be evaluated while resolving
+    const state = { expression, tokens: this._tokenize(expression), position: 0, resolveVariable };
+
+    if (state.tokens.length === 0) {
+      throw new MathExpressionError('Empty expression', expression);
+    }
+
+    const result = this._parseSum(state);
+
+    if (state.position < state.tokens.length) {
+      throw new MathExpressionError(`Unexpected '${state.tokens[state.position].text}'`, expression);
+    }
+
+    return result;
+  }
+
+  /**
+   * Split an expression into tokens
+   * @param {string} expression - The expression
+   * @returns {Array<{type: string, text: string}>} Tokens
+   * @private
+   */
+  _tokenize(expression) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while (TOKEN_PATTERN.lastIndex < expression.length) {
+      const start = TOKEN_PATTERN.lastIndex;
+      const match = TOKEN_PATTERN.exec(expression);
+
+      if (!match) {
+        if (expression.slice(start).trim() === '') {
+          break;
+        }
+        throw new MathExpressionError(`Unexpected character '${expression.slice(start).trim()[0]}'`, expression);
+      }
+
+      if (match[1] !== undefined) {
+        tokens.push({ type: 'number', text: match[1] });
+      } else if (match[2] !== undefined) {
+        tokens.push({ type: 'variable', text: match[2] });
+      } else {
+        tokens.push({ type: 'operator', text: match[3] });
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse additions and subtractions
+   * @param {Object} state - Parse state
+   * @returns {number} The value
+   * @private
+   */
+  _parseSum(state) {
+    let value = this._parseProduct(state);
+
+    while (this._peek(state, '+') || this._peek(state, '-')) {
+      const operator = state.tokens[state.position++].text;
+      const right = this._parseProduct(state);
+      value = operator === '+' ? value + right : value - right;
+    }
+
+    return value;
+  }
+
+  /**
+   * Parse multiplications, divisions and remainders
+   * @param {Object} state - Parse state
+   * @returns {number} The value
+   * @private
+   */
+  _parseProduct(state) {
+    let value = this._parseUnary(state);
+
+    while (this._peek(state, '*') || this._peek(state, '/') || this._peek(state, '%')) {
+      const operator = state.tokens[state.position++].text;
+      const right = this._parseUnary(state);
+
+      if (operator === '*') {
+        value *= right;
+      } else if (right === 0) {
+        throw new MathExpressionError('Division by zero', state.expression);
+      } else {
+        value = operator === '/' ? value / right : value % right;
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * Parse a signed value, a number, a variable or a parenthesised expression
+   * @param {Object} state - Parse state
+   * @returns {number} The value
+   * @private
+   */
+  _parseUnary(state) {
+    const token = state.tokens[state.position++];
+
+    if (!token) {
+      throw new MathExpressionError('Unexpected end of expression', state.expression);
+    }
+
+    if (token.text === '-') {
+      return -this._parseUnary(state);
+    }
+    if (token.text === '+') {
+      return this._parseUnary(state);
+    }
+
+    if (token.text === '(') {
+      const value = this._parseSum(state);
+      if (!this._peek(state, ')')) {
+        throw new MathExpressionError('Missing \')\'', state.expression);
+      }
+      state.position++;
+      return value;
+    }
+
+    if (token.type === 'number') {
+      return parseFloat(token.text);
+    }
+
+    if (token.type === 'variable') {
+      const name = token.text.startsWith('@') ? token.text.slice(1) : token.text;
+      const value = state.resolveVariable ? state.resolveVariable(name) : undefined;
+
+      if (value === undefined) {
+        throw new MathExpressionError(`Unresolved scripted variable @${name}`, state.expression);
+      }
+      if (typeof value !== 'number') {
+        throw new MathExpressionError(`Scripted variable @${name} is not a number`, state.expression);
+      }
+      return value;
+    }
+
+    throw new MathExpressionError(`Unexpected '${token.text}'`, state.expression);
+  }
+
+  /**
+   * Check if the next token is the given operator
+   * @param {Object} state - Parse state
+   * @param {string} text - Operator text
+   * @returns {boolean} True if the next token matches
+   * @private
+   */
+  _peek(state, text) {
+    const token = state.tokens[state.position];
+    return Boolean(token) && token.type === 'operator' && token.text === text;
+  }
+}
+
+module.exports = { MathEvaluator, MathExpressionError };
@@ -0,0 +1,456 @@
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const logger = require('../utils/logger');
+const ZipReader = require('../utils/zipReader');
+const { ScriptParser } = require('./scriptParser');
+
+/**
+ * Research areas tracked in a save game
+ * @type {string[]}
+ */
+const RESEARCH_AREAS = ['physics', 'society', 'engineering'];
+
+/**
+ * Parser for Stellaris save game files
+ */
+class SaveGameParser {
+  /**
+   * Creates a new SaveGameParser instance
+   */
+  constructor() {
+    this.scriptParser = new ScriptParser();
+  }
+
+  /**
+   * Parse a save game file
+   * @param {string} savePath - Path to the .sav file
+   * @returns {Promise<Object>} The research state of the player empire
+   */
+  async parseFile(savePath) {
+    try {
+      logger.info(`Parsing save game: ${savePath}`);
+
+      const buffer = await fs.readFile(savePath);
+      const result = this.parseBuffer(buffer);
+
+      logger.info(`Found ${result.researchedTechs.length} researched technologies for ${result.meta.name || 'player empire'}`);
+      return result;
+    } catch (error) {
+      logger.error(`Error parsing save game ${savePath}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse the raw contents of a save game
+   * @param {Buffer} buffer - Contents of the save file
+   * @returns {Object} The research state of the player empire
+   */
+  parseBuffer(buffer) {
+    const { gamestate, meta } = this.extractFiles(buffer);
+
+    const playerCountry = this.findPlayerCountry(gamestate);
+    if (!playerCountry) {
+      throw new Error('Could not find the player country in the save game');
+    }
+
+    const techStatus = this.extractTechStatus(gamestate, playerCountry.countryId);
+    if (!techStatus) {
+      throw new Error(`Country ${playerCountry.countryId} has no tech_status block`);
+    }
+
+    const parsedMeta = this.parseMeta(meta);
+    const empire = {
+      ...this.extractEmpire(gamestate, playerCountry.countryId),
+      dlcs: parsedMeta.requiredDlcs || this.extractRequiredDlcs(gamestate)
+    };
+
+    return {
+      meta: parsedMeta,
+      playerName: playerCountry.name,
+      countryId: playerCountry.countryId,
+      empire,
+      ...techStatus
+    };
+  }
+
+  /**
+   * Extract the gamestate and meta files from a save game
+   * @param {Buffer} buffer - Contents of the save file
+   * @returns {{gamestate: string, meta: string}} The decompressed text files
+   */
+  extractFiles(buffer) {
+    if (ZipReader.isZip(buffer)) {
+      const entries = ZipReader.readEntries(buffer);
+      if (!entries.has('gamestate')) {
+        throw new Error('Save game archive does not contain a gamestate file');
+      }
+
+      return {
+        gamestate: entries.get('gamestate').toString('utf8'),
+        meta: entries.has('meta') ? entries.get('meta').toString('utf8') : ''
+      };
+    }
+
+    if (ZipReader.isGzip(buffer)) {
+      return { gamestate: zlib.gunzipSync(buffer).toString('utf8'), meta: '' };
+    }
+
+    // Uncompressed gamestate
+    return { gamestate: buffer.toString('utf8'), meta: '' };
+  }
+
+  /**
+   * Parse the meta file of a save game
+   * @param {string} content - Contents of the meta file
+   * @returns {Object} Save metadata (version, name, date and the required DLCs, null if not listed)
+   */
+  parseMeta(content) {
+    const statements = this.scriptParser.parse(content);
+    const requiredDlcs = getValue(statements, 'required_dlcs');
+
+    return {
+      version: getValue(statements, 'version'),
+      name: getValue(statements, 'name'),
+      date: getValue(statements, 'date'),
+      requiredDlcs: Array.isArray(requiredDlcs) ? getItems(requiredDlcs).map(String) : null
+    };
+  }
+
+  /**
+   * Extract the DLCs listed in the gamestate, used when the save has no meta file
+   * @param {string} gamestate - Contents of the gamestate file
+   * @returns {string[]|null} The required DLCs, or null if not listed
+   */
+  extractRequiredDlcs(gamestate) {
+    const range = findBlock(gamestate, 'required_dlcs');
+    if (!range) {
+      return null;
+    }
+
+    return getItems(this.scriptParser.parse(gamestate.slice(range.start, range.end))).map(String);
+  }
+
+  /**
+   * Find the country controlled by the (first) player
+   * @param {string} gamestate - Contents of the gamestate file
+   * @returns {{countryId: string, name: string}|null} The player country or null if not found
+   */
+  findPlayerCountry(gamestate) {
+    const range = findBlock(gamestate, 'player');
+    if (!range) {
+      return null;
+    }
+
+    const players = getBlocks(this.scriptParser.parse(gamestate.slice(range.start, range.end)));
+
+    for (const player of players) {
+      const countryId = getValue(player, 'country');
+      if (countryId !== null) {
+        return { countryId: String(countryId), name: getValue(player, 'name') };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract research information for a country
+   * @param {string} gamestate - Contents of the gamestate file
+   * @param {string} countryId - ID of the country
+   * @returns {Object|null} Researched techs, research queues and current alternatives
+   */
+  extractTechStatus(gamestate, countryId) {
+    const country = this._findCountry(gamestate, countryId);
+    if (!country) {
+      return null;
+    }
+
+    const range = findBlock(gamestate, 'tech_status', country.start, country.end);
+    if (!range) {
+      return null;
+    }
+
+    const statements = this.scriptParser.parse(gamestate.slice(range.start, range.end));
+
+    return {
+      researchedTechs: this._extractResearchedTechs(statements),
+      researchQueues: this._extractQueues(statements),
+      alternatives: this._extractAlternatives(statements)
+    };
+  }
+
+  /**
+   * Extract the ethics, authority, civics and origin of a country
+   * @param {string} gamestate - Contents of the gamestate file
+   * @param {string} countryId - ID of the country
+   * @returns {{ethics: string[], civics: string[], origin: string, authority: string}} The empire build,
+   *   empty if the country has no ethos or government block
+   */
+  extractEmpire(gamestate, countryId) {
+    const empire = { ethics: [], civics: [], origin: '', authority: '' };
+    const country = this._findCountry(gamestate, countryId);
+    if (!country) {
+      return empire;
+    }
+
+    const ethos = findBlock(gamestate, 'ethos', country.start, country.end);
+    if (ethos) {
+      empire.ethics = this.scriptParser.parse(gamestate.slice(ethos.start, ethos.end))
+        .filter(statement => statement.key === 'ethic')
+        .map(statement => String(statement.value.value));
+    }
+
+    const government = findBlock(gamestate, 'government', country.start, country.end);
+    if (government) {
+      const statements = this.scriptParser.parse(gamestate.slice(government.start, government.end));
+      const civics = getValue(statements, 'civics');
+
+      empire.authority = getValue(statements, 'authority') || '';
+      empire.origin = getValue(statements, 'origin') || '';
+      empire.civics = Array.isArray(civics) ? getItems(civics).map(String) : [];
+    }
+
+    return empire;
+  }
+
+  /**
+   * Find the block of a country in the gamestate
+   * @param {string} gamestate - Contents of the gamestate file
+   * @param {string} countryId - ID of the country
+   * @returns {{start: number, end: number}|null} Range of the country block, or null if not found
+   * @private
+   */
+  _findCountry(gamestate, countryId) {
+    const countries = findBlock(gamestate, 'country');
+    if (!countries) {
+      return null;
+    }
+
+    return findBlock(gamestate, String(countryId), countries.start, countries.end);
+  }
+
+  /**
+   * Extract researched technologies from a tech_status block
+   * @param {Array} statements - Parsed tech_status statements
+   * @returns {Array<{id: string, level: number}>} Researched technologies
+   * @private
+   */
+  _extractResearchedTechs(statements) {
+    const researched = [];
+    const isList = statement => statement.value.type === 'block';
+
+    // Older saves store `technology={ ... } level={ ... }` as parallel lists
+    const technologyList = statements.find(statement => statement.key === 'technology' && isList(statement));
+    if (technologyList) {
+      const levelList = statements.find(statement => statement.key === 'level' && isList(statement));
+      const ids = getItems(technologyList.value.value);
+      const levels = levelList ? getItems(levelList.value.value) : [];
+
+      ids.forEach((id, index) => {
+        researched.push({ id: String(id), level: Number(levels[index]) || 1 });
+      });
+      return researched;
+    }
+
+    // Current saves repeat `technology="..." level=N` pairs
+    for (let i = 0; i < statements.length; i++) {
+      const statement = statements[i];
+      if (statement.key !== 'technology') {
+        continue;
+      }
+
+      const next = statements[i + 1];
+      const level = next && next.key === 'level' ? Number(next.value.value) || 1 : 1;
+      researched.push({ id: String(statement.value.value), level });
+    }
+
+    return researched;
+  }
+
+  /**
+   * Extract the current research queues from a tech_status block
+   * @param {Array} statements - Parsed tech_status statements
+   * @returns {Object<string, Array>} Queue entries by research area
+   * @private
+   */
+  _extractQueues(statements) {
+    const queues = {};
+
+    for (const area of RESEARCH_AREAS) {
+      const queue = getValue(statements, `${area}_queue`);
+      queues[area] = Array.isArray(queue)
+        ? getBlocks(queue)
+          .map(item => ({
+            techId: getValue(item, 'technology'),
+            progress: Number(getValue(item, 'progress')) || 0,
+            date: getValue(item, 'date')
+          }))
+          .filter(item => item.techId)
+        : [];
+    }
+
+    return queues;
+  }
+
+  /**
+   * Extract the research options currently offered to the player
+   * @param {Array} statements - Parsed tech_status statements
+   * @returns {Object<string, string[]>} Offered technology IDs by research area
+   * @private
+   */
+  _extractAlternatives(statements) {
+    const alternatives = getValue(statements, 'alternatives');
+    const result = {};
+
+    for (const area of RESEARCH_AREAS) {
+      const options = Array.isArray(alternatives) ? getValue(alternatives, area) : null;
+      result[area] = Array.isArray(options) ? getItems(options).map(String) : [];
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Find the content range of a `key = { ... }` block at the top level of a text region.
+ * Only the requested block is located; the rest of the (potentially huge) gamestate is never parsed.
+ * @param {string} text - Text to search
+ * @param {string} key - Key of the block
+ * @param {number} [start=0] - Start of the region
+ * @param {number} [end=text.length] - End of the region
+ * @returns {{start: number, end: number}|null} Range between the braces, or null if not found
+ */
+function findBlock(text, key, start = 0, end = text.length) {
+  let depth = 0;
+  let i = start;
+
+  while (i < end) {
+    const ch = text[i];
+
+    if (ch === '"') {
+      i = skipString(text, i);
+      continue;
+    }
+
+    if (ch === '#') {
+      const lineEnd = text.indexOf('\n', i);
+      i = lineEnd === -1 ? end : lineEnd;
+      continue;
+    }
+
+    if (ch === '{') {
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+    } else if (depth === 0 && text.startsWith(key, i) && !isWordChar(text[i - 1])) {
+      let j = i + key.length;
+      while (j < end && /\s/.test(text[j])) j++;
+
+      if (text[j] === '=') {
+        j++;
+        while (j < end && /\s/.test(text[j])) j++;
+
+        if (text[j] === '{') {
+          const close = findClosingBrace(text, j, end);
+          return { start: j + 1, end: close };
+        }
+      }
+    }
+
+    i++;
+  }
+
+  return null;
+}
+
+/**
+ * Find the brace closing the block opened at the given index
+ * @param {string} text - Text to search
+ * @param {number} openIndex - Index of the opening brace
+ * @param {number} end - End of the region
+ * @returns {number} Index of the closing brace
+ */
+function findClosingBrace(text, openIndex, end) {
+  let depth = 0;
+  let i = openIndex;
+
+  while (i < end) {
+    const ch = text[i];
+
+    if (ch === '"') {
+      i = skipString(text, i);
+      continue;
+    }
+
+    if (ch === '{') {
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+
+    i++;
+  }
+
+  throw new Error(`Unterminated block starting at offset ${openIndex}`);
+}
+
+/**
+ * Skip over a quoted string
+ * @param {string} text - Text being scanned
+ * @param {number} index - Index of the opening quote
+ * @returns {number} Index just after the closing quote
+ */
+function skipString(text, index) {
+  let i = index + 1;
+  while (i < text.length && text[i] !== '"') {
+    if (text[i] === '\\') i++;
+    i++;
+  }
+  return i + 1;
+}
+
+/**
+ * Check if a character can be part of a key
+ * @param {string|undefined} ch - Character to check
+ * @returns {boolean} True if the character is part of a word
+ */
+function isWordChar(ch) {
+  return ch !== undefined && /[A-Za-z0-9_.@:-]/.test(ch);
+}
+
+/**
+ * Get the first value for a key in a list of statements
+ * @param {Array} statements - Parsed statements
+ * @param {string} key - Key to look up
+ * @returns {any} The value (the statements of a block), or null if the key is missing
+ */
+function getValue(statements, key) {
+  const statement = statements.find(item => item.key === key);
+  return statement ? statement.value.value : null;
+}
+
+/**
+ * Get the bare values of a list of statements
+ * @param {Array} statements - Parsed statements
+ * @returns {Array} The bare values
+ */
+function getItems(statements) {
+  return statements.filter(item => item.key === 'item').map(item => item.value.value);
+}
+
+/**
+ * Get the bare blocks of a list of statements, e.g. the entries of `player = { { ... } { ... } }`
+ * @param {Array} statements - Parsed statements
+ * @returns {Array<Array>} The statements of each block
+ */
+function getBlocks(statements) {
+  return statements
+    .filter(item => item.key === 'item' && item.value.type === 'block')
+    .map(item => item.value.value);
+}
+
+module.exports = SaveGameParser;
@@ -0,0 +1,251 @@
+const moo = require('moo');
+
+/**
+ * Colour models that take a list of numbers as their value, e.g. `color = hsv { 0.5 0.8 0.9 }`
+ * @type {string[]}
+ */
+const COLOR_MODELS = ['rgb', 'hsv', 'hsv360'];
+
+/**
+ * Tokens of the Paradox script language
+ */
+const lexer = moo.compile({
+  ws: { match: /[ \t\r\n\uFEFF]+/, lineBreaks: true },
+  comment: /#[^\n]*/,
+  string: { match: /"(?:\\.|[^"\\])*"/, lineBreaks: true, value: s => s.slice(1, -1) },
+  math: { match: /@\\?\[[^\]]*\]/, lineBreaks: true, value: s => s.slice(s.indexOf('[') + 1, -1).trim() },
+  variable: { match: /@[A-Za-z0-9_\-.:]+/, value: s => s.slice(1) },
+  operator: ['<=', '>=', '!=', '==', '?=', '<', '>', '='],
+  lbrace: '{',
+  rbrace: '}',
+  word: /[^\s{}=<>!?"#]+/,
+  invalid: { match: /[^]/, lineBreaks: true }
+});
+
+/**
+ * Error thrown when a script file cannot be parsed
+ */
+class ScriptParseError extends Error {
+  /**
+   * Creates a new ScriptParseError
+   * @param {string} message Description of the problem
+   * @param {number} line Line number (1-based)
+   * @param {number} column Column number (1-based)
+   */
+  constructor(message, line, column) {
+    super(`${message} at line ${line}, column ${column}`);
+    this.name = 'ScriptParseError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Recursive-descent parser for Paradox script files (technologies, scripted variables, save games, ...)
+ *
+ * The AST is an array of statements `{ key, operator, value, line, column }` where `value` is a node
+ * `{ type, value, line, column }` of type string, number, boolean, identifier, variable, math, color or block.
+ * Bare values inside a block (e.g. `prerequisites = { "tech_a" "tech_b" }`) become statements with the key `item`.
+ */
+class ScriptParser {
+  /**
+   * Parse script content into an AST
+   * @param {string} content - The script content
+   * @param {Object} [options={}] - Parse options
+   * @param {ScriptParseError[]} [options.errors] - When given, errors are collected here instead of thrown;
+   *   the top-level statement containing an error is skipped and parsing resumes at the next one
+   * @returns {Array<Object>} The parsed statements
+   * @throws {ScriptParseError} If the content is not valid script and no error list is given
+   */
+  parse(content, options = {}) {
+    this._tokens = this._tokenize(content);
+    this._position = 0;
+    this._errors = options.errors || null;
+
+    const statements = this._parseStatements(null);
+
+    this._tokens = null;
+    this._errors = null;
+    return statements;
+  }
+
+  /**
+   * Split content into significant tokens (whitespace and comments are dropped)
+   * @param {string} content - The script content
+   * @returns {Array<Object>} Tokens
+   * @private
+   */
+  _tokenize(content) {
+    const tokens = [];
+    lexer.reset(content);
+
+    for (const token of lexer) {
+      if (token.type !== 'ws' && token.type !== 'comment') {
+        tokens.push(token);
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse statements until the end of the current block
+   * @param {Object|null} openToken - The `{` token opening the block, or null at the top level
+   * @returns {Array<Object>} The parsed statements
+   * @private
+   */
+  _parseStatements(openToken) {
+    const statements = [];
+
+    while (this._position < this._tokens.length) {
+      const token = this._tokens[this._position];
+
+      if (token.type === 'rbrace' && openToken) {
+        this._position++;
+        return statements;
+      }
+
+      if (openToken || !this._errors) {
+        statements.push(this._parseStatement());
+        continue;
+      }
+
+      // Top level in error collecting mode: skip broken statements
+      const start = this._position;
+      try {
+        statements.push(this._parseStatement());
+      } catch (error) {
+        if (!(error instanceof ScriptParseError)) {
+          throw error;
+        }
+        this._errors.push(error);
+        this._recover(start, error.line);
+      }
+    }
+
+    if (openToken) {
+      throw new ScriptParseError('Unclosed \'{\'', openToken.line, openToken.col);
+    }
+
+    return statements;
+  }
+
+  /**
+   * Move to the next statement that starts at the beginning of a line after an error
+   * @param {number} start - Index of the first token of the broken statement
+   * @param {number} errorLine - Line of the error
+   * @private
+   */
+  _recover(start, errorLine) {
+    let index = start + 1;
+
+    while (index < this._tokens.length) {
+      const token = this._tokens[index];
+      if (token.col === 1 && token.line > errorLine && token.type !== 'rbrace') {
+        break;
+      }
+      index++;
+    }
+
+    this._position = index;
+  }
+
+  /**
+   * Parse a single `key <operator> value` statement or a bare value
+   * @returns {Object} The parsed statement
+   * @private
+   */
+  _parseStatement() {
+    const token = this._tokens[this._position];
+    const next = this._tokens[this._position + 1];
+
+    if (token.type === 'rbrace') {
+      throw new ScriptParseError('Unexpected \'}\'', token.line, token.col);
+    }
+
+    const isKey = ['word', 'string', 'variable'].includes(token.type);
+    if (isKey && next && next.type === 'operator') {
+      this._position += 2;
+      return {
+        key: token.type === 'variable' ? token.text : token.value,
+        operator: next.value,
+        value: this._parseValue(),
+        line: token.line,
+        column: token.col
+      };
+    }
+
+    return {
+      key: 'item',
+      operator: null,
+      value: this._parseValue(),
+      line: token.line,
+      column: token.col
+    };
+  }
+
+  /**
+   * Parse a value
+   * @returns {Object} The parsed value node
+   * @private
+   */
+  _parseValue() {
+    const token = this._tokens[this._position++];
+
+    if (!token) {
+      const last = this._tokens[this._tokens.length - 1];
+      throw new ScriptParseError('Unexpected end of file', last.line, last.col + last.text.length);
+    }
+
+    const node = (type, value) => ({ type, value, line: token.line, column: token.col });
+
+    switch (token.type) {
+    case 'lbrace':
+      return node('block', this._parseStatements(token));
+    case 'string':
+      return node('string', token.value);
+    case 'variable':
+      return node('variable', token.value);
+    case 'math':
+      return node('math', token.value);
+    case 'word':
+      return this._parseWord(token, node);
+    case 'invalid':
+      throw new ScriptParseError(`Unexpected character '${token.text}'`, token.line, token.col);
+    default:
+      throw new ScriptParseError(`Unexpected '${token.text}'`, token.line, token.col);
+    }
+  }
+
+  /**
+   * Parse a bare word as a number, boolean, colour or identifier
+   * @param {Object} token - The word token
+   * @param {Function} node - Factory for value nodes at the token position
+   * @returns {Object} The parsed value node
+   * @private
+   */
+  _parseWord(token, node) {
+    const text = token.value;
+    const following = this._tokens[this._position];
+
+    if (COLOR_MODELS.includes(text.toLowerCase()) && following && following.type === 'lbrace') {
+      this._position++;
+      const values = this._parseStatements(following)
+        .map(statement => statement.value.value);
+      return node('color', { model: text.toLowerCase(), values });
+    }
+
+    if (text === 'yes' || text === 'no') {
+      return node('boolean', text === 'yes');
+    }
+
+    if (/^[-+]?(?:\d+(?:\.\d*)?|\.\d+)$/.test(text)) {
+      return node('number', parseFloat(text));
+    }
+
+    return node('identifier', text);
+  }
+}
+
+module.exports = { ScriptParser, ScriptParseError };
@@ -1,7 +1,24 @@
 const fs = require('fs').promises;
+const { readFileSync } = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const logger = require('../utils/logger');
 const Tech = require('../models/tech');
+const Diagnostic = require('../models/diagnostic');
+const { ScriptParser } = require('./scriptParser');
+const { MathEvaluator } = require('./mathEvaluator');
+
+/**
+ * Modules whose source decides what the parser returns
+ * @type {string[]}
+ */
+const SOURCE_MODULES = [
+  __filename,
+  require.resolve('./scriptParser'),
+  require.resolve('./mathEvaluator'),
+  require.resolve('../models/tech'),
+  require.resolve('../models/diagnostic')
+];
 
 /**
  * Parser for Stellaris technology files
@@ -11,10 +28,26 @@ class TechParser {
    * Initialize the parser
    */
   constructor() {
-    // No initialization needed
+    this.scriptParser = new ScriptParser();
+    this.mathEvaluator = new MathEvaluator();
     this.grammar = {}; // Dummy property to satisfy tests
   }
 
+  /**
+   * Gets the version of the parser: a hash of its source, so it changes whenever the parser does
+   * @returns {string} The parser version
+   */
+  static getVersion() {
+    if (!TechParser._version) {
+      const hash = crypto.createHash('sha1');
+      for (const modulePath of SOURCE_MODULES) {
+        hash.update(readFileSync(modulePath));
+      }
+      TechParser._version = hash.digest('hex');
+    }
+    return TechParser._version;
+  }
+
   /**
    * Initialize the parser
    * @returns {Promise<void>}
@@ -28,9 +61,14 @@ class TechParser {
    * Parse a technology file
    * @param {string} filePath - Path to the technology file
    * @param {string} [modId] - ID of the mod that contains this file (if applicable)
+   * @param {Object} [options={}] - Parse options
+   * @param {Diagnostic[]} [options.diagnostics] - When given, syntax errors are collected here and the
+   *   remaining technologies of the file are still returned
+   * @param {string} [options.modName] - Name of the mod, used in diagnostics
+   * @param {import('../models/scriptedVariableRegistry')} [options.variables] - Scripted variables from `common/scripted_variables`
    * @returns {Promise<Tech[]>} Array of parsed Tech objects
    */
-  async parseFile(filePath, modId = '') {
+  async parseFile(filePath, modId = '', options = {}) {
     try {
       logger.info(`Parsing technology file: ${filePath}`);
       
@@ -38,10 +76,10 @@ class TechParser {
       const content = await fs.readFile(filePath, 'utf8');
       
       // Parse the content
-      const ast = this.parseContent(content);
+      const ast = this.parseContent(content, { ...options, file: filePath, modId });
       
       // Process the AST to extract technologies
-      const technologies = this.processTechnologies(ast, modId, path.basename(filePath));
+      const technologies = this.processTechnologies(ast, modId, path.basename(filePath), { ...options, file: filePath, modId });
       
       logger.info(`Successfully parsed ${technologies.length} technologies from ${filePath}`);
       return technologies;
@@ -54,148 +92,31 @@ class TechParser {
   /**
    * Parse the content into an AST
    * @param {string} content - The file content to parse
-   * @returns {Object} The parsed AST
-   */
-  parseContent(content) {
-    // Simple parsing approach
-    const result = [];
-    
-    // First, extract all variable definitions
-    const variableRegex = /@([a-zA-Z0-9_\-\.]+)\s*=\s*([^\n#]+)/g;
-    let match;
-    while ((match = variableRegex.exec(content)) !== null) {
-      const varName = match[1];
-      const varValue = match[2].trim();
-      result.push({
-        key: `@${varName}`,
-        value: this.parseSimpleValue(varValue)
-      });
-    }
-    
-    // Then, extract all top-level technology definitions
-    // This regex matches a tech ID followed by an equals sign and a block
-    // It uses a non-greedy match for the block content to avoid capturing nested blocks
-    const techRegex = /^([a-zA-Z0-9_\-\.]+)\s*=\s*{([\s\S]*?)^}/gm;
-    while ((match = techRegex.exec(content)) !== null) {
-      const techId = match[1].trim();
-      const techContent = match[2];
-      
-      // Parse the technology block
-      const techBlock = this.parseTechBlock(techContent);
-      
-      result.push({
-        key: techId,
-        value: { type: 'block', value: techBlock }
-      });
-    }
-    
-    return result;
-  }
-  
-  /**
-   * Parse a technology block
-   * @param {string} blockContent - The content of the technology block
-   * @returns {Array} The parsed block statements
-   */
-  parseTechBlock(blockContent) {
-    const result = [];
-    
-    // Extract key-value pairs
-    // This regex matches a key followed by an equals sign and either:
-    // 1. A simple value (non-equals sign, non-newline)
-    // 2. A block (content between curly braces)
-    const keyValueRegex = /^\s*([a-zA-Z0-9_\-\.]+)\s*=\s*(?:{([^{}]*)}|([^=\n#]+))/gm;
-    let match;
-    
-    while ((match = keyValueRegex.exec(blockContent)) !== null) {
-      const key = match[1].trim();
-      const blockValue = match[2]; // Block content (if any)
-      const simpleValue = match[3]; // Simple value (if any)
-      
-      if (blockValue !== undefined) {
-        // This is a block value
-        // Handle special cases like prerequisites and category
-        if (key === 'prerequisites' || key === 'category') {
-          // Extract quoted strings or identifiers
-          const items = [];
-          const itemRegex = /"([^"]+)"|([a-zA-Z0-9_\-\.]+)/g;
-          let itemMatch;
-          
-          while ((itemMatch = itemRegex.exec(blockValue)) !== null) {
-            const item = itemMatch[1] || itemMatch[2];
-            items.push(item);
-          }
-          
-          result.push({
-            key: key,
-            value: { 
-              type: 'block', 
-              value: items.map(item => ({
-                key: 'item',
-                value: { type: 'string', value: item }
-              }))
-            }
-          });
-        } else {
-          // Regular block - we'll parse it recursively
-          const nestedBlock = this.parseTechBlock(blockValue);
-          result.push({
-            key: key,
-            value: { type: 'block', value: nestedBlock }
-          });
-        }
-      } else if (simpleValue !== undefined) {
-        // This is a simple value
-        const value = simpleValue.trim();
-        result.push({
-          key: key,
-          value: this.parseSimpleValue(value)
-        });
-      }
-    }
-    
-    return result;
-  }
-  
-  /**
-   * Parse a simple value
-   * @param {string} value - The value to parse
-   * @returns {Object} The parsed value
+   * @param {Object} [options={}] - Parse options
+   * @param {Diagnostic[]} [options.diagnostics] - When given, syntax errors are collected here instead of thrown
+   * @param {string} [options.file] - Path of the file, used in diagnostics
+   * @param {string} [options.modId] - ID of the mod, used in diagnostics
+   * @param {string} [options.modName] - Name of the mod, used in diagnostics
+   * @returns {Array} The parsed AST
+   * @throws {ScriptParseError} If the content is not valid script and no diagnostics list is given
    */
-  parseSimpleValue(value) {
-    value = value.trim();
-    
-    // Remove trailing comments
-    const commentIndex = value.indexOf('#');
-    if (commentIndex !== -1) {
-      value = value.substring(0, commentIndex).trim();
-    }
-    
-    // Handle quoted strings
-    if (value.startsWith('"') && value.endsWith('"')) {
-      return { type: 'string', value: value.slice(1, -1) };
-    }
-    
-    // Handle variables
-    if (value.startsWith('@')) {
-      return { type: 'variable', value: value.substring(1) };
+  parseContent(content, options = {}) {
+    if (!options.diagnostics) {
+      return this.scriptParser.parse(content);
     }
-    
-    // Handle numbers
-    if (!isNaN(value)) {
-      return { type: 'number', value: parseFloat(value) };
-    }
-    
-    // Handle booleans
-    if (value === 'yes') {
-      return { type: 'boolean', value: true };
-    }
-    if (value === 'no') {
-      return { type: 'boolean', value: false };
+
+    const errors = [];
+    const ast = this.scriptParser.parse(content, { errors });
+
+    for (const error of errors) {
+      options.diagnostics.push(Diagnostic.fromParseError(error, content, {
+        file: options.file,
+        mod_id: options.modId,
+        mod_name: options.modName
+      }));
     }
-    
-    // Default to identifier
-    return { type: 'identifier', value: value };
+
+    return ast;
   }
 
   /**
@@ -203,9 +124,10 @@ class TechParser {
    * @param {Array} ast - The Abstract Syntax Tree from the parser
    * @param {string} modId - ID of the mod that contains this file
    * @param {string} fileName - Name of the file being parsed
+   * @param {Object} [options={}] - Parse options, used to resolve scripted variables and report unresolved ones
    * @returns {Tech[]} Array of Tech objects
    */
-  processTechnologies(ast, modId, fileName) {
+  processTechnologies(ast, modId, fileName, options = {}) {
     const technologies = [];
     const variables = {};
 
@@ -220,12 +142,12 @@ class TechParser {
 
     // Second pass: extract technologies
     for (const statement of ast) {
-      if (!statement.key.startsWith('@')) {
+      if (!statement.key.startsWith('@') && statement.operator === '=') {
         // This might be a technology definition
         const value = statement.value;
         if (value.type === 'block') {
           // Create a tech object
-          const techData = this.processTechBlock(statement.key, value.value, variables);
+          const techData = this.processTechBlock(statement.key, value.value, variables, options);
           techData.modId = modId;
           
           // Create a Tech instance
@@ -243,9 +165,10 @@ class TechParser {
    * @param {string} techId - The technology ID
    * @param {Array} blockStatements - The statements in the technology block
    * @param {Object} variables - Variables defined in the file
+   * @param {Object} [options={}] - Parse options, used to resolve scripted variables and report unresolved ones
    * @returns {Object} Technology data
    */
-  processTechBlock(techId, blockStatements, variables) {
+  processTechBlock(techId, blockStatements, variables, options = {}) {
     const techData = {
       id: techId,
       name: techId,
@@ -258,14 +181,14 @@ class TechParser {
 
       switch (key) {
         case 'cost':
-          techData.cost = this.resolveValue(value, variables);
+          techData.cost = this.resolveValue(value, variables, options);
           break;
         case 'area':
           techData.area_id = this.extractValue(value);
           techData.area_name = this.extractValue(value);
           break;
         case 'tier':
-          techData.tier = this.resolveValue(value, variables);
+          techData.tier = this.resolveValue(value, variables, options);
           break;
         case 'category':
           if (value.type === 'block') {
@@ -291,7 +214,7 @@ class TechParser {
           }
           break;
         case 'weight':
-          techData.weight = this.resolveValue(value, variables);
+          techData.weight = this.resolveValue(value, variables, options);
           break;
         case 'is_rare':
           techData.is_rare = this.extractValue(value) === true;
@@ -302,6 +225,18 @@ class TechParser {
         case 'start_tech':
           techData.is_starting_tech = this.extractValue(value) === true;
           break;
+        case 'potential':
+          techData.potential = value.type === 'block' ? value.value : null;
+          break;
+        case 'weight_modifier':
+          techData.weight_modifiers = value.type === 'block' ? this.extractWeightModifiers(value, variables, options) : [];
+          break;
+        case 'ai_weight':
+          techData.ai_weight = value.type === 'block' ? value.value : null;
+          break;
+        case 'modifier':
+          techData.modifiers = value.type === 'block' ? this.extractModifiers(value) : {};
+          break;
         default:
           // Ignore other properties for now
           break;
@@ -311,6 +246,53 @@ class TechParser {
     return techData;
   }
 
+  /**
+   * Extract the modifiers granted by a technology
+   * @param {Object} blockNode - The `modifier` block node from the AST
+   * @returns {Object<string, any>} Modifier values by modifier key, e.g. `{ ship_weapon_damage: 0.1 }`
+   */
+  extractModifiers(blockNode) {
+    const modifiers = {};
+
+    for (const statement of blockNode.value) {
+      if (statement.operator === '=' && statement.value.type !== 'block') {
+        modifiers[statement.key] = this.extractValue(statement.value);
+      }
+    }
+
+    return modifiers;
+  }
+
+  /**
+   * Extract the entries of a `weight_modifier` block
+   *
+   * A top-level `factor` or `add` always applies; each `modifier = { factor = 2 has_ethic = ... }` block
+   * applies when all of its conditions are true.
+   * @param {Object} blockNode - The `weight_modifier` block node from the AST
+   * @param {Object} variables - Variables defined in the file
+   * @param {Object} [options={}] - Parse options, used to resolve scripted variables
+   * @returns {Array<{type: string, value: number, conditions: Array<Object>}>} Entries in script order,
+   *   `type` is `factor` (multiplies the weight) or `add` (adds to the weight)
+   */
+  extractWeightModifiers(blockNode, variables, options = {}) {
+    const modifiers = [];
+    const isWeightChange = statement => (statement.key === 'factor' || statement.key === 'add') && statement.value.type !== 'block';
+
+    for (const statement of blockNode.value) {
+      if (isWeightChange(statement)) {
+        modifiers.push({ type: statement.key, value: this.resolveValue(statement.value, variables, options), conditions: [] });
+      } else if (statement.key === 'modifier' && statement.value.type === 'block') {
+        const conditions = statement.value.value.filter(item => !isWeightChange(item));
+
+        for (const item of statement.value.value.filter(isWeightChange)) {
+          modifiers.push({ type: item.key, value: this.resolveValue(item.value, variables, options), conditions });
+        }
+      }
+    }
+
+    return modifiers;
+  }
+
   /**
    * Extract a value from a value node
    * @param {Object} valueNode - The value node from the AST
@@ -329,6 +311,10 @@ class TechParser {
         return valueNode.value;
       case 'variable':
         return `@${valueNode.value}`;
+      case 'math':
+        return `@[${valueNode.value}]`;
+      case 'color':
+        return valueNode.value;
       case 'block':
         // For blocks used as arrays, extract the values
         return this.extractArray(valueNode);
@@ -354,40 +340,132 @@ class TechParser {
   }
 
   /**
-   * Resolve a value, replacing variables with their values
+   * Resolve a value, replacing variables with their values and evaluating inline math (`@[ ... ]`)
+   *
+   * Variables defined in the file take precedence over the scripted variables in `options.variables`.
    * @param {Object} valueNode - The value node from the AST
    * @param {Object} variables - The variables defined in the file
-   * @returns {any} The resolved value
+   * @param {Object} [options={}] - Parse options
+   * @param {import('../models/scriptedVariableRegistry')} [options.variables] - Scripted variables from `common/scripted_variables`
+   * @param {Diagnostic[]} [options.diagnostics] - When given, unresolved variables and invalid math are reported here
+   * @returns {any} The resolved value, or null if it cannot be resolved
    */
-  resolveValue(valueNode, variables) {
+  resolveValue(valueNode, variables, options = {}) {
     if (!valueNode || !valueNode.type) {
       return null;
     }
 
-    if (valueNode.type === 'variable') {
-      const variableName = `@${valueNode.value}`;
-      return variables[variableName] !== undefined ? variables[variableName] : variableName;
+    if (valueNode.type !== 'variable' && valueNode.type !== 'math') {
+      return this.extractValue(valueNode);
     }
 
-    return this.extractValue(valueNode);
+    let value;
+    let problem;
+
+    try {
+      value = valueNode.type === 'math'
+        ? this.evaluateMath(valueNode.value, variables, options.variables)
+        : this.lookupVariable(`@${valueNode.value}`, variables, options.variables);
+      if (value === undefined) {
+        problem = `Unresolved scripted variable @${valueNode.value}`;
+      }
+    } catch (error) {
+      problem = error.message;
+    }
+
+    if (problem) {
+      logger.debug(`${problem} in ${options.file || 'content'}`);
+      if (options.diagnostics) {
+        options.diagnostics.push(new Diagnostic({
+          severity: Diagnostic.WARNING,
+          file: options.file,
+          mod_id: options.modId,
+          mod_name: options.modName,
+          line: valueNode.line,
+          column: valueNode.column,
+          message: problem
+        }));
+      }
+      return null;
+    }
+
+    return value;
+  }
+
+  /**
+   * Evaluate an inline math expression, looking up the variables it uses
+   * @param {string} expression - The expression without the surrounding `@[ ]`
+   * @param {Object} variables - The variables defined in the file
+   * @param {import('../models/scriptedVariableRegistry')} [registry] - Scripted variables from `common/scripted_variables`
+   * @param {Set<string>} [seen] - Variables being evaluated, to detect circular definitions
+   * @returns {number} The result
+   * @throws {MathExpressionError} If the expression is invalid or refers to unknown variables
+   */
+  evaluateMath(expression, variables, registry, seen = new Set()) {
+    return this.mathEvaluator.evaluate(expression, name =>
+      this.lookupVariable(`@${name}`, variables, registry, new Set(seen))
+    );
+  }
+
+  /**
+   * Look up a variable in the file variables and then the scripted variables, following references
+   * @param {string} variableName - Name of the variable including the @
+   * @param {Object} variables - The variables defined in the file
+   * @param {import('../models/scriptedVariableRegistry')} [registry] - Scripted variables from `common/scripted_variables`
+   * @param {Set<string>} [seen] - Variables already visited, to detect circular definitions
+   * @returns {any} The value, or undefined if the variable is not defined
+   * @throws {MathExpressionError} If the variable is defined with invalid inline math
+   */
+  lookupVariable(variableName, variables, registry, seen = new Set()) {
+    let current = variableName;
+
+    while (!seen.has(current)) {
+      seen.add(current);
+
+      let value = variables[current];
+      if (value === undefined && registry) {
+        value = registry.get(current);
+      }
+
+      if (typeof value === 'string' && value.startsWith('@[')) {
+        return this.evaluateMath(value.slice(2, -1), variables, registry, seen);
+      }
+      if (typeof value !== 'string' || !value.startsWith('@')) {
+        return value;
+      }
+      current = value;
+    }
+
+    return undefined;
   }
 
   /**
    * Parse technology content directly
    * @param {string} content - Content of the technology file
+   * @param {Object} [options={}] - Parse options (see parseContent), `options.variables` resolves scripted variables
    * @returns {Tech[]} Array of parsed Tech objects
    */
-  parse(content) {
+  parse(content, options = {}) {
     try {
       // Parse the content
-      const ast = this.parseContent(content);
+      const ast = this.parseContent(content, options);
       
       // Process the AST to extract technologies
-      const technologies = this.processTechnologies(ast, '', '');
+      const technologies = this.processTechnologies(ast, options.modId || '', options.file ? path.basename(options.file) : '', options);
       
       return technologies;
     } catch (error) {
       logger.error(`Error parsing content: ${error.message}`);
+      if (options.diagnostics) {
+        options.diagnostics.push(new Diagnostic({
+          file: options.file,
+          mod_id: options.modId,
+          mod_name: options.modName,
+          line: error.line,
+          column: error.column,
+          message: error.reason || error.message
+        }));
+      }
       return [];
     }
   }
@@ -0,0 +1,32 @@
+/**
+ * Worker thread that parses technology files for TechService
+ *
+ * `workerData.variables` holds the scripted variables (ScriptedVariableRegistry#toEntries) the files are
+ * parsed with. Each message `{ id, content, file, modId, modName }` is answered with
+ * `{ id, result: { technologies, diagnostics } }` or `{ id, error }`.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const TechParser = require('./techParser');
+const ScriptedVariableRegistry = require('../models/scriptedVariableRegistry');
+
+const parser = new TechParser();
+const variables = ScriptedVariableRegistry.fromEntries(workerData.variables || []);
+
+parentPort.on('message', async ({ id, content, file, modId, modName }) => {
+  try {
+    const diagnostics = [];
+    const technologies = await parser.parse(content, { diagnostics, file, modId, modName, variables });
+
+    // Only the fields are copied to the main thread, it restores the Tech and Diagnostic instances
+    parentPort.postMessage({
+      id,
+      result: {
+        technologies: technologies.map(tech => ({ ...tech })),
+        diagnostics: diagnostics.map(diagnostic => ({ ...diagnostic }))
+      }
+    });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,145 @@
+const logger = require('../utils/logger');
+const Unlockable = require('../models/unlockable');
+const Diagnostic = require('../models/diagnostic');
+const { ScriptParser } = require('./scriptParser');
+
+/**
+ * Parser for the `common/*` game objects that list technologies as prerequisites
+ */
+class UnlockParser {
+  /**
+   * Object types that can be unlocked by technologies
+   *
+   * `directory` is the folder below `common/`, `idKey` is set when the object ID is stored in the block
+   * (e.g. `utility_component_template = { key = "SMALL_MASS_DRIVER" ... }`) instead of being the block key.
+   * @type {Array<{type: string, directory: string, idKey?: string}>}
+   */
+  static TYPES = [
+    { type: 'building', directory: 'buildings' },
+    { type: 'component', directory: 'component_templates', idKey: 'key' },
+    { type: 'section', directory: 'section_templates', idKey: 'key' },
+    { type: 'ship_size', directory: 'ship_sizes' },
+    { type: 'starbase_building', directory: 'starbase_buildings' },
+    { type: 'starbase_module', directory: 'starbase_modules' },
+    { type: 'megastructure', directory: 'megastructures' },
+    { type: 'district', directory: 'districts' },
+    { type: 'army', directory: 'armies' },
+    { type: 'edict', directory: 'edicts' },
+    { type: 'decision', directory: 'decisions' }
+  ];
+
+  /**
+   * Initialize the parser
+   */
+  constructor() {
+    this.scriptParser = new ScriptParser();
+  }
+
+  /**
+   * Parse the objects of one type that have prerequisites
+   * @param {string} content - Content of the file
+   * @param {string} type - Object type, one of the types in UnlockParser.TYPES
+   * @param {Object} [options={}] - Parse options
+   * @param {Diagnostic[]} [options.diagnostics] - When given, syntax errors are collected here and the
+   *   remaining objects of the file are still returned
+   * @param {string} [options.file] - Path of the file
+   * @param {string} [options.modId] - ID of the mod that contains the file
+   * @param {string} [options.modName] - Name of the mod that contains the file
+   * @returns {Unlockable[]} Objects with at least one prerequisite
+   */
+  parse(content, type, options = {}) {
+    const typeInfo = UnlockParser.TYPES.find(info => info.type === type);
+    if (!typeInfo) {
+      throw new Error(`Unknown unlockable type: ${type}`);
+    }
+
+    try {
+      const errors = [];
+      const ast = this.scriptParser.parse(content, options.diagnostics ? { errors } : {});
+
+      for (const error of errors) {
+        options.diagnostics.push(Diagnostic.fromParseError(error, content, {
+          file: options.file,
+          mod_id: options.modId,
+          mod_name: options.modName
+        }));
+      }
+
+      const unlockables = [];
+
+      for (const statement of ast) {
+        if (statement.operator !== '=' || statement.key.startsWith('@') || statement.value.type !== 'block') {
+          continue;
+        }
+
+        const block = statement.value.value;
+        const id = typeInfo.idKey ? this._getString(block, typeInfo.idKey) : statement.key;
+        const prerequisites = this._getPrerequisites(block);
+
+        if (id && prerequisites.length > 0) {
+          unlockables.push(new Unlockable({
+            id,
+            type,
+            prerequisites,
+            mod_id: options.modId,
+            mod_name: options.modName,
+            source_file: options.file
+          }));
+        }
+      }
+
+      return unlockables;
+    } catch (error) {
+      logger.error(`Error parsing ${type} content: ${error.message}`);
+      if (options.diagnostics) {
+        options.diagnostics.push(new Diagnostic({
+          file: options.file,
+          mod_id: options.modId,
+          mod_name: options.modName,
+          line: error.line,
+          column: error.column,
+          message: error.reason || error.message
+        }));
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Get the value of a string or identifier statement in a block
+   * @param {Array<Object>} block - Statements of the block
+   * @param {string} key - Key of the statement
+   * @returns {string|null} The value or null if there is no such statement
+   * @private
+   */
+  _getString(block, key) {
+    const statement = block.find(item => item.key === key);
+    if (!statement || !['string', 'identifier'].includes(statement.value.type)) {
+      return null;
+    }
+    return statement.value.value;
+  }
+
+  /**
+   * Get the technology IDs listed in the `prerequisites` block
+   * @param {Array<Object>} block - Statements of the object block
+   * @returns {string[]} Technology IDs
+   * @private
+   */
+  _getPrerequisites(block) {
+    const statement = block.find(item => item.key === 'prerequisites');
+    if (!statement) {
+      return [];
+    }
+
+    if (statement.value.type !== 'block') {
+      return [String(statement.value.value)];
+    }
+
+    return statement.value.value
+      .filter(item => item.key === 'item' && ['string', 'identifier'].includes(item.value.type))
+      .map(item => item.value.value);
+  }
+}
+
+module.exports = UnlockParser;
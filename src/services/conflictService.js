@@ -0,0 +1,250 @@
+/**
+ * Service for finding conflicts between the mods of the active playset
+ */
+const logger = require('../utils/logger');
+const Conflict = require('../models/conflict');
+const localizationService = require('./localizationService');
+
+/**
+ * Order of the severities in reports, most severe first
+ * @type {string[]}
+ */
+const SEVERITY_ORDER = [Conflict.ERROR, Conflict.WARNING, Conflict.INFO];
+
+class ConflictService {
+  /**
+   * Creates a new ConflictService instance
+   * @param {TechService} techService The technology service, with the technologies of the playset loaded
+   * @param {Object} [localization] The localization service
+   */
+  constructor(techService, localization = localizationService) {
+    this._techService = techService;
+    this._localization = localization;
+  }
+
+  /**
+   * Finds the conflicts of the loaded technologies and localisation
+   * @param {Object} [filters={}] Optional filters
+   * @param {string} [filters.severity] Only return conflicts with this severity
+   * @param {string} [filters.type] Only return conflicts of this type
+   * @param {string} [filters.modId] Only return conflicts involving this mod ('' for the base game)
+   * @returns {Conflict[]} Conflicts, most severe first
+   */
+  getConflicts(filters = {}) {
+    const conflicts = [
+      ...this.findRedefinedTechnologies(),
+      ...this.findReplacedFiles(),
+      ...this.findRemovedPrerequisites(),
+      ...this.findRedefinedLocalizations()
+    ];
+
+    logger.debug(`Found ${conflicts.length} conflicts`);
+
+    return conflicts
+      .filter(conflict =>
+        (!filters.severity || conflict.severity === filters.severity) &&
+        (!filters.type || conflict.type === filters.type) &&
+        (filters.modId === undefined || conflict.mods.some(mod => mod.id === filters.modId)))
+      .sort((a, b) =>
+        SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) ||
+        a.type.localeCompare(b.type) ||
+        a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Counts conflicts by severity
+   * @param {Conflict[]} conflicts Conflicts
+   * @returns {{errors: number, warnings: number, info: number}} Conflict counts
+   */
+  countConflicts(conflicts) {
+    return {
+      errors: conflicts.filter(conflict => conflict.severity === Conflict.ERROR).length,
+      warnings: conflicts.filter(conflict => conflict.severity === Conflict.WARNING).length,
+      info: conflicts.filter(conflict => conflict.severity === Conflict.INFO).length
+    };
+  }
+
+  /**
+   * Finds technologies defined by more than one mod, or by a mod and the base game
+   * @returns {Conflict[]} A warning if several mods define the technology, info if one mod changes the base game
+   */
+  findRedefinedTechnologies() {
+    const database = this._techService.getTechDatabase();
+    const conflicts = [];
+
+    for (const id of database.getDefinedTechnologyIds()) {
+      const history = database.getTechnologyHistory(id);
+      const mods = uniqueMods(history.map(definition => ({ id: definition.modId, name: definition.modName })));
+      const modCount = mods.filter(mod => mod.id).length;
+
+      if (mods.length < 2) {
+        continue;
+      }
+
+      const winner = history.find(definition => definition.winning);
+      conflicts.push(new Conflict({
+        type: Conflict.TECH_REDEFINED,
+        severity: modCount > 1 ? Conflict.WARNING : Conflict.INFO,
+        id,
+        message: `Defined by ${mods.map(mod => mod.name).join(', ')}; ${winner ? `${winner.modName} wins` : 'no definition is used'}`,
+        mods,
+        details: {
+          winner: winner ? { modId: winner.modId, modName: winner.modName, file: winner.file } : null,
+          definitions: history
+        }
+      }));
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Finds technology files that replace a file with the same path entirely
+   * @returns {Conflict[]} A warning if a file of another mod is replaced or technologies were lost, info otherwise
+   */
+  findReplacedFiles() {
+    const database = this._techService.getTechDatabase();
+    const removedBy = this._getRemovedTechnologies();
+
+    return this._techService.getReplacedFiles().map(file => {
+      const replacedFiles = file.replaced.map(replaced => replaced.file);
+      const removedTechs = Array.from(removedBy.entries())
+        .filter(([, definitions]) => definitions.some(definition => replacedFiles.includes(definition.file)))
+        .map(([id]) => id);
+      const replacesMod = file.replaced.some(replaced => replaced.modId);
+      const mods = uniqueMods([
+        ...file.replaced.map(replaced => ({ id: replaced.modId, name: replaced.modName })),
+        { id: file.modId, name: file.modName }
+      ]);
+
+      let message = `${file.modName} replaces the file of ${file.replaced.map(replaced => replaced.modName).join(', ')}`;
+      if (removedTechs.length > 0) {
+        message += `, removing ${removedTechs.join(', ')}`;
+      }
+
+      return new Conflict({
+        type: Conflict.FILE_REPLACED,
+        severity: replacesMod || removedTechs.length > 0 ? Conflict.WARNING : Conflict.INFO,
+        id: file.relativePath,
+        message,
+        mods,
+        details: {
+          file: file.file,
+          replaced: file.replaced,
+          removedTechs,
+          // Technologies of the replaced files that the replacing file defines again
+          redefinedTechs: database.getDefinedTechnologyIds().filter(id =>
+            !removedBy.has(id) && database.getTechnologyHistory(id).some(definition =>
+              definition.reason === 'file_replaced' && replacedFiles.includes(definition.file)))
+        }
+      });
+    });
+  }
+
+  /**
+   * Finds prerequisites that point at technologies removed by a file replaced by a later mod
+   * @returns {Conflict[]} An error per technology and removed prerequisite
+   */
+  findRemovedPrerequisites() {
+    const removedBy = this._getRemovedTechnologies();
+    const conflicts = [];
+
+    for (const tech of this._techService.getAllTechnologies()) {
+      for (const prerequisite of tech.prerequisites) {
+        if (!removedBy.has(prerequisite)) {
+          continue;
+        }
+
+        const replacedBy = removedBy.get(prerequisite).map(definition => definition.replacedBy);
+        const mods = uniqueMods([
+          { id: tech.sourceModId || tech.modId || '', name: tech.sourceModName || '' },
+          ...replacedBy.map(file => ({ id: file.modId, name: file.modName }))
+        ]);
+
+        conflicts.push(new Conflict({
+          type: Conflict.PREREQUISITE_REMOVED,
+          severity: Conflict.ERROR,
+          id: tech.id,
+          message: `Requires ${prerequisite}, which ${uniqueMods(replacedBy.map(file => ({ id: file.modId, name: file.modName }))).map(mod => mod.name).join(', ')} removed by replacing its file`,
+          mods,
+          details: { prerequisite, replacedBy }
+        }));
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Finds localisation keys of the selected language defined by more than one mod, or by a mod and the base game
+   * @returns {Conflict[]} A warning if mods define different values, info otherwise
+   */
+  findRedefinedLocalizations() {
+    const conflicts = [];
+
+    for (const { key, entries } of this._localization.getRedefinedKeys()) {
+      const mods = uniqueMods(entries.slice().reverse().map(entry => ({
+        id: entry.mod ? entry.mod.id : '',
+        name: entry.mod ? entry.mod.name : 'Base Game'
+      })));
+      const modValues = new Set(entries.filter(entry => entry.mod).map(entry => entry.value));
+
+      if (mods.length < 2) {
+        continue;
+      }
+
+      const [winner] = entries;
+      conflicts.push(new Conflict({
+        type: Conflict.LOCALIZATION_REDEFINED,
+        severity: modValues.size > 1 ? Conflict.WARNING : Conflict.INFO,
+        id: key,
+        message: `Defined by ${mods.map(mod => mod.name).join(', ')}; ${winner.mod ? winner.mod.name : 'Base Game'} wins`,
+        mods,
+        details: { value: winner.value, entries }
+      }));
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Gets the technologies that were only defined in replaced files and so no longer exist
+   * @returns {Map<string, Object[]>} Map of technology ID to its definitions
+   * @private
+   */
+  _getRemovedTechnologies() {
+    const database = this._techService.getTechDatabase();
+    const removed = new Map();
+
+    for (const id of database.getDefinedTechnologyIds()) {
+      if (database.getTechnology(id)) {
+        continue;
+      }
+
+      const history = database.getTechnologyHistory(id);
+      if (history.every(definition => definition.reason === 'file_replaced')) {
+        removed.set(id, history);
+      }
+    }
+
+    return removed;
+  }
+}
+
+/**
+ * Removes repeated mods, keeping the first occurrence
+ * @param {Array<{id: string, name: string}>} mods Mods ('' as ID for the base game)
+ * @returns {Array<{id: string, name: string}>} The mods without duplicates
+ */
+function uniqueMods(mods) {
+  const seen = new Set();
+  return mods.filter(mod => {
+    if (seen.has(mod.id)) {
+      return false;
+    }
+    seen.add(mod.id);
+    return true;
+  });
+}
+
+module.exports = ConflictService;
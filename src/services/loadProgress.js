@@ -0,0 +1,297 @@
+/**
+ * Progress of loading the technologies of a playset, for clients that follow it with Server-Sent Events
+ */
+const EventEmitter = require('events');
+
+/**
+ * Phases of a load, in order
+ * @type {string[]}
+ */
+const PHASES = ['paths', 'mods', 'variables', 'parse', 'load', 'unlockables', 'localisation', 'tree'];
+
+/**
+ * Phases that can be cancelled; later phases change the shared localisation, so a load runs to the end once
+ * they started
+ * @type {string[]}
+ */
+const CANCELLABLE_PHASES = ['paths', 'mods', 'variables', 'parse', 'load', 'unlockables'];
+
+/**
+ * Minimum time between two progress events of the same phase, in milliseconds
+ * @type {number}
+ */
+const PROGRESS_INTERVAL = 100;
+
+/**
+ * Largest number of warnings kept in the state, later ones are only counted
+ * @type {number}
+ */
+const MAX_WARNINGS = 100;
+
+/**
+ * Error thrown into a load when it is cancelled
+ */
+class LoadCancelledError extends Error {
+  /**
+   * Creates a new LoadCancelledError
+   */
+  constructor() {
+    super('Load cancelled');
+    this.name = 'LoadCancelledError';
+  }
+}
+
+/**
+ * The state of the current (or last) load
+ *
+ * Emits an `event` event with `{ type, data }` for every change: `start`, `phase`, `progress`, `warning` and
+ * one of `done`, `error` or `cancelled` at the end. Pass handle() as the `onProgress` callback of
+ * TechService#loadAllTechnologies; it throws a LoadCancelledError once cancel() was called.
+ */
+class LoadProgress extends EventEmitter {
+  /**
+   * Phases of a load, in order
+   * @type {string[]}
+   */
+  static PHASES = PHASES;
+
+  /**
+   * Creates a new LoadProgress instance
+   */
+  constructor() {
+    super();
+    this.handle = this.handle.bind(this);
+    this._nextId = 1;
+    this._lastProgressAt = 0;
+    this._state = this._createState('idle');
+  }
+
+  /**
+   * Checks if a load is running
+   * @returns {boolean} True while a load is running
+   */
+  isRunning() {
+    return this._state.status === 'running';
+  }
+
+  /**
+   * Gets the state of the current or last load
+   * @returns {Object} The state: status, phase, progress of the phase and of each mod, warnings and the result
+   */
+  getState() {
+    return {
+      ...this._state,
+      mods: Array.from(this._state.mods.values()),
+      warnings: [...this._state.warnings]
+    };
+  }
+
+  /**
+   * Starts a new load
+   * @param {Object} [details={}] What is loaded, e.g. `{ playset: { id, name } }`
+   * @returns {number} ID of the load
+   */
+  start(details = {}) {
+    this._state = { ...this._createState('running'), ...details, id: this._nextId++, startedAt: Date.now() };
+    this._emit('start', { id: this._state.id, ...details });
+    return this._state.id;
+  }
+
+  /**
+   * Handles a progress event of the load
+   * @param {Object} event Progress event
+   * @param {string} event.phase One of PHASES, or 'warning'
+   * @param {string} [event.message] Description of what is done, or the warning
+   * @param {number} [event.done] Number of items of the phase done
+   * @param {number} [event.total] Number of items of the phase
+   * @param {{id: string, name: string, done: number, total: number}} [event.mod] Progress of the current mod
+   * @param {Array<{id: string, name: string}>} [event.mods] Mods of the load, with the 'mods' phase
+   * @throws {LoadCancelledError} If the load was cancelled
+   */
+  handle(event) {
+    if (this._state.cancelRequested) {
+      throw new LoadCancelledError();
+    }
+
+    if (event.phase === 'warning') {
+      this._warn(event);
+    } else if (event.phase !== this._state.phase) {
+      this._enterPhase(event);
+    } else {
+      this._progress(event);
+    }
+  }
+
+  /**
+   * Requests the running load to stop at the next progress event
+   * @returns {boolean} True if the load will be cancelled, false if no load is running or it is past the
+   *   phases that can be cancelled
+   */
+  cancel() {
+    if (!this.isRunning() || !this._state.cancellable) {
+      return false;
+    }
+
+    this._state.cancelRequested = true;
+    return true;
+  }
+
+  /**
+   * Ends the load successfully
+   * @param {Object} result Load result sent to the clients
+   */
+  finish(result) {
+    this._end('done', { result });
+  }
+
+  /**
+   * Ends the load with an error, or as cancelled if the error is a LoadCancelledError
+   * @param {Error} error The error that stopped the load
+   */
+  fail(error) {
+    if (error instanceof LoadCancelledError) {
+      this._end('cancelled', {});
+    } else {
+      this._end('error', { error: error.message });
+    }
+  }
+
+  /**
+   * Creates the state of a load
+   * @param {string} status Status of the load
+   * @returns {Object} The state
+   * @private
+   */
+  _createState(status) {
+    return {
+      id: null,
+      status,
+      phase: null,
+      phaseIndex: -1,
+      message: '',
+      done: 0,
+      total: 0,
+      mods: new Map(), // Map of mod ID to { id, name, done, total } in the current phase
+      warnings: [],
+      warningCount: 0,
+      cancellable: status === 'running',
+      cancelRequested: false,
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null
+    };
+  }
+
+  /**
+   * Starts a phase
+   * @param {Object} event Progress event
+   * @private
+   */
+  _enterPhase(event) {
+    const state = this._state;
+    state.phase = event.phase;
+    state.phaseIndex = PHASES.indexOf(event.phase);
+    state.message = event.message || '';
+    state.done = event.done || 0;
+    state.total = event.total || 0;
+    state.cancellable = CANCELLABLE_PHASES.includes(event.phase);
+
+    if (event.mods) {
+      state.mods = new Map(event.mods.map(mod => [mod.id, { id: mod.id, name: mod.name, done: 0, total: 0 }]));
+    } else {
+      for (const mod of state.mods.values()) {
+        mod.done = 0;
+        mod.total = 0;
+      }
+    }
+    this._updateMod(event.mod);
+    this._lastProgressAt = Date.now();
+
+    this._emit('phase', {
+      phase: state.phase,
+      phaseIndex: state.phaseIndex,
+      phaseCount: PHASES.length,
+      message: state.message,
+      done: state.done,
+      total: state.total,
+      mods: Array.from(state.mods.values()),
+      cancellable: state.cancellable
+    });
+  }
+
+  /**
+   * Records the progress within a phase, emitting it at most every PROGRESS_INTERVAL
+   * @param {Object} event Progress event
+   * @private
+   */
+  _progress(event) {
+    const state = this._state;
+    state.done = event.done !== undefined ? event.done : state.done;
+    state.total = event.total !== undefined ? event.total : state.total;
+    state.message = event.message || state.message;
+    this._updateMod(event.mod);
+
+    const now = Date.now();
+    if (now - this._lastProgressAt < PROGRESS_INTERVAL && state.done < state.total) {
+      return;
+    }
+    this._lastProgressAt = now;
+
+    this._emit('progress', {
+      phase: state.phase,
+      message: state.message,
+      done: state.done,
+      total: state.total,
+      mod: event.mod ? state.mods.get(event.mod.id) : null
+    });
+  }
+
+  /**
+   * Updates the progress of a mod
+   * @param {{id: string, name: string, done: number, total: number}} [mod] Progress of the mod
+   * @private
+   */
+  _updateMod(mod) {
+    if (mod) {
+      this._state.mods.set(mod.id, { id: mod.id, name: mod.name, done: mod.done, total: mod.total });
+    }
+  }
+
+  /**
+   * Records a warning
+   * @param {Object} event Warning event
+   * @private
+   */
+  _warn(event) {
+    const warning = { phase: this._state.phase, message: event.message, modId: event.modId };
+    this._state.warningCount++;
+    if (this._state.warnings.length < MAX_WARNINGS) {
+      this._state.warnings.push(warning);
+    }
+    this._emit('warning', warning);
+  }
+
+  /**
+   * Ends the load
+   * @param {string} status Final status
+   * @param {Object} data Result or error
+   * @private
+   */
+  _end(status, data) {
+    Object.assign(this._state, data, { status, cancellable: false, finishedAt: Date.now() });
+    this._emit(status, { id: this._state.id, ...data, duration: (this._state.finishedAt - this._state.startedAt) / 1000 });
+  }
+
+  /**
+   * Emits an event for the clients
+   * @param {string} type Event type
+   * @param {Object} data Event data
+   * @private
+   */
+  _emit(type, data) {
+    this.emit('event', { type, data });
+  }
+}
+
+module.exports = { LoadProgress, LoadCancelledError };
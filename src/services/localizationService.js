@@ -2,6 +2,57 @@ const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
 const PathResolver = require('../utils/pathResolver');
+const LocalizationFormatter = require('../parsers/localizationFormatter');
+
+/**
+ * Language used for keys that are missing in the selected language
+ * @type {string}
+ */
+const FALLBACK_LANGUAGE = 'english';
+
+/**
+ * Languages supported by Stellaris, by folder name
+ * @type {Object<string, string>}
+ */
+const LANGUAGE_NAMES = {
+  english: 'English',
+  braz_por: 'Português (Brasil)',
+  french: 'Français',
+  german: 'Deutsch',
+  japanese: '日本語',
+  korean: '한국어',
+  polish: 'Polski',
+  russian: 'Русский',
+  simp_chinese: '简体中文',
+  spanish: 'Español'
+};
+
+/**
+ * Checks if an entry takes precedence over another one for the same key
+ *
+ * Like the game, files in a `replace` folder win over other files, then the base game is overridden by mods in
+ * load order. Between files of the same rank, the file loaded last wins.
+ * @param {Object} entry The entry being loaded
+ * @param {Object} other The entry it is compared with
+ * @returns {boolean} True if the entry wins
+ */
+function outranks(entry, other) {
+  if (entry.replace !== other.replace) {
+    return entry.replace;
+  }
+  return entry.loadOrder >= other.loadOrder;
+}
+
+/**
+ * Checks if a localization file is in a `replace` folder, e.g. `localisation/english/replace/foo_l_english.yml`
+ * @param {string} filePath Path of the file
+ * @returns {boolean} True if the file replaces entries
+ */
+function isReplaceFile(filePath) {
+  const parts = filePath.split(/[\\/]/).map(part => part.toLowerCase());
+  const root = Math.max(parts.lastIndexOf('localisation'), parts.lastIndexOf('localization'));
+  return parts.slice(root + 1, -1).includes('replace');
+}
 
 /**
  * Service for loading and applying localization data
@@ -11,9 +62,22 @@ class LocalizationService {
    * Creates a new LocalizationService instance
    */
   constructor() {
-    this.localizations = new Map();
+    this.languages = new Map(); // Map of language to a Map of localization key to value
+    this.sources = new Map(); // Map of language to a Map of localization key to its entries, winning entry first
     this._initialized = false;
-    this.language = 'english'; // Default language
+    this.language = FALLBACK_LANGUAGE; // Default language
+    this._gamePath = null; // Remembered so other languages can be loaded on first use
+    this._mods = []; // Mods the technologies were loaded from, in load order, also remembered for other languages
+    this._formatters = new Map();
+    this._loading = new Map(); // Map of language to the promise of its load, while it is loading
+  }
+
+  /**
+   * Gets the localizations of the default language
+   * @returns {Map<string, string>} Map of localization key to value
+   */
+  get localizations() {
+    return this._getEntries(this.language);
   }
 
   /**
@@ -26,7 +90,8 @@ class LocalizationService {
     }
 
     logger.info('Initializing localization service...');
-    this.localizations.clear();
+    this.languages.clear();
+    this.sources.clear();
     this._initialized = true;
     logger.info('Localization service initialized');
   }
@@ -42,10 +107,13 @@ class LocalizationService {
 
   /**
    * Loads localization data from the game and mods
+   *
+   * The default language and the English fallback are loaded now, other languages on first use (see loadLanguage).
    * @param {string} gamePath Path to the Stellaris installation
+   * @param {Array<Object>} [mods] Mods the technologies were loaded from, in load order
    * @returns {Promise<number>} Number of localization entries loaded
    */
-  async loadLocalizations(gamePath) {
+  async loadLocalizations(gamePath, mods = []) {
     if (!this._initialized) {
       await this.initialize();
     }
@@ -53,30 +121,127 @@ class LocalizationService {
     logger.info('Loading localizations...');
     
     // Clear existing localizations
-    this.localizations.clear();
+    this.languages.clear();
+    this.sources.clear();
+    this._formatters.clear();
+    this._loading.clear();
+    this._gamePath = gamePath;
+    this._mods = mods;
+    
+    let count = await this.loadLanguage(FALLBACK_LANGUAGE);
+    if (this.language !== FALLBACK_LANGUAGE) {
+      count += await this.loadLanguage(this.language);
+    }
+    
+    return count;
+  }
+
+  /**
+   * Loads the localizations of a language from the game and mods, unless it is already loaded
+   *
+   * Callers requesting a language that is still loading wait for that load to finish.
+   * @param {string} language The language (e.g., 'german')
+   * @returns {Promise<number>} Number of localization entries loaded, 0 if the language was already loaded
+   */
+  async loadLanguage(language) {
+    language = language.toLowerCase();
+    if (this._loading.has(language)) {
+      await this._loading.get(language);
+      return 0;
+    }
+    if (this.languages.has(language) || !this._gamePath) {
+      return 0;
+    }
+
+    const loading = this._loadLanguage(language);
+    this._loading.set(language, loading);
+    try {
+      return await loading;
+    } finally {
+      if (this._loading.get(language) === loading) {
+        this._loading.delete(language);
+      }
+    }
+  }
+
+  /**
+   * Loads the localizations of a language from the game and mods
+   * @param {string} language The language, in lower case
+   * @returns {Promise<number>} Number of localization entries loaded
+   * @private
+   */
+  async _loadLanguage(language) {
+    this.languages.set(language, new Map());
+    this.sources.set(language, new Map());
+    this._formatters.delete(language);
     
     // Load base game localizations
-    const baseGameCount = await this.loadBaseGameLocalizations(gamePath);
-    logger.info(`Loaded ${baseGameCount} localization entries from base game`);
+    const baseGameCount = await this.loadBaseGameLocalizations(this._gamePath, language);
+    logger.info(`Loaded ${baseGameCount} ${language} localization entries from base game`);
     
     // Load mod localizations
-    const modCount = await this.loadModLocalizations();
-    logger.info(`Loaded ${modCount} localization entries from mods`);
+    const modCount = await this.loadModLocalizations(language);
+    logger.info(`Loaded ${modCount} ${language} localization entries from mods`);
     
     return baseGameCount + modCount;
   }
 
+  /**
+   * Checks if the localizations of a language have been loaded
+   * @param {string} language The language
+   * @returns {boolean} True if the language is loaded
+   */
+  isLanguageLoaded(language) {
+    language = language.toLowerCase();
+    return this.languages.has(language) && !this._loading.has(language);
+  }
+
+  /**
+   * Checks if a language is supported by the game
+   * @param {string} language The language
+   * @returns {boolean} True for the languages Stellaris ships with
+   */
+  isSupportedLanguage(language) {
+    return Object.prototype.hasOwnProperty.call(LANGUAGE_NAMES, String(language).toLowerCase());
+  }
+
+  /**
+   * Gets the languages the game has localizations for
+   * @returns {Promise<Array<{id: string, name: string, loaded: boolean, isDefault: boolean}>>} Available languages
+   */
+  async getAvailableLanguages() {
+    let ids = Object.keys(LANGUAGE_NAMES);
+
+    if (this._gamePath) {
+      try {
+        const entries = await fs.readdir(path.join(this._gamePath, 'localisation'), { withFileTypes: true });
+        const folders = entries.filter(entry => entry.isDirectory()).map(entry => entry.name.toLowerCase());
+        ids = ids.filter(id => folders.includes(id));
+      } catch (error) {
+        logger.warn(`Could not list localization languages: ${error.message}`);
+      }
+    }
+
+    return ids.map(id => ({
+      id,
+      name: LANGUAGE_NAMES[id],
+      loaded: this.isLanguageLoaded(id),
+      isDefault: id === this.language
+    }));
+  }
+
   /**
    * Loads localization data from the base game
    * @param {string} gamePath Path to the Stellaris installation
+   * @param {string} [language] The language, defaults to the selected language
    * @returns {Promise<number>} Number of localization entries loaded
    */
-  async loadBaseGameLocalizations(gamePath) {
+  async loadBaseGameLocalizations(gamePath, language = this.language) {
     try {
       logger.info(`Loading base game localizations from: ${gamePath}`);
       
       // Path to localization files
-      const localizationPath = path.join(gamePath, 'localisation', this.language);
+      const localizationPath = path.join(gamePath, 'localisation', language);
       
       try {
         await fs.access(localizationPath);
@@ -85,14 +250,18 @@ class LocalizationService {
         return 0;
       }
       
-      // Find all YML files in the localization directory
-      const files = await this.findLocalizationFiles(localizationPath);
+      // Find all YML files in the localization directory and the shared replace folder
+      const files = [
+        ...await this.findLocalizationFiles(localizationPath, language),
+        ...await this.findReplaceFiles(path.join(gamePath, 'localisation'), language)
+      ];
+      const source = { root: gamePath, mod: null, loadOrder: 0 };
       
       let totalLoaded = 0;
       
       // Load each file
       for (const file of files) {
-        const fileLoaded = await this.loadLocalizationFile(file);
+        const fileLoaded = await this.loadLocalizationFile(file, language, source);
         totalLoaded += fileLoaded;
       }
       
@@ -107,21 +276,25 @@ class LocalizationService {
   /**
    * Finds all localization files in a directory
    * @param {string} dirPath Path to the directory
+   * @param {string} [language] The language, defaults to the selected language
    * @returns {Promise<string[]>} Array of file paths
    */
-  async findLocalizationFiles(dirPath) {
+  async findLocalizationFiles(dirPath, language = this.language) {
     try {
       const entries = await fs.readdir(dirPath, { withFileTypes: true });
       const files = [];
       
+      // Sort so the file loaded last (which wins between files of the same rank) does not depend on the file system
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+      
       for (const entry of entries) {
         const entryPath = path.join(dirPath, entry.name);
         
         if (entry.isDirectory()) {
           // Recursively search subdirectories
-          const subDirFiles = await this.findLocalizationFiles(entryPath);
+          const subDirFiles = await this.findLocalizationFiles(entryPath, language);
           files.push(...subDirFiles);
-        } else if (entry.isFile() && this.isLocalizationFile(entry.name)) {
+        } else if (entry.isFile() && this.isLocalizationFile(entry.name, language)) {
           files.push(entryPath);
         }
       }
@@ -134,23 +307,51 @@ class LocalizationService {
   }
 
   /**
-   * Checks if a file is a localization file
+   * Finds the localization files in the `replace` folder of a localisation directory
+   *
+   * Replace folders inside a language folder are found by findLocalizationFiles; this finds the ones next to the
+   * language folders, e.g. `localisation/replace/technology_l_english.yml`.
+   * @param {string} localisationPath Path to the localisation directory
+   * @param {string} [language] The language, defaults to the selected language
+   * @returns {Promise<string[]>} Array of file paths, empty if there is no replace folder
+   */
+  async findReplaceFiles(localisationPath, language = this.language) {
+    const replacePath = path.join(localisationPath, 'replace');
+    try {
+      await fs.access(replacePath);
+    } catch (error) {
+      logger.debug(`No replace folder found at ${replacePath}: ${error.message}`);
+      return [];
+    }
+    return this.findLocalizationFiles(replacePath, language);
+  }
+
+  /**
+   * Checks if a file is a localization file for a language
    * @param {string} fileName Name of the file
-   * @returns {boolean} True if the file is a localization file
+   * @param {string} [language] The language, defaults to the selected language
+   * @returns {boolean} True if the file is a localization file of the language
    */
-  isLocalizationFile(fileName) {
-    // Check for common localization file extensions
-    return fileName.endsWith('.yml') || 
-           fileName.endsWith('_l_english.yml') || 
-           fileName.endsWith('_l_english.yaml');
+  isLocalizationFile(fileName, language = this.language) {
+    // Files are named like technology_l_english.yml; files without a language suffix are loaded for every language
+    const match = fileName.match(/_l_([a-z_]+)\.ya?ml$/i);
+    if (match) {
+      return match[1].toLowerCase() === language;
+    }
+    return /\.ya?ml$/i.test(fileName);
   }
 
   /**
    * Loads localization data from a file
    * @param {string} filePath Path to the localization file
+   * @param {string} [language] The language the entries belong to, defaults to the selected language
+   * @param {Object} [source] Where the file comes from
+   * @param {string} [source.root] Directory file paths are recorded relative to (game or mod directory)
+   * @param {Object} [source.mod] The mod the file belongs to, null for the base game
+   * @param {number} [source.loadOrder] 0 for the base game, the position in the load order plus one for mods
    * @returns {Promise<number>} Number of localization entries loaded
    */
-  async loadLocalizationFile(filePath) {
+  async loadLocalizationFile(filePath, language = this.language, source = {}) {
     try {
       logger.debug(`Loading localization file: ${filePath}`);
       
@@ -160,9 +361,13 @@ class LocalizationService {
       // Parse the content
       const entries = this.parseLocalizationFile(content);
       
-      // Add entries to the map
+      // Add entries to the map, keeping the ones they override
+      const file = source.root ? path.relative(source.root, filePath) : filePath;
+      const mod = source.mod ? { id: source.mod.id, name: source.mod.displayName || source.mod.name } : null;
+      const replace = isReplaceFile(file);
+      
       for (const [key, value] of Object.entries(entries)) {
-        this.localizations.set(key, value);
+        this._addEntry(language, key, { value, file, mod, replace, loadOrder: source.loadOrder || 0 });
       }
       
       logger.debug(`Loaded ${Object.keys(entries).length} entries from ${filePath}`);
@@ -173,6 +378,59 @@ class LocalizationService {
     }
   }
 
+  /**
+   * Loads a localization file again after it changed, was added or was deleted, in every loaded language it
+   * belongs to
+   *
+   * The entries previously read from the file are dropped first. Between files of the same rank the reloaded
+   * file now counts as loaded last.
+   * @param {string} filePath Path to the localization file
+   * @param {Object} source Where the file comes from, see loadLocalizationFile
+   * @returns {Promise<string[]>} Localization keys whose entries changed
+   */
+  async reloadLocalizationFile(filePath, source) {
+    const file = path.relative(source.root, filePath);
+    const modId = source.mod ? source.mod.id : null;
+    const exists = await fs.access(filePath).then(() => true, () => false);
+    const changedKeys = new Set();
+
+    for (const language of this.languages.keys()) {
+      if (!this.isLocalizationFile(path.basename(filePath), language)) {
+        continue;
+      }
+
+      const sources = this.sources.get(language) || new Map();
+      const localizations = this._getEntries(language);
+      for (const [key, entries] of sources) {
+        const remaining = entries.filter(entry => entry.file !== file || (entry.mod ? entry.mod.id : null) !== modId);
+        if (remaining.length === entries.length) {
+          continue;
+        }
+
+        changedKeys.add(key);
+        if (remaining.length > 0) {
+          sources.set(key, remaining);
+          localizations.set(key, remaining[0].value);
+        } else {
+          sources.delete(key);
+          localizations.delete(key);
+        }
+      }
+
+      if (exists) {
+        const content = await fs.readFile(filePath, 'utf8');
+        for (const key of Object.keys(this.parseLocalizationFile(content))) {
+          changedKeys.add(key);
+        }
+        await this.loadLocalizationFile(filePath, language, source);
+      }
+      this._formatters.delete(language);
+    }
+
+    logger.info(`Reloaded ${filePath}: ${changedKeys.size} localization keys changed`);
+    return Array.from(changedKeys);
+  }
+
   /**
    * Parses a localization file
    * @param {string} content Content of the localization file
@@ -192,7 +450,7 @@ class LocalizationService {
     
     // Skip the first line (language declaration) if it exists
     let startLine = 0;
-    if (lines.length > 0 && lines[0].trim().match(/^l_[a-z]+:/)) {
+    if (lines.length > 0 && lines[0].trim().match(/^l_[a-z_]+:/)) {
       startLine = 1;
     }
     
@@ -248,13 +506,95 @@ class LocalizationService {
   }
 
   /**
-   * Gets a localized string
+   * Gets a localized string, falling back to English for keys missing in the language
    * @param {string} key The localization key
    * @param {string} defaultValue Default value if the key is not found
+   * @param {string} [language] The language, defaults to the selected language
    * @returns {string} The localized string
    */
-  getLocalization(key, defaultValue = key) {
-    return this.localizations.get(key) || defaultValue;
+  getLocalization(key, defaultValue = key, language = this.language) {
+    return this._lookup(key, language) || defaultValue;
+  }
+
+  /**
+   * Gets a localized string as plain text, with references expanded and colour codes and icons removed
+   * @param {string} key The localization key
+   * @param {string} defaultValue Default value if the key is not found
+   * @param {string} [language] The language, defaults to the selected language
+   * @returns {string} The plain text
+   */
+  getText(key, defaultValue = key, language = this.language) {
+    const value = this._lookup(key, language);
+    return value ? this._getFormatter(language).format(value).text : defaultValue;
+  }
+
+  /**
+   * Gets a localized string as plain text and rich segments (colours, icons and placeholders)
+   * @param {string} key The localization key
+   * @param {string} [language] The language, defaults to the selected language
+   * @returns {{text: string, segments: Array<Object>}|null} The formatted string, or null if the key is not found
+   */
+  getRichText(key, language = this.language) {
+    const value = this._lookup(key, language);
+    return value ? this._getFormatter(language).format(value) : null;
+  }
+
+  /**
+   * Gets where a localized string comes from: the winning value and every value it overrode
+   * @param {string} key The localization key
+   * @param {string} [language] The language, defaults to the selected language
+   * @returns {Object|null} The key, the language it was found in (English if missing in the language), the value,
+   *   its source (file, mod, whether it is in a replace folder) and the overridden entries, or null if not found
+   */
+  getLocalizationEntry(key, language = this.language) {
+    const found = [language, FALLBACK_LANGUAGE]
+      .map(candidate => ({ language: candidate, entries: (this.sources.get(candidate) || new Map()).get(key) }))
+      .find(candidate => candidate.entries);
+    
+    if (!found) {
+      return null;
+    }
+    
+    const [winner, ...overridden] = found.entries.map(({ value, file, mod, replace }) => ({ value, file, mod, replace }));
+    return {
+      key,
+      language: found.language,
+      value: winner.value,
+      text: this._getFormatter(found.language).format(winner.value).text,
+      source: { file: winner.file, mod: winner.mod, replace: winner.replace },
+      overridden
+    };
+  }
+
+  /**
+   * Gets the localization keys with more than one value, e.g. from mods overriding the base game
+   * @param {string} [language] The language, defaults to the selected language
+   * @returns {Array<{key: string, entries: Object[]}>} Keys with their entries (value, file, mod, replace),
+   *   winning entry first
+   */
+  getRedefinedKeys(language = this.language) {
+    const sources = this.sources.get(language) || new Map();
+    return Array.from(sources.entries())
+      .filter(([, entries]) => entries.length > 1)
+      .map(([key, entries]) => ({
+        key,
+        entries: entries.map(({ value, file, mod, replace }) => ({ value, file, mod, replace }))
+      }));
+  }
+
+  /**
+   * Gets the localized name, description, area and category of a technology
+   * @param {import('../models/tech')} tech The technology
+   * @param {string} [language] The language, defaults to the selected language
+   * @returns {{displayName: string, description: string, areaName: string, categoryName: string}} Localized fields
+   */
+  getLocalizedFields(tech, language = this.language) {
+    return {
+      displayName: this.getText(tech.id, tech.name, language),
+      description: this.getText(`${tech.id}_desc`, '', language),
+      areaName: tech.areaId ? this.getText(tech.areaId, tech.areaName, language) : tech.areaName,
+      categoryName: tech.categoryId ? this.getText(tech.categoryId, tech.categoryName, language) : tech.categoryName
+    };
   }
 
   /**
@@ -265,25 +605,7 @@ class LocalizationService {
   localizeTechnology(tech) {
     if (!tech) return tech;
     
-    // Localize name
-    const nameKey = tech.id;
-    tech.displayName = this.getLocalization(nameKey, tech.name);
-    
-    // Localize description
-    const descKey = `${tech.id}_desc`;
-    tech.description = this.getLocalization(descKey, '');
-    
-    // Localize area name
-    if (tech.areaId) {
-      tech.areaName = this.getLocalization(tech.areaId, tech.areaName);
-    }
-    
-    // Localize category name
-    if (tech.categoryId) {
-      tech.categoryName = this.getLocalization(tech.categoryId, tech.categoryName);
-    }
-    
-    return tech;
+    return Object.assign(tech, this.getLocalizedFields(tech));
   }
 
   /**
@@ -312,22 +634,41 @@ class LocalizationService {
   }
 
   /**
-   * Loads localization data from mods
+   * Applies localization to the game objects that require technologies
+   * @param {import('../models/techDatabase')} techDatabase The technology database
+   * @returns {number} Number of objects localized
+   */
+  localizeAllUnlockables(techDatabase) {
+    if (!this._initialized) {
+      logger.warn('Localization service not initialized');
+      return 0;
+    }
+    
+    const unlockables = techDatabase.getUnlockables();
+    for (const unlockable of unlockables) {
+      unlockable.name = this.getText(unlockable.id, unlockable.name);
+    }
+    
+    return unlockables.length;
+  }
+
+  /**
+   * Loads localization data from the mods given to loadLocalizations
+   * @param {string} [language] The language, defaults to the selected language
    * @returns {Promise<number>} Number of localization entries loaded
    */
-  async loadModLocalizations() {
+  async loadModLocalizations(language = this.language) {
     try {
-      const modRepository = require('../database/modRepository');
       logger.info('Loading localizations from active mods');
       
-      // Get active mods
-      const activeMods = await modRepository.getEnabledModsForActivePlayset();
+      // The mods the technologies were loaded from, in load order, later mods override earlier ones
+      const activeMods = this._mods;
       logger.debug(`Found ${activeMods.length} active mods for localization`);
       
       let totalLoaded = 0;
       
       // Process each mod
-      for (const mod of activeMods) {
+      for (const [index, mod] of activeMods.entries()) {
         logger.info(`Processing localizations from mod: ${mod.name} (${mod.id})`);
         
         // Skip mods without a directory path
@@ -341,15 +682,15 @@ class LocalizationService {
         // Try multiple possible localization paths
         const possiblePaths = [
           // Standard path with language subdirectory
-          path.join(mod.dirPath, 'localisation', this.language),
+          path.join(mod.dirPath, 'localisation', language),
           // Try with capitalized language name
-          path.join(mod.dirPath, 'localisation', this.language.charAt(0).toUpperCase() + this.language.slice(1)),
+          path.join(mod.dirPath, 'localisation', language.charAt(0).toUpperCase() + language.slice(1)),
           // Try without language subdirectory
           path.join(mod.dirPath, 'localisation'),
           // Try with 'localization' spelling (American English)
-          path.join(mod.dirPath, 'localization', this.language),
+          path.join(mod.dirPath, 'localization', language),
           // Try with capitalized language name (American English)
-          path.join(mod.dirPath, 'localization', this.language.charAt(0).toUpperCase() + this.language.slice(1)),
+          path.join(mod.dirPath, 'localization', language.charAt(0).toUpperCase() + language.slice(1)),
           // Try without language subdirectory (American English)
           path.join(mod.dirPath, 'localization')
         ];
@@ -366,8 +707,12 @@ class LocalizationService {
             await fs.access(locPath);
             logger.debug(`Found localization directory: ${locPath}`);
             
-            // Find all localization files in the mod
-            const files = await this.findLocalizationFiles(locPath);
+            // Find all localization files in the mod, with the shared replace folder if this is a language folder
+            const files = await this.findLocalizationFiles(locPath, language);
+            if (path.basename(locPath).toLowerCase() === language) {
+              files.push(...await this.findReplaceFiles(path.dirname(locPath), language));
+            }
+            const source = { root: mod.dirPath, mod, loadOrder: index + 1 };
             
             if (files.length > 0) {
               logger.info(`Found ${files.length} localization files in ${locPath}`);
@@ -375,7 +720,7 @@ class LocalizationService {
               // Log the files we found
               for (const file of files) {
                 logger.debug(`Processing localization file: ${file}`);
-                const fileLoaded = await this.loadLocalizationFile(file);
+                const fileLoaded = await this.loadLocalizationFile(file, language, source);
                 modLoaded += fileLoaded;
                 logger.debug(`Loaded ${fileLoaded} entries from ${file}`);
               }
@@ -407,6 +752,72 @@ class LocalizationService {
       return 0;
     }
   }
+
+  /**
+   * Looks up a raw localization string, falling back to English
+   * @param {string} key The localization key
+   * @param {string} language The language
+   * @returns {string|undefined} The raw string, or undefined if no language has the key
+   * @private
+   */
+  _lookup(key, language) {
+    const localizations = this.languages.get(language);
+    const value = localizations ? localizations.get(key) : undefined;
+    if (value !== undefined || language === FALLBACK_LANGUAGE) {
+      return value;
+    }
+
+    const fallback = this.languages.get(FALLBACK_LANGUAGE);
+    return fallback ? fallback.get(key) : undefined;
+  }
+
+  /**
+   * Adds an entry for a localization key, making it the value of the key if it outranks the current one
+   * @param {string} language The language
+   * @param {string} key The localization key
+   * @param {{value: string, file: string, mod: Object, replace: boolean, loadOrder: number}} entry The entry
+   * @private
+   */
+  _addEntry(language, key, entry) {
+    if (!this.sources.has(language)) {
+      this.sources.set(language, new Map());
+    }
+    const sources = this.sources.get(language);
+    const entries = sources.get(key) || [];
+    
+    // Keep the entries sorted by precedence, the winning entry first
+    const index = entries.findIndex(other => outranks(entry, other));
+    entries.splice(index === -1 ? entries.length : index, 0, entry);
+    sources.set(key, entries);
+    
+    this._getEntries(language).set(key, entries[0].value);
+  }
+
+  /**
+   * Gets the localization entries of a language, creating an empty map if needed
+   * @param {string} language The language
+   * @returns {Map<string, string>} Map of localization key to value
+   * @private
+   */
+  _getEntries(language) {
+    if (!this.languages.has(language)) {
+      this.languages.set(language, new Map());
+    }
+    return this.languages.get(language);
+  }
+
+  /**
+   * Gets the formatter that expands references in a language
+   * @param {string} language The language
+   * @returns {LocalizationFormatter} The formatter
+   * @private
+   */
+  _getFormatter(language) {
+    if (!this._formatters.has(language)) {
+      this._formatters.set(language, new LocalizationFormatter(key => this._lookup(key, language)));
+    }
+    return this._formatters.get(language);
+  }
 }
 
 module.exports = new LocalizationService(); 
\ No newline at end of file
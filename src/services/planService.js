@@ -0,0 +1,413 @@
+/**
+ * Service for named research plans kept on the server
+ */
+const zlib = require('zlib');
+const logger = require('../utils/logger');
+
+/**
+ * Format name of exported plans
+ * @type {string}
+ */
+const EXPORT_FORMAT = 'stellaris-tools-plan';
+
+/**
+ * Version of the export format, increase when it changes
+ * @type {number}
+ */
+const EXPORT_VERSION = 1;
+
+/**
+ * Prefix of share codes, with the version of the export format
+ * @type {string}
+ */
+const SHARE_CODE_PREFIX = `STP${EXPORT_VERSION}`;
+
+/**
+ * Largest plan a share code may decompress to, in bytes, so a crafted code cannot exhaust the memory
+ * @type {number}
+ */
+const MAX_SHARE_CODE_SIZE = 2 * 1024 * 1024;
+
+/**
+ * Error for plans that cannot be imported, e.g. a mistyped share code
+ */
+class PlanImportError extends Error {
+  /**
+   * Creates a new PlanImportError instance
+   * @param {string} message Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'PlanImportError';
+  }
+}
+
+class PlanService {
+  /**
+   * Creates a new PlanService instance
+   * @param {PlanStore} planStore Storage of the plans
+   * @param {TechService} techService The technology service, to check plans against the loaded technologies
+   * @param {ResearchPlanner} [researchPlanner] Planner for the research order of exported plans
+   */
+  constructor(planStore, techService, researchPlanner = null) {
+    this._store = planStore;
+    this._techService = techService;
+    this._researchPlanner = researchPlanner;
+  }
+
+  /**
+   * Lists the plans with the number of technologies that no longer exist
+   * @param {Object} [filters={}] Optional filters
+   * @param {string} [filters.playsetId] Only list the plans of this playset
+   * @returns {Promise<Object[]>} The current revision of the plans, most recently updated first
+   */
+  async listPlans(filters = {}) {
+    const plans = await this._store.listPlans(filters.playsetId);
+    return plans.map(plan => ({ ...plan, staleCount: this.checkPlan(plan).stale.length }));
+  }
+
+  /**
+   * Gets a plan, checked against the loaded technologies
+   * @param {number} id Plan ID
+   * @param {number} [revision] Revision to get; the current one by default
+   * @returns {Promise<Object|null>} The plan with its `check`, or null if it does not exist
+   */
+  async getPlan(id, revision = null) {
+    const plan = await this._store.getPlan(id, revision);
+    return plan ? { ...plan, check: this.checkPlan(plan) } : null;
+  }
+
+  /**
+   * Lists the revisions of a plan
+   * @param {number} id Plan ID
+   * @returns {Promise<Object[]|null>} The revisions, newest first, or null if the plan does not exist
+   */
+  async getRevisions(id) {
+    return this._store.getRevisions(id);
+  }
+
+  /**
+   * Creates a plan
+   * @param {Object} plan The plan
+   * @param {string} plan.name Name of the plan
+   * @param {{id: string, name: string}|null} plan.playset Playset the plan is made for
+   * @param {string[]} plan.targets Planned technology IDs
+   * @param {string[]} [plan.researched] Researched technology IDs
+   * @param {Object<string, number>} [plan.output] Research points per month of each area
+   * @param {string} [plan.notes] Notes
+   * @returns {Promise<Object>} The stored plan with its `check`
+   */
+  async createPlan(plan) {
+    const created = await this._store.createPlan({
+      name: plan.name,
+      playset: plan.playset || null,
+      data: toPlanData(plan)
+    });
+
+    logger.info(`Created plan ${created.id} "${created.name}"`);
+    return { ...created, check: this.checkPlan(created) };
+  }
+
+  /**
+   * Saves a new revision of a plan; fields that are not given keep their value
+   * @param {number} id Plan ID
+   * @param {Object} changes Name, targets, researched technologies, research output or notes
+   * @returns {Promise<Object|null>} The updated plan with its `check`, or null if it does not exist
+   */
+  async updatePlan(id, changes) {
+    const current = await this._store.getPlan(id);
+    if (!current) {
+      return null;
+    }
+
+    const updated = await this._store.addRevision(id, changes.name || current.name, toPlanData({ ...current, ...changes }));
+    logger.info(`Saved revision ${updated.revision} of plan ${id} "${updated.name}"`);
+    return { ...updated, check: this.checkPlan(updated) };
+  }
+
+  /**
+   * Makes an earlier revision of a plan its current revision again, as a new revision
+   * @param {number} id Plan ID
+   * @param {number} revision Revision to restore
+   * @returns {Promise<Object|null>} The updated plan with its `check`, or null if the plan or revision does not exist
+   */
+  async restoreRevision(id, revision) {
+    const previous = await this._store.getPlan(id, revision);
+    if (!previous) {
+      return null;
+    }
+
+    return this.updatePlan(id, previous);
+  }
+
+  /**
+   * Deletes a plan with its revisions
+   * @param {number} id Plan ID
+   * @returns {Promise<boolean>} True if the plan existed
+   */
+  async deletePlan(id) {
+    const deleted = await this._store.deletePlan(id);
+    if (deleted) {
+      logger.info(`Deleted plan ${id}`);
+    }
+    return deleted;
+  }
+
+  /**
+   * Finds the technologies of a plan that are not among the loaded technologies, e.g. because a mod update
+   * removed or renamed them
+   * @param {Object} plan The plan
+   * @returns {{valid: boolean, stale: {id: string, fields: string[]}[]}} The missing technologies, with the fields
+   *   of the plan (`targets`, `researched`) that list them
+   */
+  checkPlan(plan) {
+    const stale = new Map();
+
+    for (const field of ['targets', 'researched']) {
+      for (const id of plan[field]) {
+        if (this._techService.getTechnology(id)) {
+          continue;
+        }
+        if (!stale.has(id)) {
+          stale.set(id, { id, fields: [] });
+        }
+        stale.get(id).fields.push(field);
+      }
+    }
+
+    return { valid: stale.size === 0, stale: Array.from(stale.values()) };
+  }
+
+  /**
+   * Exports a plan for other players, with the playset and game version it was made for
+   *
+   * With a research output, the order lists every technology to research from the start of a game on each
+   * research queue. Technologies are described by name, area and tier so renamed ones can be found on import.
+   * @param {Object} plan The plan: name, targets, output and notes
+   * @returns {Promise<Object>} The export document
+   */
+  async exportPlan(plan) {
+    const targets = Array.from(new Set(plan.targets || []));
+    const output = plan.output || {};
+    let order = null;
+
+    if (this._researchPlanner && Object.values(output).some(points => points > 0)) {
+      const { queues } = this._researchPlanner.plan({
+        targets,
+        researched: this._techService.getAllTechnologies().filter(tech => tech.isStartingTech).map(tech => tech.id),
+        output
+      });
+      order = Object.fromEntries(Object.entries(queues)
+        .map(([area, queue]) => [area, queue.technologies.map(entry => entry.id)]));
+    }
+
+    const technologies = {};
+    for (const id of [...targets, ...Object.values(order || {}).flat()]) {
+      const tech = this._techService.getTechnology(id);
+      if (tech) {
+        technologies[id] = { name: tech.displayName || tech.name, area: tech.areaId, tier: tech.tier };
+      }
+    }
+
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      name: plan.name || '',
+      notes: plan.notes || '',
+      targets,
+      order,
+      output,
+      technologies,
+      playset: {
+        name: plan.playset ? plan.playset.name : null,
+        fingerprint: this._techService.getPlaysetFingerprint()
+      },
+      gameVersion: await this._techService.getGameVersion(),
+      exportedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Exports a saved plan
+   * @param {number} id Plan ID
+   * @returns {Promise<Object|null>} The export document, or null if the plan does not exist
+   */
+  async exportSavedPlan(id) {
+    const plan = await this._store.getPlan(id);
+    return plan ? this.exportPlan(plan) : null;
+  }
+
+  /**
+   * Encodes an export document as a share code: compressed JSON in URL-safe base64 with a version prefix
+   * @param {Object} document The export document
+   * @returns {string} The share code
+   */
+  createShareCode(document) {
+    // Leave out what the importing player does not need to keep the code short
+    const shared = { ...document };
+    delete shared.exportedAt;
+    return `${SHARE_CODE_PREFIX}.${zlib.deflateRawSync(JSON.stringify(shared)).toString('base64url')}`;
+  }
+
+  /**
+   * Imports an exported plan, checked against the loaded technologies
+   *
+   * Technologies that no longer exist are replaced by a loaded technology with the same name and area if there is
+   * exactly one (reported as renamed), and left out otherwise (reported as missing).
+   * @param {Object} input The export document (`document`) or a share code (`code`)
+   * @returns {Promise<Object>} The imported plan contents (`plan`), the `renamed` and `missing` technologies, and
+   *   whether the playset and game version match the loaded ones
+   * @throws {PlanImportError} If the input is not an exported plan
+   */
+  async importPlan(input) {
+    const document = input.code !== undefined ? decodeShareCode(input.code) : input.document;
+    validateDocument(document);
+
+    const renamed = [];
+    const missing = [];
+    const replacements = new Map();
+    const ids = new Set([...document.targets, ...Object.values(document.order || {}).flat()]);
+
+    for (const id of ids) {
+      if (this._techService.getTechnology(id)) {
+        continue;
+      }
+
+      const replacement = this._findRenamedTechnology((document.technologies || {})[id]);
+      if (replacement && !ids.has(replacement.id)) {
+        replacements.set(id, replacement.id);
+        renamed.push({ id, to: replacement.id, name: replacement.displayName || replacement.name });
+      } else {
+        missing.push({ id, isTarget: document.targets.includes(id) });
+      }
+    }
+
+    const resolve = list => list.map(id => replacements.get(id) || id).filter(id => this._techService.getTechnology(id));
+    const fingerprint = this._techService.getPlaysetFingerprint();
+    const gameVersion = await this._techService.getGameVersion();
+
+    logger.info(`Imported plan "${document.name}": ${renamed.length} renamed and ${missing.length} missing technologies`);
+    return {
+      plan: {
+        name: document.name,
+        notes: document.notes || '',
+        targets: resolve(document.targets),
+        order: document.order
+          ? Object.fromEntries(Object.entries(document.order).map(([area, list]) => [area, resolve(list)]))
+          : null,
+        output: document.output || {}
+      },
+      renamed,
+      missing,
+      playset: { ...document.playset, matches: Boolean(document.playset && document.playset.fingerprint === fingerprint) },
+      gameVersion: { exported: document.gameVersion || null, loaded: gameVersion, matches: document.gameVersion === gameVersion }
+    };
+  }
+
+  /**
+   * Finds the loaded technology that an exported technology was probably renamed to
+   * @param {{name: string, area: string}} [exported] The exported description of the technology
+   * @returns {Tech|null} The only loaded technology with the same name and area, or null
+   * @private
+   */
+  _findRenamedTechnology(exported) {
+    if (!exported || !exported.name) {
+      return null;
+    }
+
+    const name = exported.name.toLowerCase();
+    const candidates = this._techService.getAllTechnologies().filter(tech =>
+      (tech.displayName || tech.name || '').toLowerCase() === name && tech.areaId === exported.area);
+    return candidates.length === 1 ? candidates[0] : null;
+  }
+
+  /**
+   * Closes the storage of the plans
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this._store.close();
+  }
+}
+
+/**
+ * Gets the versioned contents of a plan
+ * @param {Object} plan The plan
+ * @returns {{targets: string[], researched: string[], output: Object<string, number>, notes: string}} The contents
+ */
+function toPlanData(plan) {
+  return {
+    targets: Array.from(new Set(plan.targets || [])),
+    researched: Array.from(new Set(plan.researched || [])),
+    output: plan.output || {},
+    notes: plan.notes || ''
+  };
+}
+
+/**
+ * Decodes a share code created by PlanService#createShareCode
+ * @param {string} code The share code
+ * @returns {Object} The export document
+ * @throws {PlanImportError} If the code is not a share code of this format version
+ */
+function decodeShareCode(code) {
+  const [prefix, data] = String(code).trim().split('.');
+  if (prefix !== SHARE_CODE_PREFIX || !data) {
+    throw new PlanImportError('Not a research plan share code');
+  }
+
+  try {
+    const json = zlib.inflateRawSync(Buffer.from(data, 'base64url'), { maxOutputLength: MAX_SHARE_CODE_SIZE });
+    return JSON.parse(json.toString('utf8'));
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new PlanImportError(`The share code holds more than ${MAX_SHARE_CODE_SIZE} bytes`);
+    }
+    throw new PlanImportError(`The share code is damaged: ${error.message}`);
+  }
+}
+
+/**
+ * Checks that a document is an exported plan this version can import
+ * @param {Object} document The document
+ * @throws {PlanImportError} If it is not
+ */
+function validateDocument(document) {
+  if (!document || document.format !== EXPORT_FORMAT) {
+    throw new PlanImportError('Not an exported research plan');
+  }
+  if (document.version > EXPORT_VERSION) {
+    throw new PlanImportError(`The plan was exported by a newer version (format ${document.version})`);
+  }
+  if (!Array.isArray(document.targets) || !document.targets.every(id => typeof id === 'string')) {
+    throw new PlanImportError('The plan has no list of target technologies');
+  }
+  if ((document.name !== undefined && typeof document.name !== 'string') ||
+      (document.notes !== undefined && typeof document.notes !== 'string')) {
+    throw new PlanImportError('The name and notes of the plan must be text');
+  }
+  if (document.order !== undefined && document.order !== null && (!isObject(document.order) ||
+      !Object.values(document.order).every(list => Array.isArray(list) && list.every(id => typeof id === 'string')))) {
+    throw new PlanImportError('The research order must map research areas to lists of technologies');
+  }
+  if (document.technologies !== undefined && (!isObject(document.technologies) ||
+      !Object.values(document.technologies).every(tech => isObject(tech) &&
+        ['name', 'area'].every(key => tech[key] === undefined || tech[key] === null || typeof tech[key] === 'string')))) {
+    throw new PlanImportError('The technologies must be described by their name and area');
+  }
+  if (document.output !== undefined && (!isObject(document.output) ||
+      !Object.values(document.output).every(points => typeof points === 'number' && points >= 0))) {
+    throw new PlanImportError('The research output must map research areas to monthly research points');
+  }
+}
+
+/**
+ * Checks if a value is an object, not an array or null
+ * @param {any} value The value
+ * @returns {boolean} True for objects
+ */
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = { PlanService, PlanImportError };
@@ -0,0 +1,315 @@
+/**
+ * Service for scheduling the research of target technologies and their prerequisites
+ */
+const logger = require('../utils/logger');
+
+/**
+ * Research areas, each researching one technology at a time
+ * @type {string[]}
+ */
+const RESEARCH_AREAS = ['physics', 'society', 'engineering'];
+
+/**
+ * Reasons a needed technology cannot be scheduled
+ * @type {Object<string, string>}
+ */
+const UNSCHEDULED_REASONS = {
+  MISSING_PREREQUISITE: 'missing_prerequisite',
+  UNKNOWN_AREA: 'unknown_area',
+  NO_OUTPUT: 'no_output',
+  BLOCKED: 'blocked'
+};
+
+/**
+ * Rounds a number of months for the response
+ * @param {number} months Months
+ * @returns {number} Months rounded to two decimals
+ */
+function roundMonths(months) {
+  return Math.round(months * 100) / 100;
+}
+
+class ResearchPlanner {
+  /**
+   * Reasons a needed technology cannot be scheduled
+   * @type {Object<string, string>}
+   */
+  static UNSCHEDULED_REASONS = UNSCHEDULED_REASONS;
+
+  /**
+   * Creates a new ResearchPlanner instance
+   * @param {TechService} techService The technology service
+   */
+  constructor(techService) {
+    this._techService = techService;
+  }
+
+  /**
+   * Plans the research of target technologies on the three research queues
+   *
+   * The unresearched prerequisites of the targets are researched too. Each area researches one technology at a
+   * time at its monthly output, and starts the technology on the longest remaining path to a target first, so the
+   * queues wait on each other as little as possible. Research options are assumed to be available as soon as
+   * their prerequisites are researched; the random draw of options is not taken into account.
+   * @param {Object} request Plan request
+   * @param {string[]} request.targets Target technology IDs
+   * @param {string[]} [request.researched] Researched technology IDs; defaults to the technologies marked as
+   *   researched (e.g. from a loaded save game)
+   * @param {Object<string, number>} request.output Research points per month of each area, e.g.
+   *   `{ physics: 120, society: 90, engineering: 100 }`
+   * @returns {Object} The schedule of each area (`queues`), the months until every target is researched
+   *   (`months`, null if some cannot be researched), unknown and already researched targets, and the technologies
+   *   that cannot be scheduled with the reason
+   */
+  plan(request) {
+    const output = request.output || {};
+    const researched = new Set(request.researched || this._techService.getAllTechnologies()
+      .filter(tech => tech.isResearched)
+      .map(tech => tech.id));
+
+    const targets = Array.from(new Set(request.targets));
+    const unknownTargets = targets.filter(id => !this._techService.getTechnology(id));
+    const researchedTargets = targets.filter(id => researched.has(id) && !unknownTargets.includes(id));
+    const pendingTargets = targets.filter(id => !researched.has(id) && !unknownTargets.includes(id));
+
+    const needed = this._collectNeeded(pendingTargets, researched);
+    const unscheduled = new Map();
+    const durations = new Map();
+
+    for (const [id, { tech, missing }] of needed) {
+      const area = this._getArea(tech);
+      if (missing.length > 0) {
+        unscheduled.set(id, { id, reason: UNSCHEDULED_REASONS.MISSING_PREREQUISITE, prerequisites: missing });
+      } else if (!area) {
+        unscheduled.set(id, { id, reason: UNSCHEDULED_REASONS.UNKNOWN_AREA });
+      } else if (!(output[area] > 0)) {
+        unscheduled.set(id, { id, reason: UNSCHEDULED_REASONS.NO_OUTPUT });
+      } else {
+        durations.set(id, this._getCost(tech) / output[area]);
+      }
+    }
+
+    const finished = this._schedule(needed, durations, researched);
+
+    // Whatever is left depends on an unscheduled technology or is part of a prerequisite cycle
+    for (const id of needed.keys()) {
+      if (!finished.has(id) && !unscheduled.has(id)) {
+        unscheduled.set(id, { id, reason: UNSCHEDULED_REASONS.BLOCKED });
+      }
+    }
+
+    const queues = {};
+    for (const area of RESEARCH_AREAS) {
+      const technologies = Array.from(finished.values())
+        .filter(entry => entry.area === area)
+        .sort((a, b) => a.start - b.start);
+
+      queues[area] = {
+        output: output[area] || 0,
+        cost: technologies.reduce((total, entry) => total + entry.cost, 0),
+        months: technologies.length > 0 ? roundMonths(technologies[technologies.length - 1].finish) : 0,
+        technologies: technologies.map(entry => ({
+          ...entry,
+          start: roundMonths(entry.start),
+          finish: roundMonths(entry.finish),
+          isTarget: pendingTargets.includes(entry.id)
+        }))
+      };
+    }
+
+    const complete = pendingTargets.every(id => finished.has(id));
+    const months = complete
+      ? roundMonths(Math.max(0, ...pendingTargets.map(id => finished.get(id).finish)))
+      : null;
+
+    logger.debug(`Planned ${finished.size} technologies for ${pendingTargets.length} targets` +
+      (complete ? ` in ${months} months` : `, ${unscheduled.size} cannot be researched`));
+
+    return {
+      targets: pendingTargets,
+      months,
+      queues,
+      researchedTargets,
+      unknownTargets,
+      unscheduled: Array.from(unscheduled.values())
+    };
+  }
+
+  /**
+   * Collects the targets and their unresearched prerequisites
+   * @param {string[]} targets Target technology IDs
+   * @param {Set<string>} researched Researched technology IDs
+   * @returns {Map<string, {tech: Tech, missing: string[]}>} The needed technologies, with the prerequisites
+   *   that are not in the database
+   * @private
+   */
+  _collectNeeded(targets, researched) {
+    const needed = new Map();
+    const stack = [...targets];
+
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (needed.has(id)) {
+        continue;
+      }
+
+      const tech = this._techService.getTechnology(id);
+      const missing = [];
+      for (const prereqId of tech.prerequisites) {
+        if (researched.has(prereqId)) {
+          continue;
+        }
+        if (this._techService.getTechnology(prereqId)) {
+          stack.push(prereqId);
+        } else {
+          missing.push(prereqId);
+        }
+      }
+
+      needed.set(id, { tech, missing });
+    }
+
+    return needed;
+  }
+
+  /**
+   * Simulates the research queues, starting the available technology with the longest remaining path whenever an
+   * area is idle
+   * @param {Map<string, {tech: Tech}>} needed The needed technologies
+   * @param {Map<string, number>} durations Months each schedulable technology takes
+   * @param {Set<string>} researched Researched technology IDs
+   * @returns {Map<string, Object>} Scheduled technologies with their area, cost, start and finish month
+   * @private
+   */
+  _schedule(needed, durations, researched) {
+    const priorities = this._calculatePriorities(needed, durations);
+    const scheduled = new Map();
+    const completed = new Set();
+    const running = new Map();
+    let time = 0;
+
+    const isAvailable = id => needed.get(id).tech.prerequisites
+      .every(prereqId => researched.has(prereqId) || completed.has(prereqId));
+
+    for (;;) {
+      for (const area of RESEARCH_AREAS) {
+        if (running.has(area)) {
+          continue;
+        }
+
+        let next = null;
+        for (const id of durations.keys()) {
+          if (scheduled.has(id) || this._getArea(needed.get(id).tech) !== area || !isAvailable(id)) {
+            continue;
+          }
+          if (!next || this._compareCandidates(id, next, priorities, needed) < 0) {
+            next = id;
+          }
+        }
+
+        if (next) {
+          const { tech } = needed.get(next);
+          const entry = { id: next, area, tier: tech.tier, cost: this._getCost(tech), start: time, finish: time + durations.get(next) };
+          scheduled.set(next, entry);
+          running.set(area, entry);
+        }
+      }
+
+      if (running.size === 0) {
+        return scheduled;
+      }
+
+      // Advance to the next finished technology
+      time = Math.min(...Array.from(running.values()).map(entry => entry.finish));
+      for (const [area, entry] of running) {
+        if (entry.finish <= time) {
+          completed.add(entry.id);
+          running.delete(area);
+        }
+      }
+    }
+  }
+
+  /**
+   * Calculates the months on the longest path from each technology to a target, including the technology itself
+   * @param {Map<string, {tech: Tech}>} needed The needed technologies
+   * @param {Map<string, number>} durations Months each schedulable technology takes
+   * @returns {Map<string, number>} Priority of each schedulable technology
+   * @private
+   */
+  _calculatePriorities(needed, durations) {
+    const dependents = new Map();
+    for (const [id, { tech }] of needed) {
+      for (const prereqId of tech.prerequisites) {
+        if (needed.has(prereqId)) {
+          if (!dependents.has(prereqId)) {
+            dependents.set(prereqId, []);
+          }
+          dependents.get(prereqId).push(id);
+        }
+      }
+    }
+
+    const priorities = new Map();
+    const visiting = new Set();
+    const visit = id => {
+      if (priorities.has(id)) {
+        return priorities.get(id);
+      }
+      if (visiting.has(id) || !durations.has(id)) {
+        // Cycles and technologies that cannot be researched are never reached
+        return 0;
+      }
+
+      visiting.add(id);
+      const longest = Math.max(0, ...(dependents.get(id) || []).map(visit));
+      visiting.delete(id);
+
+      priorities.set(id, durations.get(id) + longest);
+      return priorities.get(id);
+    };
+
+    for (const id of durations.keys()) {
+      visit(id);
+    }
+    return priorities;
+  }
+
+  /**
+   * Orders two available technologies of an area: longest remaining path first, then lowest tier, then ID
+   * @param {string} a Technology ID
+   * @param {string} b Technology ID
+   * @param {Map<string, number>} priorities Priority of each technology
+   * @param {Map<string, {tech: Tech}>} needed The needed technologies
+   * @returns {number} Negative if `a` is researched first
+   * @private
+   */
+  _compareCandidates(a, b, priorities, needed) {
+    return (priorities.get(b) - priorities.get(a)) ||
+      (needed.get(a).tech.tier - needed.get(b).tech.tier) ||
+      a.localeCompare(b);
+  }
+
+  /**
+   * Gets the research area of a technology
+   * @param {Tech} tech The technology
+   * @returns {string|null} The research area, or null if it is not one of the three research areas
+   * @private
+   */
+  _getArea(tech) {
+    return RESEARCH_AREAS.find(area =>
+      tech.areaId === area || (tech.areaName || '').toLowerCase() === area) || null;
+  }
+
+  /**
+   * Gets the research cost of a technology
+   * @param {Tech} tech The technology
+   * @returns {number} The cost; 0 if it is not a number, e.g. an unresolved scripted variable
+   * @private
+   */
+  _getCost(tech) {
+    return typeof tech.cost === 'number' ? tech.getEffectiveCost() : 0;
+  }
+}
+
+module.exports = ResearchPlanner;
@@ -0,0 +1,338 @@
+/**
+ * Service for calculating research option weights and draw chances
+ */
+const logger = require('../utils/logger');
+const EmpireState = require('../models/empireState');
+const TriggerEvaluator = require('./triggerEvaluator');
+
+/**
+ * Research areas that draw their own set of options
+ * @type {string[]}
+ */
+const RESEARCH_AREAS = ['physics', 'society', 'engineering'];
+
+/**
+ * Largest number of draw sequences that is enumerated exactly, larger draws are simulated
+ * @type {number}
+ */
+const EXACT_SEQUENCE_LIMIT = 2000000;
+
+/**
+ * Number of simulated draws when the exact calculation is too expensive
+ * @type {number}
+ */
+const SIMULATED_DRAWS = 20000;
+
+class ResearchService {
+  /**
+   * Creates a new ResearchService instance
+   * @param {TechService} techService The technology service
+   */
+  constructor(techService) {
+    this._techService = techService;
+    this._triggers = new TriggerEvaluator();
+    this._markedEmpire = null; // Empire data the technologies were last marked for
+  }
+
+  /**
+   * Creates the empire state for a calculation
+   *
+   * Without a list of technologies, the technologies marked as researched (e.g. from a loaded save game) are used.
+   * @param {Object|EmpireState} [empireData={}] Empire description
+   * @returns {EmpireState} The empire state
+   */
+  createEmpireState(empireData = {}) {
+    if (empireData instanceof EmpireState) {
+      return empireData;
+    }
+
+    const technologies = empireData.technologies || this._techService.getAllTechnologies()
+      .filter(tech => tech.isResearched)
+      .map(tech => tech.id);
+
+    return new EmpireState({ ...empireData, technologies });
+  }
+
+  /**
+   * Calculates the weight of a technology for an empire
+   * @param {Tech} tech The technology
+   * @param {EmpireState} empire The empire
+   * @returns {Object} Base weight, effective weight, applied weight modifiers and unsupported triggers
+   */
+  calculateWeight(tech, empire) {
+    const unknownTriggers = new Set();
+    const appliedModifiers = [];
+    let weight = typeof tech.weight === 'number' ? tech.weight : 0;
+
+    for (const modifier of tech.weightModifiers || []) {
+      if (typeof modifier.value !== 'number') {
+        continue;
+      }
+      if (!this._triggers.evaluate(modifier.conditions, empire, unknownTriggers)) {
+        continue;
+      }
+
+      weight = modifier.type === 'add' ? weight + modifier.value : weight * modifier.value;
+      appliedModifiers.push({ type: modifier.type, value: modifier.value });
+    }
+
+    return {
+      baseWeight: tech.weight,
+      weight: Math.max(0, weight),
+      appliedModifiers,
+      unknownTriggers: Array.from(unknownTriggers)
+    };
+  }
+
+  /**
+   * Checks the `potential` conditions of a technology, which decide if it can ever appear for an empire
+   * @param {Tech} tech The technology
+   * @param {EmpireState} empire The empire
+   * @returns {{possible: boolean|null, unknownTriggers: string[]}} Whether the technology is possible,
+   *   null if that depends on unsupported triggers
+   */
+  isPossible(tech, empire) {
+    const unknownTriggers = new Set();
+    const possible = Array.isArray(tech.potential)
+      ? this._triggers.check(tech.potential, empire, unknownTriggers)
+      : true;
+
+    return { possible, unknownTriggers: Array.from(unknownTriggers) };
+  }
+
+  /**
+   * Reports which technologies are possible for an empire
+   * @param {Object|EmpireState} [empireData={}] Empire description, see EmpireState
+   * @returns {Object} IDs of possible and impossible technologies, and the uncertain ones with the triggers
+   *   that could not be evaluated
+   */
+  getPossibleTechnologies(empireData = {}) {
+    const empire = this.createEmpireState(empireData);
+    const result = { possible: [], impossible: [], uncertain: [] };
+
+    for (const tech of this._techService.getAllTechnologies()) {
+      const { possible, unknownTriggers } = this.isPossible(tech, empire);
+
+      if (possible === null) {
+        result.uncertain.push({ id: tech.id, unknownTriggers });
+      } else if (possible) {
+        result.possible.push(tech.id);
+      } else {
+        result.impossible.push(tech.id);
+      }
+    }
+
+    logger.debug(`${result.impossible.length} technologies are not possible for the empire, ${result.uncertain.length} are uncertain`);
+    return result;
+  }
+
+  /**
+   * Marks each technology as possible or not for an empire, so the tech tree can grey out the impossible ones
+   * @param {Object|EmpireState} [empireData={}] Empire description, see EmpireState
+   * @returns {Object} The report of getPossibleTechnologies
+   */
+  markPossibleTechnologies(empireData = {}) {
+    this._markedEmpire = empireData;
+    const report = this.getPossibleTechnologies(empireData);
+    const impossible = new Set(report.impossible);
+    const uncertain = new Set(report.uncertain.map(entry => entry.id));
+
+    for (const tech of this._techService.getAllTechnologies()) {
+      tech.isPossible = uncertain.has(tech.id) ? null : !impossible.has(tech.id);
+    }
+
+    return report;
+  }
+
+  /**
+   * Marks the technologies again for the empire they were last marked for, after the technologies were loaded
+   *
+   * Technologies kept from an earlier load, e.g. by the parsed file cache, still have the marks of that load, while
+   * parsed ones are unmarked; marking all of them again keeps the tree consistent.
+   * @returns {Object|null} The report of getPossibleTechnologies, or null if no technologies were marked yet
+   */
+  remarkPossibleTechnologies() {
+    if (!this._markedEmpire) {
+      return null;
+    }
+    return this.markPossibleTechnologies(this._markedEmpire);
+  }
+
+  /**
+   * Gets why a technology cannot be drawn, ignoring its weight
+   * @param {Tech} tech The technology
+   * @param {EmpireState} empire The empire
+   * @returns {string|null} `researched`, `not_possible` or `missing_prerequisites`, or null if the technology
+   *   can be drawn
+   */
+  getIneligibleReason(tech, empire) {
+    if (empire.hasTechnology(tech.id)) {
+      return 'researched';
+    }
+    if (this.isPossible(tech, empire).possible === false) {
+      return 'not_possible';
+    }
+    if ((tech.prerequisites || []).some(prereqId => !empire.hasTechnology(prereqId))) {
+      return 'missing_prerequisites';
+    }
+    return null;
+  }
+
+  /**
+   * Calculates the weight of every technology and its chance of being one of the research options
+   * @param {Object|EmpireState} [empireData={}] Empire description, see EmpireState
+   * @param {Object} [options={}] Calculation options
+   * @param {string} [options.area] Only calculate this research area
+   * @returns {Object} Number of options and, for each area, the total weight and the technologies sorted by chance
+   */
+  calculateDrawChances(empireData = {}, options = {}) {
+    const empire = this.createEmpireState(empireData);
+    const areas = options.area ? [options.area] : RESEARCH_AREAS;
+    const result = { researchOptions: empire.researchOptions, areas: {} };
+
+    for (const area of areas) {
+      const technologies = this._techService.getTechnologiesByArea(area).map(tech => {
+        const reason = this.getIneligibleReason(tech, empire);
+        const { baseWeight, weight, appliedModifiers, unknownTriggers } = this.calculateWeight(tech, empire);
+
+        return {
+          id: tech.id,
+          name: tech.displayName || tech.name,
+          tier: tech.tier,
+          baseWeight,
+          weight: reason ? 0 : weight,
+          probability: 0,
+          eligible: !reason && weight > 0,
+          reason: reason || (weight > 0 ? null : 'zero_weight'),
+          appliedModifiers,
+          unknownTriggers
+        };
+      });
+
+      const candidates = technologies.filter(tech => tech.eligible);
+      const { probabilities, method } = calculateInclusionProbabilities(
+        candidates.map(tech => tech.weight),
+        empire.researchOptions
+      );
+      candidates.forEach((tech, index) => {
+        tech.probability = probabilities[index];
+      });
+
+      technologies.sort((a, b) => b.probability - a.probability || b.weight - a.weight);
+
+      result.areas[area] = {
+        totalWeight: candidates.reduce((total, tech) => total + tech.weight, 0),
+        candidateCount: candidates.length,
+        method,
+        technologies
+      };
+    }
+
+    logger.debug(`Calculated research draw chances for ${areas.join(', ')}`);
+    return result;
+  }
+}
+
+/**
+ * Calculates the chance of each weight being picked when `count` items are drawn without replacement,
+ * each draw picking an item with a probability proportional to its weight
+ * @param {number[]} weights Positive weights
+ * @param {number} count Number of items drawn
+ * @returns {{probabilities: number[], method: string}} Chance for each weight and `exact` or `simulation`
+ */
+function calculateInclusionProbabilities(weights, count) {
+  if (weights.length <= count) {
+    return { probabilities: weights.map(() => 1), method: 'exact' };
+  }
+
+  let sequences = 1;
+  for (let i = 0; i < count; i++) {
+    sequences *= weights.length - i;
+  }
+
+  if (sequences <= EXACT_SEQUENCE_LIMIT) {
+    return { probabilities: enumerateDraws(weights, count), method: 'exact' };
+  }
+  return { probabilities: simulateDraws(weights, count, SIMULATED_DRAWS), method: 'simulation' };
+}
+
+/**
+ * Calculates inclusion probabilities by enumerating every sequence of draws
+ * @param {number[]} weights Positive weights
+ * @param {number} count Number of items drawn
+ * @returns {number[]} Chance for each weight
+ */
+function enumerateDraws(weights, count) {
+  const probabilities = weights.map(() => 0);
+  const used = weights.map(() => false);
+
+  const draw = (depth, remainingWeight, sequenceProbability) => {
+    for (let i = 0; i < weights.length; i++) {
+      if (used[i]) {
+        continue;
+      }
+
+      const probability = sequenceProbability * weights[i] / remainingWeight;
+      probabilities[i] += probability;
+
+      if (depth + 1 < count) {
+        used[i] = true;
+        draw(depth + 1, remainingWeight - weights[i], probability);
+        used[i] = false;
+      }
+    }
+  };
+
+  draw(0, weights.reduce((total, weight) => total + weight, 0), 1);
+  return probabilities;
+}
+
+/**
+ * Estimates inclusion probabilities with repeated random draws (seeded, so results are reproducible)
+ * @param {number[]} weights Positive weights
+ * @param {number} count Number of items drawn
+ * @param {number} runs Number of simulated draws
+ * @returns {number[]} Estimated chance for each weight
+ */
+function simulateDraws(weights, count, runs) {
+  const hits = weights.map(() => 0);
+  const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+  let seed = 0x2f6b3a1d;
+
+  // mulberry32
+  const random = () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  for (let run = 0; run < runs; run++) {
+    const picked = new Set();
+    let remainingWeight = totalWeight;
+
+    for (let draw = 0; draw < count; draw++) {
+      let target = random() * remainingWeight;
+      let index = -1;
+
+      for (let i = 0; i < weights.length; i++) {
+        if (picked.has(i)) {
+          continue;
+        }
+        index = i;
+        target -= weights[i];
+        if (target < 0) {
+          break;
+        }
+      }
+
+      picked.add(index);
+      remainingWeight -= weights[index];
+      hits[index]++;
+    }
+  }
+
+  return hits.map(hitCount => hitCount / runs);
+}
+
+module.exports = ResearchService;
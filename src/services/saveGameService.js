@@ -0,0 +1,188 @@
+/**
+ * Service for reading research progress from Stellaris save games
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const SaveGameParser = require('../parsers/saveGameParser');
+
+/**
+ * Error for save games that cannot be loaded, e.g. a path outside the save games directory
+ */
+class SaveGameError extends Error {
+  /**
+   * Creates a new SaveGameError instance
+   * @param {string} message Description of the problem
+   * @param {Object} [options={}] Error options
+   * @param {boolean} [options.notFound=false] Whether the save game does not exist
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'SaveGameError';
+    this.notFound = Boolean(options.notFound);
+  }
+}
+
+class SaveGameService {
+  /**
+   * Creates a new SaveGameService instance
+   * @param {TechService} techService The technology service
+   * @param {string} saveGamesDir Path to the save games directory
+   */
+  constructor(techService, saveGamesDir) {
+    this._techService = techService;
+    this._saveGamesDir = saveGamesDir;
+    this._parser = new SaveGameParser();
+    this._currentSave = null;
+    this._currentStatus = null;
+  }
+
+  /**
+   * Lists the save games in the save games directory, newest first
+   * @returns {Promise<Object[]>} Array of save game descriptors (name, path, modified, size)
+   */
+  async listSaveGames() {
+    if (!this._saveGamesDir) {
+      logger.warn('Save games directory not set');
+      return [];
+    }
+
+    try {
+      const saves = [];
+      // Saves are stored as <save games dir>/<empire folder>/<save>.sav
+      const empireDirs = await fs.readdir(this._saveGamesDir, { withFileTypes: true });
+
+      for (const empireDir of empireDirs) {
+        if (!empireDir.isDirectory()) {
+          continue;
+        }
+
+        const empirePath = path.join(this._saveGamesDir, empireDir.name);
+        const files = await fs.readdir(empirePath);
+
+        for (const file of files) {
+          if (!file.endsWith('.sav')) {
+            continue;
+          }
+
+          const savePath = path.join(empirePath, file);
+          const stats = await fs.stat(savePath);
+          saves.push({
+            name: `${empireDir.name}/${file}`,
+            path: savePath,
+            modified: stats.mtime.toISOString(),
+            size: stats.size
+          });
+        }
+      }
+
+      return saves.sort((a, b) => b.modified.localeCompare(a.modified));
+    } catch (error) {
+      logger.error(`Error listing save games: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Resolves a save game in the save games directory
+   * @param {string} savePath Path to the save game, or its name as listed by listSaveGames
+   * @returns {Promise<string>} Path to the save game
+   * @throws {SaveGameError} If the path is not a save game in the save games directory, or it does not exist
+   */
+  async resolveSavePath(savePath) {
+    if (!this._saveGamesDir) {
+      throw new SaveGameError('Save games directory not set', { notFound: true });
+    }
+    if (typeof savePath !== 'string' || !savePath.toLowerCase().endsWith('.sav')) {
+      throw new SaveGameError('Not a save game: expected a .sav file');
+    }
+
+    let resolved;
+    let directory;
+    try {
+      // Resolve symbolic links too, so that links cannot lead out of the directory
+      directory = await fs.realpath(this._saveGamesDir);
+      resolved = await fs.realpath(path.resolve(this._saveGamesDir, savePath));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new SaveGameError(`Save game ${savePath} not found`, { notFound: true });
+      }
+      throw error;
+    }
+
+    const relative = path.relative(directory, resolved);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new SaveGameError(`Save game ${savePath} is not in the save games directory`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Loads a save game and applies its research state to the technology database
+   * @param {string} [savePath] Path to a save game in the save games directory, or its name as listed by
+   *   listSaveGames; the most recent save is used if omitted
+   * @returns {Promise<Object>} Summary of the loaded save game
+   * @throws {SaveGameError} If the save game cannot be found or read
+   */
+  async loadSaveGame(savePath) {
+    if (!savePath) {
+      const saves = await this.listSaveGames();
+      if (saves.length === 0) {
+        throw new SaveGameError('No save games found', { notFound: true });
+      }
+      savePath = saves[0].path;
+    } else {
+      savePath = await this.resolveSavePath(savePath);
+    }
+
+    let status;
+    try {
+      status = await this._parser.parseFile(savePath);
+    } catch (error) {
+      throw new SaveGameError(`Could not read the save game: ${error.message}`);
+    }
+    const applied = this._techService.getTechDatabase().applyResearchStatus(status);
+    this._currentStatus = status;
+
+    this._currentSave = {
+      path: savePath,
+      name: status.meta.name,
+      date: status.meta.date,
+      version: status.meta.version,
+      playerName: status.playerName,
+      countryId: status.countryId,
+      empire: status.empire,
+      researchedTechs: status.researchedTechs.map(tech => tech.id),
+      researchQueues: status.researchQueues,
+      alternatives: status.alternatives,
+      ...applied
+    };
+
+    logger.info(`Loaded save game ${savePath}`);
+    return this._currentSave;
+  }
+
+  /**
+   * Re-applies the loaded save game after the technologies have been reloaded
+   * @returns {Object|null} Counts of applied entries, or null if no save game is loaded
+   */
+  reapplyCurrentSave() {
+    if (!this._currentStatus) {
+      return null;
+    }
+
+    const applied = this._techService.getTechDatabase().applyResearchStatus(this._currentStatus);
+    Object.assign(this._currentSave, applied);
+    return applied;
+  }
+
+  /**
+   * Gets the summary of the currently loaded save game
+   * @returns {Object|null} The loaded save game or null if none has been loaded
+   */
+  getCurrentSave() {
+    return this._currentSave;
+  }
+}
+
+module.exports = { SaveGameService, SaveGameError };
@@ -0,0 +1,279 @@
+/**
+ * Renders parsed script blocks (`potential`, `weight_modifier`, `modifier`) as readable, localized text
+ *
+ * Conditions are rendered as a tree of `{ text, children }` nodes following the structure of the in-game
+ * tooltip, e.g. `One of the following:` with the alternatives as children. Missing localization falls back
+ * to a title-cased version of the key.
+ */
+
+/**
+ * Triggers comparing the empire with a game object, by key: label and prefix stripped from unlocalized values
+ * @type {Object<string, {label: string, prefix: string}>}
+ */
+const VALUE_TRIGGERS = {
+  has_ethic: { label: 'Ethic', prefix: 'ethic_' },
+  has_civic: { label: 'Civic', prefix: 'civic_' },
+  has_valid_civic: { label: 'Civic', prefix: 'civic_' },
+  has_origin: { label: 'Origin', prefix: 'origin_' },
+  has_authority: { label: 'Authority', prefix: 'auth_' },
+  has_technology: { label: 'Technology', prefix: 'tech_' },
+  has_trait: { label: 'Trait', prefix: 'trait_' },
+  has_tradition: { label: 'Tradition', prefix: 'tr_' },
+  has_ascension_perk: { label: 'Ascension Perk', prefix: 'ap_' },
+  has_country_flag: { label: 'Country Flag', prefix: '' },
+  host_has_dlc: { label: 'DLC', prefix: '' }
+};
+
+/**
+ * `key = yes/no` triggers, by key: what the empire is when the trigger is true
+ * @type {Object<string, string>}
+ */
+const BOOLEAN_TRIGGERS = {
+  is_gestalt: 'Gestalt Consciousness',
+  is_machine_empire: 'Machine Intelligence',
+  is_hive_empire: 'Hive Mind',
+  is_ai: 'AI Controlled'
+};
+
+class ScriptRenderer {
+  /**
+   * Creates a new ScriptRenderer instance
+   * @param {Object} localization - Object with a `getText(key, defaultValue)` method returning plain text,
+   *   e.g. the LocalizationService
+   */
+  constructor(localization) {
+    this._localization = localization;
+  }
+
+  /**
+   * Render the conditions, weight modifiers and modifiers of a technology
+   * @param {import('../models/tech')} tech - The technology
+   * @returns {{potential: Array<Object>, weightModifiers: Array<Object>, modifiers: Array<Object>}} Rendered blocks
+   */
+  renderTechnology(tech) {
+    return {
+      potential: this.renderConditions(tech.potential),
+      weightModifiers: (tech.weightModifiers || []).map(modifier => this.renderWeightModifier(modifier)),
+      modifiers: this.renderModifiers(tech.modifiers)
+    };
+  }
+
+  /**
+   * Render a list of trigger statements
+   * @param {Array<Object>|null} statements - Trigger statements from ScriptParser
+   * @returns {Array<{text: string, children?: Array<Object>}>} One node per statement
+   */
+  renderConditions(statements) {
+    return (statements || []).map(statement => this._renderStatement(statement, false));
+  }
+
+  /**
+   * Render a weight modifier entry, e.g. `×0` with the conditions under which it applies
+   * @param {{type: string, value: number|null, conditions: Array<Object>}} modifier - Weight modifier
+   * @returns {{text: string, conditions: Array<Object>}} The effect on the weight and the rendered conditions
+   */
+  renderWeightModifier(modifier) {
+    const value = typeof modifier.value === 'number' ? formatNumber(modifier.value) : '?';
+    let text;
+
+    if (modifier.type === 'add') {
+      text = typeof modifier.value === 'number' && modifier.value < 0 ? value : `+${value}`;
+    } else {
+      text = `×${value}`;
+    }
+
+    return { text, conditions: this.renderConditions(modifier.conditions) };
+  }
+
+  /**
+   * Render modifiers, e.g. `ship_fire_rate_mult = 0.1` as `+10% Ship Fire Rate`
+   * @param {Object<string, any>} modifiers - Modifier values by key
+   * @returns {Array<{key: string, text: string}>} One line per modifier
+   */
+  renderModifiers(modifiers) {
+    return Object.entries(modifiers || {}).map(([key, value]) => {
+      if (key === 'custom_tooltip') {
+        return { key, text: this._localize(String(value), humanize(String(value))) };
+      }
+
+      const name = this._localize(`MOD_${key.toUpperCase()}`, null)
+        || this._localize(`mod_${key}`, null)
+        || humanize(key.replace(/_(mult|add)$/, ''));
+
+      if (typeof value !== 'number') {
+        return { key, text: typeof value === 'boolean' ? name : `${name}: ${value}` };
+      }
+
+      const amount = key.endsWith('_mult') ? `${formatNumber(value * 100)}%` : formatNumber(value);
+      return { key, text: `${value < 0 ? '' : '+'}${amount} ${name}` };
+    });
+  }
+
+  /**
+   * Render a single trigger statement
+   * @param {Object} statement - Trigger statement
+   * @param {boolean} negated - True if the statement is inside a NOT
+   * @returns {{text: string, children?: Array<Object>}} The rendered node
+   * @private
+   */
+  _renderStatement(statement, negated) {
+    const { key, value } = statement;
+    const children = value.type === 'block' ? value.value : [];
+    const renderChildren = () => this.renderConditions(children);
+
+    switch (key) {
+    case 'AND':
+      return { text: negated ? 'Not all of the following:' : 'All of the following:', children: renderChildren() };
+    case 'OR': {
+      const inline = this._renderInlineOr(children, negated);
+      if (inline) {
+        return { text: inline };
+      }
+      return { text: negated ? 'None of the following:' : 'One of the following:', children: renderChildren() };
+    }
+    case 'NOT':
+    case 'NOR':
+      if (children.length === 1 && !negated) {
+        return this._renderStatement(children[0], true);
+      }
+      return { text: negated ? 'One of the following:' : 'None of the following:', children: renderChildren() };
+    case 'NAND':
+      return { text: negated ? 'All of the following:' : 'Not all of the following:', children: renderChildren() };
+    case 'always':
+      return { text: value.value === !negated ? 'Always' : 'Never' };
+    case 'research_leader':
+      return this._renderResearchLeader(children, negated);
+    default:
+      break;
+    }
+
+    const isNegated = negated !== (statement.operator === '!=');
+
+    if (VALUE_TRIGGERS[key] && value.type !== 'block') {
+      const { label } = VALUE_TRIGGERS[key];
+      return { text: `${isNegated ? 'Does NOT have' : 'Has'} ${label}: ${this._renderValue(key, value.value)}` };
+    }
+
+    if (BOOLEAN_TRIGGERS[key] && value.type === 'boolean') {
+      return { text: `${value.value === !isNegated ? 'Is' : 'Is NOT'} ${BOOLEAN_TRIGGERS[key]}` };
+    }
+
+    // Triggers without a dedicated text are shown as written, with the key title-cased
+    const prefix = negated ? 'NOT ' : '';
+    if (value.type === 'block') {
+      return { text: `${prefix}${humanize(key)}:`, children: renderChildren() };
+    }
+    return { text: `${prefix}${humanize(key)} ${statement.operator} ${formatValue(value)}` };
+  }
+
+  /**
+   * Render `OR = { has_ethic = a has_ethic = b }` as `Has Ethic: A OR B`
+   * @param {Array<Object>} children - Statements of the OR block
+   * @param {boolean} negated - True if the block is inside a NOT
+   * @returns {string|null} The text, or null if the alternatives are not the same kind of trigger
+   * @private
+   */
+  _renderInlineOr(children, negated) {
+    const key = children.length > 1 ? children[0].key : null;
+    const sameTrigger = key && VALUE_TRIGGERS[key] && children.every(child =>
+      child.key === key && child.operator === '=' && child.value.type !== 'block');
+
+    if (!sameTrigger) {
+      return null;
+    }
+
+    const values = children.map(child => this._renderValue(key, child.value.value));
+    return `${negated ? 'Does NOT have' : 'Has'} ${VALUE_TRIGGERS[key].label}: ${values.join(negated ? ' NOR ' : ' OR ')}`;
+  }
+
+  /**
+   * Render a `research_leader = { area = physics has_trait = ... }` block
+   * @param {Array<Object>} children - Statements of the block
+   * @param {boolean} negated - True if the block is inside a NOT
+   * @returns {{text: string, children: Array<Object>}} The rendered node
+   * @private
+   */
+  _renderResearchLeader(children, negated) {
+    const area = children.find(statement => statement.key === 'area');
+    const areaName = area ? this._localize(area.value.value, humanize(area.value.value)) : 'any area';
+
+    return {
+      text: `${negated ? 'NOT ' : ''}Research leader (${areaName}):`,
+      children: this.renderConditions(children.filter(statement => statement.key !== 'area'))
+    };
+  }
+
+  /**
+   * Get the localized name of a trigger value, e.g. `Fanatic Materialist` for `ethic_fanatic_materialist`
+   * @param {string} key - Trigger key
+   * @param {any} value - Trigger value
+   * @returns {string} The name
+   * @private
+   */
+  _renderValue(key, value) {
+    const text = String(value);
+    const { prefix } = VALUE_TRIGGERS[key];
+
+    if (key === 'host_has_dlc' || key === 'has_country_flag') {
+      return text;
+    }
+
+    const fallback = text.startsWith(prefix) ? text.slice(prefix.length) : text.replace(/^leader_trait_/, '');
+    return this._localize(text, humanize(fallback));
+  }
+
+  /**
+   * Look up a localization key
+   * @param {string} key - Localization key
+   * @param {string|null} defaultValue - Value if the key is not localized
+   * @returns {string|null} The localized text
+   * @private
+   */
+  _localize(key, defaultValue) {
+    if (!this._localization) {
+      return defaultValue;
+    }
+
+    const text = this._localization.getText(key, null);
+    return text || defaultValue;
+  }
+}
+
+/**
+ * Turn a script key into title case, e.g. `num_owned_planets` into `Num Owned Planets`
+ * @param {string} key - Script key
+ * @returns {string} The readable text
+ */
+function humanize(key) {
+  return key
+    .split('_')
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Format a number with at most two decimals
+ * @param {number} value - The number
+ * @returns {string} The formatted number
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Format a scalar script value
+ * @param {Object} value - Value node from ScriptParser
+ * @returns {string} The formatted value
+ */
+function formatValue(value) {
+  if (value.type === 'boolean') {
+    return value.value ? 'yes' : 'no';
+  }
+  if (value.type === 'number') {
+    return formatNumber(value.value);
+  }
+  return String(value.value);
+}
+
+module.exports = ScriptRenderer;
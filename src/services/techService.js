@@ -3,16 +3,59 @@ const path = require('path');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
 const TechParser = require('../parsers/techParser');
+const UnlockParser = require('../parsers/unlockParser');
 const TechDatabase = require('../models/techDatabase');
+const Tech = require('../models/tech');
+const Diagnostic = require('../models/diagnostic');
+const ScriptedVariableRegistry = require('../models/scriptedVariableRegistry');
 const modRepository = require('../database/modRepository');
 const localizationService = require('./localizationService');
+const ScriptRenderer = require('./scriptRenderer');
+const VirtualFileSystem = require('../utils/virtualFileSystem');
+const TechCacheStore = require('../database/techCacheStore');
+const WorkerPool = require('../utils/workerPool');
+const config = require('../config');
 
 /**
- * Simple in-memory cache for parsed technology files
+ * Directory of the technology files, relative to the game and mod directories
+ * @type {string}
+ */
+const TECHNOLOGY_DIRECTORY = 'common/technology';
+
+/**
+ * Directory of the scripted variable files, relative to the game and mod directories
+ * @type {string}
+ */
+const SCRIPTED_VARIABLES_DIRECTORY = 'common/scripted_variables';
+
+/**
+ * Directories of the localisation files, relative to the game and mod directories (mods use both spellings)
+ * @type {string[]}
+ */
+const LOCALISATION_DIRECTORIES = ['localisation', 'localization'];
+
+/**
+ * How the game resolves technologies defined more than once: the definition read last wins
+ * @type {string}
+ */
+const TECHNOLOGY_OVERRIDE = VirtualFileSystem.LIOS;
+
+/**
+ * Script of the worker threads that parse technology files
+ * @type {string}
+ */
+const PARSER_WORKER = path.join(__dirname, '..', 'parsers', 'techParserWorker.js');
+
+/**
+ * In-memory cache for parsed files, backed by an optional disk store for technology files
  */
 class TechFileCache {
-  constructor() {
+  /**
+   * @param {TechCacheStore|null} [diskStore=null] Disk store that keeps parsed technology files across restarts
+   */
+  constructor(diskStore = null) {
     this.cache = new Map();
+    this.diskStore = diskStore;
     this.hits = 0;
     this.misses = 0;
   }
@@ -58,6 +101,40 @@ class TechFileCache {
     });
   }
 
+  /**
+   * Gets a parsed technology file from the disk store
+   * @param {string} filePath Path to the file
+   * @param {string} contentHash Hash of the file content
+   * @param {string} variablesHash Hash of the scripted variables the file has to be parsed with
+   * @returns {Promise<object|null>} The parse result or null if not stored or changed
+   */
+  async getStored(filePath, contentHash, variablesHash) {
+    return this.diskStore ? this.diskStore.get(filePath, contentHash, variablesHash) : null;
+  }
+
+  /**
+   * Stores a parsed technology file in the disk store
+   * @param {string} filePath Path to the file
+   * @param {string} contentHash Hash of the file content
+   * @param {object} data Parse result
+   * @returns {Promise<void>}
+   */
+  async store(filePath, contentHash, data) {
+    if (this.diskStore) {
+      await this.diskStore.set(filePath, contentHash, data);
+    }
+  }
+
+  /**
+   * Writes the pending entries of the disk store
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.diskStore) {
+      await this.diskStore.flush();
+    }
+  }
+
   /**
    * Clears the cache
    */
@@ -78,7 +155,8 @@ class TechFileCache {
       misses: this.misses,
       hitRate: this.hits + this.misses > 0 
         ? (this.hits / (this.hits + this.misses) * 100).toFixed(2) + '%' 
-        : '0%'
+        : '0%',
+      disk: this.diskStore ? this.diskStore.getStats() : null
     };
   }
 }
@@ -93,11 +171,21 @@ class TechService {
   constructor() {
     this.database = new TechDatabase();
     this.parser = new TechParser();
-    this.fileCache = new TechFileCache();
+    this.unlockParser = new UnlockParser();
+    this.fileCache = new TechFileCache(config.techCacheEnabled
+      ? new TechCacheStore(config.techCachePath, TechParser.getVersion())
+      : null);
     this.modRepository = modRepository;
     this._initialized = false;
     this.activeMods = null; // Store active mods for manual override
     this.lastLoadResult = null; // Store the last load result
+    this.diagnostics = []; // Problems found while loading technology files
+    this.replacedFiles = []; // Technology files that replaced files with the same path in the last load
+    this.sources = []; // Game and mod directories of the last load, in load order
+    this.loadedMods = []; // Mods of the last load, in load order
+    this._techFiles = new Map(); // Map of lower-cased relative path to the technology file read in the last load
+    this.variables = new ScriptedVariableRegistry(); // Scripted variables of the base game and active mods
+    this.renderer = new ScriptRenderer(localizationService);
   }
 
   /**
@@ -122,29 +210,26 @@ class TechService {
    * @param {string} filePath Path to the technology file
    * @param {string} [modId=''] ID of the mod that contains this file (if applicable)
    * @param {string} [modName=''] Name of the mod that contains this file (if applicable)
+   * @param {Object} [origin={}] Where the file is in the game's file system, recorded in the technology history
+   * @param {string} [origin.relativePath] Path of the file relative to the game or mod directory
+   * @param {number} [origin.loadOrder] 0 for the base game, the position in the load order plus one for mods
    * @returns {Promise<number>} Number of technologies loaded
    */
-  async loadTechFile(filePath, modId = '', modName = '') {
+  async loadTechFile(filePath, modId = '', modName = '', origin = {}) {
     try {
       if (!this._initialized) {
         await this.initialize();
       }
 
-      // Get file stats for caching
-      const stats = await fs.stat(filePath);
+      const parsed = await this._parseTechFile(filePath, modId, modName);
       
-      // Check if we have a valid cached version
-      let technologies = this.fileCache.get(filePath, stats);
-      
-      if (!technologies) {
-        // Not in cache, need to parse the file
-        const content = await fs.readFile(filePath, 'utf8');
-        technologies = await this.parser.parse(content);
-        
-        // Cache the parsed result
-        this.fileCache.set(filePath, stats, technologies);
+      for (const diagnostic of parsed.diagnostics) {
+        logger.warn(diagnostic.toString());
+        this.diagnostics.push(diagnostic);
       }
       
+      const technologies = parsed.technologies;
+      
       if (!technologies || technologies.length === 0) {
         return 0;
       }
@@ -157,15 +242,414 @@ class TechService {
       });
 
       // Add technologies to the database
-      this.database.addTechnologies(technologies);
+      this.database.addTechnologies(technologies, TECHNOLOGY_OVERRIDE === VirtualFileSystem.LIOS, origin);
 
       return technologies.length;
     } catch (error) {
       logger.error(`Error loading tech file ${filePath}: ${error.message}`);
+      this.diagnostics.push(new Diagnostic({
+        file: filePath,
+        mod_id: modId,
+        mod_name: modName,
+        message: `Could not load file: ${error.message}`
+      }));
+      return 0;
+    }
+  }
+
+  /**
+   * Parses a technology file, or gets it from the cache if it has not changed
+   * @param {string} filePath Path to the technology file
+   * @param {string} modId ID of the mod that contains this file ('' for the base game)
+   * @param {string} modName Name of the mod that contains this file
+   * @param {WorkerPool} [pool=null] Worker threads to parse the file on, the main thread if not given
+   * @returns {Promise<{technologies: Tech[], diagnostics: Diagnostic[]}>} The technologies and problems found
+   * @private
+   */
+  async _parseTechFile(filePath, modId, modName, pool = null) {
+    // Get file stats for caching
+    const stats = await fs.stat(filePath);
+    
+    // Check if we have a valid cached version, parsed with the same scripted variables
+    const variablesHash = this.variables.getHash();
+    let parsed = this.fileCache.get(filePath, stats);
+    
+    if (!parsed || parsed.variablesHash !== variablesHash) {
+      // Not in memory, try the disk cache before parsing the file
+      const content = await fs.readFile(filePath, 'utf8');
+      const contentHash = crypto.createHash('sha1').update(content).digest('hex');
+      parsed = await this.fileCache.getStored(filePath, contentHash, variablesHash);
+      
+      if (!parsed) {
+        let technologies;
+        const diagnostics = [];
+        
+        if (pool) {
+          const result = await pool.run({ content, file: filePath, modId, modName });
+          technologies = result.technologies.map(tech => Object.assign(new Tech(), tech));
+          diagnostics.push(...result.diagnostics.map(diagnostic => Object.assign(new Diagnostic(), diagnostic)));
+        } else {
+          technologies = await this.parser.parse(content, {
+            diagnostics,
+            file: filePath,
+            modId,
+            modName,
+            variables: this.variables
+          });
+        }
+        
+        // Cache the parsed result together with its diagnostics so they are reported on every load
+        parsed = { technologies, diagnostics, variablesHash };
+        await this.fileCache.store(filePath, contentHash, parsed);
+      }
+      
+      this.fileCache.set(filePath, stats, parsed);
+    }
+    
+    return parsed;
+  }
+
+  /**
+   * Parses technology files on worker threads, so that loading them afterwards in order only reads the cache
+   *
+   * Only the parsing runs in parallel: the technologies are still added to the database by loading the files
+   * one after another, so the override order is the same as when parsing on the main thread.
+   * @param {Array<{filePath: string, modId: string, modName: string}>} files Files to parse
+   * @param {Function} [onProgress] Called with `{ phase: 'parse', done, total, mod }` after each file
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _parseTechFilesInParallel(files, onProgress) {
+    const size = Math.min(config.parserWorkers, files.length);
+    if (size < 1) {
+      return;
+    }
+    
+    logger.info(`Parsing ${files.length} technology files on ${size} worker threads`);
+    const pool = new WorkerPool(PARSER_WORKER, { size, workerData: { variables: this.variables.toEntries() } });
+    const fileDone = createFileProgress(onProgress, 'parse', files);
+    let next = 0;
+    
+    // Keep a few more files in flight than there are workers, so workers do not wait for files to be read
+    const parseNext = async () => {
+      while (next < files.length) {
+        const file = files[next++];
+        try {
+          await this._parseTechFile(file.filePath, file.modId, file.modName, pool);
+        } catch (error) {
+          // Loading the file reports the error with its diagnostics
+          logger.debug(`Could not parse ${file.filePath} on a worker thread: ${error.message}`);
+        }
+        fileDone(file);
+      }
+    };
+    
+    try {
+      await Promise.all(Array.from({ length: size * 2 }, parseNext));
+    } finally {
+      await pool.close();
+    }
+  }
+
+  /**
+   * Loads the technologies of the base game and the mods the way the game does
+   *
+   * Files with the same name replace each other in load order, the remaining files are read in name order and
+   * technologies defined more than once are resolved by TECHNOLOGY_OVERRIDE. The technologies of replaced files
+   * are only recorded in the technology history.
+   * @param {string} gamePath Path to the Stellaris installation
+   * @param {Array} [mods=[]] Enabled mods, in load order
+   * @param {Object} [options={}] Load options
+   * @param {Function} [options.onProgress] Called with `{ phase, done, total, mod }` as files are parsed
+   *   ('parse', only when parsing on worker threads) and loaded ('load'), where `mod` is the progress of the
+   *   file's mod `{ id, name, done, total }`, and with `{ phase: 'warning', message, modId }` for problems
+   * @returns {Promise<{baseGameCount: number, modCount: number, fileCount: number}>} Technologies loaded from
+   *   base game and mod files, and the number of files read
+   */
+  async loadTechnologySources(gamePath, mods = [], options = {}) {
+    if (!this._initialized) {
+      await this.initialize();
+    }
+
+    const onProgress = options.onProgress || (() => {});
+    const fileSystem = new VirtualFileSystem().addSource(gamePath, '', 'Base Game');
+    for (const mod of mods) {
+      if (mod.dirPath) {
+        fileSystem.addSource(mod.dirPath, mod.id, mod.name);
+      } else {
+        logger.warn(`Mod ${mod.name} has no directory path, skipping`);
+        onProgress({ phase: 'warning', message: `Mod ${mod.name} has no directory path, skipping`, modId: mod.id });
+      }
+    }
+    
+    const files = await fileSystem.listFiles(TECHNOLOGY_DIRECTORY, fileName => this._isTechFile(fileName));
+    logger.info(`Reading ${files.length} technology files from ${fileSystem.sources.length} sources`);
+    
+    this.sources = fileSystem.sources;
+    this.loadedMods = mods.filter(mod => mod.dirPath);
+    this._techFiles = new Map(files.map(file => [file.relativePath.toLowerCase(), file]));
+    this.replacedFiles = describeReplacedFiles(files);
+    
+    await this._parseTechFilesInParallel(files.flatMap(file => [
+      ...file.replaced.map(replaced => ({
+        filePath: replaced.filePath,
+        modId: replaced.source.modId,
+        modName: replaced.source.modName
+      })),
+      { filePath: file.filePath, modId: file.source.modId, modName: file.source.modName }
+    ]), options.onProgress);
+    
+    const fileLoaded = createFileProgress(options.onProgress, 'load', files.map(file => file.source));
+    let baseGameCount = 0;
+    let modCount = 0;
+    
+    for (const file of files) {
+      const { modId, modName, loadOrder } = file.source;
+      
+      for (const replaced of file.replaced) {
+        await this._recordReplacedTechFile(replaced, file);
+      }
+      
+      const count = await this.loadTechFile(file.filePath, modId, modName, {
+        relativePath: file.relativePath,
+        loadOrder
+      });
+      
+      if (loadOrder === 0) {
+        baseGameCount += count;
+      } else {
+        modCount += count;
+      }
+      
+      fileLoaded(file.source);
+    }
+    
+    await this.fileCache.flush();
+    this.database.buildTechTree();
+    
+    return { baseGameCount, modCount, fileCount: files.length };
+  }
+
+  /**
+   * Records the technologies of a file replaced by a file with the same path in the technology history
+   * @param {{filePath: string, source: Object}} replaced The replaced file
+   * @param {{filePath: string, relativePath: string, source: Object}} file The file that replaced it
+   * @returns {Promise<number>} Number of definitions recorded
+   * @private
+   */
+  async _recordReplacedTechFile(replaced, file) {
+    const { modId, modName, loadOrder } = replaced.source;
+    
+    try {
+      // The game never reads the file, so its diagnostics are not reported
+      const { technologies } = await this._parseTechFile(replaced.filePath, modId, modName);
+      
+      technologies.forEach(tech => {
+        tech.sourceFile = replaced.filePath;
+        tech.sourceModId = modId;
+        tech.sourceModName = modName;
+      });
+      
+      return this.database.addReplacedTechnologies(technologies, {
+        relativePath: file.relativePath,
+        loadOrder,
+        replacedBy: { file: file.filePath, modId: file.source.modId, modName: file.source.modName }
+      });
+    } catch (error) {
+      logger.debug(`Could not read replaced tech file ${replaced.filePath}: ${error.message}`);
       return 0;
     }
   }
 
+  /**
+   * Gets the directories the last load read technology and localisation files from, to watch them for changes
+   * @returns {Array<{path: string, recursive: boolean}>} Directories, the technology directories are not
+   *   recursive since the game does not read their subdirectories
+   */
+  getWatchedDirectories() {
+    return this.sources.flatMap(source => [
+      { path: path.join(source.rootPath, TECHNOLOGY_DIRECTORY), recursive: false },
+      ...LOCALISATION_DIRECTORIES.map(directory => ({ path: path.join(source.rootPath, directory), recursive: true }))
+    ]);
+  }
+
+  /**
+   * Reads changed technology and localisation files again and patches the loaded technologies
+   *
+   * Only the changed files are parsed. A technology file that was added or deleted can change which files replace
+   * each other, so the files with the same path in every source are read again. Files outside the directories of
+   * getWatchedDirectories are ignored.
+   * @param {string[]} filePaths Paths of the changed files
+   * @returns {Promise<{added: string[], removed: string[], updated: string[], technologyFiles: number,
+   *   localisationFiles: number, localisationKeys: number}>} IDs of the technologies in use that were added,
+   *   removed or changed, and what was read again
+   */
+  async reloadChangedFiles(filePaths) {
+    const techPaths = new Set();
+    const localisationFiles = [];
+    
+    for (const filePath of filePaths) {
+      const source = this._findSource(filePath);
+      if (!source) {
+        continue;
+      }
+      
+      const relativePath = path.relative(source.rootPath, filePath).split(path.sep).join('/');
+      if (path.posix.dirname(relativePath) === TECHNOLOGY_DIRECTORY && this._isTechFile(path.basename(filePath))) {
+        techPaths.add(relativePath.toLowerCase());
+      } else if (LOCALISATION_DIRECTORIES.includes(relativePath.split('/')[0]) && /\.ya?ml$/i.test(filePath)) {
+        localisationFiles.push({ filePath, source });
+      }
+    }
+    
+    // Whether each technology touched was in use before, to tell added, removed and updated ones apart
+    const existed = new Map();
+    
+    if (techPaths.size > 0) {
+      const fileSystem = new VirtualFileSystem();
+      for (const source of this.sources) {
+        fileSystem.addSource(source.rootPath, source.modId, source.modName);
+      }
+      const files = await fileSystem.listFiles(TECHNOLOGY_DIRECTORY, fileName => this._isTechFile(fileName));
+      const listed = new Map(files.map(file => [file.relativePath.toLowerCase(), file]));
+      
+      for (const key of techPaths) {
+        const previous = this._techFiles.get(key);
+        const file = listed.get(key);
+        if (!previous && !file) {
+          continue;
+        }
+        
+        if (previous) {
+          this.diagnostics = this.diagnostics.filter(diagnostic => diagnostic.file !== previous.filePath);
+        }
+        const definitions = file ? await this._readTechFileDefinitions(file) : [];
+        const changes = this.database.replaceFileDefinitions(
+          (file || previous).relativePath,
+          definitions,
+          TECHNOLOGY_OVERRIDE === VirtualFileSystem.LIOS
+        );
+        
+        for (const id of [...changes.added, ...changes.removed, ...changes.updated]) {
+          if (!existed.has(id)) {
+            existed.set(id, !changes.added.includes(id));
+          }
+        }
+      }
+      
+      this._techFiles = listed;
+      this.replacedFiles = describeReplacedFiles(files);
+      await this.fileCache.flush();
+    }
+    
+    const result = {
+      added: [],
+      removed: [],
+      updated: [],
+      technologyFiles: techPaths.size,
+      localisationFiles: localisationFiles.length,
+      localisationKeys: 0
+    };
+    for (const [id, wasInUse] of existed) {
+      const tech = this.database.getTechnology(id);
+      if (tech) {
+        result[wasInUse ? 'updated' : 'added'].push(id);
+      } else if (wasInUse) {
+        result.removed.push(id);
+      }
+    }
+    
+    for (const { filePath, source } of localisationFiles) {
+      const keys = await localizationService.reloadLocalizationFile(filePath, {
+        root: source.rootPath,
+        mod: source.modId ? { id: source.modId, name: source.modName } : null,
+        loadOrder: source.loadOrder
+      });
+      result.localisationKeys += keys.length;
+    }
+    
+    // New localisation can change any technology, new definitions only need their own names
+    if (result.localisationKeys > 0) {
+      localizationService.localizeAllTechnologies(this.database);
+      localizationService.localizeAllUnlockables(this.database);
+    } else {
+      for (const id of [...result.added, ...result.updated]) {
+        localizationService.localizeTechnology(this.database.getTechnology(id));
+      }
+    }
+    
+    logger.info(`Reloaded ${techPaths.size} technology and ${localisationFiles.length} localisation files: ${result.added.length} technologies added, ${result.updated.length} updated, ${result.removed.length} removed`);
+    return result;
+  }
+
+  /**
+   * Reads the definitions of the files with a path, the replaced ones first, for TechDatabase#replaceFileDefinitions
+   *
+   * Only the diagnostics of the file in use are reported, like when loading it.
+   * @param {{filePath: string, relativePath: string, source: Object, replaced: Array<Object>}} file The file in use
+   * @returns {Promise<Array<{technologies: Tech[], origin: Object}>>} The technologies and origin of each file
+   * @private
+   */
+  async _readTechFileDefinitions(file) {
+    const replacedBy = { file: file.filePath, modId: file.source.modId, modName: file.source.modName };
+    const definitions = [];
+    
+    for (const { filePath, source } of [...file.replaced, file]) {
+      const { modId, modName, loadOrder } = source;
+      const inUse = filePath === file.filePath;
+      let technologies = [];
+      
+      try {
+        const parsed = await this._parseTechFile(filePath, modId, modName);
+        technologies = parsed.technologies;
+        if (inUse) {
+          for (const diagnostic of parsed.diagnostics) {
+            logger.warn(diagnostic.toString());
+            this.diagnostics.push(diagnostic);
+          }
+        }
+      } catch (error) {
+        logger.error(`Error reloading tech file ${filePath}: ${error.message}`);
+        if (inUse) {
+          this.diagnostics.push(new Diagnostic({
+            file: filePath,
+            mod_id: modId,
+            mod_name: modName,
+            message: `Could not load file: ${error.message}`
+          }));
+        }
+      }
+      
+      technologies.forEach(tech => {
+        tech.sourceFile = filePath;
+        tech.sourceModId = modId;
+        tech.sourceModName = modName;
+      });
+      
+      definitions.push({
+        technologies,
+        origin: inUse
+          ? { relativePath: file.relativePath, loadOrder }
+          : { relativePath: file.relativePath, loadOrder, replacedBy }
+      });
+    }
+    
+    return definitions;
+  }
+
+  /**
+   * Finds the game or mod directory of the last load that contains a file
+   * @param {string} filePath Path of the file
+   * @returns {Object|null} The source, null if the file is not in any of them
+   * @private
+   */
+  _findSource(filePath) {
+    return this.sources.find(source => {
+      const relativePath = path.relative(source.rootPath, filePath);
+      return relativePath && !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+    }) || null;
+  }
+
   /**
    * Loads technologies from a directory
    * @param {string} dirPath Path to the directory containing technology files
@@ -193,6 +677,11 @@ class TechService {
       // Get all files in the directory
       const entries = await fs.readdir(dirPath, { withFileTypes: true });
       
+      // Parse the files of this directory on worker threads first, then load them in order
+      await this._parseTechFilesInParallel(entries
+        .filter(entry => entry.isFile() && this._isTechFile(entry.name))
+        .map(entry => ({ filePath: path.join(dirPath, entry.name), modId, modName })));
+      
       let totalLoaded = 0;
       
       // Process each entry
@@ -249,6 +738,121 @@ class TechService {
     }
   }
 
+  /**
+   * Gets the mods to load, in load order
+   * @returns {Promise<Array>} Manually set active mods, or the enabled mods of the active playset
+   */
+  async getActiveMods() {
+    // If activeMods is set, use it instead of querying the database
+    if (this.activeMods) {
+      logger.info(`Using ${this.activeMods.length} manually set active mods`);
+      return this.activeMods;
+    }
+    
+    logger.info('Fetching enabled mods from active playset...');
+    return this.modRepository.getEnabledModsForActivePlayset();
+  }
+
+  /**
+   * Loads the scripted variables from `common/scripted_variables`
+   * @param {string} rootPath Path to the Stellaris installation or mod directory
+   * @param {string} [modId=''] ID of the mod (if applicable)
+   * @param {string} [modName=''] Name of the mod (if applicable)
+   * @returns {Promise<number>} Number of variables defined
+   */
+  async loadScriptedVariables(rootPath, modId = '', modName = '') {
+    const dirPath = path.join(rootPath, SCRIPTED_VARIABLES_DIRECTORY);
+    let entries;
+    
+    try {
+      entries = await fs.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      logger.debug(`No scripted variables directory found in ${rootPath}`);
+      return 0;
+    }
+    
+    // Files are read in name order, so later files replace variables of earlier ones like in the game
+    const files = entries
+      .filter(entry => entry.isFile() && this._isTechFile(entry.name))
+      .map(entry => entry.name)
+      .sort();
+    
+    let count = 0;
+    
+    for (const fileName of files) {
+      count += await this._loadScriptedVariableFile(path.join(dirPath, fileName), modId, modName);
+    }
+    
+    logger.info(`Loaded ${count} scripted variables from ${modName || rootPath}`);
+    return count;
+  }
+
+  /**
+   * Replaces the scripted variables with those of the base game and the active mods
+   *
+   * The files are read like the technology files: a mod file with the same path as a file of the base game or an
+   * earlier mod replaces it, and the files of all sources are read in ASCII order of their names.
+   * @param {string} gamePath Path to the Stellaris installation
+   * @returns {Promise<number>} Number of variables defined
+   */
+  async loadAllScriptedVariables(gamePath) {
+    this.variables.clear();
+    const fileSystem = new VirtualFileSystem().addSource(gamePath, '', 'Base Game');
+    
+    try {
+      const mods = await this.getActiveMods();
+      for (const mod of mods || []) {
+        if (mod.dirPath) {
+          fileSystem.addSource(mod.dirPath, mod.id, mod.name);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error loading scripted variables from mods: ${error.message}`);
+    }
+    
+    const files = await fileSystem.listFiles(SCRIPTED_VARIABLES_DIRECTORY, fileName => this._isTechFile(fileName));
+    let count = 0;
+    
+    for (const file of files) {
+      count += await this._loadScriptedVariableFile(file.filePath, file.source.modId, file.source.modName);
+    }
+    
+    logger.info(`Loaded ${count} scripted variables (${this.variables.size} unique) from ${files.length} files`);
+    return count;
+  }
+
+  /**
+   * Defines the scripted variables of a file, later definitions replacing earlier ones
+   * @param {string} filePath Path to the file
+   * @param {string} modId ID of the mod ('' for the base game)
+   * @param {string} modName Name of the mod
+   * @returns {Promise<number>} Number of variables defined
+   * @private
+   */
+  async _loadScriptedVariableFile(filePath, modId, modName) {
+    try {
+      const content = await fs.readFile(filePath, 'utf8');
+      const diagnostics = [];
+      const statements = this.parser.parseContent(content, { diagnostics, file: filePath, modId, modName });
+      
+      for (const diagnostic of diagnostics) {
+        logger.warn(diagnostic.toString());
+        this.diagnostics.push(diagnostic);
+      }
+      
+      return this.variables.defineFromStatements(statements, { file: filePath, modId });
+    } catch (error) {
+      logger.error(`Error loading scripted variables ${filePath}: ${error.message}`);
+      this.diagnostics.push(new Diagnostic({
+        file: filePath,
+        mod_id: modId,
+        mod_name: modName,
+        message: `Could not load file: ${error.message}`
+      }));
+      return 0;
+    }
+  }
+
   /**
    * Loads technologies from active mods
    * @param {string} gamePath Path to the Stellaris installation
@@ -263,16 +867,7 @@ class TechService {
       logger.info('Loading technologies from active mods');
       
       // Get enabled mods from the active playset
-      let mods;
-      
-      // If activeMods is set, use it instead of querying the database
-      if (this.activeMods) {
-        logger.info(`Using ${this.activeMods.length} manually set active mods`);
-        mods = this.activeMods;
-      } else {
-        logger.info('Fetching enabled mods from active playset...');
-        mods = await this.modRepository.getEnabledModsForActivePlayset();
-      }
+      const mods = await this.getActiveMods();
       
       if (!mods || mods.length === 0) {
         logger.warn('No enabled mods found');
@@ -323,6 +918,98 @@ class TechService {
     }
   }
 
+  /**
+   * Loads the game objects of one type that require technologies from a file
+   * @param {string} filePath Path to the file
+   * @param {string} type Object type, one of the types in UnlockParser.TYPES
+   * @param {string} [modId=''] ID of the mod that contains this file (if applicable)
+   * @param {string} [modName=''] Name of the mod that contains this file (if applicable)
+   * @returns {Promise<number>} Number of objects loaded
+   */
+  async loadUnlockableFile(filePath, type, modId = '', modName = '') {
+    try {
+      const stats = await fs.stat(filePath);
+      let parsed = this.fileCache.get(filePath, stats);
+      
+      if (!parsed) {
+        const content = await fs.readFile(filePath, 'utf8');
+        const diagnostics = [];
+        const unlockables = this.unlockParser.parse(content, type, { diagnostics, file: filePath, modId, modName });
+        
+        parsed = { unlockables, diagnostics };
+        this.fileCache.set(filePath, stats, parsed);
+      }
+      
+      for (const diagnostic of parsed.diagnostics) {
+        logger.warn(diagnostic.toString());
+        this.diagnostics.push(diagnostic);
+      }
+      
+      return this.database.addUnlockables(parsed.unlockables);
+    } catch (error) {
+      logger.error(`Error loading ${type} file ${filePath}: ${error.message}`);
+      this.diagnostics.push(new Diagnostic({
+        file: filePath,
+        mod_id: modId,
+        mod_name: modName,
+        message: `Could not load file: ${error.message}`
+      }));
+      return 0;
+    }
+  }
+
+  /**
+   * Loads the buildings, components, edicts and other game objects that require technologies
+   * @param {string} rootPath Path to the Stellaris installation or mod directory
+   * @param {string} [modId=''] ID of the mod (if applicable)
+   * @param {string} [modName=''] Name of the mod (if applicable)
+   * @returns {Promise<number>} Number of objects loaded
+   */
+  async loadUnlockables(rootPath, modId = '', modName = '') {
+    let totalLoaded = 0;
+    
+    for (const { type, directory } of UnlockParser.TYPES) {
+      const dirPath = path.join(rootPath, 'common', directory);
+      let entries;
+      
+      try {
+        entries = await fs.readdir(dirPath, { withFileTypes: true });
+      } catch (error) {
+        // Not every mod changes every object type
+        logger.debug(`No ${directory} directory found in ${rootPath} (${error.code || error.message})`);
+        continue;
+      }
+      
+      // Files are read in name order, so later files replace objects of earlier ones like in the game
+      const files = entries
+        .filter(entry => entry.isFile() && this._isTechFile(entry.name))
+        .map(entry => entry.name)
+        .sort();
+      
+      for (const fileName of files) {
+        totalLoaded += await this.loadUnlockableFile(path.join(dirPath, fileName), type, modId, modName);
+      }
+    }
+    
+    logger.info(`Loaded ${totalLoaded} unlockable objects from ${modName || rootPath}`);
+    return totalLoaded;
+  }
+
+  /**
+   * Gets the game objects that require technologies, with the technologies they require
+   * @param {Object} [filters={}] Optional filters (type, search), see TechDatabase.getUnlockables
+   * @returns {Object[]} Array of unlockables with a `technologies` list of `{ id, name }`
+   */
+  getUnlockables(filters = {}) {
+    return this.database.getUnlockables(filters).map(unlockable => ({
+      ...unlockable.toJSON(),
+      technologies: unlockable.prerequisites
+        .map(techId => this.getTechnology(techId))
+        .filter(Boolean)
+        .map(tech => ({ id: tech.id, name: tech.displayName || tech.name }))
+    }));
+  }
+
   /**
    * Get the last load result
    * @returns {Object|null} The last load result or null if not available
@@ -331,12 +1018,26 @@ class TechService {
     return this.lastLoadResult;
   }
 
+  /**
+   * Gets the statistics of the parsed file cache, in memory and on disk
+   * @returns {object} Cache statistics, `disk` is null when the disk cache is disabled
+   */
+  getCacheStats() {
+    return this.fileCache.getStats();
+  }
+
   /**
    * Load all technologies from the base game and mods
+   *
+   * The progress is reported in the phases of LoadProgress.PHASES after 'paths': 'mods', 'variables', 'parse',
+   * 'load', 'unlockables', 'localisation' and 'tree'. An error thrown by the progress callback stops the load.
    * @param {string} gamePath Path to the game installation
+   * @param {Object} [options={}] Load options
+   * @param {Function} [options.onProgress] Called with `{ phase, message, done, total, mod }` as the load
+   *   progresses and with `{ phase: 'warning', message, modId }` for problems of the playset
    * @returns {Promise<Object>} Result of the loading operation
    */
-  async loadAllTechnologies(gamePath) {
+  async loadAllTechnologies(gamePath, options = {}) {
     try {
       // Make sure we're initialized
       if (!this._initialized) {
@@ -344,37 +1045,73 @@ class TechService {
       }
       
       logger.info('Loading all technologies...');
+      const onProgress = options.onProgress || (() => {});
+      
+      const mods = (await this.getActiveMods()) || [];
+      onProgress({
+        phase: 'mods',
+        message: `${mods.length} enabled mods`,
+        mods: [{ id: '', name: 'Base Game' }, ...mods.map(mod => ({ id: mod.id, name: mod.name }))]
+      });
       
-      // Clear the database
+      // Clear the database and the diagnostics of the previous load
       this.database.clear();
+      this.diagnostics = [];
       
-      // Load base game technologies
-      logger.info('Loading base game technologies...');
-      const baseGameCount = await this.loadBaseGameTechnologies(gamePath);
-      logger.info(`Loaded ${baseGameCount} technologies from base game`);
+      // Scripted variables are shared by all files, so they are loaded first
+      logger.info('Loading scripted variables...');
+      onProgress({ phase: 'variables', message: 'Loading scripted variables' });
+      const variableCount = await this.loadAllScriptedVariables(gamePath);
       
-      // Get the count before adding mod technologies
-      const beforeModCount = this.database.getAllTechnologies().length;
+      // Load the technologies of the base game and the mods together, so files replace each other like in the game
+      logger.info('Loading base game and mod technologies...');
+      const { baseGameCount, modCount: modLoadedCount } = await this.loadTechnologySources(gamePath, mods, { onProgress });
+      logger.info(`Loaded ${baseGameCount} technologies from base game and ${modLoadedCount} from mods`);
       
-      // Load mod technologies
-      logger.info('Loading mod technologies...');
-      const { count: modLoadedCount, mods } = await this.loadModTechnologies(gamePath);
-      logger.info(`Loaded ${modLoadedCount} technologies from mods`);
+      // Load the game objects that technologies unlock, mods in load order after the base game
+      logger.info('Loading unlockable objects...');
+      const sources = [{ dirPath: gamePath, id: '', name: 'Base Game' }, ...mods.filter(mod => mod.dirPath)];
+      let unlockableCount = 0;
+      for (const [index, source] of sources.entries()) {
+        onProgress({
+          phase: 'unlockables',
+          message: source.name,
+          done: index,
+          total: sources.length,
+          mod: { id: source.id, name: source.name, done: 0, total: 1 }
+        });
+        unlockableCount += await this.loadUnlockables(source.dirPath, source.id, source.name);
+      }
       
-      // Get the count after adding mod technologies
-      const afterModCount = this.database.getAllTechnologies().length;
+      // Report the problems found in the files of each mod
+      const diagnosticsByMod = new Map();
+      for (const diagnostic of this.diagnostics) {
+        diagnosticsByMod.set(diagnostic.modId, [...(diagnosticsByMod.get(diagnostic.modId) || []), diagnostic]);
+      }
+      for (const [modId, diagnostics] of diagnosticsByMod) {
+        const files = new Set(diagnostics.map(diagnostic => diagnostic.file));
+        onProgress({
+          phase: 'warning',
+          message: `${diagnostics[0].modName || 'Base Game'}: ${diagnostics.length} problems in ${files.size} files`,
+          modId
+        });
+      }
       
       // Calculate the actual number of new technologies added by mods
       // This accounts for mods overriding base game technologies
-      const modCount = afterModCount - beforeModCount;
+      const modCount = this.database.getAllTechnologies()
+        .filter(tech => !this.database.getTechnologyHistory(tech.id).some(definition => definition.loadOrder === 0))
+        .length;
       
       // Load localizations
       logger.info('Loading localizations...');
+      onProgress({ phase: 'localisation', message: 'Loading localisation' });
       // First load all localizations from game and mods
-      await localizationService.loadLocalizations(gamePath);
+      await localizationService.loadLocalizations(gamePath, mods);
       // Then apply them to technologies
       const localizedCount = await localizationService.localizeAllTechnologies(this.database);
       logger.info(`Localized ${localizedCount} technologies`);
+      localizationService.localizeAllUnlockables(this.database);
       
       // Get cache statistics
       const cacheStats = this.fileCache.getStats();
@@ -382,6 +1119,7 @@ class TechService {
       
       // Build the tech tree
       logger.info('Building technology tree...');
+      onProgress({ phase: 'tree', message: 'Building the technology tree' });
       this.database.buildTechTree();
       logger.info('Technology tree built successfully');
       
@@ -402,7 +1140,10 @@ class TechService {
         modCount: modLoadedCount,
         newModCount: modCount,
         localizedCount,
+        unlockableCount,
+        variableCount,
         cacheStats,
+        diagnosticCounts: this.getDiagnosticCounts(),
         mods
       };
       
@@ -414,6 +1155,31 @@ class TechService {
     }
   }
 
+  /**
+   * Gets the diagnostics collected while loading technologies
+   * @param {Object} [filters={}] Optional filters
+   * @param {string} [filters.severity] Only return diagnostics with this severity
+   * @param {string} [filters.modId] Only return diagnostics for this mod ('' for the base game)
+   * @returns {Diagnostic[]} Array of diagnostics
+   */
+  getDiagnostics(filters = {}) {
+    return this.diagnostics.filter(diagnostic =>
+      (!filters.severity || diagnostic.severity === filters.severity) &&
+      (filters.modId === undefined || diagnostic.modId === filters.modId)
+    );
+  }
+
+  /**
+   * Gets the number of diagnostics by severity
+   * @returns {{errors: number, warnings: number}} Diagnostic counts
+   */
+  getDiagnosticCounts() {
+    return {
+      errors: this.getDiagnostics({ severity: Diagnostic.ERROR }).length,
+      warnings: this.getDiagnostics({ severity: Diagnostic.WARNING }).length
+    };
+  }
+
   /**
    * Gets all technologies
    * @returns {Tech[]} Array of all technologies
@@ -431,6 +1197,134 @@ class TechService {
     return this.database.getTechnology(id);
   }
 
+  /**
+   * Gets a technology with its conditions, weight modifiers and modifiers rendered as readable text
+   * and its description as rich text segments
+   * @param {string} id Technology ID
+   * @param {string} [language] Language to localize the technology in, defaults to the selected language;
+   *   it must have been loaded with loadLanguage
+   * @returns {Object|null} The technology as a plain object with a `rendered` property, or null if not found
+   */
+  getTechnologyDetails(id, language) {
+    const tech = this.database.getTechnology(id);
+    if (!tech) {
+      return null;
+    }
+
+    const renderer = language
+      ? new ScriptRenderer({ getText: (key, defaultValue) => localizationService.getText(key, defaultValue, language) })
+      : this.renderer;
+
+    return {
+      ...(language ? this.localizeTechnologies([tech], language)[0] : tech.toJSON()),
+      rendered: {
+        ...renderer.renderTechnology(tech),
+        description: localizationService.getRichText(`${tech.id}_desc`, language)
+      }
+    };
+  }
+
+  /**
+   * Gets the technology files that replaced a file with the same path of the base game or an earlier mod
+   * @returns {Object[]} Files with their path, mod and the files they replaced, in load order
+   */
+  getReplacedFiles() {
+    return this.replacedFiles;
+  }
+
+  /**
+   * Gets a fingerprint of the mods of the last load: their IDs and versions in load order
+   *
+   * Plans made for the same playset have the same fingerprint until a mod is added, removed, moved or updated.
+   * @returns {string} Hex fingerprint
+   */
+  getPlaysetFingerprint() {
+    const mods = this.loadedMods.map(mod => [mod.id, mod.version || '']);
+    return crypto.createHash('sha1').update(JSON.stringify(mods)).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Gets the version of the game the technologies were loaded from, as shown by the launcher
+   * @returns {Promise<string|null>} The version, e.g. `v3.12.4`, or null if it is unknown
+   */
+  async getGameVersion() {
+    const baseGame = this.sources.find(source => !source.modId);
+    if (!baseGame) {
+      return null;
+    }
+
+    try {
+      const settings = JSON.parse(await fs.readFile(path.join(baseGame.rootPath, 'launcher-settings.json'), 'utf8'));
+      return settings.rawVersion || settings.version || null;
+    } catch (error) {
+      logger.debug(`Could not read the game version: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Gets every definition of a technology, from the base game through the mods in load order
+   * @param {string} id Technology ID
+   * @returns {Object[]|null} Definitions with their file, mod and whether they are used, or null if never defined
+   */
+  getTechnologyHistory(id) {
+    return this.database.getTechnologyHistory(id);
+  }
+
+  /**
+   * Checks if a language is supported by the game
+   * @param {string} language Language (e.g. 'german')
+   * @returns {boolean} True if the language can be loaded
+   */
+  isSupportedLanguage(language) {
+    return localizationService.isSupportedLanguage(language);
+  }
+
+  /**
+   * Loads the localizations of a language, so technologies can be localized in it without reloading them
+   * @param {string} language Language (e.g. 'german')
+   * @returns {Promise<number>} Number of localization entries loaded, 0 if the language was already loaded
+   */
+  async loadLanguage(language) {
+    if (!this.isSupportedLanguage(language)) {
+      throw new Error(`Unsupported language: ${language}`);
+    }
+    return localizationService.loadLanguage(language.toLowerCase());
+  }
+
+  /**
+   * Gets the languages the game has localizations for
+   * @returns {Promise<Object[]>} Languages with id, name and whether they are loaded or the default
+   */
+  async getLanguages() {
+    return localizationService.getAvailableLanguages();
+  }
+
+  /**
+   * Gets the value of a localization key, the file and mod it comes from and the values it overrode
+   * @param {string} key Localization key
+   * @param {string} [language] Language, which must have been loaded with loadLanguage; defaults to the selected one
+   * @returns {Object|null} The localization entry, or null if the key is not localized
+   */
+  getLocalizationEntry(key, language) {
+    return language
+      ? localizationService.getLocalizationEntry(key, language.toLowerCase())
+      : localizationService.getLocalizationEntry(key);
+  }
+
+  /**
+   * Localizes technologies in another language than the selected one, leaving the technologies unchanged
+   * @param {Tech[]} technologies Technologies
+   * @param {string} language Language, which must have been loaded with loadLanguage
+   * @returns {Object[]} Plain objects with localized name, description, area and category
+   */
+  localizeTechnologies(technologies, language) {
+    return technologies.map(tech => ({
+      ...tech.toJSON(),
+      ...localizationService.getLocalizedFields(tech, language.toLowerCase())
+    }));
+  }
+
   /**
    * Gets technologies by area
    * @param {string} areaId Area ID
@@ -458,6 +1352,14 @@ class TechService {
     return this.database.getTechnologiesByTier(tier);
   }
 
+  /**
+   * Gets research cost statistics for each tier
+   * @returns {Object<number, Object>} Count, minimum, maximum and average effective cost by tier
+   */
+  getTierStatistics() {
+    return this.database.getTierStatistics();
+  }
+
   /**
    * Gets all areas
    * @returns {Object[]} Array of area objects with id and name properties
@@ -517,13 +1419,17 @@ class TechService {
     // Build a dependency tree
     const tree = {};
     
+    // Technologies on the current branch, so prerequisite cycles introduced by mods end the recursion
+    const branch = new Set();
+    
     // Helper function to recursively get prerequisites
     const getPrereqsRecursive = (currentTechId, currentTree) => {
       const currentTech = this.getTechnology(currentTechId);
-      if (!currentTech) return;
+      if (!currentTech || branch.has(currentTechId)) return;
       
       // Add this tech to the tree
       currentTree[currentTechId] = {};
+      branch.add(currentTechId);
       
       // Get prerequisites for this tech
       const prereqs = this.getPrerequisites(currentTechId);
@@ -536,6 +1442,8 @@ class TechService {
         // Recursively process this prerequisite
         getPrereqsRecursive(prereq.id, currentTree[currentTechId]);
       }
+      
+      branch.delete(currentTechId);
     };
     
     // Start the recursive process
@@ -592,10 +1500,17 @@ class TechService {
 
   /**
    * Set active mods manually (for read-only database scenarios)
-   * @param {Array} mods Array of Mod objects to use as active mods
+   * @param {Array|null} mods Array of Mod objects to use as active mods, or null to use the mods of the active
+   *   playset again
    */
   setActiveMods(mods) {
-    if (!mods || !Array.isArray(mods)) {
+    if (mods === null) {
+      logger.info('Using the mods of the active playset');
+      this.activeMods = null;
+      return;
+    }
+    
+    if (!Array.isArray(mods)) {
       logger.warn('Invalid mods array provided to setActiveMods');
       return;
     }
@@ -605,4 +1520,64 @@ class TechService {
   }
 }
 
+/**
+ * Describes the technology files that replaced files with the same path, for getReplacedFiles
+ * @param {Array<{relativePath: string, filePath: string, source: Object, replaced: Array<Object>}>} files Files
+ *   listed by VirtualFileSystem#listFiles
+ * @returns {Array<Object>} The files that replaced others, with the files they replaced
+ */
+function describeReplacedFiles(files) {
+  return files
+    .filter(file => file.replaced.length > 0)
+    .map(file => ({
+      relativePath: file.relativePath,
+      file: file.filePath,
+      modId: file.source.modId,
+      modName: file.source.modName,
+      replaced: file.replaced.map(replaced => ({
+        file: replaced.filePath,
+        modId: replaced.source.modId,
+        modName: replaced.source.modName
+      }))
+    }));
+}
+
+/**
+ * Creates a function that counts a file of a phase as done, reports the progress overall and of the file's mod,
+ * and logs every tenth of the way
+ * @param {Function} [onProgress] Progress callback
+ * @param {string} phase What is being done, 'parse' or 'load'
+ * @param {Array<{modId: string, modName: string}>} files Files of the phase
+ * @returns {Function} Called with each file that is done
+ */
+function createFileProgress(onProgress, phase, files) {
+  const totals = new Map(); // Map of mod ID to number of files
+  const doneByMod = new Map();
+  const step = Math.ceil(files.length / 10);
+  let done = 0;
+  
+  for (const file of files) {
+    totals.set(file.modId, (totals.get(file.modId) || 0) + 1);
+  }
+  
+  return ({ modId, modName }) => {
+    done++;
+    doneByMod.set(modId, (doneByMod.get(modId) || 0) + 1);
+    
+    if (onProgress) {
+      onProgress({
+        phase,
+        message: modName,
+        done,
+        total: files.length,
+        mod: { id: modId, name: modName, done: doneByMod.get(modId), total: totals.get(modId) }
+      });
+    }
+    
+    if (done === files.length || done % step === 0) {
+      logger.info(`${phase === 'parse' ? 'Parsed' : 'Loaded'} ${done}/${files.length} technology files`);
+    }
+  };
+}
+
 module.exports = TechService; 
\ No newline at end of file
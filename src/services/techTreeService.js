@@ -17,10 +17,14 @@ class TechTreeService {
 
   /**
    * Initializes the technology tree service
+   *
+   * Once initialized, the tree is brought up to date with the technologies loaded since, so calling it
+   * again after a reload never leaves the tree of the previous technologies.
    * @returns {Promise<void>}
    */
   async initialize() {
     if (this._initialized) {
+      await this.rebuild();
       return;
     }
 
@@ -34,10 +38,102 @@ class TechTreeService {
     
     // Log some statistics
     logger.info(`Technology tree initialized with ${this._techTree.getRootNodes().length} root nodes`);
+    this._initialized = true;
+    this._logStatistics();
+  }
+
+  /**
+   * Updates the technology tree after the technologies were reloaded, e.g. for another playset
+   *
+   * Only the technologies that were added, removed or replaced by another definition are relinked; the files of
+   * mods shared with the previous playset come from the parsed file cache, so their technologies are unchanged.
+   * @returns {Promise<void>}
+   */
+  async rebuild() {
+    if (!this._initialized || !this._techTree) {
+      await this.initialize();
+      return;
+    }
+
+    const { added, removed, updated } = this._techTree.sync();
+    logger.info(`Technology tree updated: ${added.length} added, ${updated.length} updated, ${removed.length} removed`);
+    this._logStatistics();
+  }
+
+  /**
+   * Updates the technology tree after technologies of the database were added, removed or replaced,
+   * e.g. by TechService#reloadChangedFiles
+   * @param {{added: string[], removed: string[], updated: string[]}} changes IDs of the changed technologies
+   * @returns {Promise<void>}
+   */
+  async applyChanges(changes) {
+    if (!this._initialized || !this._techTree) {
+      await this.initialize();
+      return;
+    }
+
+    const database = this._techService.getTechDatabase();
+    for (const id of changes.removed) {
+      this._techTree.removeTechnology(id);
+    }
+    for (const id of [...changes.added, ...changes.updated]) {
+      const tech = database.getTechnology(id);
+      if (tech) {
+        this._techTree.updateTechnology(tech);
+      }
+    }
+
+    logger.info(`Technology tree updated for ${changes.added.length + changes.updated.length + changes.removed.length} changed technologies`);
+    this._logStatistics();
+  }
+
+  /**
+   * Logs the metrics of the tree and the number of problems validate() finds
+   * @private
+   */
+  _logStatistics() {
     logger.info(`Maximum tree depth: ${this._techTree.getMaxDepth()}`);
     logger.info(`Maximum tree width: ${this._techTree.getMaxWidth()}`);
     
-    this._initialized = true;
+    // Validate the prerequisites of the loaded technologies
+    const { errors, warnings } = this.validate();
+    if (errors > 0 || warnings > 0) {
+      logger.warn(`Technology tree validation found ${errors} errors and ${warnings} warnings`);
+    }
+  }
+
+  /**
+   * Validates the prerequisites of the technology tree
+   * @param {Object} [filters={}] Optional filters
+   * @param {string} [filters.severity] Only return issues with this severity
+   * @param {string} [filters.type] Only return issues of this type
+   * @returns {{valid: boolean, errors: number, warnings: number, issues: import('../models/validationIssue')[]}} The issues found;
+   *   `valid` is false if there are errors, whatever the filters
+   */
+  validate(filters = {}) {
+    if (!this._initialized || !this._techTree) {
+      return { valid: true, errors: 0, warnings: 0, issues: [] };
+    }
+    
+    const issues = this._techTree.validate();
+    const errors = issues.filter(issue => issue.isError()).length;
+    
+    return {
+      valid: errors === 0,
+      errors,
+      warnings: issues.length - errors,
+      issues: issues.filter(issue =>
+        (!filters.severity || issue.severity === filters.severity) &&
+        (!filters.type || issue.type === filters.type))
+    };
+  }
+
+  /**
+   * Checks if the technology tree has been built
+   * @returns {boolean} True once initialize has finished
+   */
+  isInitialized() {
+    return this._initialized && Boolean(this._techTree);
   }
 
   /**
@@ -117,6 +213,29 @@ class TechTreeService {
     return pathIds.map(id => this._techService.getTechnology(id)).filter(Boolean);
   }
 
+  /**
+   * Exports a part of the tree as a GraphViz DOT or Mermaid flowchart, labelled with the names of the technologies
+   * @param {string} format `dot` or `mermaid`
+   * @param {Object} [options={}] The part of the tree, see TechTree#getSubgraph: root, direction and area
+   * @param {string} [options.language] Language of the labels, which must have been loaded; the selected one by default
+   * @returns {string|null} The graph, or null if the tree is not initialized or the root is not a technology of it
+   */
+  exportGraph(format, options = {}) {
+    if (!this._initialized || !this._techTree) {
+      return null;
+    }
+    
+    const getLabel = options.language
+      ? tech => this._techService.localizeTechnologies([tech], options.language)[0].displayName || tech.id
+      : tech => tech.displayName || tech.id;
+    const graph = this._techTree.exportGraph(format, { ...options, getLabel });
+    
+    if (graph) {
+      logger.debug(`Exported the ${options.root ? `${options.direction || 'ancestors'} of ${options.root}` : 'tech tree'} as ${format}`);
+    }
+    return graph;
+  }
+
   /**
    * Searches for technologies by name or ID
    * @param {string} query The search query
@@ -0,0 +1,695 @@
+/**
+ * Service for static exports of the technology tree: standalone SVG, PNG and multi-page PDF posters
+ *
+ * The tree is laid out the way the Tech Tree tab shows it: the physics, society and engineering areas side by side,
+ * tiers from top to bottom, and arrows from prerequisites to the technologies they unlock.
+ */
+const { Resvg } = require('@resvg/resvg-js');
+const TechTree = require('../models/techTree');
+const logger = require('../utils/logger');
+const { PdfWriter, PdfCanvas } = require('../utils/pdfWriter');
+
+/**
+ * Formats the tree can be exported in, with their content type
+ * @type {Object<string, string>}
+ */
+const FORMATS = {
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  pdf: 'application/pdf'
+};
+
+/**
+ * Paper sizes for PDF exports in points, portrait
+ * @type {Object<string, number[]>}
+ */
+const PAPER_SIZES = {
+  a4: [595.28, 841.89],
+  a3: [841.89, 1190.55],
+  a2: [1190.55, 1683.78],
+  a1: [1683.78, 2383.94],
+  letter: [612, 792],
+  tabloid: [792, 1224]
+};
+
+/**
+ * Order of the research areas from left to right
+ * @type {string[]}
+ */
+const AREA_ORDER = ['physics', 'society', 'engineering'];
+
+/**
+ * Colors of the research areas, as in the Tech Tree tab
+ * @type {Object<string, string>}
+ */
+const AREA_COLORS = TechTree.AREA_COLORS;
+
+/**
+ * Colors of the drawing, chosen to print well on white paper
+ * @type {Object<string, string>}
+ */
+const COLORS = {
+  background: '#ffffff',
+  text: '#1a202c',
+  mutedText: '#4a5568',
+  node: '#ffffff',
+  nodeBorder: '#a0aec0',
+  edge: '#a0aec0',
+  researched: '#2f855a',
+  researchedNode: '#f0fff4',
+  highlighted: '#6b46c1',
+  highlightedNode: '#faf5ff',
+  tierBand: '#f7fafc'
+};
+
+/**
+ * Sizes of the layout in pixels (SVG user units)
+ * @type {Object<string, number>}
+ */
+const LAYOUT = {
+  nodeWidth: 200,
+  nodeHeight: 52,
+  columnGap: 16,
+  rowGap: 36,
+  maxColumns: 8,
+  areaGap: 60,
+  tierGap: 40,
+  tierLabelWidth: 70,
+  margin: 30,
+  headerHeight: 70
+};
+
+/**
+ * Font of exported text; DejaVu Sans is used for PNG exports, where it has to be installed
+ * @type {string}
+ */
+const FONT_FAMILY = 'DejaVu Sans, Helvetica, Arial, sans-serif';
+
+/**
+ * Largest width or height of PNG exports in pixels, to keep the memory of rendering them in bounds
+ * @type {number}
+ */
+const MAX_PNG_SIZE = 16384;
+
+/**
+ * PDF page margin in points (about 10 mm)
+ * @type {number}
+ */
+const PDF_MARGIN = 28;
+
+/**
+ * Error for export options that are not valid
+ */
+class ExportOptionsError extends Error {
+  /**
+   * Creates a new ExportOptionsError instance
+   * @param {string} message Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ExportOptionsError';
+  }
+}
+
+class TreeExportService {
+  static FORMATS = FORMATS;
+  static PAPER_SIZES = PAPER_SIZES;
+
+  /**
+   * Creates a new TreeExportService instance
+   * @param {TechService} techService The technology service
+   */
+  constructor(techService) {
+    this.techService = techService;
+  }
+
+  /**
+   * Reads export options from query parameters or command line flags
+   * @param {Object<string, string>} params Parameters: areas, categories, tiers, highlight and researched as comma
+   *   separated lists, hideImpossible and showPrerequisites as `true`, title, scale, paper, landscape, pagesAcross
+   * @returns {Object} The export options
+   * @throws {ExportOptionsError} If a parameter has an invalid value
+   */
+  static parseOptions(params) {
+    const list = value => (value === undefined || value === '' ? null : String(value).split(',').map(item => item.trim()).filter(Boolean));
+    const flag = value => value === true || value === 'true' || value === '1';
+    const number = (name, min, max) => {
+      if (params[name] === undefined) {
+        return undefined;
+      }
+      const value = Number(params[name]);
+      if (!Number.isFinite(value) || value < min || value > max) {
+        throw new ExportOptionsError(`${name} must be a number from ${min} to ${max}`);
+      }
+      return value;
+    };
+
+    const tiers = list(params.tiers);
+    if (tiers && !tiers.every(tier => /^\d+$/.test(tier))) {
+      throw new ExportOptionsError('tiers must be a comma separated list of tier numbers');
+    }
+
+    const paper = params.paper ? String(params.paper).toLowerCase() : undefined;
+    if (paper && !PAPER_SIZES[paper]) {
+      throw new ExportOptionsError(`paper must be one of ${Object.keys(PAPER_SIZES).join(', ')}`);
+    }
+
+    return {
+      areas: list(params.areas),
+      categories: list(params.categories),
+      tiers: tiers && tiers.map(Number),
+      hideImpossible: flag(params.hideImpossible),
+      showPrerequisites: flag(params.showPrerequisites),
+      highlight: list(params.highlight) || [],
+      researched: list(params.researched),
+      title: params.title,
+      scale: number('scale', 0.1, 8),
+      paper,
+      landscape: params.landscape === undefined ? undefined : flag(params.landscape),
+      pagesAcross: number('pagesAcross', 1, 20)
+    };
+  }
+
+  /**
+   * Exports the technology tree
+   * @param {string} format One of svg, png and pdf
+   * @param {Object} [options={}] Export options, see parseOptions
+   * @param {string} [options.language] Language of the technology names, which must have been loaded
+   * @returns {{contentType: string, data: (string|Buffer)}} The exported file
+   * @throws {ExportOptionsError} If the format is not supported
+   */
+  exportTree(format, options = {}) {
+    switch (format) {
+    case 'svg':
+      return { contentType: FORMATS.svg, data: this.renderSvg(options) };
+    case 'png':
+      return { contentType: FORMATS.png, data: this.renderPng(options) };
+    case 'pdf':
+      return { contentType: FORMATS.pdf, data: this.renderPdf(options) };
+    default:
+      throw new ExportOptionsError(`Unsupported export format: ${format}`);
+    }
+  }
+
+  /**
+   * Lays out the technologies that pass the filters
+   * @param {Object} [options={}] Export options, see parseOptions
+   * @returns {Object} Size of the drawing, the `nodes` with their position and state, the `edges` between them, and
+   *   the positions of the area `columns` and `tiers`
+   */
+  layout(options = {}) {
+    const technologies = this._getTechnologies(options);
+    const researched = options.researched
+      ? new Set(options.researched)
+      : new Set(technologies.filter(tech => tech.isResearched).map(tech => tech.id));
+    const highlighted = new Set(options.highlight || []);
+
+    // Group by area and tier
+    const areaIds = Array.from(new Set(technologies.map(tech => tech.areaId || 'default')))
+      .sort((a, b) => areaRank(a) - areaRank(b) || a.localeCompare(b));
+    const tierIds = Array.from(new Set(technologies.map(tech => tech.tier || 0))).sort((a, b) => a - b);
+    const groups = new Map();
+    for (const tech of technologies) {
+      const key = `${tech.areaId || 'default'}:${tech.tier || 0}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(tech);
+    }
+
+    // Each area is as wide as its largest tier needs, up to maxColumns nodes
+    const columns = [];
+    let x = LAYOUT.margin + LAYOUT.tierLabelWidth;
+    for (const areaId of areaIds) {
+      const largest = Math.max(...tierIds.map(tier => (groups.get(`${areaId}:${tier}`) || []).length));
+      const count = Math.max(1, Math.min(LAYOUT.maxColumns, largest));
+      const width = count * LAYOUT.nodeWidth + (count - 1) * LAYOUT.columnGap;
+      const sample = technologies.find(tech => (tech.areaId || 'default') === areaId);
+      columns.push({ id: areaId, name: (sample && sample.areaName) || capitalize(areaId), x, width, count });
+      x += width + LAYOUT.areaGap;
+    }
+
+    // Each tier is as high as the area with the most rows of it needs
+    const nodes = [];
+    const tiers = [];
+    let y = LAYOUT.margin + LAYOUT.headerHeight;
+    for (const tier of tierIds) {
+      let rows = 1;
+      for (const column of columns) {
+        const techs = (groups.get(`${column.id}:${tier}`) || []).sort(compareTechnologies);
+        rows = Math.max(rows, Math.ceil(techs.length / column.count));
+
+        techs.forEach((tech, index) => {
+          nodes.push({
+            id: tech.id,
+            name: tech.displayName || tech.name || tech.id,
+            areaId: column.id,
+            categoryName: tech.categoryName || tech.categoryId || '',
+            tier,
+            x: column.x + (index % column.count) * (LAYOUT.nodeWidth + LAYOUT.columnGap),
+            y: y + Math.floor(index / column.count) * (LAYOUT.nodeHeight + LAYOUT.rowGap),
+            width: LAYOUT.nodeWidth,
+            height: LAYOUT.nodeHeight,
+            isResearched: researched.has(tech.id),
+            isHighlighted: highlighted.has(tech.id)
+          });
+        });
+      }
+
+      const height = rows * LAYOUT.nodeHeight + (rows - 1) * LAYOUT.rowGap;
+      tiers.push({ tier, y, height });
+      y += height + LAYOUT.tierGap;
+    }
+
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const edges = [];
+    for (const tech of technologies) {
+      for (const prerequisite of tech.prerequisites || []) {
+        if (byId.has(prerequisite)) {
+          edges.push({ from: prerequisite, to: tech.id });
+        }
+      }
+    }
+
+    return {
+      width: Math.max(x - LAYOUT.areaGap + LAYOUT.margin, 400),
+      height: Math.max(y - LAYOUT.tierGap + LAYOUT.margin, 200),
+      title: options.title || 'Stellaris Technology Tree',
+      nodes,
+      edges,
+      columns,
+      tiers
+    };
+  }
+
+  /**
+   * Renders the tree as a standalone SVG document
+   * @param {Object} [options={}] Export options, see parseOptions
+   * @returns {string} The SVG document
+   */
+  renderSvg(options = {}) {
+    return toSvg(this.layout(options));
+  }
+
+  /**
+   * Renders the tree as a PNG image
+   * @param {Object} [options={}] Export options, see parseOptions
+   * @param {number} [options.scale=1] Pixels per layout pixel
+   * @returns {Buffer} The PNG image
+   */
+  renderPng(options = {}) {
+    const layout = this.layout(options);
+
+    let scale = options.scale || 1;
+    if (Math.max(layout.width, layout.height) * scale > MAX_PNG_SIZE) {
+      scale = MAX_PNG_SIZE / Math.max(layout.width, layout.height);
+      logger.warn(`Reduced the scale of the PNG export to ${scale.toFixed(2)} to stay within ${MAX_PNG_SIZE} pixels`);
+    }
+
+    const resvg = new Resvg(toSvg(layout), {
+      fitTo: { mode: 'zoom', value: scale },
+      background: COLORS.background,
+      font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' }
+    });
+    return resvg.render().asPng();
+  }
+
+  /**
+   * Renders the tree as a PDF document in vector graphics, on one page or as a poster of several pages
+   *
+   * The tree is scaled to the width of `pagesAcross` pages and continued on as many rows of pages as its height needs.
+   * Pages of a poster have crop marks and their row and column in the footer. The PDF uses the standard PDF fonts,
+   * so technology names in languages they cannot show (e.g. Russian or Chinese) are exported in English.
+   * @param {Object} [options={}] Export options, see parseOptions
+   * @param {string} [options.paper='a4'] Paper size
+   * @param {boolean} [options.landscape] Landscape pages; by default when the tree is wider than high
+   * @param {number} [options.pagesAcross=1] Number of pages the width of the tree is spread over
+   * @returns {Buffer} The PDF document
+   */
+  renderPdf(options = {}) {
+    let layout = this.layout(options);
+    let shapes = drawTree(layout);
+
+    // The standard PDF fonts only have Western European characters, so other languages would print as `?`
+    const cannotEncode = shape => shape.type === 'text' && shape.text !== layout.title && !PdfWriter.canEncode(shape.text);
+    if (options.language && shapes.some(cannotEncode)) {
+      logger.warn(`The PDF fonts cannot show the ${options.language} technology names, exporting English names instead`);
+      layout = this.layout({ ...options, language: undefined });
+      shapes = drawTree(layout);
+    }
+
+    const [shortSide, longSide] = PAPER_SIZES[options.paper || 'a4'];
+    const landscape = options.landscape !== undefined ? options.landscape : layout.width > layout.height;
+    const [pageWidth, pageHeight] = landscape ? [longSide, shortSide] : [shortSide, longSide];
+
+    // Printable area of each page, with room for the footer
+    const tileWidth = pageWidth - 2 * PDF_MARGIN;
+    const tileHeight = pageHeight - 2 * PDF_MARGIN - 12;
+    const pagesAcross = Math.round(options.pagesAcross || 1);
+    const scale = Math.min(pagesAcross * tileWidth / layout.width, pagesAcross === 1 ? tileHeight / layout.height : Infinity);
+    const pagesDown = Math.max(1, Math.ceil(layout.height * scale / tileHeight - 1e-6));
+
+    // The tree is drawn once as a form, with the y axis pointing down as in the SVG
+    const tree = new PdfCanvas().transform(1, 0, 0, -1, 0, layout.height);
+    for (const shape of shapes) {
+      drawPdfShape(tree, shape);
+    }
+
+    const writer = new PdfWriter();
+    const form = writer.addForm(layout.width, layout.height, tree);
+    const isPoster = pagesAcross > 1 || pagesDown > 1;
+    const bottom = PDF_MARGIN + 12;
+
+    for (let row = 0; row < pagesDown; row++) {
+      for (let column = 0; column < pagesAcross; column++) {
+        const page = new PdfCanvas()
+          .save()
+          .clipRect(PDF_MARGIN, bottom, tileWidth, tileHeight)
+          .transform(scale, 0, 0, scale, PDF_MARGIN - column * tileWidth, bottom + tileHeight - layout.height * scale + row * tileHeight)
+          .drawForm(form)
+          .restore();
+
+        if (isPoster) {
+          drawCropMarks(page, PDF_MARGIN, bottom, tileWidth, tileHeight);
+        }
+
+        const position = isPoster ? ` - row ${row + 1} of ${pagesDown}, column ${column + 1} of ${pagesAcross}` : '';
+        page.fillColor(COLORS.mutedText).text(PDF_MARGIN, PDF_MARGIN, `${layout.title}${position}`, { size: 8 });
+        writer.addPage(pageWidth, pageHeight, page);
+      }
+    }
+
+    logger.debug(`Rendered ${layout.nodes.length} technologies on ${writer.getPageCount()} PDF pages`);
+    return writer.toBuffer();
+  }
+
+  /**
+   * Gets the technologies that pass the filters, in the requested language
+   * @param {Object} options Export options
+   * @returns {Object[]} The technologies
+   * @private
+   */
+  _getTechnologies(options) {
+    const all = this.techService.getAllTechnologies();
+    const areas = options.areas && new Set(options.areas);
+    const categories = options.categories && new Set(options.categories);
+    const tiers = options.tiers && new Set(options.tiers);
+
+    const visible = all.filter(tech =>
+      (!areas || areas.has(tech.areaId)) &&
+      (!categories || categories.has(tech.categoryId)) &&
+      (!tiers || tiers.has(tech.tier)) &&
+      !(options.hideImpossible && tech.isPossible === false));
+
+    // Like the filter panel, add the direct prerequisites of the technologies shown
+    if (options.showPrerequisites) {
+      const ids = new Set(visible.map(tech => tech.id));
+      for (const tech of visible.slice()) {
+        for (const id of tech.prerequisites || []) {
+          const prerequisite = this.techService.getTechnology(id);
+          if (prerequisite && !ids.has(id)) {
+            ids.add(id);
+            visible.push(prerequisite);
+          }
+        }
+      }
+    }
+
+    return options.language ? this.techService.localizeTechnologies(visible, options.language) : visible;
+  }
+}
+
+/**
+ * Draws a laid out tree as shapes in layout coordinates: rectangles, paths and text
+ * @param {Object} layout The layout
+ * @returns {Object[]} The shapes, in drawing order
+ */
+function drawTree(layout) {
+  const shapes = [{ type: 'rect', x: 0, y: 0, width: layout.width, height: layout.height, fill: COLORS.background }];
+  const byId = new Map(layout.nodes.map(node => [node.id, node]));
+
+  shapes.push({ type: 'text', x: LAYOUT.margin, y: LAYOUT.margin + 18, text: layout.title, size: 22, bold: true, fill: COLORS.text });
+
+  // Tier bands and labels
+  layout.tiers.forEach((tier, index) => {
+    if (index % 2 === 0) {
+      shapes.push({
+        type: 'rect',
+        x: LAYOUT.margin,
+        y: tier.y - LAYOUT.tierGap / 2,
+        width: layout.width - 2 * LAYOUT.margin,
+        height: tier.height + LAYOUT.tierGap,
+        fill: COLORS.tierBand
+      });
+    }
+    shapes.push({ type: 'text', x: LAYOUT.margin + 4, y: tier.y + 18, text: `Tier ${tier.tier}`, size: 14, bold: true, fill: COLORS.mutedText });
+  });
+
+  // Area headers
+  for (const column of layout.columns) {
+    const color = AREA_COLORS[column.id] || AREA_COLORS.default;
+    shapes.push({ type: 'rect', x: column.x, y: LAYOUT.margin + 36, width: column.width, height: 4, fill: color });
+    shapes.push({ type: 'text', x: column.x, y: LAYOUT.margin + 60, text: column.name, size: 16, bold: true, fill: color });
+  }
+
+  // Prerequisites below the nodes, as curves from the bottom of the prerequisite to the top of the technology
+  for (const edge of layout.edges) {
+    const from = byId.get(edge.from);
+    const to = byId.get(edge.to);
+    const color = to.isHighlighted && from.isHighlighted ? COLORS.highlighted : COLORS.edge;
+    const start = [from.x + from.width / 2, from.y + from.height];
+    const end = [to.x + to.width / 2, to.y - 6];
+    const bend = Math.max(30, Math.abs(end[1] - start[1]) / 2);
+
+    shapes.push({
+      type: 'path',
+      points: [['M', ...start], ['C', start[0], start[1] + bend, end[0], end[1] - bend, ...end]],
+      stroke: color,
+      strokeWidth: 1.2
+    });
+    shapes.push({
+      type: 'path',
+      points: [['M', end[0] - 4, end[1]], ['L', end[0] + 4, end[1]], ['L', end[0], end[1] + 6], ['Z']],
+      fill: color
+    });
+  }
+
+  for (const node of layout.nodes) {
+    shapes.push(...drawNode(node));
+  }
+
+  return shapes;
+}
+
+/**
+ * Draws a technology: a card with a stripe in the color of its area, its name, tier and category
+ * @param {Object} node The laid out technology
+ * @returns {Object[]} The shapes
+ */
+function drawNode(node) {
+  const border = node.isHighlighted ? COLORS.highlighted : node.isResearched ? COLORS.researched : COLORS.nodeBorder;
+  const fill = node.isHighlighted ? COLORS.highlightedNode : node.isResearched ? COLORS.researchedNode : COLORS.node;
+  const textWidth = node.width - 22 - (node.isResearched ? 16 : 0);
+  const shapes = [
+    {
+      type: 'rect',
+      x: node.x,
+      y: node.y,
+      width: node.width,
+      height: node.height,
+      radius: 6,
+      fill,
+      stroke: border,
+      strokeWidth: node.isHighlighted ? 3 : node.isResearched ? 2 : 1
+    },
+    { type: 'rect', x: node.x, y: node.y, width: 6, height: node.height, fill: AREA_COLORS[node.areaId] || AREA_COLORS.default },
+    { type: 'text', x: node.x + 14, y: node.y + 21, text: truncate(node.name, textWidth, 12), size: 12, bold: true, fill: COLORS.text },
+    {
+      type: 'text',
+      x: node.x + 14,
+      y: node.y + 40,
+      text: truncate(`Tier ${node.tier}${node.categoryName ? ` - ${node.categoryName}` : ''}`, textWidth, 10),
+      size: 10,
+      fill: COLORS.mutedText
+    }
+  ];
+
+  if (node.isResearched) {
+    const x = node.x + node.width - 20;
+    const y = node.y + 12;
+    shapes.push({
+      type: 'path',
+      points: [['M', x, y + 5], ['L', x + 4, y + 9], ['L', x + 11, y]],
+      stroke: COLORS.researched,
+      strokeWidth: 2.5
+    });
+  }
+
+  return shapes;
+}
+
+/**
+ * Writes a laid out tree as a standalone SVG document
+ * @param {Object} layout The layout
+ * @returns {string} The SVG document
+ */
+function toSvg(layout) {
+  const elements = drawTree(layout).map(shape => {
+    switch (shape.type) {
+    case 'rect':
+      return `<rect x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}" rx="${shape.radius || 0}" ` +
+        `fill="${shape.fill || 'none'}"${strokeAttributes(shape)}/>`;
+    case 'path':
+      return `<path d="${toSvgPath(shape.points)}" fill="${shape.fill || 'none'}"${strokeAttributes(shape)}/>`;
+    case 'text':
+      return `<text x="${shape.x}" y="${shape.y}" font-size="${shape.size}"${shape.bold ? ' font-weight="bold"' : ''} ` +
+        `fill="${shape.fill}">${escapeXml(shape.text)}</text>`;
+    default:
+      return '';
+    }
+  });
+
+  logger.debug(`Rendered ${layout.nodes.length} technologies and ${layout.edges.length} prerequisites as SVG`);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" ` +
+      `viewBox="0 0 ${layout.width} ${layout.height}" font-family="${FONT_FAMILY}">`,
+    `<title>${escapeXml(layout.title)}</title>`,
+    ...elements,
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Draws a shape on a PDF canvas
+ * @param {PdfCanvas} canvas The canvas, with the y axis pointing down
+ * @param {Object} shape The shape
+ */
+function drawPdfShape(canvas, shape) {
+  if (shape.type === 'text') {
+    canvas.fillColor(shape.fill).text(shape.x, shape.y, shape.text, { size: shape.size, bold: shape.bold, flipped: true });
+    return;
+  }
+
+  if (shape.fill) {
+    canvas.fillColor(shape.fill);
+  }
+  if (shape.stroke) {
+    canvas.strokeColor(shape.stroke).lineWidth(shape.strokeWidth || 1);
+  }
+
+  if (shape.type === 'rect') {
+    canvas.roundedRect(shape.x, shape.y, shape.width, shape.height, shape.radius || 0);
+  } else {
+    for (const [command, ...values] of shape.points) {
+      if (command === 'M') {
+        canvas.moveTo(...values);
+      } else if (command === 'L') {
+        canvas.lineTo(...values);
+      } else if (command === 'C') {
+        canvas.curveTo(...values);
+      } else {
+        canvas.closePath();
+      }
+    }
+  }
+
+  if (shape.fill && shape.stroke) {
+    canvas.fillAndStroke();
+  } else if (shape.fill) {
+    canvas.fill();
+  } else {
+    canvas.stroke();
+  }
+}
+
+/**
+ * Draws crop marks at the corners of the printed part of a poster page, to cut the pages along
+ * @param {PdfCanvas} canvas The page
+ * @param {number} x Left of the printed part
+ * @param {number} y Bottom of the printed part
+ * @param {number} width Width of the printed part
+ * @param {number} height Height of the printed part
+ */
+function drawCropMarks(canvas, x, y, width, height) {
+  const length = PDF_MARGIN / 2;
+  canvas.strokeColor(COLORS.mutedText).lineWidth(0.3);
+  for (const [cornerX, cornerY, directionX, directionY] of [[x, y, -1, -1], [x + width, y, 1, -1], [x, y + height, -1, 1], [x + width, y + height, 1, 1]]) {
+    canvas.moveTo(cornerX + directionX * 2, cornerY).lineTo(cornerX + directionX * length, cornerY)
+      .moveTo(cornerX, cornerY + directionY * 2).lineTo(cornerX, cornerY + directionY * length);
+  }
+  canvas.stroke();
+}
+
+/**
+ * Converts path points to SVG path data
+ * @param {Array[]} points Commands (M, L, C, Z) with their coordinates
+ * @returns {string} The path data
+ */
+function toSvgPath(points) {
+  return points.map(([command, ...values]) => `${command}${values.map(value => Math.round(value * 10) / 10).join(' ')}`).join(' ');
+}
+
+/**
+ * Gets the stroke attributes of an SVG shape
+ * @param {Object} shape The shape
+ * @returns {string} The attributes, with a leading space
+ */
+function strokeAttributes(shape) {
+  return shape.stroke ? ` stroke="${shape.stroke}" stroke-width="${shape.strokeWidth || 1}"` : '';
+}
+
+/**
+ * Shortens text to fit a width, estimating the width of characters
+ * @param {string} text The text
+ * @param {number} width Available width
+ * @param {number} size Font size
+ * @returns {string} The text, ending in … if it was shortened
+ */
+function truncate(text, width, size) {
+  const fits = Math.floor(width / (size * 0.6));
+  return text.length > fits ? `${text.slice(0, Math.max(1, fits - 1)).trimEnd()}…` : text;
+}
+
+/**
+ * Escapes text for XML
+ * @param {string} text The text
+ * @returns {string} The escaped text
+ */
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Compares technologies for their order within a tier: by category, then name
+ * @param {Object} a A technology
+ * @param {Object} b Another technology
+ * @returns {number} The order
+ */
+function compareTechnologies(a, b) {
+  return (a.categoryId || '').localeCompare(b.categoryId || '') ||
+    (a.displayName || a.id).localeCompare(b.displayName || b.id) ||
+    a.id.localeCompare(b.id);
+}
+
+/**
+ * Gets the position of an area from the left
+ * @param {string} areaId Area ID
+ * @returns {number} The position; areas of mods come last
+ */
+function areaRank(areaId) {
+  const rank = AREA_ORDER.indexOf(areaId);
+  return rank === -1 ? AREA_ORDER.length : rank;
+}
+
+/**
+ * Capitalizes an ID for display
+ * @param {string} id The ID
+ * @returns {string} The ID with a capital first letter
+ */
+function capitalize(id) {
+  return id.charAt(0).toUpperCase() + id.slice(1);
+}
+
+module.exports = { TreeExportService, ExportOptionsError };
@@ -0,0 +1,239 @@
+/**
+ * Evaluates script triggers (conditions such as `has_ethic = ethic_materialist`) against an empire state
+ *
+ * Only the triggers that can be answered from an EmpireState are supported. Unsupported triggers
+ * are reported, so callers can show that a result is an estimate. `evaluate` treats them as false,
+ * `check` treats them as unknown and returns null when the result depends on them.
+ */
+class TriggerEvaluator {
+  /**
+   * Evaluate a list of conditions, all of which must be true
+   * @param {Array<Object>} conditions - Trigger statements from ScriptParser
+   * @param {import('../models/empireState')} empire - The empire to evaluate against
+   * @param {Set<string>} [unknownTriggers] - Keys of unsupported triggers are added here
+   * @returns {boolean} True if all conditions are true
+   */
+  evaluate(conditions, empire, unknownTriggers = new Set()) {
+    return this._evaluateAll(conditions || [], empire, { unknownTriggers, unknownValue: false });
+  }
+
+  /**
+   * Check a list of conditions, all of which must be true, keeping track of what cannot be answered
+   *
+   * Unsupported triggers are unknown rather than false, so `NOT = { unsupported = yes }` stays unknown
+   * instead of becoming true. Known results still decide, e.g. `OR = { has_ethic = ... unsupported = yes }`
+   * is true for an empire with the ethic.
+   * @param {Array<Object>} conditions - Trigger statements from ScriptParser
+   * @param {import('../models/empireState')} empire - The empire to evaluate against
+   * @param {Set<string>} [unknownTriggers] - Keys of unsupported triggers are added here
+   * @returns {boolean|null} True or false, or null if the result depends on unsupported triggers
+   */
+  check(conditions, empire, unknownTriggers = new Set()) {
+    return this._evaluateAll(conditions || [], empire, { unknownTriggers, unknownValue: null });
+  }
+
+  /**
+   * Evaluate a list of statements that must all be true
+   * @param {Array<Object>} statements - Trigger statements
+   * @param {import('../models/empireState')} empire - The empire to evaluate against
+   * @param {Object} context - Unknown trigger keys and the value used for unsupported triggers
+   * @returns {boolean|null} The result
+   * @private
+   */
+  _evaluateAll(statements, empire, context) {
+    let result = true;
+
+    for (const statement of statements) {
+      const value = this._evaluateStatement(statement, empire, context);
+      if (value === false) {
+        return false;
+      }
+      if (value === null) {
+        result = null;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Evaluate a list of statements of which at least one must be true
+   * @param {Array<Object>} statements - Trigger statements
+   * @param {import('../models/empireState')} empire - The empire to evaluate against
+   * @param {Object} context - Unknown trigger keys and the value used for unsupported triggers
+   * @returns {boolean|null} The result
+   * @private
+   */
+  _evaluateAny(statements, empire, context) {
+    let result = false;
+
+    for (const statement of statements) {
+      const value = this._evaluateStatement(statement, empire, context);
+      if (value === true) {
+        return true;
+      }
+      if (value === null) {
+        result = null;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Evaluate a single trigger statement in country scope
+   * @param {Object} statement - Trigger statement
+   * @param {import('../models/empireState')} empire - The empire to evaluate against
+   * @param {Object} context - Unknown trigger keys and the value used for unsupported triggers
+   * @returns {boolean|null} The result, null if it cannot be answered
+   * @private
+   */
+  _evaluateStatement(statement, empire, context) {
+    const { key, value } = statement;
+    const children = value.type === 'block' ? value.value : [];
+
+    switch (key) {
+    case 'AND':
+      return this._evaluateAll(children, empire, context);
+    case 'OR':
+      return this._evaluateAny(children, empire, context);
+    case 'NOT':
+    case 'NOR':
+      // NOT with several conditions behaves like NOR in Paradox script
+      return negate(this._evaluateAny(children, empire, context));
+    case 'NAND':
+      return negate(this._evaluateAll(children, empire, context));
+    case 'always':
+      return this._compare(statement, true);
+    case 'has_ethic':
+      return this._compare(statement, empire.hasEthic(value.value));
+    case 'has_civic':
+    case 'has_valid_civic':
+    case 'has_origin':
+      return this._compare(statement, empire.hasCivic(value.value));
+    case 'has_authority':
+      return this._compare(statement, empire.authority === value.value);
+    case 'has_technology':
+      return this._compare(statement, empire.hasTechnology(value.value));
+    case 'has_trait':
+      return this._compare(statement, empire.traits.includes(value.value));
+    case 'has_tradition':
+      return this._compare(statement, empire.traditions.includes(value.value));
+    case 'has_ascension_perk':
+      return this._compare(statement, empire.ascensionPerks.includes(value.value));
+    case 'has_country_flag':
+      return this._compare(statement, empire.countryFlags.includes(value.value));
+    case 'host_has_dlc':
+      return this._evaluateDlc(statement, empire, context);
+    case 'is_gestalt':
+      return this._compareBoolean(statement, empire.isGestalt());
+    case 'is_machine_empire':
+      return this._compareBoolean(statement, empire.authority === 'auth_machine_intelligence');
+    case 'is_hive_empire':
+      return this._compareBoolean(statement, empire.authority === 'auth_hive_mind');
+    case 'is_ai':
+      return this._compareBoolean(statement, false);
+    case 'research_leader':
+      return this._evaluateResearchLeader(children, empire, context);
+    default:
+      context.unknownTriggers.add(key);
+      return context.unknownValue;
+    }
+  }
+
+  /**
+   * Evaluate a `host_has_dlc = "Utopia"` trigger
+   * @param {Object} statement - Trigger statement
+   * @param {import('../models/empireState')} empire - The empire to evaluate against
+   * @param {Object} context - Unknown trigger keys and the value used for unsupported triggers
+   * @returns {boolean|null} The result, unknown if the enabled DLCs are not known
+   * @private
+   */
+  _evaluateDlc(statement, empire, context) {
+    const hasDlc = empire.hasDlc(statement.value.value);
+    if (hasDlc === null) {
+      context.unknownTriggers.add('host_has_dlc');
+      return context.unknownValue;
+    }
+    return this._compare(statement, hasDlc);
+  }
+
+  /**
+   * Evaluate a `research_leader = { area = physics has_trait = leader_trait_expertise_computing }` block
+   * @param {Array<Object>} conditions - Statements of the block
+   * @param {import('../models/empireState')} empire - The empire to evaluate against
+   * @param {Object} context - Unknown trigger keys and the value used for unsupported triggers
+   * @returns {boolean|null} True if the scientist of the area matches all conditions
+   * @private
+   */
+  _evaluateResearchLeader(conditions, empire, context) {
+    const areaStatement = conditions.find(statement => statement.key === 'area');
+    if (!areaStatement) {
+      context.unknownTriggers.add('research_leader');
+      return context.unknownValue;
+    }
+
+    const traits = empire.getScientistTraits(areaStatement.value.value);
+    let result = true;
+
+    for (const statement of conditions) {
+      let value;
+      switch (statement.key) {
+      case 'area':
+        value = true;
+        break;
+      case 'has_trait':
+        value = this._compare(statement, traits.includes(statement.value.value));
+        break;
+      default:
+        context.unknownTriggers.add(`research_leader.${statement.key}`);
+        value = context.unknownValue;
+      }
+
+      if (value === false) {
+        return false;
+      }
+      if (value === null) {
+        result = null;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Apply the operator of a `key = value` membership trigger to its result
+   * @param {Object} statement - Trigger statement
+   * @param {boolean} result - Whether the empire matches the value
+   * @returns {boolean} The result, negated for `!=` and `always = no`
+   * @private
+   */
+  _compare(statement, result) {
+    if (statement.value.type === 'boolean') {
+      return statement.value.value ? result : !result;
+    }
+    return statement.operator === '!=' ? !result : result;
+  }
+
+  /**
+   * Compare a `key = yes/no` trigger with the actual value
+   * @param {Object} statement - Trigger statement
+   * @param {boolean} actual - Actual value for the empire
+   * @returns {boolean} True if the statement matches
+   * @private
+   */
+  _compareBoolean(statement, actual) {
+    return statement.value.value === actual;
+  }
+}
+
+/**
+ * Negate a three-valued result, unknown stays unknown
+ * @param {boolean|null} value - The result
+ * @returns {boolean|null} The negated result
+ */
+function negate(value) {
+  return value === null ? null : !value;
+}
+
+module.exports = TriggerEvaluator;
@@ -0,0 +1,156 @@
+/**
+ * Hot reload of the technology and localisation files of the loaded playset, for modders editing them
+ */
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const FileWatcher = require('../utils/fileWatcher');
+
+/**
+ * Watches the directories of the loaded technologies and patches the technologies when files change
+ *
+ * Emits an `event` event with `{ type, data }` for the clients: `watching` with the watched directories when
+ * watching starts, `stopped`, `update` after changed files were loaded and `error` if loading them failed.
+ */
+class WatchService extends EventEmitter {
+  /**
+   * Creates a new WatchService instance
+   * @param {import('./techService')} techService The technology service
+   * @param {import('./techTreeService')} techTreeService The technology tree service
+   * @param {Object} [options={}] Watch options
+   * @param {number} [options.debounce] Milliseconds without changes before changed files are loaded
+   * @param {Function} [options.isBusy] Returns true while all technologies are being loaded; changes are ignored
+   *   then since the load reads every file
+   */
+  constructor(techService, techTreeService, options = {}) {
+    super();
+    this._techService = techService;
+    this._techTreeService = techTreeService;
+    this._isBusy = options.isBusy || (() => false);
+    this._watcher = new FileWatcher({ debounce: options.debounce });
+    this._watcher.on('change', files => this.reload(files));
+    this._enabled = false;
+    this._queued = new Set();
+    this._reloading = null;
+    this._lastUpdate = null;
+  }
+
+  /**
+   * Starts watching the directories of the loaded technologies
+   * @returns {string[]} The watched directories
+   */
+  start() {
+    this._enabled = true;
+    const directories = this._watcher.watch(this._techService.getWatchedDirectories());
+    this._emit('watching', { directories });
+    return directories;
+  }
+
+  /**
+   * Stops watching
+   */
+  stop() {
+    this._enabled = false;
+    this._watcher.close();
+    this._emit('stopped', {});
+  }
+
+  /**
+   * Watches the directories again after technologies were loaded for another playset, if watching
+   */
+  restart() {
+    if (this._enabled) {
+      this.start();
+    }
+  }
+
+  /**
+   * Gets the state of the watch mode
+   * @returns {{watching: boolean, directories: string[], reloading: boolean, lastUpdate: Object|null}} The state
+   */
+  getState() {
+    return {
+      watching: this._enabled,
+      directories: this._watcher.getDirectories(),
+      reloading: this._reloading !== null,
+      lastUpdate: this._lastUpdate
+    };
+  }
+
+  /**
+   * Waits until the changed files being loaded are loaded, so a load of all technologies does not interleave with them
+   *
+   * Files queued meanwhile are dropped once all technologies are being loaded, since that load reads every file.
+   * @returns {Promise<void>}
+   */
+  async whenIdle() {
+    while (this._reloading) {
+      await this._reloading;
+    }
+  }
+
+  /**
+   * Loads changed files and updates the technology tree, after the files being loaded if a reload is running
+   * @param {string[]} files Paths of the changed files
+   * @returns {Promise<void>} Resolves once the files are loaded
+   */
+  async reload(files) {
+    if (this._isBusy()) {
+      logger.info(`Ignoring ${files.length} changed files while the technologies are being loaded`);
+      return;
+    }
+
+    files.forEach(file => this._queued.add(file));
+    if (!this._reloading) {
+      this._reloading = this._reloadQueued();
+    }
+    await this._reloading;
+  }
+
+  /**
+   * Loads the queued files until no files are queued
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _reloadQueued() {
+    try {
+      while (this._queued.size > 0) {
+        if (this._isBusy()) {
+          logger.info(`Ignoring ${this._queued.size} changed files while the technologies are being loaded`);
+          this._queued.clear();
+          break;
+        }
+        
+        const files = Array.from(this._queued);
+        this._queued.clear();
+
+        const startTime = Date.now();
+        const changes = await this._techService.reloadChangedFiles(files);
+        if (changes.technologyFiles === 0 && changes.localisationFiles === 0) {
+          continue;
+        }
+
+        await this._techTreeService.applyChanges(changes);
+        this._lastUpdate = { ...changes, files, duration: (Date.now() - startTime) / 1000, at: Date.now() };
+        this._emit('update', this._lastUpdate);
+      }
+    } catch (error) {
+      logger.error(`Error reloading changed files: ${error.message}`);
+      this._queued.clear();
+      this._emit('error', { error: error.message });
+    } finally {
+      this._reloading = null;
+    }
+  }
+
+  /**
+   * Emits an event for the clients
+   * @param {string} type Event type
+   * @param {Object} data Event data
+   * @private
+   */
+  _emit(type, data) {
+    this.emit('event', { type, data });
+  }
+}
+
+module.exports = WatchService;
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const logger = require('./logger');
+
+/**
+ * Watches directories and reports the files changed in them, in batches
+ *
+ * Editors often write a file in several steps (truncate, write, rename), so changes are collected until no file
+ * changed for `debounce` milliseconds and then emitted together as a `change` event with the changed file paths.
+ * Deleted and added files are reported like modified ones. Directories that do not exist are skipped.
+ */
+class FileWatcher extends EventEmitter {
+  /**
+   * Creates a new FileWatcher instance
+   * @param {Object} [options={}] Watcher options
+   * @param {number} [options.debounce=300] Milliseconds without changes before a batch is emitted
+   */
+  constructor(options = {}) {
+    super();
+    this.debounce = options.debounce !== undefined ? options.debounce : 300;
+    this._watchers = new Map(); // Map of directory path to fs.FSWatcher
+    this._pending = new Set();
+    this._timer = null;
+  }
+
+  /**
+   * Watches directories, replacing the ones watched before
+   * @param {Array<{path: string, recursive: boolean}>} directories Directories to watch
+   * @returns {string[]} The directories that exist and are watched
+   */
+  watch(directories) {
+    this.close();
+
+    for (const directory of directories) {
+      if (this._watchers.has(directory.path) || !fs.existsSync(directory.path)) {
+        continue;
+      }
+
+      try {
+        const watcher = fs.watch(directory.path, { recursive: directory.recursive }, (eventType, fileName) => {
+          if (fileName) {
+            this._queue(path.join(directory.path, fileName.toString()));
+          }
+        });
+        watcher.on('error', error => {
+          logger.warn(`Stopped watching ${directory.path}: ${error.message}`);
+          watcher.close();
+          this._watchers.delete(directory.path);
+        });
+        this._watchers.set(directory.path, watcher);
+      } catch (error) {
+        logger.warn(`Could not watch ${directory.path}: ${error.message}`);
+      }
+    }
+
+    logger.info(`Watching ${this._watchers.size} directories for changes`);
+    return this.getDirectories();
+  }
+
+  /**
+   * Gets the watched directories
+   * @returns {string[]} Directory paths
+   */
+  getDirectories() {
+    return Array.from(this._watchers.keys());
+  }
+
+  /**
+   * Checks if any directory is watched
+   * @returns {boolean} True while watching
+   */
+  isWatching() {
+    return this._watchers.size > 0;
+  }
+
+  /**
+   * Stops watching all directories, dropping the changes not emitted yet
+   */
+  close() {
+    for (const watcher of this._watchers.values()) {
+      watcher.close();
+    }
+    this._watchers.clear();
+    this._pending.clear();
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Records a changed file and restarts the debounce timer
+   * @param {string} filePath Path of the file
+   * @private
+   */
+  _queue(filePath) {
+    this._pending.add(filePath);
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => this._flush(), this.debounce);
+  }
+
+  /**
+   * Emits the changed files
+   * @private
+   */
+  _flush() {
+    this._timer = null;
+    const files = Array.from(this._pending);
+    this._pending.clear();
+
+    if (files.length > 0) {
+      logger.debug(`${files.length} files changed: ${files.join(', ')}`);
+      this.emit('change', files);
+    }
+  }
+}
+
+module.exports = FileWatcher;
@@ -0,0 +1,399 @@
+const zlib = require('zlib');
+
+/**
+ * Fonts every PDF document gets, the standard fonts that PDF readers have built in
+ * @type {Object<string, string>}
+ */
+const FONTS = {
+  F1: 'Helvetica',
+  F2: 'Helvetica-Bold'
+};
+
+/**
+ * Characters outside Latin-1 that the WinAnsi encoding of the standard fonts has, with their code
+ * @type {Object<string, number>}
+ */
+const WIN_ANSI_EXTRAS = {
+  '…': 0x85, // Ellipsis
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95, // Bullet
+  '–': 0x96, // En dash
+  '—': 0x97 // Em dash
+};
+
+/**
+ * Kappa for drawing quarter circles with cubic Bézier curves
+ * @type {number}
+ */
+const KAPPA = 0.5523;
+
+/**
+ * Builds the content stream of a PDF page or form: drawing operators in PDF user space (points, origin at the
+ * bottom left). Methods return the canvas so calls can be chained.
+ */
+class PdfCanvas {
+  constructor() {
+    this._operators = [];
+  }
+
+  /**
+   * Saves the graphics state
+   * @returns {PdfCanvas} This canvas
+   */
+  save() {
+    return this._push('q');
+  }
+
+  /**
+   * Restores the graphics state saved last
+   * @returns {PdfCanvas} This canvas
+   */
+  restore() {
+    return this._push('Q');
+  }
+
+  /**
+   * Transforms the coordinate system with the matrix [a b c d e f]
+   * @returns {PdfCanvas} This canvas
+   */
+  transform(a, b, c, d, e, f) {
+    return this._push(`${[a, b, c, d, e, f].map(formatNumber).join(' ')} cm`);
+  }
+
+  /**
+   * Limits the following drawing to a rectangle
+   * @returns {PdfCanvas} This canvas
+   */
+  clipRect(x, y, width, height) {
+    return this._push(`${[x, y, width, height].map(formatNumber).join(' ')} re W n`);
+  }
+
+  /**
+   * Sets the fill color
+   * @param {string} color Color as `#rrggbb`
+   * @returns {PdfCanvas} This canvas
+   */
+  fillColor(color) {
+    return this._push(`${toRgb(color)} rg`);
+  }
+
+  /**
+   * Sets the stroke color
+   * @param {string} color Color as `#rrggbb`
+   * @returns {PdfCanvas} This canvas
+   */
+  strokeColor(color) {
+    return this._push(`${toRgb(color)} RG`);
+  }
+
+  /**
+   * Sets the line width
+   * @param {number} width Line width
+   * @returns {PdfCanvas} This canvas
+   */
+  lineWidth(width) {
+    return this._push(`${formatNumber(width)} w`);
+  }
+
+  /**
+   * Starts a new subpath
+   * @returns {PdfCanvas} This canvas
+   */
+  moveTo(x, y) {
+    return this._push(`${formatNumber(x)} ${formatNumber(y)} m`);
+  }
+
+  /**
+   * Adds a straight line to the path
+   * @returns {PdfCanvas} This canvas
+   */
+  lineTo(x, y) {
+    return this._push(`${formatNumber(x)} ${formatNumber(y)} l`);
+  }
+
+  /**
+   * Adds a cubic Bézier curve to the path
+   * @returns {PdfCanvas} This canvas
+   */
+  curveTo(x1, y1, x2, y2, x, y) {
+    return this._push(`${[x1, y1, x2, y2, x, y].map(formatNumber).join(' ')} c`);
+  }
+
+  /**
+   * Closes the current subpath
+   * @returns {PdfCanvas} This canvas
+   */
+  closePath() {
+    return this._push('h');
+  }
+
+  /**
+   * Adds a rectangle with rounded corners to the path
+   * @returns {PdfCanvas} This canvas
+   */
+  roundedRect(x, y, width, height, radius = 0) {
+    const r = Math.min(radius, width / 2, height / 2);
+    if (r <= 0) {
+      return this._push(`${[x, y, width, height].map(formatNumber).join(' ')} re`);
+    }
+
+    const k = r * KAPPA;
+    return this.moveTo(x + r, y)
+      .lineTo(x + width - r, y)
+      .curveTo(x + width - r + k, y, x + width, y + r - k, x + width, y + r)
+      .lineTo(x + width, y + height - r)
+      .curveTo(x + width, y + height - r + k, x + width - r + k, y + height, x + width - r, y + height)
+      .lineTo(x + r, y + height)
+      .curveTo(x + r - k, y + height, x, y + height - r + k, x, y + height - r)
+      .lineTo(x, y + r)
+      .curveTo(x, y + r - k, x + r - k, y, x + r, y)
+      .closePath();
+  }
+
+  /**
+   * Fills the path
+   * @returns {PdfCanvas} This canvas
+   */
+  fill() {
+    return this._push('f');
+  }
+
+  /**
+   * Strokes the path
+   * @returns {PdfCanvas} This canvas
+   */
+  stroke() {
+    return this._push('S');
+  }
+
+  /**
+   * Fills and strokes the path
+   * @returns {PdfCanvas} This canvas
+   */
+  fillAndStroke() {
+    return this._push('B');
+  }
+
+  /**
+   * Draws text with one of the standard fonts; characters these fonts do not have are drawn as `?`
+   * @param {number} x Left of the text
+   * @param {number} y Baseline of the text
+   * @param {string} text The text
+   * @param {Object} [options={}] Text options
+   * @param {number} [options.size=12] Font size
+   * @param {boolean} [options.bold=false] Whether to use the bold font
+   * @param {boolean} [options.flipped=false] Whether the y axis points down, so the text must be flipped back
+   * @returns {PdfCanvas} This canvas
+   */
+  text(x, y, text, options = {}) {
+    const matrix = options.flipped ? `1 0 0 -1 ${formatNumber(x)} ${formatNumber(y)}` : `1 0 0 1 ${formatNumber(x)} ${formatNumber(y)}`;
+    return this._push(`BT /${options.bold ? 'F2' : 'F1'} ${formatNumber(options.size || 12)} Tf ${matrix} Tm ${encodeText(text)} Tj ET`);
+  }
+
+  /**
+   * Draws a form added with PdfWriter#addForm
+   * @param {string} name Name of the form
+   * @returns {PdfCanvas} This canvas
+   */
+  drawForm(name) {
+    return this._push(`/${name} Do`);
+  }
+
+  /**
+   * Gets the content stream
+   * @returns {string} The drawing operators
+   */
+  toString() {
+    return this._operators.join('\n');
+  }
+
+  /**
+   * Adds an operator
+   * @param {string} operator The operator with its operands
+   * @returns {PdfCanvas} This canvas
+   * @private
+   */
+  _push(operator) {
+    this._operators.push(operator);
+    return this;
+  }
+}
+
+/**
+ * Writes PDF documents with vector drawings and text in the standard fonts
+ *
+ * Drawings used on several pages, like the parts of a poster, are added once as a form and drawn on each page.
+ */
+class PdfWriter {
+  /**
+   * Checks if the standard fonts can show a text, which they can for Western European languages only
+   * @param {string} text The text
+   * @returns {boolean} True if no character of the text would be drawn as `?`
+   */
+  static canEncode(text) {
+    return Array.from(String(text)).every(char => encodeChar(char) !== null);
+  }
+
+  constructor() {
+    this._forms = [];
+    this._pages = [];
+  }
+
+  /**
+   * Adds a form, a drawing pages can draw with PdfCanvas#drawForm
+   * @param {number} width Width of the drawing
+   * @param {number} height Height of the drawing
+   * @param {PdfCanvas} canvas The drawing
+   * @returns {string} Name of the form
+   */
+  addForm(width, height, canvas) {
+    const name = `Fm${this._forms.length + 1}`;
+    this._forms.push({ name, width, height, content: canvas.toString() });
+    return name;
+  }
+
+  /**
+   * Adds a page
+   * @param {number} width Page width in points
+   * @param {number} height Page height in points
+   * @param {PdfCanvas} canvas Contents of the page
+   */
+  addPage(width, height, canvas) {
+    this._pages.push({ width, height, content: canvas.toString() });
+  }
+
+  /**
+   * Gets the number of pages added
+   * @returns {number} Page count
+   */
+  getPageCount() {
+    return this._pages.length;
+  }
+
+  /**
+   * Writes the document
+   * @returns {Buffer} The PDF file
+   */
+  toBuffer() {
+    // Objects: 1 catalog, 2 page tree, fonts, forms, then a page and its content stream for each page
+    const objects = [];
+    const add = body => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    add('<< /Type /Catalog /Pages 2 0 R >>');
+    add(null); // Page tree, written when the pages are known
+
+    const fonts = Object.entries(FONTS)
+      .map(([name, font]) => `/${name} ${add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font} /Encoding /WinAnsiEncoding >>`)} 0 R`)
+      .join(' ');
+    const forms = this._forms
+      .map(form => `/${form.name} ${add(stream(form.content,
+        `/Type /XObject /Subtype /Form /BBox [0 0 ${formatNumber(form.width)} ${formatNumber(form.height)}] /Resources << /Font << ${fonts} >> >>`))} 0 R`)
+      .join(' ');
+    const resources = `<< /Font << ${fonts} >> /XObject << ${forms} >> >>`;
+
+    const pages = this._pages.map(page => {
+      const contents = add(stream(page.content, ''));
+      return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(page.width)} ${formatNumber(page.height)}] ` +
+        `/Resources ${resources} /Contents ${contents} 0 R >>`);
+    });
+    objects[1] = `<< /Type /Pages /Kids [${pages.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+    objects.forEach((body, index) => {
+      const object = Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+        Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+        Buffer.from('\nendobj\n', 'latin1')
+      ]);
+      offsets.push(length);
+      chunks.push(object);
+      length += object.length;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF\n'
+    ].join('\n');
+    chunks.push(Buffer.from(xref, 'latin1'));
+
+    return Buffer.concat(chunks);
+  }
+}
+
+/**
+ * Creates a compressed stream object
+ * @param {string} content Stream content
+ * @param {string} entries Further entries of the stream dictionary
+ * @returns {Buffer} The stream object
+ */
+function stream(content, entries) {
+  const data = zlib.deflateSync(Buffer.from(content, 'latin1'));
+  return Buffer.concat([
+    Buffer.from(`<< ${entries} /Filter /FlateDecode /Length ${data.length} >>\nstream\n`, 'latin1'),
+    data,
+    Buffer.from('\nendstream', 'latin1')
+  ]);
+}
+
+/**
+ * Encodes text as a PDF string in the WinAnsi encoding
+ * @param {string} text The text
+ * @returns {string} The PDF string literal
+ */
+function encodeText(text) {
+  return `(${Array.from(String(text)).map(char => encodeChar(char) || '?').join('')})`;
+}
+
+/**
+ * Encodes a character for a PDF string in the WinAnsi encoding
+ * @param {string} char The character
+ * @returns {string|null} The character, escaped if needed, or null if the encoding does not have it
+ */
+function encodeChar(char) {
+  const code = char.codePointAt(0);
+  if (char === '(' || char === ')' || char === '\\') {
+    return `\\${char}`;
+  } else if (code >= 32 && code < 127) {
+    return char;
+  } else if (code >= 160 && code <= 255) {
+    return `\\${code.toString(8)}`;
+  } else if (WIN_ANSI_EXTRAS[char]) {
+    return `\\${WIN_ANSI_EXTRAS[char].toString(8)}`;
+  }
+  return null;
+}
+
+/**
+ * Converts a color to PDF color operands
+ * @param {string} color Color as `#rrggbb`
+ * @returns {string} The red, green and blue components from 0 to 1
+ */
+function toRgb(color) {
+  return [1, 3, 5].map(start => formatNumber(parseInt(color.slice(start, start + 2), 16) / 255)).join(' ');
+}
+
+/**
+ * Formats a number for a content stream, with at most three decimals
+ * @param {number} value The number
+ * @returns {string} The formatted number
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+module.exports = { PdfWriter, PdfCanvas };
@@ -0,0 +1,121 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * The game's view of the files of the base game and the enabled mods
+ *
+ * Stellaris merges the files of all sources by path: a file with the same path in a mod replaces the file of
+ * the base game or of a mod earlier in the load order entirely. The remaining files are then read in ASCII order
+ * of their names, whichever source they come from. Objects defined more than once are resolved per folder,
+ * either by the first definition read (FIOS, first in only served) or the last one (LIOS, last in only served).
+ */
+class VirtualFileSystem {
+  /**
+   * The first definition read wins
+   * @type {string}
+   */
+  static FIOS = 'FIOS';
+
+  /**
+   * The last definition read wins
+   * @type {string}
+   */
+  static LIOS = 'LIOS';
+
+  /**
+   * Creates a new VirtualFileSystem instance
+   */
+  constructor() {
+    this._sources = [];
+  }
+
+  /**
+   * Gets the sources, in load order
+   * @returns {Array<{rootPath: string, modId: string, modName: string, loadOrder: number}>} Sources
+   */
+  get sources() {
+    return this._sources;
+  }
+
+  /**
+   * Adds a source; the base game must be added first, then the mods in load order
+   * @param {string} rootPath Path to the game or mod directory
+   * @param {string} [modId=''] ID of the mod ('' for the base game)
+   * @param {string} [modName=''] Name of the mod
+   * @returns {VirtualFileSystem} This instance, for chaining
+   */
+  addSource(rootPath, modId = '', modName = '') {
+    this._sources.push({ rootPath, modId, modName, loadOrder: this._sources.length });
+    return this;
+  }
+
+  /**
+   * Lists the files the game reads from a directory, in the order it reads them
+   *
+   * Like the game, only files directly in the directory are read, not those in subdirectories.
+   * @param {string} directory Directory relative to the sources, e.g. `common/technology`
+   * @param {Function} [filter] Called with a file name, returns true for the files to list
+   * @returns {Promise<Array<{relativePath: string, filePath: string, source: Object, replaced: Array<Object>}>>}
+   *   Files with the source they are read from and the files with the same path they replaced, in load order
+   */
+  async listFiles(directory, filter = () => true) {
+    const files = new Map(); // Map of lower-cased relative path to file
+
+    for (const source of this._sources) {
+      for (const fileName of await this._readDirectory(path.join(source.rootPath, directory))) {
+        if (!filter(fileName)) {
+          continue;
+        }
+
+        const relativePath = `${directory.split(path.sep).join('/')}/${fileName}`;
+        const key = relativePath.toLowerCase();
+        const existing = files.get(key);
+
+        if (existing) {
+          logger.debug(`${relativePath} of ${source.modName || source.rootPath} replaces the file of ${existing.source.modName || existing.source.rootPath}`);
+        }
+
+        files.set(key, {
+          relativePath,
+          filePath: path.join(source.rootPath, directory, fileName),
+          source,
+          replaced: existing ? [...existing.replaced, { filePath: existing.filePath, source: existing.source }] : []
+        });
+      }
+    }
+
+    return Array.from(files.values()).sort((a, b) => compareAscii(a.relativePath, b.relativePath));
+  }
+
+  /**
+   * Lists the names of the files directly in a directory
+   * @param {string} dirPath Path to the directory
+   * @returns {Promise<string[]>} File names, empty if the directory does not exist
+   * @private
+   */
+  async _readDirectory(dirPath) {
+    try {
+      const entries = await fs.readdir(dirPath, { withFileTypes: true });
+      return entries.filter(entry => entry.isFile()).map(entry => entry.name);
+    } catch (error) {
+      logger.debug(`Directory not found or not accessible: ${dirPath} (${error.code || error.message})`);
+      return [];
+    }
+  }
+}
+
+/**
+ * Compares strings by character code, the order the game reads files in
+ * @param {string} a First string
+ * @param {string} b Second string
+ * @returns {number} Negative if a comes first, positive if b comes first, 0 if equal
+ */
+function compareAscii(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  return a < b ? -1 : 1;
+}
+
+module.exports = VirtualFileSystem;
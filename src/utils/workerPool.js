@@ -0,0 +1,151 @@
+const { Worker } = require('worker_threads');
+const logger = require('./logger');
+
+/**
+ * A fixed number of worker threads running the same script, which tasks are queued for
+ *
+ * The script receives `{ id, ...task }` messages and must answer each with `{ id, result }` or `{ id, error }`.
+ * Workers are only started once the first task is run.
+ */
+class WorkerPool {
+  /**
+   * Creates a new WorkerPool instance
+   * @param {string} scriptPath Path to the worker script
+   * @param {Object} [options={}] Pool options
+   * @param {number} [options.size=1] Number of worker threads
+   * @param {any} [options.workerData] Data passed to each worker as `workerData`
+   */
+  constructor(scriptPath, options = {}) {
+    this.scriptPath = scriptPath;
+    this.size = Math.max(1, options.size || 1);
+    this.workerData = options.workerData;
+    this._workers = [];
+    this._idle = [];
+    this._queue = [];
+    this._running = new Map(); // Map of worker to the task it runs
+    this._nextId = 0;
+    this._closed = false;
+  }
+
+  /**
+   * Runs a task on the next idle worker
+   * @param {Object} task Task data, sent to the worker
+   * @returns {Promise<any>} The result the worker answered with
+   */
+  run(task) {
+    if (this._closed) {
+      return Promise.reject(new Error('Worker pool is closed'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this._queue.push({ id: this._nextId++, task, resolve, reject });
+      this._startWorkers();
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Stops all workers, rejecting the tasks that did not finish
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this._closed = true;
+
+    for (const pending of [...this._queue.splice(0), ...this._running.values()]) {
+      pending.reject(new Error('Worker pool is closed'));
+    }
+    this._running.clear();
+
+    await Promise.all(this._workers.map(worker => worker.terminate()));
+    this._workers = [];
+    this._idle = [];
+  }
+
+  /**
+   * Starts the workers that are missing, up to the pool size
+   * @private
+   */
+  _startWorkers() {
+    while (this._workers.length < this.size) {
+      const worker = new Worker(this.scriptPath, { workerData: this.workerData });
+
+      worker.on('message', message => this._finish(worker, message));
+      worker.on('error', error => this._fail(worker, error));
+      worker.on('exit', code => {
+        if (code !== 0 && !this._closed) {
+          this._fail(worker, new Error(`Worker stopped with exit code ${code}`));
+        }
+      });
+
+      this._workers.push(worker);
+      this._idle.push(worker);
+    }
+  }
+
+  /**
+   * Sends queued tasks to idle workers
+   * @private
+   */
+  _dispatch() {
+    while (this._idle.length > 0 && this._queue.length > 0) {
+      const worker = this._idle.shift();
+      const pending = this._queue.shift();
+
+      this._running.set(worker, pending);
+      worker.postMessage({ id: pending.id, ...pending.task });
+    }
+  }
+
+  /**
+   * Settles the task of a worker with its answer
+   * @param {Worker} worker The worker
+   * @param {{id: number, result: any, error: string}} message The answer
+   * @private
+   */
+  _finish(worker, message) {
+    const pending = this._running.get(worker);
+    this._running.delete(worker);
+
+    if (pending && pending.id === message.id) {
+      if (message.error) {
+        pending.reject(new Error(message.error));
+      } else {
+        pending.resolve(message.result);
+      }
+    }
+
+    this._idle.push(worker);
+    this._dispatch();
+  }
+
+  /**
+   * Replaces a worker that crashed, rejecting the task it was running
+   * @param {Worker} worker The worker
+   * @param {Error} error Why the worker stopped
+   * @private
+   */
+  _fail(worker, error) {
+    if (!this._workers.includes(worker)) {
+      return;
+    }
+
+    logger.error(`Worker ${this.scriptPath} failed: ${error.message}`);
+
+    const pending = this._running.get(worker);
+    this._running.delete(worker);
+    if (pending) {
+      pending.reject(error);
+    }
+
+    this._workers = this._workers.filter(other => other !== worker);
+    this._idle = this._idle.filter(other => other !== worker);
+    worker.terminate().catch(terminateError => logger.debug(`Could not terminate worker: ${terminateError.message}`));
+
+    if (!this._closed && this._queue.length > 0) {
+      this._startWorkers();
+      this._dispatch();
+    }
+  }
+}
+
+module.exports = WorkerPool;
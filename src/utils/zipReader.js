@@ -0,0 +1,127 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal reader for ZIP archives such as Stellaris .sav files
+ */
+class ZipReader {
+  /**
+   * Signature of a local file header
+   * @type {number}
+   */
+  static LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+  /**
+   * Signature of a central directory entry
+   * @type {number}
+   */
+  static CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+
+  /**
+   * Signature of the end of central directory record
+   * @type {number}
+   */
+  static END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+  /**
+   * Check if a buffer starts with a ZIP signature
+   * @param {Buffer} buffer - Buffer to check
+   * @returns {boolean} True if the buffer looks like a ZIP archive
+   */
+  static isZip(buffer) {
+    return buffer.length >= 4 && buffer.readUInt32LE(0) === this.LOCAL_HEADER_SIGNATURE;
+  }
+
+  /**
+   * Check if a buffer starts with a GZIP signature
+   * @param {Buffer} buffer - Buffer to check
+   * @returns {boolean} True if the buffer looks like GZIP data
+   */
+  static isGzip(buffer) {
+    return buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+  }
+
+  /**
+   * Read all entries from a ZIP archive
+   * @param {Buffer} buffer - The ZIP archive contents
+   * @returns {Map<string, Buffer>} Map of entry name to decompressed contents
+   * @throws {Error} If the archive is malformed or uses an unsupported compression method
+   */
+  static readEntries(buffer) {
+    const endOffset = this._findEndOfCentralDirectory(buffer);
+    const entryCount = buffer.readUInt16LE(endOffset + 10);
+    let offset = buffer.readUInt32LE(endOffset + 16);
+
+    const entries = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+      if (buffer.readUInt32LE(offset) !== this.CENTRAL_DIRECTORY_SIGNATURE) {
+        throw new Error(`Invalid central directory entry at offset ${offset}`);
+      }
+
+      const method = buffer.readUInt16LE(offset + 10);
+      const compressedSize = buffer.readUInt32LE(offset + 20);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      const localHeaderOffset = buffer.readUInt32LE(offset + 42);
+      const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+      entries.set(name, this._readEntryData(buffer, localHeaderOffset, method, compressedSize, name));
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Locate the end of central directory record
+   * @param {Buffer} buffer - The ZIP archive contents
+   * @returns {number} Offset of the record
+   * @private
+   */
+  static _findEndOfCentralDirectory(buffer) {
+    // The record is at least 22 bytes and may be followed by a comment of up to 64KB
+    const minOffset = Math.max(0, buffer.length - 22 - 0xffff);
+
+    for (let offset = buffer.length - 22; offset >= minOffset; offset--) {
+      if (buffer.readUInt32LE(offset) === this.END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+        return offset;
+      }
+    }
+
+    throw new Error('Not a valid ZIP archive: end of central directory not found');
+  }
+
+  /**
+   * Read and decompress the data of a single entry
+   * @param {Buffer} buffer - The ZIP archive contents
+   * @param {number} headerOffset - Offset of the entry's local file header
+   * @param {number} method - Compression method
+   * @param {number} compressedSize - Size of the compressed data
+   * @param {string} name - Entry name (for error messages)
+   * @returns {Buffer} Decompressed entry data
+   * @private
+   */
+  static _readEntryData(buffer, headerOffset, method, compressedSize, name) {
+    if (buffer.readUInt32LE(headerOffset) !== this.LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`Invalid local file header for entry ${name}`);
+    }
+
+    const nameLength = buffer.readUInt16LE(headerOffset + 26);
+    const extraLength = buffer.readUInt16LE(headerOffset + 28);
+    const dataStart = headerOffset + 30 + nameLength + extraLength;
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    switch (method) {
+    case 0:
+      return Buffer.from(data);
+    case 8:
+      return zlib.inflateRawSync(data);
+    default:
+      throw new Error(`Unsupported compression method ${method} for entry ${name}`);
+    }
+  }
+}
+
+module.exports = ZipReader;
@@ -0,0 +1,193 @@
+/**
+ * Script to create a synthetic Stellaris save game for testing
+ *
+ * A .sav file is a ZIP archive holding a `meta` and a `gamestate` file.
+ */
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+
+const TEST_SAVE_PATH = path.join(__dirname, 'test-save.sav');
+
+const META = `version="Corvus v3.10.4"
+version_control_revision=94184
+name="United Nations of Earth"
+date="2230.06.01"
+required_dlcs={
+	"Utopia"
+}
+`;
+
+const GAMESTATE = `version="Corvus v3.10.4"
+version_control_revision=94184
+name="United Nations of Earth"
+date="2230.06.01"
+required_dlcs={
+	"Utopia"
+}
+player={
+	{
+		name="unnamed"
+		country=0
+	}
+}
+galaxy={
+	name="Fake { galaxy"
+	technology="not_a_country_tech"
+}
+country={
+	0={
+		flag={
+			icon={
+				category="human"
+				file="flag_human_9.dds"
+			}
+		}
+		name="United Nations of Earth"
+		ethos={
+			ethic="ethic_egalitarian"
+			ethic="ethic_fanatic_xenophile"
+		}
+		government={
+			type="gov_representative_democracy"
+			authority="auth_democratic"
+			civics={
+				"civic_beacon_of_liberty"
+				"civic_idealistic_foundation"
+			}
+			origin="origin_default"
+		}
+		tech_status={
+			technology="tech_basic_science_lab_1"
+			level=1
+			technology="tech_fusion_power"
+			level=1
+			technology="tech_corvettes"
+			level=1
+			technology="tech_repeatable_weapon_type_energy_damage"
+			level=3
+			technology="tech_removed_by_mod"
+			level=1
+			physics_queue={
+				{
+					progress=250.5
+					technology="tech_lasers_1"
+					date="2230.06.01"
+				}
+			}
+			society_queue={
+			}
+			engineering_queue={
+				{
+					progress=0
+					technology="tech_robotic_workers"
+					date="2230.06.01"
+				}
+			}
+			stored_techpoints={
+				0 0 0
+			}
+			alternatives={
+				physics={
+					"tech_lasers_1" "tech_basic_science_lab_2"
+				}
+				society={
+					"tech_planetary_unification"
+				}
+				engineering={
+					"tech_robotic_workers" "tech_destroyers"
+				}
+			}
+		}
+	}
+	1={
+		name="Tzynn Empire"
+		tech_status={
+			technology="tech_destroyers"
+			level=1
+			alternatives={
+				physics={
+					"tech_fusion_power"
+				}
+			}
+		}
+	}
+}
+`;
+
+// CRC-32 lookup table (IEEE polynomial) used by the ZIP format
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const data = Buffer.from(content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6); // version needed
+    central.writeUInt16LE(8, 10); // deflate
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, compressed);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+function createTestSave() {
+  console.log(`Creating test save game at ${TEST_SAVE_PATH}`);
+  fs.writeFileSync(TEST_SAVE_PATH, createZip({ meta: META, gamestate: GAMESTATE }));
+  console.log('Test save game created successfully');
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  createTestSave();
+}
+
+module.exports = { createTestSave, createZip, TEST_SAVE_PATH, GAMESTATE };
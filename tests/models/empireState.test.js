@@ -0,0 +1,30 @@
+const EmpireState = require('../../src/models/empireState');
+
+describe('EmpireState', () => {
+  describe('validate', () => {
+    it('should accept empire data like that of a save game', () => {
+      expect(EmpireState.validate({})).toBeNull();
+      expect(EmpireState.validate({
+        ethics: ['ethic_egalitarian'],
+        origin: 'origin_default',
+        scientists: { physics: { traits: ['leader_trait_expertise_computing'] } },
+        researchOptions: 4,
+        dlcs: null
+      })).toBeNull();
+    });
+
+    it('should reject research options that are not a small positive whole number', () => {
+      for (const researchOptions of [-1, 0, 2.5, 'abc', '3', EmpireState.MAX_RESEARCH_OPTIONS + 1]) {
+        expect(EmpireState.validate({ researchOptions })).toMatch(/researchOptions/);
+      }
+    });
+
+    it('should reject lists that are not arrays of IDs', () => {
+      expect(EmpireState.validate([])).toBe('empire must be an object');
+      expect(EmpireState.validate({ technologies: 'tech_lasers_1' })).toMatch(/technologies/);
+      expect(EmpireState.validate({ ethics: [1] })).toMatch(/ethics/);
+      expect(EmpireState.validate({ authority: ['auth_democratic'] })).toMatch(/authority/);
+      expect(EmpireState.validate({ scientists: { physics: { traits: 'leader_trait_expertise_computing' } } })).toMatch(/scientists/);
+    });
+  });
+});
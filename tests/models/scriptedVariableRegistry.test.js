@@ -0,0 +1,43 @@
+const ScriptedVariableRegistry = require('../../src/models/scriptedVariableRegistry');
+const { ScriptParser } = require('../../src/parsers');
+
+describe('ScriptedVariableRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new ScriptedVariableRegistry();
+  });
+
+  it('should define variables from script statements', () => {
+    const statements = new ScriptParser().parse('@tier1cost1 = 250\n@name = "Test"\n@alias = @tier1cost1\n@double = @[ tier1cost1 * 2 ]\ncost = 10\n@block = { a = b }');
+
+    expect(registry.defineFromStatements(statements, { file: '00_scripted_variables.txt' })).toBe(4);
+    expect(registry.get('@tier1cost1')).toBe(250);
+    expect(registry.get('tier1cost1')).toBe(250);
+    expect(registry.get('@name')).toBe('Test');
+    expect(registry.get('@alias')).toBe(250);
+    expect(registry.get('@double')).toBe('@[tier1cost1 * 2]');
+    expect(registry.has('@block')).toBe(false);
+    expect(registry.getSource('@tier1cost1')).toEqual({ file: '00_scripted_variables.txt', modId: '' });
+  });
+
+  it('should let later definitions replace earlier ones', () => {
+    registry.define('@tier1cost1', 250);
+    const hash = registry.getHash();
+    registry.define('@tier1cost1', 300, { modId: 'mod1' });
+
+    expect(registry.get('@tier1cost1')).toBe(300);
+    expect(registry.getSource('@tier1cost1').modId).toBe('mod1');
+    expect(registry.getHash()).not.toBe(hash);
+  });
+
+  it('should return undefined for unknown and circular variables', () => {
+    registry.define('@a', '@b');
+    registry.define('@b', '@a');
+    registry.define('@c', '@missing');
+
+    expect(registry.get('@unknown')).toBeUndefined();
+    expect(registry.get('@a')).toBeUndefined();
+    expect(registry.get('@c')).toBeUndefined();
+  });
+});
@@ -1,5 +1,6 @@
 const TechDatabase = require('../../src/models/techDatabase');
 const Tech = require('../../src/models/tech');
+const Unlockable = require('../../src/models/unlockable');
 
 describe('TechDatabase', () => {
   let database;
@@ -275,6 +276,121 @@ describe('TechDatabase', () => {
     });
   });
 
+  describe('technology history', () => {
+    const define = (name, modId) => {
+      const tech = new Tech({ id: 'tech_lasers_1', name });
+      tech.sourceFile = `${modId || 'game'}/common/technology/00_phys_tech.txt`;
+      tech.sourceModId = modId;
+      tech.sourceModName = modId ? `Mod ${modId}` : 'Base Game';
+      return tech;
+    };
+
+    it('should keep every definition in load order with the winning one marked', () => {
+      const modB = define('B', 'b');
+      database.addReplacedTechnologies([define('Base', '')], {
+        relativePath: 'common/technology/00_phys_tech.txt',
+        loadOrder: 0,
+        replacedBy: { file: 'a/common/technology/00_phys_tech.txt', modId: 'a', modName: 'Mod a' }
+      });
+      database.addTechnology(modB, true, { relativePath: 'common/technology/zz_b.txt', loadOrder: 2 });
+      database.addTechnology(define('A', 'a'), true, { relativePath: 'common/technology/00_phys_tech.txt', loadOrder: 1 });
+
+      const history = database.getTechnologyHistory('tech_lasers_1');
+
+      expect(history.map(definition => [definition.modId, definition.winning, definition.reason])).toEqual([
+        ['', false, 'file_replaced'],
+        ['a', true, null],
+        ['b', false, 'overridden']
+      ]);
+      expect(history[0].replacedBy.modId).toBe('a');
+      expect(history[1]).toMatchObject({ modName: 'Mod a', relativePath: 'common/technology/00_phys_tech.txt', loadOrder: 1 });
+      expect(database.getTechnology('tech_lasers_1').name).toBe('A');
+    });
+
+    it('should keep the first definition when not overriding', () => {
+      const first = define('Base', '');
+      database.addTechnology(first, false);
+      database.addTechnology(define('A', 'a'), false, { loadOrder: 1 });
+
+      expect(database.getTechnologyHistory('tech_lasers_1').map(definition => definition.winning)).toEqual([true, false]);
+      expect(database.getTechnologyHistory('tech_unknown')).toBeNull();
+
+      database.clear();
+      expect(database.getTechnologyHistory('tech_lasers_1')).toBeNull();
+    });
+  });
+
+  describe('replacing file definitions', () => {
+    const define = (id, name, file, prerequisites = []) => {
+      const tech = new Tech({ id, name, prerequisites });
+      tech.sourceFile = `/game/${file}`;
+      return tech;
+    };
+
+    beforeEach(() => {
+      database.addTechnologies([
+        define('tech_1', 'Base 1', 'common/technology/00_base.txt'),
+        define('tech_2', 'Base 2', 'common/technology/00_base.txt', ['tech_1'])
+      ], true, { relativePath: 'common/technology/00_base.txt', loadOrder: 0 });
+      database.addTechnologies([
+        define('tech_2', 'Mod 2', 'common/technology/50_mod.txt', ['tech_1'])
+      ], true, { relativePath: 'common/technology/50_mod.txt', loadOrder: 1 });
+      database.buildTechTree();
+      database.getTechnology('tech_2').isResearched = true;
+    });
+
+    it('should keep definitions of files read later in use when an earlier file changes', () => {
+      const changes = database.replaceFileDefinitions('common/technology/00_base.txt', [{
+        technologies: [
+          define('tech_1', 'Changed 1', 'common/technology/00_base.txt'),
+          define('tech_2', 'Changed 2', 'common/technology/00_base.txt'),
+          define('tech_3', 'New 3', 'common/technology/00_base.txt', ['tech_2'])
+        ],
+        origin: { relativePath: 'common/technology/00_base.txt', loadOrder: 0 }
+      }]);
+
+      expect(changes).toEqual({ added: ['tech_3'], removed: [], updated: ['tech_1'] });
+      expect(database.getTechnology('tech_1').name).toBe('Changed 1');
+      expect(database.getTechnology('tech_2').name).toBe('Mod 2');
+      expect(database.getTechnologyHistory('tech_2').map(definition => [definition.relativePath, definition.winning]))
+        .toEqual([['common/technology/00_base.txt', false], ['common/technology/50_mod.txt', true]]);
+      expect(database.getTechnologyHistory('tech_2')[0].file).toBe('/game/common/technology/00_base.txt');
+
+      // The new definitions are linked like buildTechTree links them
+      expect(database.getTechnology('tech_1').getChildTechs()).toEqual(['tech_2']);
+      expect(database.getTechnology('tech_2').getChildTechs()).toEqual(['tech_3']);
+    });
+
+    it('should remove technologies no file defines anymore and keep the research state of changed ones', () => {
+      const changes = database.replaceFileDefinitions('common/technology/50_mod.txt', [{
+        technologies: [define('tech_2', 'Mod 2 changed', 'common/technology/50_mod.txt')],
+        origin: { relativePath: 'common/technology/50_mod.txt', loadOrder: 1 }
+      }]);
+
+      expect(changes.updated).toEqual(['tech_2']);
+      expect(database.getTechnology('tech_2').isResearched).toBe(true);
+      // tech_2 no longer requires tech_1
+      expect(database.getTechnology('tech_1').getChildTechs()).toEqual([]);
+
+      expect(database.replaceFileDefinitions('common/technology/00_base.txt', [])).toEqual({
+        added: [],
+        removed: ['tech_1'],
+        updated: []
+      });
+      expect(database.getTechnology('tech_1')).toBeNull();
+      expect(database.getTechnologyHistory('tech_1')).toBeNull();
+      expect(database.count).toBe(1);
+    });
+
+    it('should fall back to the earlier definition when the file in use is deleted', () => {
+      const changes = database.replaceFileDefinitions('common/technology/50_mod.txt', []);
+
+      expect(changes).toEqual({ added: [], removed: [], updated: ['tech_2'] });
+      expect(database.getTechnology('tech_2').name).toBe('Base 2');
+      expect(database.getTechnology('tech_1').getChildTechs()).toEqual(['tech_2']);
+    });
+  });
+
   describe('clearing the database', () => {
     beforeEach(async () => {
       await database.initialize();
@@ -297,4 +413,115 @@ describe('TechDatabase', () => {
       expect(database.getTechnology('tech_2')).toBeNull();
     });
   });
-}); 
\ No newline at end of file
+
+  describe('applying research status', () => {
+    beforeEach(async () => {
+      await database.initialize();
+      database.addTechnologies([
+        new Tech({ id: 'tech_1', area_id: 'physics' }),
+        new Tech({ id: 'tech_2', area_id: 'physics', prerequisites: ['tech_1'] }),
+        new Tech({ id: 'tech_3', area_id: 'society' })
+      ]);
+    });
+
+    it('should mark researched, in-progress and researchable technologies', () => {
+      const result = database.applyResearchStatus({
+        researchedTechs: [{ id: 'tech_1', level: 1 }],
+        researchQueues: { physics: [{ techId: 'tech_2', progress: 120 }], society: [] },
+        alternatives: { physics: ['tech_2'], society: ['tech_3'] }
+      });
+
+      expect(result).toEqual({ researched: 1, inProgress: 1, researchable: 2, unknownTechs: [] });
+      expect(database.getTechnology('tech_1').isResearched).toBe(true);
+      expect(database.getTechnology('tech_2').isResearched).toBe(false);
+      expect(database.getTechnology('tech_2').researchProgress).toBe(120);
+      expect(database.getTechnology('tech_2').isResearchable).toBe(true);
+      expect(database.getTechnology('tech_3').isResearchable).toBe(true);
+    });
+
+    it('should reset the state of a previously applied save', () => {
+      database.applyResearchStatus({ researchedTechs: [{ id: 'tech_1' }, { id: 'tech_3' }] });
+      database.applyResearchStatus({ researchedTechs: [{ id: 'tech_3' }] });
+
+      expect(database.getTechnology('tech_1').isResearched).toBe(false);
+      expect(database.getTechnology('tech_3').isResearched).toBe(true);
+    });
+
+    it('should report technologies missing from the database', () => {
+      const result = database.applyResearchStatus({
+        researchedTechs: [{ id: 'tech_unknown' }],
+        alternatives: { physics: ['tech_unknown', 'tech_other'] }
+      });
+
+      expect(result.researched).toBe(0);
+      expect(result.unknownTechs).toEqual(['tech_unknown', 'tech_other']);
+    });
+  });
+
+  describe('unlockables', () => {
+    beforeEach(async () => {
+      await database.initialize();
+      database.addTechnologies([
+        new Tech({ id: 'tech_mega_engineering', area_id: 'engineering' }),
+        new Tech({ id: 'tech_lasers_1', area_id: 'physics' })
+      ]);
+    });
+
+    it('should link game objects to the technologies they require', () => {
+      database.addUnlockables([
+        new Unlockable({ id: 'mega_shipyard_0', type: 'megastructure', name: 'Mega Shipyard', prerequisites: ['tech_mega_engineering'] }),
+        new Unlockable({ id: 'RED_LASER', type: 'component', prerequisites: ['tech_lasers_1', 'tech_unknown'] })
+      ]);
+      database.buildTechTree();
+
+      expect(database.getTechnology('tech_mega_engineering').unlocks).toEqual([
+        { type: 'megastructure', id: 'mega_shipyard_0', name: 'Mega Shipyard' }
+      ]);
+      expect(database.getTechnology('tech_lasers_1').unlocks).toEqual([
+        { type: 'component', id: 'RED_LASER', name: 'RED_LASER' }
+      ]);
+    });
+
+    it('should replace objects with the same type and ID', () => {
+      database.addUnlockables([
+        new Unlockable({ id: 'building_x', type: 'building', prerequisites: ['tech_lasers_1'] }),
+        new Unlockable({ id: 'building_x', type: 'edict', prerequisites: ['tech_lasers_1'] })
+      ]);
+      database.addUnlockables([
+        new Unlockable({ id: 'building_x', type: 'building', prerequisites: ['tech_mega_engineering'], mod_id: 'mod1' })
+      ]);
+      database.buildTechTree();
+
+      expect(database.getUnlockables({ type: 'building' })).toHaveLength(1);
+      expect(database.getUnlockables({ type: 'building' })[0].modId).toBe('mod1');
+      expect(database.getTechnology('tech_lasers_1').unlocks.map(unlock => unlock.type)).toEqual(['edict']);
+      expect(database.getTechnology('tech_mega_engineering').unlocks.map(unlock => unlock.type)).toEqual(['building']);
+    });
+
+    it('should search objects by ID and name', () => {
+      database.addUnlockables([
+        new Unlockable({ id: 'mega_shipyard_0', type: 'megastructure', name: 'Mega Shipyard', prerequisites: ['tech_mega_engineering'] }),
+        new Unlockable({ id: 'building_research_lab_1', type: 'building', name: 'Research Lab', prerequisites: ['tech_lasers_1'] })
+      ]);
+
+      expect(database.getUnlockables({ search: 'mega shipyard' }).map(unlockable => unlockable.id)).toEqual(['mega_shipyard_0']);
+      expect(database.getUnlockables({ search: 'RESEARCH_LAB' }).map(unlockable => unlockable.id)).toEqual(['building_research_lab_1']);
+    });
+  });
+
+  describe('tier statistics', () => {
+    it('should compute the research cost range of each tier', async () => {
+      await database.initialize();
+      database.addTechnologies([
+        new Tech({ id: 'tech_1', tier: 1, cost: 100 }),
+        new Tech({ id: 'tech_2', tier: 1, cost: 200, cost_multiplier: 1.5 }),
+        new Tech({ id: 'tech_3', tier: 2, cost: 500 })
+      ]);
+
+      expect(database.getTierStatistics()).toEqual({
+        1: { count: 2, minCost: 100, maxCost: 300, averageCost: 200 },
+        2: { count: 1, minCost: 500, maxCost: 500, averageCost: 500 }
+      });
+    });
+  });
+});
@@ -207,4 +207,210 @@ describe('TechTree', () => {
     expect(techTree.getMaxDepth()).toBe(3);
     expect(techTree.getMaxWidth()).toBe(2);
   });
-}); 
\ No newline at end of file
+  
+  test('should report no issues for a valid tree', () => {
+    expect(techTree.validate()).toEqual([]);
+    expect(techTree.getReachableNodes().size).toBe(sampleTechs.length);
+  });
+
+  describe('graph export', () => {
+    const sorted = ids => Array.from(ids).sort();
+
+    test('should get the ancestors, descendants and path of a technology', () => {
+      expect(sorted(techTree.getSubgraph({ root: 'tech_level_2_2' }).ids))
+        .toEqual(['tech_level_1_1', 'tech_level_1_2', 'tech_level_2_2', 'tech_root_1', 'tech_root_2']);
+      expect(sorted(techTree.getSubgraph({ root: 'tech_level_1_1', direction: 'descendants' }).ids))
+        .toEqual(['tech_level_1_1', 'tech_level_2_1', 'tech_level_2_2', 'tech_level_3_1']);
+      expect(sorted(techTree.getSubgraph({ root: 'tech_level_1_1', direction: 'both' }).ids))
+        .toEqual(['tech_level_1_1', 'tech_level_2_1', 'tech_level_2_2', 'tech_level_3_1', 'tech_root_1']);
+
+      const path = techTree.getSubgraph({ root: 'tech_level_3_1', direction: 'path' });
+      expect(path.ids).toEqual(techTree.getPathToRoot('tech_level_3_1'));
+      expect(path.edges).toHaveLength(path.ids.length - 1);
+
+      expect(techTree.getSubgraph({ root: 'tech_unknown' })).toBeNull();
+    });
+
+    test('should keep only the edges between technologies of the subgraph', () => {
+      const subgraph = techTree.getSubgraph({ root: 'tech_level_3_1', area: 'physics' });
+
+      expect(sorted(subgraph.ids)).toEqual(['tech_level_1_1', 'tech_level_2_1', 'tech_root_1']);
+      expect(subgraph.edges).toEqual(expect.arrayContaining([
+        { from: 'tech_root_1', to: 'tech_level_1_1' },
+        { from: 'tech_level_1_1', to: 'tech_level_2_1' }
+      ]));
+      expect(subgraph.edges).toHaveLength(2);
+    });
+
+    test('should export GraphViz DOT with nodes colored by area', () => {
+      const dot = techTree.exportGraph('dot', {
+        root: 'tech_level_2_1',
+        title: 'Path "A"',
+        getLabel: tech => `${tech.displayName}\nTier ${tech.tier}`
+      });
+
+      expect(dot).toMatch(/^digraph "Path \\"A\\"" \{/);
+      expect(dot).toContain(`"tech_root_1" [label="Root Technology 1\\nTier 0", fillcolor="${TechTree.AREA_COLORS.physics}"];`);
+      expect(dot).toContain('"tech_level_2_1" [label="Level 2 Technology 1\\nTier 2"');
+      expect(dot).toContain('penwidth=3');
+      expect(dot).toContain('"tech_level_1_1" -> "tech_level_2_1";');
+      expect(techTree.exportGraph('dot', { root: 'tech_unknown' })).toBeNull();
+    });
+
+    test('should export Mermaid flowcharts with safe node IDs', () => {
+      const mermaid = techTree.exportGraph('mermaid', {
+        root: 'tech_level_3_1',
+        getLabel: tech => `"${tech.displayName}"`
+      });
+      const lines = mermaid.trim().split('\n');
+
+      expect(lines[0]).toBe('flowchart TD');
+      expect(lines).toContain('  tech_level_3_1["#quot;Level 3 Technology 1#quot;"]');
+      expect(lines).toContain('  tech_level_2_2 --> tech_level_3_1');
+      expect(lines).toContain(`  classDef area_engineering fill:${TechTree.AREA_COLORS.engineering},stroke:${TechTree.AREA_COLORS.engineering},color:#ffffff`);
+      expect(lines).toContain('  style tech_level_3_1 stroke:#1a202c,stroke-width:3px');
+    });
+  });
+
+  describe('incremental updates', () => {
+    // Compares the tree with one built from scratch from the same database
+    const expectSameAsNewTree = async () => {
+      const fresh = new TechTree(techDatabase);
+      await fresh.initialize();
+      const describeTree = tree => ({
+        roots: tree.getRootNodes().sort(),
+        depths: Array.from(tree.getAllNodes().keys()).sort().map(id => [id, tree.getDepth(id)]),
+        levels: Array.from({ length: tree.getMaxDepth() + 1 }, (_, depth) => tree.getNodesAtDepth(depth).sort()),
+        children: Array.from(tree.getAllNodes().keys()).sort().map(id => tree.getChildren(id).sort()),
+        maxDepth: tree.getMaxDepth(),
+        maxWidth: tree.getMaxWidth(),
+        issues: tree.validate().map(issue => issue.toString()).sort()
+      });
+
+      expect(describeTree(techTree)).toEqual(describeTree(fresh));
+    };
+
+    test('should link a new technology and update the depths of its descendants', async () => {
+      techDatabase.addTechnology(new Tech({ id: 'tech_level_4_1', tier: 4, prerequisites: ['tech_level_3_1', 'tech_later'] }));
+      techTree.addTechnology(techDatabase.getTechnology('tech_level_4_1'));
+
+      expect(techTree.getDepth('tech_level_4_1')).toBe(4);
+      expect(techTree.getNode('tech_level_4_1').missingPrerequisites).toEqual(['tech_later']);
+      expect(techTree.getMaxDepth()).toBe(4);
+
+      // Technologies waiting for a missing prerequisite are linked once it is added
+      techDatabase.addTechnology(new Tech({ id: 'tech_later', tier: 5, prerequisites: ['tech_level_4_1'] }));
+      techTree.addTechnology(techDatabase.getTechnology('tech_later'));
+
+      expect(techTree.getParents('tech_level_4_1')).toEqual(['tech_level_3_1', 'tech_later']);
+      expect(techTree.findCycles()).toEqual([['tech_later', 'tech_level_4_1']]);
+    });
+
+    test('should keep technologies requiring a removed technology as missing prerequisites', async () => {
+      expect(techTree.removeTechnology('tech_level_2_1')).toBe(true);
+      expect(techTree.removeTechnology('tech_level_2_1')).toBe(false);
+
+      expect(techTree.getChildren('tech_level_1_1')).toEqual(['tech_level_2_2']);
+      expect(techTree.getParents('tech_level_3_1')).toEqual(['tech_level_2_2']);
+      expect(techTree.getNode('tech_level_3_1').missingPrerequisites).toEqual(['tech_level_2_1']);
+      expect(techTree.getNodesAtDepth(2)).toEqual(['tech_level_2_2']);
+      expect(techTree.getMaxWidth()).toBe(2);
+    });
+
+    test('should move the descendants of a technology whose prerequisites changed', async () => {
+      techTree.updateTechnology(new Tech({ id: 'tech_level_2_2', tier: 2, prerequisites: ['tech_level_3_1'] }));
+
+      // The old link to tech_level_3_1 is now a cycle, which stops the depths from growing
+      expect(techTree.getParents('tech_level_2_2')).toEqual(['tech_level_3_1']);
+      expect(techTree.getChildren('tech_level_1_2')).toEqual([]);
+      expect(techTree.findCycles()).toHaveLength(1);
+
+      techTree.updateTechnology(new Tech({ id: 'tech_level_2_2', tier: 2, prerequisites: [] }));
+
+      expect(techTree.getDepth('tech_level_2_2')).toBe(0);
+      expect(techTree.getDepth('tech_level_3_1')).toBe(3);
+      expect(techTree.getRootNodes()).toContain('tech_level_2_2');
+    });
+
+    test('should give the same tree as a new one after syncing with the database', async () => {
+      const origin = { relativePath: 'common/technology/test.txt' };
+      techDatabase.replaceFileDefinitions(origin.relativePath, [{
+        technologies: [
+          new Tech({ id: 'tech_level_1_1', tier: 1, prerequisites: ['tech_root_2'] }),
+          new Tech({ id: 'tech_extra', tier: 3, prerequisites: ['tech_level_3_1', 'tech_missing'] })
+        ],
+        origin
+      }]);
+
+      expect(techTree.sync()).toEqual({ added: ['tech_extra'], removed: [], updated: ['tech_level_1_1'] });
+      await expectSameAsNewTree();
+
+      // Deleting the file brings back the technology it overrode
+      techDatabase.replaceFileDefinitions(origin.relativePath, []);
+
+      expect(techTree.sync()).toEqual({ added: [], removed: ['tech_extra'], updated: ['tech_level_1_1'] });
+      await expectSameAsNewTree();
+      expect(techTree.sync()).toEqual({ added: [], removed: [], updated: [] });
+    });
+  });
+
+  describe('validation', () => {
+    let brokenTree;
+    
+    beforeEach(async () => {
+      const database = new TechDatabase();
+      await database.initialize();
+      
+      database.addTechnologies([
+        new Tech({ id: 'tech_root', tier: 1 }),
+        new Tech({ id: 'tech_missing_prereq', tier: 1, prerequisites: ['tech_root', 'tech_removed'] }),
+        new Tech({ id: 'tech_after_missing', tier: 2, prerequisites: ['tech_missing_prereq'] }),
+        new Tech({ id: 'tech_after_missing_2', tier: 2, prerequisites: ['tech_after_missing'] }),
+        new Tech({ id: 'tech_after_cycle', tier: 3, prerequisites: ['tech_cycle_b'] }),
+        new Tech({ id: 'tech_start_with_missing_prereq', tier: 0, is_starting_tech: true, prerequisites: ['tech_removed_2'] }),
+        new Tech({ id: 'tech_after_start', tier: 1, prerequisites: ['tech_start_with_missing_prereq'] }),
+        new Tech({ id: 'tech_cycle_a', tier: 2, prerequisites: ['tech_root', 'tech_cycle_c'] }),
+        new Tech({ id: 'tech_cycle_b', tier: 2, prerequisites: ['tech_cycle_a'] }),
+        new Tech({ id: 'tech_cycle_c', tier: 2, prerequisites: ['tech_cycle_b'] }),
+        new Tech({ id: 'tech_self', tier: 1, prerequisites: ['tech_self'] }),
+        new Tech({ id: 'tech_low_tier', tier: 1, prerequisites: ['tech_high_tier'] }),
+        new Tech({ id: 'tech_high_tier', tier: 3, prerequisites: ['tech_root'] })
+      ]);
+      
+      brokenTree = new TechTree(database);
+      await brokenTree.initialize();
+    });
+    
+    test('should calculate depths despite cycles', () => {
+      expect(brokenTree.getDepth('tech_root')).toBe(0);
+      expect(brokenTree.getDepth('tech_low_tier')).toBe(2);
+      expect(brokenTree.getDepth('tech_cycle_a')).toBeGreaterThan(0);
+    });
+    
+    test('should find prerequisite cycles with their path', () => {
+      expect(brokenTree.findCycles()).toEqual(expect.arrayContaining([
+        ['tech_cycle_a', 'tech_cycle_c', 'tech_cycle_b'],
+        ['tech_self']
+      ]));
+      expect(brokenTree.findCycles()).toHaveLength(2);
+    });
+    
+    test('should report missing prerequisites, cycles, unreachable technologies and tier inversions', () => {
+      const issues = brokenTree.validate().map(issue => issue.toString());
+      
+      expect(issues).toEqual(expect.arrayContaining([
+        'error: [missing_prerequisite] tech_missing_prereq: Requires tech_removed, which does not exist',
+        'error: [missing_prerequisite] tech_start_with_missing_prereq: Requires tech_removed_2, which does not exist',
+        'error: [cycle] tech_cycle_a: Prerequisite cycle: tech_cycle_a -> tech_cycle_c -> tech_cycle_b -> tech_cycle_a',
+        'error: [cycle] tech_self: Prerequisite cycle: tech_self -> tech_self',
+        'warning: [unreachable] tech_after_missing: Cannot be reached from the starting technologies (blocked by tech_missing_prereq)',
+        'warning: [unreachable] tech_after_missing_2: Cannot be reached from the starting technologies (blocked by tech_missing_prereq)',
+        'warning: [unreachable] tech_after_cycle: Cannot be reached from the starting technologies (blocked by tech_cycle_b, tech_cycle_a, tech_cycle_c)',
+        'warning: [tier_inversion] tech_low_tier: Tier 1 technology requires tier 3 technology tech_high_tier'
+      ]));
+      expect(issues).toHaveLength(8);
+      // Start techs are researched at the start of a game, whatever their prerequisites
+      expect(brokenTree.getReachableNodes().has('tech_after_start')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const { LocalizationFormatter } = require('../../src/parsers');
+
+describe('LocalizationFormatter', () => {
+  const localizations = {
+    energy: 'Energy Credits',
+    energy_short: '$energy$',
+    loop_a: 'A then $loop_b$',
+    loop_b: 'B then $loop_a$',
+    tech_desc: '§YLasers§! cost £energy£ §G$energy_short$§!'
+  };
+  const formatter = new LocalizationFormatter(key => localizations[key]);
+
+  describe('expand', () => {
+    it('should expand references recursively', () => {
+      expect(formatter.expand('Produces $energy_short$ and $energy|Y$')).toBe('Produces Energy Credits and Energy Credits');
+    });
+
+    it('should keep unknown and cyclic references', () => {
+      expect(formatter.expand('$missing$')).toBe('$missing$');
+      expect(formatter.expand('$loop_a$')).toBe('A then B then $loop_a$');
+    });
+
+    it('should keep references that would make the string too long', () => {
+      const levels = { level_0: 'x'.repeat(10) };
+      for (let level = 1; level <= 4; level++) {
+        levels[`level_${level}`] = `$level_${level - 1}$`.repeat(8);
+      }
+      const expanded = new LocalizationFormatter(key => levels[key]).expand('$level_4$');
+
+      expect(expanded.length).toBeLessThanOrEqual(10000);
+      expect(expanded).toContain('x'.repeat(10));
+      expect(expanded).toMatch(/\$level_\d\$$/);
+    });
+  });
+
+  describe('format', () => {
+    it('should turn colour codes and icons into segments', () => {
+      expect(formatter.format(localizations.tech_desc)).toEqual({
+        text: 'Lasers cost Energy Credits',
+        segments: [
+          { text: 'Lasers', color: 'yellow' },
+          { text: ' cost ' },
+          { text: '', icon: 'energy' },
+          { text: ' ' },
+          { text: 'Energy Credits', color: 'green' }
+        ]
+      });
+    });
+
+    it('should support nested colours and icon frames', () => {
+      expect(formatter.format('§Ga §Rb§! c§! £trigger_yes|1£').segments).toEqual([
+        { text: 'a ', color: 'green' },
+        { text: 'b', color: 'red' },
+        { text: ' c', color: 'green' },
+        { text: ' ' },
+        { text: '', icon: 'trigger_yes' }
+      ]);
+    });
+
+    it('should replace scripted localisation and parameters with placeholders', () => {
+      const result = formatter.format('Ruled by [Root.GetLeaderName], gains $AMOUNT$\\nper month');
+
+      expect(result.text).toBe('Ruled by …, gains …\nper month');
+      expect(result.segments.filter(segment => segment.placeholder).map(segment => segment.placeholder))
+        .toEqual(['Root.GetLeaderName', 'AMOUNT']);
+    });
+
+    it('should keep dollar and pound signs that do not surround a key as text', () => {
+      expect(formatter.format('Costs 5$ or 10$, £ 3 or 4 £')).toEqual({
+        text: 'Costs 5$ or 10$, £ 3 or 4 £',
+        segments: [{ text: 'Costs 5$ or 10$, £ 3 or 4 £' }]
+      });
+    });
+  });
+});
@@ -0,0 +1,37 @@
+const { MathEvaluator, MathExpressionError } = require('../../src/parsers/mathEvaluator');
+
+describe('MathEvaluator', () => {
+  let evaluator;
+  const variables = { tier3cost1: 4000, factor: 0.5, name: 'text' };
+  const resolve = name => variables[name];
+
+  beforeEach(() => {
+    evaluator = new MathEvaluator();
+  });
+
+  test('should evaluate arithmetic with operator precedence', () => {
+    expect(evaluator.evaluate('1 + 2 * 3')).toBe(7);
+    expect(evaluator.evaluate('(1 + 2) * 3')).toBe(9);
+    expect(evaluator.evaluate('10 / 4 - 7 % 4')).toBe(-0.5);
+    expect(evaluator.evaluate('-2 * -(3 + .5)')).toBe(7);
+  });
+
+  test('should resolve scripted variables', () => {
+    expect(evaluator.evaluate('tier3cost1 * 1.25', resolve)).toBe(5000);
+    expect(evaluator.evaluate('@tier3cost1 * factor', resolve)).toBe(2000);
+  });
+
+  test('should report unresolved and non-numeric variables', () => {
+    expect(() => evaluator.evaluate('missing * 2', resolve)).toThrow('Unresolved scripted variable @missing in @[ missing * 2 ]');
+    expect(() => evaluator.evaluate('name + 1', resolve)).toThrow('Scripted variable @name is not a number');
+  });
+
+  test('should reject invalid expressions', () => {
+    expect(() => evaluator.evaluate('')).toThrow(MathExpressionError);
+    expect(() => evaluator.evaluate('1 +')).toThrow('Unexpected end of expression');
+    expect(() => evaluator.evaluate('(1 + 2')).toThrow('Missing \')\'');
+    expect(() => evaluator.evaluate('1 2')).toThrow('Unexpected \'2\'');
+    expect(() => evaluator.evaluate('2 ^ 3')).toThrow('Unexpected character \'^\'');
+    expect(() => evaluator.evaluate('1 / 0')).toThrow('Division by zero');
+  });
+});
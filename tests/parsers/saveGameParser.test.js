@@ -0,0 +1,133 @@
+const zlib = require('zlib');
+const { SaveGameParser } = require('../../src/parsers');
+const { TEST_SAVE_PATH, GAMESTATE } = require('../fixtures/create-test-save');
+
+describe('SaveGameParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new SaveGameParser();
+  });
+
+  describe('parseFile', () => {
+    let result;
+
+    beforeAll(async () => {
+      result = await new SaveGameParser().parseFile(TEST_SAVE_PATH);
+    });
+
+    it('should read the save metadata', () => {
+      expect(result.meta).toEqual({
+        version: 'Corvus v3.10.4',
+        name: 'United Nations of Earth',
+        date: '2230.06.01',
+        requiredDlcs: ['Utopia']
+      });
+    });
+
+    it('should read the build of the player empire', () => {
+      expect(result.empire).toEqual({
+        ethics: ['ethic_egalitarian', 'ethic_fanatic_xenophile'],
+        civics: ['civic_beacon_of_liberty', 'civic_idealistic_foundation'],
+        origin: 'origin_default',
+        authority: 'auth_democratic',
+        dlcs: ['Utopia']
+      });
+    });
+
+    it('should find the player country', () => {
+      expect(result.countryId).toBe('0');
+      expect(result.playerName).toBe('unnamed');
+    });
+
+    it('should read the researched technologies of the player only', () => {
+      const ids = result.researchedTechs.map(tech => tech.id);
+
+      expect(ids).toEqual([
+        'tech_basic_science_lab_1',
+        'tech_fusion_power',
+        'tech_corvettes',
+        'tech_repeatable_weapon_type_energy_damage',
+        'tech_removed_by_mod'
+      ]);
+      expect(ids).not.toContain('tech_destroyers');
+      expect(ids).not.toContain('not_a_country_tech');
+    });
+
+    it('should read repeatable technology levels', () => {
+      const repeatable = result.researchedTechs.find(tech => tech.id === 'tech_repeatable_weapon_type_energy_damage');
+      expect(repeatable.level).toBe(3);
+    });
+
+    it('should read the research queues', () => {
+      expect(result.researchQueues.physics).toEqual([
+        { techId: 'tech_lasers_1', progress: 250.5, date: '2230.06.01' }
+      ]);
+      expect(result.researchQueues.society).toEqual([]);
+      expect(result.researchQueues.engineering[0].techId).toBe('tech_robotic_workers');
+    });
+
+    it('should read the current research alternatives', () => {
+      expect(result.alternatives).toEqual({
+        physics: ['tech_lasers_1', 'tech_basic_science_lab_2'],
+        society: ['tech_planetary_unification'],
+        engineering: ['tech_robotic_workers', 'tech_destroyers']
+      });
+    });
+  });
+
+  describe('parseBuffer', () => {
+    it('should parse an uncompressed gamestate', () => {
+      const result = parser.parseBuffer(Buffer.from(GAMESTATE));
+
+      expect(result.researchedTechs).toHaveLength(5);
+      expect(result.meta.name).toBeNull();
+      // Without a meta file the DLCs listed in the gamestate are used
+      expect(result.empire.dlcs).toEqual(['Utopia']);
+    });
+
+    it('should parse a gzip compressed gamestate', () => {
+      const result = parser.parseBuffer(zlib.gzipSync(GAMESTATE));
+
+      expect(result.researchedTechs).toHaveLength(5);
+    });
+
+    it('should parse the older list form of researched technologies', () => {
+      const gamestate = `
+        player={ { name="old" country=1 } }
+        country={
+          1={
+            tech_status={
+              technology={ "tech_a" "tech_b" }
+              level={ 1 2 }
+            }
+          }
+        }
+      `;
+
+      const result = parser.parseBuffer(Buffer.from(gamestate));
+
+      expect(result.countryId).toBe('1');
+      expect(result.researchedTechs).toEqual([
+        { id: 'tech_a', level: 1 },
+        { id: 'tech_b', level: 2 }
+      ]);
+    });
+
+    it('should leave the empire build empty if the country has no ethos or government', () => {
+      const gamestate = 'player={ { name="x" country=0 } } country={ 0={ tech_status={ } } }';
+      const result = parser.parseBuffer(Buffer.from(gamestate));
+
+      expect(result.empire).toEqual({ ethics: [], civics: [], origin: '', authority: '', dlcs: null });
+    });
+
+    it('should throw if there is no player', () => {
+      expect(() => parser.parseBuffer(Buffer.from('country={ 0={ } }'))).toThrow('player country');
+    });
+
+    it('should throw if the player country has no tech_status', () => {
+      const gamestate = 'player={ { name="x" country=0 } } country={ 0={ name="x" } }';
+      expect(() => parser.parseBuffer(Buffer.from(gamestate))).toThrow('tech_status');
+    });
+  });
+});
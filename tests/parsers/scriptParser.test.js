@@ -0,0 +1,170 @@
+const { ScriptParser, ScriptParseError, TechParser } = require('../../src/parsers');
+
+describe('ScriptParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new ScriptParser();
+  });
+
+  test('should parse simple values with line and column numbers', () => {
+    const ast = parser.parse('cost = 100\n  area = physics\nname = "Test Tech"\nis_rare = yes');
+
+    expect(ast).toHaveLength(4);
+    expect(ast[0]).toMatchObject({ key: 'cost', operator: '=', value: { type: 'number', value: 100 }, line: 1, column: 1 });
+    expect(ast[1]).toMatchObject({ key: 'area', value: { type: 'identifier', value: 'physics', line: 2, column: 10 }, line: 2, column: 3 });
+    expect(ast[2].value).toMatchObject({ type: 'string', value: 'Test Tech' });
+    expect(ast[3].value).toMatchObject({ type: 'boolean', value: true });
+  });
+
+  test('should parse deeply nested blocks', () => {
+    const ast = parser.parse(`
+      potential = {
+        OR = {
+          has_ethic = ethic_materialist
+          NOT = {
+            AND = { is_gestalt = yes has_origin = origin_void_dwellers }
+          }
+        }
+      }
+    `);
+
+    const or = ast[0].value.value[0];
+    expect(or.key).toBe('OR');
+    const not = or.value.value[1];
+    expect(not.key).toBe('NOT');
+    const and = not.value.value[0];
+    expect(and.value.value.map(statement => statement.key)).toEqual(['is_gestalt', 'has_origin']);
+  });
+
+  test('should parse comparison operators', () => {
+    const ast = parser.parse('num_owned_planets > 5 years_passed >= 10 a < 1 b <= 2 c != d e == f g ?= h');
+
+    expect(ast.map(statement => statement.operator)).toEqual(['>', '>=', '<', '<=', '!=', '==', '?=']);
+    expect(ast[0].value.value).toBe(5);
+  });
+
+  test('should parse bare values as items', () => {
+    const ast = parser.parse('prerequisites = { "tech_a" tech_b } stored = { 0 1.5 -2 }');
+
+    expect(ast[0].value.value.map(item => [item.key, item.value.value])).toEqual([['item', 'tech_a'], ['item', 'tech_b']]);
+    expect(ast[1].value.value.map(item => item.value.value)).toEqual([0, 1.5, -2]);
+  });
+
+  test('should parse colours', () => {
+    const ast = parser.parse('color = hsv { 0.5 0.8 0.9 } border = rgb { 255 0 0 255 }');
+
+    expect(ast[0].value).toMatchObject({ type: 'color', value: { model: 'hsv', values: [0.5, 0.8, 0.9] } });
+    expect(ast[1].value).toMatchObject({ type: 'color', value: { model: 'rgb', values: [255, 0, 0, 255] } });
+  });
+
+  test('should parse variables and inline math', () => {
+    const ast = parser.parse('@tier1cost1 = 250\ncost = @tier1cost1\nweight = @[ tier1cost1 * 2 ]\nfactor = @\\[ a / 3 ]');
+
+    expect(ast[0].key).toBe('@tier1cost1');
+    expect(ast[1].value).toMatchObject({ type: 'variable', value: 'tier1cost1' });
+    expect(ast[2].value).toMatchObject({ type: 'math', value: 'tier1cost1 * 2' });
+    expect(ast[3].value).toMatchObject({ type: 'math', value: 'a / 3' });
+  });
+
+  test('should ignore comments', () => {
+    const ast = parser.parse('# header\ncost = 10 # trailing { comment\n');
+
+    expect(ast).toHaveLength(1);
+    expect(ast[0].value.value).toBe(10);
+  });
+
+  test('should report unclosed blocks with their position', () => {
+    expect(() => parser.parse('tech_a = {\n  cost = 10\n')).toThrow(ScriptParseError);
+
+    try {
+      parser.parse('tech_a = {\n  cost = 10\n');
+    } catch (error) {
+      expect(error.line).toBe(1);
+      expect(error.column).toBe(10);
+    }
+  });
+
+  test('should report unexpected closing braces', () => {
+    expect(() => parser.parse('cost = 10\n}')).toThrow('Unexpected \'}\' at line 2, column 1');
+  });
+
+  test('should report a missing value', () => {
+    expect(() => parser.parse('cost =')).toThrow('Unexpected end of file');
+  });
+
+  test('should skip broken top-level statements when collecting errors', () => {
+    const errors = [];
+    const ast = parser.parse('tech_a = {\n  cost = !\n}\ntech_b = {\n  cost = 2\n}\n}\ntech_c = { cost = 3 }', { errors });
+
+    expect(ast.map(statement => statement.key)).toEqual(['tech_b', 'tech_c']);
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toMatchObject({ reason: 'Unexpected character \'!\'', line: 2, column: 10 });
+    expect(errors[1]).toMatchObject({ reason: 'Unexpected \'}\'', line: 7, column: 1 });
+  });
+
+  test('should resume after an unclosed block', () => {
+    const errors = [];
+    const ast = parser.parse('tech_a = {\n  cost = 1\n\ntech_b = {\n  cost = 2\n}', { errors });
+
+    expect(errors[0].reason).toBe('Unclosed \'{\'');
+    expect(ast.map(statement => statement.key)).toEqual(['tech_b']);
+  });
+});
+
+describe('TechParser diagnostics', () => {
+  test('should return the remaining technologies and report where the file broke', () => {
+    const content = 'tech_a = {\n  cost = 100\n  potential = { has_ethic = !ethic_x }\n}\ntech_b = {\n  cost = 200\n}\n';
+    const diagnostics = [];
+
+    const technologies = new TechParser().parse(content, { diagnostics, file: 'mod/common/technology/00_tech.txt', modId: 'mod1', modName: 'My Mod' });
+
+    expect(technologies.map(tech => tech.id)).toEqual(['tech_b']);
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0].toJSON()).toEqual({
+      severity: 'error',
+      modId: 'mod1',
+      modName: 'My Mod',
+      file: 'mod/common/technology/00_tech.txt',
+      line: 3,
+      column: 29,
+      message: 'Unexpected character \'!\'',
+      snippet: '  potential = { has_ethic = !ethic_x }'
+    });
+    expect(diagnostics[0].toString()).toBe('mod/common/technology/00_tech.txt:3:29: error: Unexpected character \'!\'');
+  });
+});
+
+describe('TechParser with nested blocks', () => {
+  test('should keep technologies after blocks nested more than one level deep', () => {
+    const technologies = new TechParser().parse(`
+tech_a = {
+  cost = 100
+  area = society
+  potential = {
+    NOT = { has_authority = auth_machine_intelligence }
+  }
+  weight_modifier = {
+    modifier = {
+      factor = 0
+      OR = {
+        is_gestalt = yes
+        has_country_flag = no_techs
+      }
+    }
+  }
+}
+tech_b = {
+  cost = 200
+  area = physics
+  prerequisites = { "tech_a" }
+}
+`);
+
+    expect(technologies.map(tech => tech.id)).toEqual(['tech_a', 'tech_b']);
+    expect(technologies[0].potential[0].key).toBe('NOT');
+    expect(technologies[0].weightModifiers[0]).toMatchObject({ type: 'factor', value: 0 });
+    expect(technologies[0].weightModifiers[0].conditions[0].key).toBe('OR');
+    expect(technologies[1].prerequisites).toEqual(['tech_a']);
+  });
+});
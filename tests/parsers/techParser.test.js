@@ -1,6 +1,7 @@
 const path = require('path');
 const fs = require('fs').promises;
 const { TechParser } = require('../../src/parsers');
+const ScriptedVariableRegistry = require('../../src/models/scriptedVariableRegistry');
 
 // Create a test directory and sample files
 const TEST_DIR = path.resolve(__dirname, '../fixtures');
@@ -53,6 +54,11 @@ tech_sensors_3 = {
 
     ai_weight = {
     }
+
+    modifier = {
+        ship_sensor_range_add = 1
+        custom_tooltip = sensors_tooltip
+    }
 }
 
 tech_juggernaut = {
@@ -130,4 +136,89 @@ tech_juggernaut = {
     expect(sensors.cost).toBe(250); // @tier1cost1 = 250
     expect(sensors.weight).toBe(50); // @tier2weight1 = 50
   });
-}); 
\ No newline at end of file
+
+  test('should read the modifiers granted by a technology', async () => {
+    const parser = new TechParser();
+    const technologies = await parser.parseFile(SAMPLE_TECH_FILE);
+    
+    const sensors = technologies.find(tech => tech.id === 'tech_sensors_3');
+    expect(sensors.modifiers).toEqual({ ship_sensor_range_add: 1, custom_tooltip: 'sensors_tooltip' });
+    
+    const juggernaut = technologies.find(tech => tech.id === 'tech_juggernaut');
+    expect(juggernaut.modifiers).toEqual({});
+  });
+
+  test('should resolve scripted variables defined in other files', () => {
+    const registry = new ScriptedVariableRegistry();
+    registry.define('@tier3cost2', 4000);
+    registry.define('@tier1cost1', 999);
+    registry.define('@tier3weight2', '@tier3cost2');
+    
+    const technologies = new TechParser().parse(`
+@tier1cost1 = 250
+tech_a = {
+    cost = @tier3cost2
+    weight = @tier3weight2
+}
+tech_b = {
+    cost = @tier1cost1
+}
+`, { variables: registry });
+    
+    expect(technologies[0].cost).toBe(4000);
+    expect(technologies[0].weight).toBe(4000);
+    // Variables defined in the file take precedence
+    expect(technologies[1].cost).toBe(250);
+  });
+
+  test('should report unresolved scripted variables', () => {
+    const diagnostics = [];
+    const technologies = new TechParser().parse('tech_a = {\n    cost = @tier9cost9\n}\n', {
+      diagnostics,
+      file: 'common/technology/00_tech.txt',
+      variables: new ScriptedVariableRegistry()
+    });
+    
+    expect(technologies[0].cost).toBe(0);
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0].toString()).toBe('common/technology/00_tech.txt:2:12: warning: Unresolved scripted variable @tier9cost9');
+  });
+
+  test('should evaluate inline math in costs and weights', () => {
+    const registry = new ScriptedVariableRegistry();
+    registry.define('@tier3cost1', 4000);
+    registry.define('@tier3weight1', '@[ tier3cost1 / 100 ]');
+    
+    const technologies = new TechParser().parse(`
+@local_factor = @[ 1 + 0.25 ]
+tech_a = {
+    cost = @[ tier3cost1 * 1.25 ]
+    weight = @tier3weight1
+    tier = @[ 6 / 2 ]
+}
+tech_b = {
+    cost = @[ tier3cost1 * local_factor ]
+}
+`, { variables: registry });
+    
+    expect(technologies[0].cost).toBe(5000);
+    expect(technologies[0].weight).toBe(40);
+    expect(technologies[0].tier).toBe(3);
+    expect(technologies[0].getEffectiveCost()).toBe(5000);
+    expect(technologies[1].cost).toBe(5000);
+  });
+
+  test('should report inline math that cannot be evaluated', () => {
+    const diagnostics = [];
+    const technologies = new TechParser().parse('tech_a = {\n    cost = @[ tier9cost1 * 2 ]\n    weight = @[ 1 + ]\n}\n', {
+      diagnostics,
+      file: 'common/technology/00_tech.txt'
+    });
+    
+    expect(technologies[0].cost).toBe(0);
+    expect(diagnostics.map(diagnostic => diagnostic.toString())).toEqual([
+      'common/technology/00_tech.txt:2:12: warning: Unresolved scripted variable @tier9cost1 in @[ tier9cost1 * 2 ]',
+      'common/technology/00_tech.txt:3:14: warning: Unexpected end of expression in @[ 1 + ]'
+    ]);
+  });
+});
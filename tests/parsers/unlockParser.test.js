@@ -0,0 +1,66 @@
+const { UnlockParser } = require('../../src/parsers');
+
+describe('UnlockParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new UnlockParser();
+  });
+
+  test('should read buildings that have prerequisites', () => {
+    const unlockables = parser.parse(`
+@cost = 100
+building_research_lab_1 = {
+  base_buildtime = @cost
+  prerequisites = { "tech_basic_science_lab_1" }
+}
+building_capital = {
+  base_buildtime = 10
+}
+`, 'building', { file: 'common/buildings/00_buildings.txt', modId: 'mod1', modName: 'My Mod' });
+
+    expect(unlockables).toHaveLength(1);
+    expect(unlockables[0].toJSON()).toEqual({
+      id: 'building_research_lab_1',
+      type: 'building',
+      name: 'building_research_lab_1',
+      prerequisites: ['tech_basic_science_lab_1'],
+      modId: 'mod1',
+      modName: 'My Mod',
+      sourceFile: 'common/buildings/00_buildings.txt'
+    });
+  });
+
+  test('should take component IDs from the key in the block', () => {
+    const unlockables = parser.parse(`
+weapon_component_template = {
+  key = "RED_LASER_S"
+  size = small
+  prerequisites = { "tech_lasers_2" tech_lasers_1 }
+}
+utility_component_template = {
+  key = "CORVETTE_REACTOR_1"
+}
+`, 'component');
+
+    expect(unlockables.map(unlockable => [unlockable.id, unlockable.prerequisites])).toEqual([
+      ['RED_LASER_S', ['tech_lasers_2', 'tech_lasers_1']]
+    ]);
+  });
+
+  test('should report syntax errors and keep the remaining objects', () => {
+    const diagnostics = [];
+    const unlockables = parser.parse('edict_a = {\n  prerequisites = { ! }\n}\nedict_b = {\n  prerequisites = { tech_x }\n}\n', 'edict', {
+      diagnostics,
+      file: 'common/edicts/edicts.txt'
+    });
+
+    expect(unlockables.map(unlockable => unlockable.id)).toEqual(['edict_b']);
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0].toString()).toBe('common/edicts/edicts.txt:2:21: error: Unexpected character \'!\'');
+  });
+
+  test('should reject unknown types', () => {
+    expect(() => parser.parse('', 'planet')).toThrow('Unknown unlockable type: planet');
+  });
+});
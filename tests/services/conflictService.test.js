@@ -0,0 +1,148 @@
+const ConflictService = require('../../src/services/conflictService');
+const Conflict = require('../../src/models/conflict');
+const TechDatabase = require('../../src/models/techDatabase');
+const Tech = require('../../src/models/tech');
+
+describe('ConflictService', () => {
+  const sources = {
+    '': { modName: 'Base Game', root: 'game', loadOrder: 0 },
+    a: { modName: 'Mod A', root: 'mod_a', loadOrder: 1 },
+    b: { modName: 'Mod B', root: 'mod_b', loadOrder: 2 }
+  };
+  let database;
+  let techService;
+  let localization;
+  let service;
+
+  const define = (id, modId, fileName, data = {}) => {
+    const tech = new Tech({ id, name: id, ...data });
+    tech.sourceFile = `${sources[modId].root}/common/technology/${fileName}`;
+    tech.sourceModId = modId;
+    tech.sourceModName = sources[modId].modName;
+    return tech;
+  };
+
+  const origin = (modId, fileName) => ({
+    relativePath: `common/technology/${fileName}`,
+    loadOrder: sources[modId].loadOrder
+  });
+
+  beforeEach(() => {
+    database = new TechDatabase();
+
+    // Mod A replaces 00_phys_tech.txt, dropping tech_lasers_2; mod B then overrides tech_lasers_1 again
+    const replacedBy = { file: 'mod_a/common/technology/00_phys_tech.txt', modId: 'a', modName: 'Mod A' };
+    database.addReplacedTechnologies(
+      [define('tech_lasers_1', '', '00_phys_tech.txt'), define('tech_lasers_2', '', '00_phys_tech.txt')],
+      { ...origin('', '00_phys_tech.txt'), replacedBy }
+    );
+    database.addTechnologies([define('tech_lasers_1', 'a', '00_phys_tech.txt')], true, origin('a', '00_phys_tech.txt'));
+    database.addTechnologies([
+      define('tech_lasers_1', 'b', 'b_tech.txt'),
+      define('tech_lasers_3', 'b', 'b_tech.txt', { prerequisites: ['tech_lasers_2'] })
+    ], true, origin('b', 'b_tech.txt'));
+    database.addTechnology(define('tech_mining', '', 'zz_eng_tech.txt'), true, origin('', 'zz_eng_tech.txt'));
+    database.addTechnology(define('tech_mining', 'a', 'zz_eng_tech_a.txt'), true, origin('a', 'zz_eng_tech_a.txt'));
+
+    techService = {
+      getTechDatabase: () => database,
+      getAllTechnologies: () => database.getAllTechnologies(),
+      getReplacedFiles: () => [{
+        relativePath: 'common/technology/00_phys_tech.txt',
+        file: replacedBy.file,
+        modId: 'a',
+        modName: 'Mod A',
+        replaced: [{ file: 'game/common/technology/00_phys_tech.txt', modId: '', modName: 'Base Game' }]
+      }]
+    };
+    localization = {
+      getRedefinedKeys: () => [
+        {
+          key: 'tech_lasers_1',
+          entries: [
+            { value: 'B Lasers', file: 'b.yml', mod: { id: 'b', name: 'Mod B' }, replace: false },
+            { value: 'A Lasers', file: 'a.yml', mod: { id: 'a', name: 'Mod A' }, replace: false },
+            { value: 'Red Lasers', file: 'game.yml', mod: null, replace: false }
+          ]
+        },
+        {
+          key: 'tech_mining',
+          entries: [
+            { value: 'Mining', file: 'a.yml', mod: { id: 'a', name: 'Mod A' }, replace: false },
+            { value: 'Old Mining', file: 'game.yml', mod: null, replace: false }
+          ]
+        },
+        {
+          key: 'base_duplicate',
+          entries: [
+            { value: 'Two', file: 'game_2.yml', mod: null, replace: false },
+            { value: 'One', file: 'game_1.yml', mod: null, replace: false }
+          ]
+        }
+      ]
+    };
+    service = new ConflictService(techService, localization);
+  });
+
+  it('should report technologies defined by several mods as warnings and base game changes as info', () => {
+    const conflicts = service.findRedefinedTechnologies();
+    const lasers = conflicts.find(conflict => conflict.id === 'tech_lasers_1');
+
+    expect(lasers.severity).toBe(Conflict.WARNING);
+    expect(lasers.mods.map(mod => mod.id)).toEqual(['', 'a', 'b']);
+    expect(lasers.details.winner.modId).toBe('b');
+    expect(lasers.message).toBe('Defined by Base Game, Mod A, Mod B; Mod B wins');
+    expect(conflicts.find(conflict => conflict.id === 'tech_mining').severity).toBe(Conflict.INFO);
+    expect(conflicts.find(conflict => conflict.id === 'tech_lasers_3')).toBeUndefined();
+  });
+
+  it('should report replaced files with the technologies they removed', () => {
+    const [conflict] = service.findReplacedFiles();
+
+    expect(conflict).toMatchObject({
+      type: Conflict.FILE_REPLACED,
+      severity: Conflict.WARNING,
+      id: 'common/technology/00_phys_tech.txt',
+      message: 'Mod A replaces the file of Base Game, removing tech_lasers_2'
+    });
+    expect(conflict.details.removedTechs).toEqual(['tech_lasers_2']);
+    expect(conflict.details.redefinedTechs).toEqual(['tech_lasers_1']);
+  });
+
+  it('should report prerequisites removed by a replaced file as errors', () => {
+    expect(service.findRemovedPrerequisites().map(conflict => conflict.toJSON())).toEqual([{
+      type: Conflict.PREREQUISITE_REMOVED,
+      severity: Conflict.ERROR,
+      id: 'tech_lasers_3',
+      message: 'Requires tech_lasers_2, which Mod A removed by replacing its file',
+      mods: [{ id: 'b', name: 'Mod B' }, { id: 'a', name: 'Mod A' }],
+      details: {
+        prerequisite: 'tech_lasers_2',
+        replacedBy: [{ file: 'mod_a/common/technology/00_phys_tech.txt', modId: 'a', modName: 'Mod A' }]
+      }
+    }]);
+  });
+
+  it('should report localisation keys redefined by mods', () => {
+    const conflicts = service.findRedefinedLocalizations();
+
+    expect(conflicts.map(conflict => [conflict.id, conflict.severity])).toEqual([
+      ['tech_lasers_1', Conflict.WARNING],
+      ['tech_mining', Conflict.INFO]
+    ]);
+    expect(conflicts[0].mods.map(mod => mod.name)).toEqual(['Base Game', 'Mod A', 'Mod B']);
+    expect(conflicts[0].message).toBe('Defined by Base Game, Mod A, Mod B; Mod B wins');
+  });
+
+  it('should sort all conflicts by severity and filter them', () => {
+    const conflicts = service.getConflicts();
+
+    expect(conflicts[0].severity).toBe(Conflict.ERROR);
+    expect(service.countConflicts(conflicts)).toEqual({ errors: 1, warnings: 3, info: 2 });
+    expect(service.getConflicts({ severity: Conflict.INFO }).map(conflict => conflict.id)).toEqual(['tech_mining', 'tech_mining']);
+    expect(service.getConflicts({ type: Conflict.FILE_REPLACED })).toHaveLength(1);
+    expect(service.getConflicts({ modId: 'b' }).map(conflict => conflict.type)).toEqual([
+      Conflict.PREREQUISITE_REMOVED, Conflict.LOCALIZATION_REDEFINED, Conflict.TECH_REDEFINED
+    ]);
+  });
+});
@@ -0,0 +1,61 @@
+const { LoadProgress, LoadCancelledError } = require('../../src/services/loadProgress');
+
+describe('LoadProgress', () => {
+  let progress;
+  let events;
+
+  beforeEach(() => {
+    progress = new LoadProgress();
+    events = [];
+    progress.on('event', event => events.push(event));
+  });
+
+  it('should emit the phases, the progress of each mod and the result of a load', () => {
+    progress.start({ playset: { id: 'p1', name: 'Playset' } });
+    progress.handle({ phase: 'mods', mods: [{ id: '', name: 'Base Game' }, { id: 'mod-1', name: 'First' }] });
+    progress.handle({ phase: 'load', done: 1, total: 3, mod: { id: '', name: 'Base Game', done: 1, total: 2 } });
+    progress.handle({ phase: 'load', done: 2, total: 3, mod: { id: '', name: 'Base Game', done: 2, total: 2 } });
+    progress.handle({ phase: 'load', done: 3, total: 3, mod: { id: 'mod-1', name: 'First', done: 1, total: 1 } });
+    progress.handle({ phase: 'warning', message: 'First: 2 problems in 1 files', modId: 'mod-1' });
+    progress.finish({ stats: { totalCount: 3 } });
+
+    expect(events.map(event => event.type)).toEqual(['start', 'phase', 'phase', 'progress', 'warning', 'done']);
+    expect(events[2].data).toMatchObject({ phase: 'load', phaseIndex: LoadProgress.PHASES.indexOf('load'), done: 1, total: 3 });
+    // Progress events are throttled, but the last one of a phase is always emitted
+    expect(events[3].data).toMatchObject({ done: 3, total: 3, mod: { id: 'mod-1', done: 1, total: 1 } });
+    expect(events[5].data.result).toEqual({ stats: { totalCount: 3 } });
+
+    const state = progress.getState();
+    expect(state).toMatchObject({ status: 'done', phase: 'load', playset: { id: 'p1' }, warningCount: 1 });
+    expect(state.mods).toEqual([
+      { id: '', name: 'Base Game', done: 2, total: 2 },
+      { id: 'mod-1', name: 'First', done: 1, total: 1 }
+    ]);
+    expect(progress.isRunning()).toBe(false);
+  });
+
+  it('should stop the load at the next progress event once cancelled', () => {
+    progress.start();
+    progress.handle({ phase: 'parse', done: 1, total: 10 });
+
+    expect(progress.cancel()).toBe(true);
+    expect(() => progress.handle({ phase: 'parse', done: 2, total: 10 })).toThrow(LoadCancelledError);
+
+    progress.fail(new LoadCancelledError());
+    expect(progress.getState().status).toBe('cancelled');
+    expect(events[events.length - 1].type).toBe('cancelled');
+  });
+
+  it('should not cancel once the localisation is loaded or when no load is running', () => {
+    expect(progress.cancel()).toBe(false);
+
+    progress.start();
+    progress.handle({ phase: 'localisation' });
+
+    expect(progress.cancel()).toBe(false);
+    expect(() => progress.handle({ phase: 'tree' })).not.toThrow();
+
+    progress.fail(new Error('Disk full'));
+    expect(progress.getState()).toMatchObject({ status: 'error', error: 'Disk full' });
+  });
+});
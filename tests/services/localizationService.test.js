@@ -0,0 +1,201 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const localizationService = require('../../src/services/localizationService');
+
+describe('LocalizationService', () => {
+  let gamePath;
+
+  const writeFile = (relativePath, content) => {
+    const filePath = path.join(gamePath, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, `\uFEFF${content}`);
+  };
+
+  beforeAll(() => {
+    gamePath = fs.mkdtempSync(path.join(os.tmpdir(), 'stellaris-loc-'));
+    writeFile('localisation/english/technology_l_english.yml', [
+      'l_english:',
+      ' tech_lasers_1:0 "Red Lasers"',
+      ' tech_lasers_1_desc:0 "§YFocused§! light"',
+      ' tech_only_english:0 "Only in English"'
+    ].join('\n'));
+    writeFile('localisation/german/technology_l_german.yml', [
+      'l_german:',
+      ' tech_lasers_1:0 "Rote Laser"'
+    ].join('\n'));
+    writeFile('localisation/braz_por/technology_l_braz_por.yml', [
+      'l_braz_por:',
+      ' tech_lasers_1:0 "Lasers Vermelhos"'
+    ].join('\n'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(gamePath, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    localizationService.setLanguage('english');
+    await localizationService.loadLocalizations(gamePath);
+  });
+
+  it('should only load the default language until another one is requested', () => {
+    expect(localizationService.isLanguageLoaded('english')).toBe(true);
+    expect(localizationService.isLanguageLoaded('german')).toBe(false);
+    expect(localizationService.getText('tech_lasers_1')).toBe('Red Lasers');
+  });
+
+  it('should load other languages on first use and fall back to English', async () => {
+    expect(await localizationService.loadLanguage('german')).toBe(1);
+    expect(await localizationService.loadLanguage('german')).toBe(0);
+
+    expect(localizationService.getText('tech_lasers_1', null, 'german')).toBe('Rote Laser');
+    expect(localizationService.getText('tech_only_english', null, 'german')).toBe('Only in English');
+    expect(localizationService.getRichText('tech_lasers_1_desc', 'german').segments[0]).toEqual({ text: 'Focused', color: 'yellow' });
+    // The default language is unchanged
+    expect(localizationService.getText('tech_lasers_1')).toBe('Red Lasers');
+  });
+
+  it('should let requests for a language that is loading wait for it', async () => {
+    const first = localizationService.loadLanguage('german');
+    const second = localizationService.loadLanguage('german');
+    expect(localizationService.isLanguageLoaded('german')).toBe(false);
+
+    expect(await second).toBe(0);
+    expect(localizationService.getText('tech_lasers_1', null, 'german')).toBe('Rote Laser');
+    expect(await first).toBe(1);
+  });
+
+  it('should load languages with an underscore in their name', async () => {
+    await localizationService.loadLanguage('braz_por');
+
+    expect(localizationService.getLocalization('tech_lasers_1', null, 'braz_por')).toBe('Lasers Vermelhos');
+  });
+
+  it('should localize technologies in a language without changing them', async () => {
+    await localizationService.loadLanguage('german');
+    const tech = { id: 'tech_lasers_1', name: 'tech_lasers_1', areaName: 'physics', categoryName: 'particles' };
+
+    expect(localizationService.getLocalizedFields(tech, 'german')).toMatchObject({
+      displayName: 'Rote Laser',
+      description: 'Focused light'
+    });
+    expect(tech.displayName).toBeUndefined();
+  });
+
+  it('should list the languages the game has localizations for', async () => {
+    const languages = await localizationService.getAvailableLanguages();
+
+    expect(languages.map(language => language.id)).toEqual(['english', 'braz_por', 'german']);
+    expect(languages[0]).toEqual({ id: 'english', name: 'English', loaded: true, isDefault: true });
+  });
+
+  describe('overrides', () => {
+    beforeEach(async () => {
+      writeFile('mods/first/localisation/english/first_l_english.yml', [
+        'l_english:',
+        ' tech_lasers_1:0 "First Lasers"',
+        ' tech_only_english:0 "Replaced by the first mod"'
+      ].join('\n'));
+      writeFile('mods/first/localisation/replace/english/first_replace_l_english.yml', [
+        'l_english:',
+        ' tech_lasers_1_desc:0 "Replaced description"'
+      ].join('\n'));
+      writeFile('mods/second/localisation/english/second_l_english.yml', [
+        'l_english:',
+        ' tech_lasers_1:0 "Second Lasers"',
+        ' tech_lasers_1_desc:0 "Ignored description"'
+      ].join('\n'));
+      writeFile('localisation/english/replace/base_replace_l_english.yml', [
+        'l_english:',
+        ' tech_only_english:0 "Replaced by the base game"'
+      ].join('\n'));
+
+      // The mods the technologies were loaded from, in load order
+      await localizationService.loadLocalizations(gamePath, [
+        { id: 'mod-1', name: 'First', dirPath: path.join(gamePath, 'mods/first') },
+        { id: 'mod-2', name: 'Second', dirPath: path.join(gamePath, 'mods/second') }
+      ]);
+    });
+
+    afterEach(() => {
+      fs.rmSync(path.join(gamePath, 'mods'), { recursive: true, force: true });
+      fs.rmSync(path.join(gamePath, 'localisation/english/replace'), { recursive: true, force: true });
+    });
+
+    it('should let later mods in the load order override earlier ones', () => {
+      const entry = localizationService.getLocalizationEntry('tech_lasers_1');
+
+      expect(entry).toMatchObject({
+        key: 'tech_lasers_1',
+        language: 'english',
+        value: 'Second Lasers',
+        source: { file: path.join('localisation', 'english', 'second_l_english.yml'), mod: { id: 'mod-2', name: 'Second' }, replace: false }
+      });
+      expect(entry.overridden.map(overridden => overridden.value)).toEqual(['First Lasers', 'Red Lasers']);
+      expect(entry.overridden[1].mod).toBeNull();
+      expect(localizationService.getRedefinedKeys().map(redefined => redefined.key).sort())
+        .toEqual(['tech_lasers_1', 'tech_lasers_1_desc', 'tech_only_english']);
+    });
+
+    it('should load languages requested later from the same mods', async () => {
+      writeFile('mods/second/localisation/german/second_l_german.yml', 'l_german:\n tech_lasers_1:0 "Zweite Laser"');
+
+      await localizationService.loadLanguage('german');
+
+      expect(localizationService.getText('tech_lasers_1', undefined, 'german')).toBe('Zweite Laser');
+    });
+
+    it('should let replace folders win over the load order', () => {
+      expect(localizationService.getLocalizationEntry('tech_lasers_1_desc')).toMatchObject({
+        value: 'Replaced description',
+        text: 'Replaced description',
+        source: { mod: { id: 'mod-1' }, replace: true }
+      });
+      expect(localizationService.getText('tech_lasers_1_desc')).toBe('Replaced description');
+
+      // Between replace folders the load order applies again
+      expect(localizationService.getLocalizationEntry('tech_only_english')).toMatchObject({
+        value: 'Replaced by the base game',
+        source: { mod: null, replace: true },
+        overridden: [{ value: 'Replaced by the first mod' }, { value: 'Only in English' }]
+      });
+    });
+
+    it('should reload a changed file without losing the entries it overrides', async () => {
+      const filePath = path.join(gamePath, 'mods/second/localisation/english/second_l_english.yml');
+      const source = { root: path.join(gamePath, 'mods/second'), mod: { id: 'mod-2', name: 'Second' }, loadOrder: 2 };
+      fs.writeFileSync(filePath, 'l_english:\n tech_lasers_1:0 "Second Lasers Mk II"\n tech_new:0 "New"');
+
+      const changedKeys = await localizationService.reloadLocalizationFile(filePath, source);
+
+      expect(changedKeys.sort()).toEqual(['tech_lasers_1', 'tech_lasers_1_desc', 'tech_new']);
+      expect(localizationService.getText('tech_lasers_1')).toBe('Second Lasers Mk II');
+      expect(localizationService.getText('tech_new')).toBe('New');
+      expect(localizationService.getLocalizationEntry('tech_lasers_1').overridden).toHaveLength(2);
+
+      fs.rmSync(filePath);
+      await localizationService.reloadLocalizationFile(filePath, source);
+
+      expect(localizationService.getText('tech_lasers_1')).toBe('First Lasers');
+      expect(localizationService.getLocalizationEntry('tech_new')).toBeNull();
+    });
+
+    it('should fall back to English and return null for unknown keys', async () => {
+      await localizationService.loadLanguage('german');
+
+      expect(localizationService.getLocalizationEntry('tech_lasers_1', 'german')).toMatchObject({ language: 'german', value: 'Rote Laser' });
+      expect(localizationService.getLocalizationEntry('tech_lasers_1_desc', 'german').language).toBe('english');
+      expect(localizationService.getLocalizationEntry('tech_missing')).toBeNull();
+    });
+  });
+
+  it('should match localization files to their language', () => {
+    expect(localizationService.isLocalizationFile('technology_l_english.yml', 'english')).toBe(true);
+    expect(localizationService.isLocalizationFile('technology_l_german.yml', 'english')).toBe(false);
+    expect(localizationService.isLocalizationFile('technology_l_simp_chinese.yml', 'simp_chinese')).toBe(true);
+    expect(localizationService.isLocalizationFile('technology.yml', 'german')).toBe(true);
+    expect(localizationService.isLocalizationFile('technology.txt', 'english')).toBe(false);
+  });
+});
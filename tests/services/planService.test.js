@@ -0,0 +1,136 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { PlanService, PlanImportError } = require('../../src/services/planService');
+const PlanStore = require('../../src/database/planStore');
+const ResearchPlanner = require('../../src/services/researchPlanner');
+const TechDatabase = require('../../src/models/techDatabase');
+const Tech = require('../../src/models/tech');
+
+describe('PlanService', () => {
+  let dir;
+  let database;
+  let planService;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stellaris-plans-'));
+    database = new TechDatabase();
+    database.addTechnologies([
+      new Tech({ id: 'tech_lasers_1', area_id: 'physics', tier: 1 }),
+      new Tech({ id: 'tech_lasers_2', area_id: 'physics', tier: 2, prerequisites: ['tech_lasers_1'] })
+    ]);
+
+    const techService = {
+      getTechnology: id => database.getTechnology(id),
+      getAllTechnologies: () => database.getAllTechnologies(),
+      getPlaysetFingerprint: () => 'fingerprint-1',
+      getGameVersion: async () => 'v3.12.4'
+    };
+    planService = new PlanService(new PlanStore(path.join(dir, 'plans.sqlite')), techService, new ResearchPlanner(techService));
+  });
+
+  afterEach(async () => {
+    await planService.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should flag the technologies of a plan that no longer exist', async () => {
+    const plan = await planService.createPlan({
+      name: 'Modded lasers',
+      playset: { id: 'playset-1', name: 'Modded' },
+      targets: ['tech_lasers_2', 'tech_mod_lasers', 'tech_mod_lasers'],
+      researched: ['tech_lasers_1', 'tech_mod_lasers']
+    });
+
+    expect(plan.targets).toEqual(['tech_lasers_2', 'tech_mod_lasers']);
+    expect(plan.check).toEqual({ valid: false, stale: [{ id: 'tech_mod_lasers', fields: ['targets', 'researched'] }] });
+
+    // A mod update removes another technology
+    database = new TechDatabase();
+    database.addTechnology(new Tech({ id: 'tech_mod_lasers', area_id: 'physics', tier: 2 }));
+
+    expect((await planService.getPlan(plan.id)).check.stale.map(entry => entry.id)).toEqual(['tech_lasers_2', 'tech_lasers_1']);
+    expect((await planService.listPlans({ playsetId: 'playset-1' }))[0].staleCount).toBe(2);
+  });
+
+  it('should save changes as new revisions and restore earlier ones', async () => {
+    const { id } = await planService.createPlan({ name: 'Lasers', playset: null, targets: ['tech_lasers_1'], notes: 'Early game' });
+
+    const updated = await planService.updatePlan(id, { targets: ['tech_lasers_2'] });
+    expect(updated).toMatchObject({ name: 'Lasers', revision: 2, targets: ['tech_lasers_2'], notes: 'Early game' });
+
+    const restored = await planService.restoreRevision(id, 1);
+    expect(restored).toMatchObject({ revision: 3, targets: ['tech_lasers_1'], check: { valid: true } });
+
+    expect(await planService.restoreRevision(id, 9)).toBeNull();
+    expect(await planService.updatePlan(id + 1, { notes: 'Missing' })).toBeNull();
+    expect(await planService.deletePlan(id)).toBe(true);
+    expect(await planService.getPlan(id)).toBeNull();
+  });
+
+  it('should import exported plans from share codes', async () => {
+    const document = await planService.exportPlan({
+      name: 'Lasers',
+      playset: { id: 'playset-1', name: 'Vanilla' },
+      targets: ['tech_lasers_2'],
+      output: { physics: 100 },
+      notes: 'Early game'
+    });
+
+    expect(document).toMatchObject({
+      format: 'stellaris-tools-plan',
+      targets: ['tech_lasers_2'],
+      order: { physics: ['tech_lasers_1', 'tech_lasers_2'], society: [], engineering: [] },
+      playset: { name: 'Vanilla', fingerprint: 'fingerprint-1' },
+      gameVersion: 'v3.12.4'
+    });
+
+    const imported = await planService.importPlan({ code: planService.createShareCode(document) });
+    expect(imported).toMatchObject({
+      plan: { name: 'Lasers', notes: 'Early game', targets: ['tech_lasers_2'], output: { physics: 100 } },
+      renamed: [],
+      missing: [],
+      playset: { matches: true },
+      gameVersion: { exported: 'v3.12.4', loaded: 'v3.12.4', matches: true }
+    });
+
+    await expect(planService.importPlan({ code: 'STP1.not-a-plan' })).rejects.toThrow(PlanImportError);
+
+    const bomb = `STP1.${zlib.deflateRawSync(Buffer.alloc(8 * 1024 * 1024, ' ')).toString('base64url')}`;
+    await expect(planService.importPlan({ code: bomb })).rejects.toThrow(/more than \d+ bytes/);
+    await expect(planService.importPlan({ document: { format: 'other' } })).rejects.toThrow(PlanImportError);
+  });
+
+  it('should reject malformed export documents on import', async () => {
+    const document = await planService.exportPlan({ name: 'Lasers', targets: ['tech_lasers_2'], output: { physics: 100 } });
+    const malformed = [
+      { order: { physics: 'tech_lasers_1' } },
+      { order: { physics: [1] } },
+      { technologies: { tech_lasers_2: { name: 5, area: 'physics' } } },
+      { technologies: { tech_lasers_2: 'Blue Lasers' } },
+      { output: { physics: -5 } },
+      { output: { physics: '100' } },
+      { name: ['Lasers'] }
+    ];
+
+    for (const changes of malformed) {
+      await expect(planService.importPlan({ document: { ...document, ...changes } })).rejects.toThrow(PlanImportError);
+    }
+  });
+
+  it('should report renamed and missing technologies on import', async () => {
+    const document = await planService.exportPlan({ name: 'Lasers', targets: ['tech_lasers_2'], output: { physics: 100 } });
+    document.technologies.tech_lasers_2.name = 'Red Lasers';
+
+    // A mod update renames the second laser technology and removes the first
+    database = new TechDatabase();
+    database.addTechnology(new Tech({ id: 'tech_red_lasers', area_id: 'physics', tier: 2, name: 'Red Lasers' }));
+
+    const imported = await planService.importPlan({ document });
+    expect(imported.renamed).toEqual([{ id: 'tech_lasers_2', to: 'tech_red_lasers', name: 'Red Lasers' }]);
+    expect(imported.missing).toEqual([{ id: 'tech_lasers_1', isTarget: false }]);
+    expect(imported.plan.targets).toEqual(['tech_red_lasers']);
+    expect(imported.plan.order.physics).toEqual(['tech_red_lasers']);
+  });
+});
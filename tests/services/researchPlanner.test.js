@@ -0,0 +1,121 @@
+const ResearchPlanner = require('../../src/services/researchPlanner');
+const TechDatabase = require('../../src/models/techDatabase');
+const { TechParser } = require('../../src/parsers');
+
+const TECHNOLOGIES = `
+tech_start = {
+  area = physics
+  tier = 0
+  cost = 0
+  start_tech = yes
+}
+tech_lasers = {
+  area = physics
+  tier = 1
+  cost = 100
+  prerequisites = { "tech_start" }
+}
+tech_detection = {
+  area = physics
+  tier = 1
+  cost = 300
+  prerequisites = { "tech_start" }
+}
+tech_hull = {
+  area = engineering
+  tier = 1
+  cost = 200
+  prerequisites = { "tech_start" }
+}
+tech_weapon = {
+  area = engineering
+  tier = 2
+  cost = 300
+  prerequisites = { "tech_lasers" "tech_hull" }
+}
+tech_xenology = {
+  area = society
+  tier = 1
+  cost = 50
+  prerequisites = { "tech_start" }
+}
+tech_xeno_weapon = {
+  area = engineering
+  tier = 3
+  cost = 100
+  prerequisites = { "tech_weapon" "tech_xenology" }
+}
+tech_broken = {
+  area = physics
+  tier = 2
+  cost = 100
+  prerequisites = { "tech_lasers" "tech_removed_by_mod" }
+}
+`;
+
+describe('ResearchPlanner', () => {
+  const output = { physics: 100, society: 50, engineering: 100 };
+  let planner;
+  let database;
+
+  beforeEach(() => {
+    database = new TechDatabase();
+    database.addTechnologies(new TechParser().parse(TECHNOLOGIES));
+
+    const techService = {
+      getAllTechnologies: () => database.getAllTechnologies(),
+      getTechnology: id => database.getTechnology(id)
+    };
+    planner = new ResearchPlanner(techService);
+  });
+
+  it('should start the technologies on the longest path to a target first', () => {
+    const plan = planner.plan({ targets: ['tech_weapon', 'tech_detection'], researched: ['tech_start'], output });
+    const schedule = queue => plan.queues[queue].technologies.map(({ id, start, finish }) => [id, start, finish]);
+
+    // Researching tech_detection first would keep tech_weapon waiting for tech_lasers until month 4
+    expect(schedule('physics')).toEqual([['tech_lasers', 0, 1], ['tech_detection', 1, 4]]);
+    expect(schedule('engineering')).toEqual([['tech_hull', 0, 2], ['tech_weapon', 2, 5]]);
+    expect(schedule('society')).toEqual([]);
+    expect(plan.months).toBe(5);
+    expect(plan.queues.engineering).toMatchObject({ output: 100, cost: 500, months: 5 });
+    expect(plan.queues.physics.technologies[1]).toMatchObject({ area: 'physics', tier: 1, cost: 300, isTarget: true });
+    expect(plan.queues.physics.technologies[0].isTarget).toBe(false);
+  });
+
+  it('should wait for prerequisites researched in other areas', () => {
+    database.getTechnology('tech_start').isResearched = true;
+    database.getTechnology('tech_hull').isResearched = true;
+
+    const plan = planner.plan({ targets: ['tech_xeno_weapon', 'tech_hull', 'tech_unknown'], output: { ...output, society: 10 } });
+
+    expect(plan.targets).toEqual(['tech_xeno_weapon']);
+    expect(plan.researchedTargets).toEqual(['tech_hull']);
+    expect(plan.unknownTargets).toEqual(['tech_unknown']);
+    expect(plan.queues.society.technologies).toMatchObject([{ id: 'tech_xenology', start: 0, finish: 5 }]);
+    expect(plan.queues.engineering.technologies.map(({ id, start, finish }) => [id, start, finish]))
+      .toEqual([['tech_weapon', 1, 4], ['tech_xeno_weapon', 5, 6]]);
+    expect(plan.months).toBe(6);
+    expect(plan.unscheduled).toEqual([]);
+  });
+
+  it('should report the technologies that cannot be researched', () => {
+    const plan = planner.plan({
+      targets: ['tech_broken', 'tech_xeno_weapon'],
+      researched: ['tech_start'],
+      output: { physics: 100, engineering: 100 }
+    });
+    const reasons = Object.fromEntries(plan.unscheduled.map(entry => [entry.id, entry.reason]));
+
+    expect(reasons).toEqual({
+      tech_broken: ResearchPlanner.UNSCHEDULED_REASONS.MISSING_PREREQUISITE,
+      tech_xenology: ResearchPlanner.UNSCHEDULED_REASONS.NO_OUTPUT,
+      tech_xeno_weapon: ResearchPlanner.UNSCHEDULED_REASONS.BLOCKED
+    });
+    expect(plan.unscheduled.find(entry => entry.id === 'tech_broken').prerequisites).toEqual(['tech_removed_by_mod']);
+    expect(plan.months).toBeNull();
+
+    // The prerequisites that can be researched are still scheduled
+    expect(plan.queues.engineering.technologies.map(entry => entry.id)).toEqual(['tech_hull', 'tech_weapon']);
+  });
+});
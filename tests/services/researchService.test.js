@@ -0,0 +1,213 @@
+const ResearchService = require('../../src/services/researchService');
+const TechDatabase = require('../../src/models/techDatabase');
+const { TechParser } = require('../../src/parsers');
+
+const TECHNOLOGIES = `
+tech_start = {
+  area = physics
+  tier = 0
+  start_tech = yes
+}
+tech_common = {
+  area = physics
+  tier = 1
+  weight = 100
+  prerequisites = { "tech_start" }
+}
+tech_materialist = {
+  area = physics
+  tier = 1
+  weight = 50
+  prerequisites = { "tech_start" }
+  weight_modifier = {
+    factor = 2
+    modifier = {
+      factor = 0
+      NOT = { has_ethic = ethic_materialist }
+    }
+    modifier = {
+      factor = 1.25
+      research_leader = { area = physics has_trait = leader_trait_expertise_computing }
+    }
+  }
+}
+tech_rare = {
+  area = physics
+  tier = 1
+  weight = 50
+  prerequisites = { "tech_start" }
+}
+tech_other = {
+  area = physics
+  tier = 1
+  weight = 50
+  prerequisites = { "tech_start" }
+  weight_modifier = {
+    modifier = {
+      add = 50
+      num_owned_planets > 10
+    }
+  }
+}
+tech_locked = {
+  area = physics
+  tier = 2
+  weight = 100
+  prerequisites = { "tech_common" }
+}
+`;
+
+describe('ResearchService', () => {
+  let researchService;
+  let database;
+
+  beforeEach(() => {
+    database = new TechDatabase();
+    database.addTechnologies(new TechParser().parse(TECHNOLOGIES));
+    database.buildTechTree();
+
+    const techService = {
+      getAllTechnologies: () => database.getAllTechnologies(),
+      getTechnologiesByArea: area => database.getTechnologiesByArea(area)
+    };
+    researchService = new ResearchService(techService);
+  });
+
+  describe('weights', () => {
+    it('should parse weight modifiers with their conditions', () => {
+      const modifiers = database.getTechnology('tech_materialist').weightModifiers;
+
+      expect(modifiers.map(({ type, value }) => [type, value])).toEqual([['factor', 2], ['factor', 0], ['factor', 1.25]]);
+      expect(modifiers[0].conditions).toEqual([]);
+      expect(modifiers[1].conditions[0].key).toBe('NOT');
+    });
+
+    it('should apply the weight modifiers whose conditions are met', () => {
+      const empire = researchService.createEmpireState({
+        ethics: ['ethic_materialist'],
+        scientists: { physics: { traits: ['leader_trait_expertise_computing'] } }
+      });
+
+      expect(researchService.calculateWeight(database.getTechnology('tech_materialist'), empire)).toEqual({
+        baseWeight: 50,
+        weight: 125,
+        appliedModifiers: [{ type: 'factor', value: 2 }, { type: 'factor', value: 1.25 }],
+        unknownTriggers: []
+      });
+
+      const spiritualist = researchService.createEmpireState({ ethics: ['ethic_spiritualist'] });
+      expect(researchService.calculateWeight(database.getTechnology('tech_materialist'), spiritualist).weight).toBe(0);
+    });
+
+    it('should report triggers it cannot evaluate', () => {
+      const result = researchService.calculateWeight(database.getTechnology('tech_other'), researchService.createEmpireState());
+
+      expect(result.weight).toBe(50);
+      expect(result.unknownTriggers).toEqual(['num_owned_planets']);
+    });
+  });
+
+  describe('draw chances', () => {
+    it('should calculate the chance of each technology being one of the options', () => {
+      const result = researchService.calculateDrawChances({ technologies: ['tech_start'], researchOptions: 2 }, { area: 'physics' });
+      const physics = result.areas.physics;
+      const byId = Object.fromEntries(physics.technologies.map(tech => [tech.id, tech]));
+
+      expect(result.researchOptions).toBe(2);
+      expect(physics.method).toBe('exact');
+      expect(physics.candidateCount).toBe(3);
+      expect(physics.totalWeight).toBe(200);
+
+      // Weights 100, 50, 50: tech_common is missed only if both 50s are drawn (1/4 * 1/3 * 2)
+      expect(byId.tech_common.probability).toBeCloseTo(1 - 1 / 6);
+      expect(byId.tech_rare.probability).toBeCloseTo(7 / 12);
+      expect(byId.tech_other.probability).toBeCloseTo(7 / 12);
+      expect(physics.technologies.reduce((total, tech) => total + tech.probability, 0)).toBeCloseTo(2);
+
+      expect(byId.tech_start).toMatchObject({ eligible: false, reason: 'researched', probability: 0 });
+      expect(byId.tech_locked).toMatchObject({ eligible: false, reason: 'missing_prerequisites' });
+      expect(byId.tech_materialist).toMatchObject({ eligible: false, reason: 'zero_weight' });
+      expect(physics.technologies[0].id).toBe('tech_common');
+    });
+
+    it('should use the researched technologies when the empire does not list any', () => {
+      database.getTechnology('tech_start').isResearched = true;
+      database.getTechnology('tech_common').isResearched = true;
+
+      const physics = researchService.calculateDrawChances({}, { area: 'physics' }).areas.physics;
+      const byId = Object.fromEntries(physics.technologies.map(tech => [tech.id, tech]));
+
+      expect(byId.tech_locked.eligible).toBe(true);
+      expect(byId.tech_common.reason).toBe('researched');
+      // Three candidates for three options
+      expect(byId.tech_locked.probability).toBe(1);
+    });
+
+    it('should simulate draws when there are too many combinations', () => {
+      const technologies = Array.from({ length: 200 }, (_, index) => `tech_many_${index} = { area = society weight = ${index % 2 ? 10 : 30} }`);
+      database.addTechnologies(new TechParser().parse(technologies.join('\n')));
+
+      const society = researchService.calculateDrawChances({ technologies: [] }, { area: 'society' }).areas.society;
+
+      expect(society.method).toBe('simulation');
+      expect(society.technologies.reduce((total, tech) => total + tech.probability, 0)).toBeCloseTo(3);
+      expect(society.technologies[0].weight).toBe(30);
+    });
+  });
+
+  describe('possible technologies', () => {
+    beforeEach(() => {
+      database.addTechnologies(new TechParser().parse(`
+        tech_gestalt = { area = engineering weight = 10 potential = { is_gestalt = yes } }
+        tech_utopia = { area = engineering weight = 10 potential = { host_has_dlc = "Utopia" } }
+        tech_galactic = { area = engineering weight = 10 potential = { is_galactic_community_member = yes } }
+        tech_plain = { area = engineering weight = 10 }
+      `));
+    });
+
+    it('should report which technologies can appear for an empire', () => {
+      const result = researchService.getPossibleTechnologies({ technologies: [], authority: 'auth_democratic', dlcs: ['Utopia'] });
+
+      expect(result.impossible).toEqual(['tech_gestalt']);
+      expect(result.possible).toEqual(expect.arrayContaining(['tech_utopia', 'tech_plain', 'tech_start']));
+      expect(result.uncertain).toEqual([{ id: 'tech_galactic', unknownTriggers: ['is_galactic_community_member'] }]);
+    });
+
+    it('should not decide on DLCs when the enabled DLCs are unknown', () => {
+      const result = researchService.getPossibleTechnologies({ technologies: [], authority: 'auth_hive_mind' });
+
+      expect(result.possible).toContain('tech_gestalt');
+      expect(result.uncertain.map(entry => entry.id)).toEqual(['tech_utopia', 'tech_galactic']);
+    });
+
+    it('should mark the technologies so the tree can grey out the impossible ones', () => {
+      researchService.markPossibleTechnologies({ technologies: [], dlcs: [] });
+
+      expect(database.getTechnology('tech_gestalt').isPossible).toBe(false);
+      expect(database.getTechnology('tech_utopia').isPossible).toBe(false);
+      expect(database.getTechnology('tech_galactic').isPossible).toBeNull();
+      expect(database.getTechnology('tech_plain').isPossible).toBe(true);
+    });
+
+    it('should mark reloaded technologies for the empire they were last marked for', () => {
+      expect(researchService.remarkPossibleTechnologies()).toBeNull();
+      researchService.markPossibleTechnologies({ technologies: [], dlcs: [] });
+
+      // A reload parses some files again and keeps the technologies of others, with their marks
+      database.addTechnologies(new TechParser().parse('tech_gestalt = { area = engineering weight = 10 potential = { is_gestalt = yes } }'));
+      database.getTechnology('tech_plain').isPossible = false;
+      researchService.remarkPossibleTechnologies();
+
+      expect(database.getTechnology('tech_gestalt').isPossible).toBe(false);
+      expect(database.getTechnology('tech_plain').isPossible).toBe(true);
+    });
+
+    it('should never offer impossible technologies as research options', () => {
+      const engineering = researchService.calculateDrawChances({ technologies: [], dlcs: [] }, { area: 'engineering' }).areas.engineering;
+      const byId = Object.fromEntries(engineering.technologies.map(tech => [tech.id, tech]));
+
+      expect(byId.tech_gestalt).toMatchObject({ eligible: false, reason: 'not_possible', probability: 0 });
+      expect(byId.tech_plain.eligible).toBe(true);
+    });
+  });
+});
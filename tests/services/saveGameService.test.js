@@ -0,0 +1,52 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TechDatabase = require('../../src/models/techDatabase');
+const { SaveGameService, SaveGameError } = require('../../src/services/saveGameService');
+const { TEST_SAVE_PATH } = require('../fixtures/create-test-save');
+
+describe('SaveGameService', () => {
+  let rootPath;
+  let saveGamesDir;
+  let service;
+
+  beforeEach(() => {
+    rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'stellaris-saves-'));
+    saveGamesDir = path.join(rootPath, 'save games');
+    fs.mkdirSync(path.join(saveGamesDir, 'unitednationsofearth'), { recursive: true });
+    fs.copyFileSync(TEST_SAVE_PATH, path.join(saveGamesDir, 'unitednationsofearth/autosave.sav'));
+
+    const database = new TechDatabase();
+    service = new SaveGameService({ getTechDatabase: () => database }, saveGamesDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootPath, { recursive: true, force: true });
+  });
+
+  it('should load save games by their path or their name in the save games directory', async () => {
+    const [save] = await service.listSaveGames();
+
+    expect((await service.loadSaveGame(save.path)).name).toBe('United Nations of Earth');
+    expect((await service.loadSaveGame(save.name)).name).toBe('United Nations of Earth');
+    expect((await service.loadSaveGame()).path).toBe(await service.resolveSavePath(save.path));
+  });
+
+  it('should refuse files outside the save games directory', async () => {
+    const outside = path.join(rootPath, 'outside.sav');
+    fs.copyFileSync(TEST_SAVE_PATH, outside);
+    fs.symlinkSync(outside, path.join(saveGamesDir, 'unitednationsofearth/link.sav'));
+
+    await expect(service.loadSaveGame(outside)).rejects.toMatchObject({ name: 'SaveGameError', notFound: false });
+    await expect(service.loadSaveGame('../outside.sav')).rejects.toThrow('not in the save games directory');
+    await expect(service.loadSaveGame('unitednationsofearth/link.sav')).rejects.toThrow('not in the save games directory');
+    await expect(service.loadSaveGame('/etc/passwd')).rejects.toThrow(SaveGameError);
+  });
+
+  it('should report missing save games and files that are not save games', async () => {
+    fs.writeFileSync(path.join(saveGamesDir, 'unitednationsofearth/broken.sav'), 'not a save game');
+
+    await expect(service.loadSaveGame('unitednationsofearth/missing.sav')).rejects.toMatchObject({ notFound: true });
+    await expect(service.loadSaveGame('unitednationsofearth/broken.sav')).rejects.toMatchObject({ notFound: false });
+  });
+});
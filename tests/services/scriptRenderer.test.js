@@ -0,0 +1,87 @@
+const ScriptRenderer = require('../../src/services/scriptRenderer');
+const { ScriptParser } = require('../../src/parsers');
+
+describe('ScriptRenderer', () => {
+  const parser = new ScriptParser();
+  const localizations = {
+    ethic_materialist: 'Materialist',
+    ethic_fanatic_materialist: 'Fanatic Materialist',
+    MOD_SHIP_FIRE_RATE_MULT: 'Ship Fire Rate',
+    physics: 'Physics Research'
+  };
+  const renderer = new ScriptRenderer({ getText: (key, defaultValue) => localizations[key] || defaultValue });
+  const render = script => renderer.renderConditions(parser.parse(script));
+
+  describe('renderConditions', () => {
+    it('should render value triggers with localized names', () => {
+      expect(render('has_ethic = ethic_materialist has_civic != civic_technocracy')).toEqual([
+        { text: 'Has Ethic: Materialist' },
+        { text: 'Does NOT have Civic: Technocracy' }
+      ]);
+    });
+
+    it('should render alternatives of the same trigger on one line', () => {
+      expect(render('OR = { has_ethic = ethic_materialist has_ethic = ethic_fanatic_materialist }')).toEqual([
+        { text: 'Has Ethic: Materialist OR Fanatic Materialist' }
+      ]);
+    });
+
+    it('should render logical blocks as nested nodes', () => {
+      expect(render('OR = { is_gestalt = yes AND = { host_has_dlc = "Utopia" has_technology = tech_lasers_1 } }')).toEqual([
+        {
+          text: 'One of the following:',
+          children: [
+            { text: 'Is Gestalt Consciousness' },
+            {
+              text: 'All of the following:',
+              children: [{ text: 'Has DLC: Utopia' }, { text: 'Has Technology: Lasers 1' }]
+            }
+          ]
+        }
+      ]);
+    });
+
+    it('should negate a single condition inside NOT', () => {
+      expect(render('NOT = { is_machine_empire = yes } NOT = { has_origin = origin_void_dwellers }')).toEqual([
+        { text: 'Is NOT Machine Intelligence' },
+        { text: 'Does NOT have Origin: Void Dwellers' }
+      ]);
+      expect(render('NOR = { has_ethic = ethic_pacifist always = yes }')[0]).toEqual({
+        text: 'None of the following:',
+        children: [{ text: 'Has Ethic: Pacifist' }, { text: 'Always' }]
+      });
+    });
+
+    it('should render the research leader and unsupported triggers as written', () => {
+      expect(render('research_leader = { area = physics has_trait = leader_trait_expertise_computing } num_owned_planets > 10')).toEqual([
+        { text: 'Research leader (Physics Research):', children: [{ text: 'Has Trait: Expertise Computing' }] },
+        { text: 'Num Owned Planets > 10' }
+      ]);
+    });
+  });
+
+  describe('renderWeightModifier', () => {
+    it('should render the effect and its conditions', () => {
+      expect(renderer.renderWeightModifier({ type: 'factor', value: 0.5, conditions: parser.parse('is_ai = no') })).toEqual({
+        text: '×0.5',
+        conditions: [{ text: 'Is NOT AI Controlled' }]
+      });
+      expect(renderer.renderWeightModifier({ type: 'add', value: -20, conditions: [] }).text).toBe('-20');
+      expect(renderer.renderWeightModifier({ type: 'add', value: null, conditions: [] }).text).toBe('+?');
+    });
+  });
+
+  describe('renderModifiers', () => {
+    it('should render multipliers as percentages and other values as numbers', () => {
+      expect(renderer.renderModifiers({
+        ship_fire_rate_mult: 0.1,
+        army_damage_mult: -0.125,
+        country_unity_produces_add: 3
+      })).toEqual([
+        { key: 'ship_fire_rate_mult', text: '+10% Ship Fire Rate' },
+        { key: 'army_damage_mult', text: '-12.5% Army Damage' },
+        { key: 'country_unity_produces_add', text: '+3 Country Unity Produces' }
+      ]);
+    });
+  });
+});
@@ -3,6 +3,8 @@ const TechParser = require('../../src/parsers/techParser');
 const TechDatabase = require('../../src/models/techDatabase');
 const ModRepository = require('../../src/database/modRepository');
 const Tech = require('../../src/models/tech');
+const Diagnostic = require('../../src/models/diagnostic');
+const { ScriptParser } = require('../../src/parsers/scriptParser');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -21,6 +23,7 @@ jest.mock('../../src/database/connection', () => ({
   query: jest.fn().mockResolvedValue([]),
   queryOne: jest.fn().mockResolvedValue(null)
 }));
+jest.mock('../../src/database/techCacheStore', () => jest.fn());
 jest.mock('fs', () => ({
   promises: {
     access: jest.fn(),
@@ -154,6 +157,86 @@ describe('TechService', () => {
       expect(mockParser.parse).toHaveBeenCalled();
       expect(mockDatabase.addTechnologies).not.toHaveBeenCalled();
     });
+
+    it('should collect diagnostics reported by the parser', async () => {
+      mockParser.parse.mockImplementationOnce((content, options) => {
+        options.diagnostics.push(new Diagnostic({ file: options.file, mod_id: options.modId, line: 3, column: 1, message: 'Unexpected \'}\'' }));
+        return [{ id: 'tech1', name: 'Tech 1' }];
+      });
+
+      const result = await techService.loadTechFile('test/broken.txt', 'mod1', 'Test Mod');
+
+      expect(result).toBe(1);
+      expect(mockParser.parse).toHaveBeenCalledWith('file content', expect.objectContaining({ file: 'test/broken.txt', modId: 'mod1', modName: 'Test Mod' }));
+      expect(techService.getDiagnostics()).toHaveLength(1);
+      expect(techService.getDiagnostics({ modId: 'mod1' })[0]).toMatchObject({ file: 'test/broken.txt', line: 3 });
+      expect(techService.getDiagnosticCounts()).toEqual({ errors: 1, warnings: 0 });
+    });
+
+    it('should report diagnostics again for cached files', async () => {
+      mockParser.parse.mockImplementationOnce((content, options) => {
+        options.diagnostics.push(new Diagnostic({ file: options.file, message: 'Unexpected end of file' }));
+        return [];
+      });
+
+      await techService.loadTechFile('test/broken.txt');
+      await techService.loadTechFile('test/broken.txt');
+
+      expect(mockParser.parse).toHaveBeenCalledTimes(1);
+      expect(techService.getDiagnostics()).toHaveLength(2);
+    });
+
+    it('should add a diagnostic for files that cannot be read', async () => {
+      fs.stat.mockRejectedValueOnce(new Error('Permission denied'));
+
+      await techService.loadTechFile('locked/path.txt', 'mod1', 'Test Mod');
+
+      const [diagnostic] = techService.getDiagnostics({ severity: Diagnostic.ERROR });
+      expect(diagnostic.file).toBe('locked/path.txt');
+      expect(diagnostic.message).toContain('Permission denied');
+    });
+  });
+
+  describe('scripted variables', () => {
+    it('should load scripted variables like technology files, replacing base game files of the same path', async () => {
+      const files = {
+        [path.join('/game', 'common', 'scripted_variables')]: ['00_scripted_variables.txt', '01_weights.txt'],
+        [path.join('/mods/mod1', 'common', 'scripted_variables')]: ['00_scripted_variables.txt'],
+        [path.join('/mods/mod2', 'common', 'scripted_variables')]: ['000_early.txt']
+      };
+      const contents = {
+        [path.join('/game', 'common', 'scripted_variables', '00_scripted_variables.txt')]: '@tier1cost1 = 100\n@tier1weight1 = 5',
+        [path.join('/game', 'common', 'scripted_variables', '01_weights.txt')]: '@tier2weight1 = 3',
+        [path.join('/mods/mod1', 'common', 'scripted_variables', '00_scripted_variables.txt')]: '@tier1cost1 = 200',
+        [path.join('/mods/mod2', 'common', 'scripted_variables', '000_early.txt')]: '@tier1cost1 = 300'
+      };
+      fs.readdir.mockImplementation(async dirPath =>
+        (files[dirPath] || []).map(name => ({ name, isFile: () => true, isDirectory: () => false }))
+      );
+      const scriptParser = new ScriptParser();
+      mockParser.parseContent.mockImplementation((content, options) => scriptParser.parse(contents[options.file]));
+
+      const count = await techService.loadAllScriptedVariables('/game');
+
+      // 000_early.txt of mod2 comes first in ASCII order, so the replacing file of mod1 defines @tier1cost1 last
+      expect(count).toBe(3);
+      expect(techService.variables.get('@tier1cost1')).toBe(200);
+      expect(techService.variables.getSource('@tier1cost1').modId).toBe('mod1');
+      expect(techService.variables.get('@tier1weight1')).toBeUndefined();
+      expect(techService.variables.get('@tier2weight1')).toBe(3);
+    });
+
+    it('should pass the scripted variables to the parser and reparse cached files when they change', async () => {
+      await techService.loadTechFile('test/path.txt');
+      await techService.loadTechFile('test/path.txt');
+      expect(mockParser.parse).toHaveBeenCalledTimes(1);
+      expect(mockParser.parse).toHaveBeenCalledWith('file content', expect.objectContaining({ variables: techService.variables }));
+
+      techService.variables.define('@tier1cost1', 250);
+      await techService.loadTechFile('test/path.txt');
+
+      expect(mockParser.parse).toHaveBeenCalledTimes(2);
+    });
   });
 
   describe('loadTechDirectory', () => {
@@ -243,13 +326,54 @@ describe('TechService', () => {
     });
   });
 
+  describe('loadTechnologySources', () => {
+    it('should read the files that replace others and only record the technologies of the replaced files', async () => {
+      const directories = {
+        [path.join('/game/path', 'common', 'technology')]: ['00_phys_tech.txt', 'zz_soc_tech.txt'],
+        [path.join('/mods/mod1', 'common', 'technology')]: ['00_phys_tech.txt']
+      };
+      fs.readdir.mockImplementation(async dirPath => (directories[dirPath] || [])
+        .map(name => ({ name, isFile: () => true, isDirectory: () => false })));
+      mockParser.parse.mockResolvedValue([new Tech({ id: 'tech1' })]);
+      
+      const result = await techService.loadTechnologySources('/game/path', [
+        { id: 'mod1', name: 'Mod 1', dirPath: '/mods/mod1' }
+      ]);
+      
+      expect(result).toEqual({ baseGameCount: 1, modCount: 1, fileCount: 2 });
+      expect(techService.getReplacedFiles()).toEqual([{
+        relativePath: 'common/technology/00_phys_tech.txt',
+        file: path.join('/mods/mod1', 'common', 'technology', '00_phys_tech.txt'),
+        modId: 'mod1',
+        modName: 'Mod 1',
+        replaced: [{ file: path.join('/game/path', 'common', 'technology', '00_phys_tech.txt'), modId: '', modName: 'Base Game' }]
+      }]);
+      expect(mockDatabase.addReplacedTechnologies).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({
+        loadOrder: 0,
+        replacedBy: { file: path.join('/mods/mod1', 'common', 'technology', '00_phys_tech.txt'), modId: 'mod1', modName: 'Mod 1' }
+      }));
+      expect(mockDatabase.addTechnologies).toHaveBeenNthCalledWith(1, expect.any(Array), true, {
+        relativePath: 'common/technology/00_phys_tech.txt',
+        loadOrder: 1
+      });
+      expect(mockDatabase.addTechnologies).toHaveBeenNthCalledWith(2, expect.any(Array), true, {
+        relativePath: 'common/technology/zz_soc_tech.txt',
+        loadOrder: 0
+      });
+    });
+  });
+
   describe('loadAllTechnologies', () => {
     it('should load technologies from base game and mods', async () => {
       // Setup spies to return specific values
-      techService.loadBaseGameTechnologies.mockResolvedValue(50);
-      techService.loadModTechnologies.mockResolvedValue(75);
+      jest.spyOn(techService, 'loadTechnologySources').mockResolvedValue({ baseGameCount: 50, modCount: 75, fileCount: 3 });
+      mockDatabase.getAllTechnologies.mockReturnValue(Array.from({ length: 125 }, (_, i) => new Tech({ id: `tech${i}` })));
+      mockDatabase.getTechnologyHistory.mockReturnValue([{ loadOrder: 0 }]);
+      mockDatabase.getUnlockables.mockReturnValue([]);
+      fs.readdir.mockResolvedValue([]);
       
-      const result = await techService.loadAllTechnologies('/game/path');
+      const phases = [];
+      const result = await techService.loadAllTechnologies('/game/path', { onProgress: event => phases.push(event.phase) });
       
       // Check that the result contains the expected counts
       expect(result.baseGameCount).toBe(50);
@@ -257,8 +381,11 @@ describe('TechService', () => {
       expect(result.totalCount).toBe(125);
       
       expect(mockDatabase.clear).toHaveBeenCalled();
-      expect(techService.loadBaseGameTechnologies).toHaveBeenCalledWith('/game/path');
-      expect(techService.loadModTechnologies).toHaveBeenCalledWith('/game/path');
+      expect(techService.loadTechnologySources).toHaveBeenCalledWith('/game/path', [
+        { id: 'mod1', name: 'Mod 1', dirPath: '/mods/mod1' },
+        { id: 'mod2', name: 'Mod 2', dirPath: '/mods/mod2' }
+      ], { onProgress: expect.any(Function) });
+      expect(Array.from(new Set(phases))).toEqual(['mods', 'variables', 'unlockables', 'localisation', 'tree']);
     });
   });
 
@@ -0,0 +1,96 @@
+const zlib = require('zlib');
+const TechDatabase = require('../../src/models/techDatabase');
+const Tech = require('../../src/models/tech');
+const { TreeExportService, ExportOptionsError } = require('../../src/services/treeExportService');
+
+describe('TreeExportService', () => {
+  let database;
+  let exportService;
+
+  beforeEach(() => {
+    database = new TechDatabase();
+    database.addTechnologies([
+      new Tech({ id: 'tech_lasers_1', display_name: 'Red Lasers', area_id: 'physics', category_id: 'particles', tier: 1, is_researched: true }),
+      new Tech({ id: 'tech_lasers_2', display_name: 'Blue Lasers', area_id: 'physics', category_id: 'particles', tier: 2, prerequisites: ['tech_lasers_1'] }),
+      new Tech({ id: 'tech_genome', display_name: 'Genome Mapping & Editing', area_id: 'society', category_id: 'biology', tier: 1 }),
+      new Tech({ id: 'tech_psionics', display_name: 'Psionic Theory', area_id: 'society', category_id: 'psionics', tier: 2, is_possible: false })
+    ]);
+
+    exportService = new TreeExportService({
+      getAllTechnologies: () => database.getAllTechnologies(),
+      getTechnology: id => database.getTechnology(id)
+    });
+  });
+
+  it('should lay out areas side by side and tiers from top to bottom', () => {
+    const layout = exportService.layout({ highlight: ['tech_lasers_2'] });
+    const node = id => layout.nodes.find(entry => entry.id === id);
+
+    expect(layout.columns.map(column => column.id)).toEqual(['physics', 'society']);
+    expect(node('tech_genome').x).toBeGreaterThan(node('tech_lasers_1').x);
+    expect(node('tech_lasers_2').y).toBeGreaterThan(node('tech_lasers_1').y);
+    expect(node('tech_lasers_1')).toMatchObject({ isResearched: true, isHighlighted: false });
+    expect(node('tech_lasers_2')).toMatchObject({ isResearched: false, isHighlighted: true });
+    expect(layout.edges).toEqual([{ from: 'tech_lasers_1', to: 'tech_lasers_2' }]);
+  });
+
+  it('should apply the filters of the tech tree tab', () => {
+    const ids = options => exportService.layout(options).nodes.map(node => node.id).sort();
+
+    expect(ids({ areas: ['society'] })).toEqual(['tech_genome', 'tech_psionics']);
+    expect(ids({ tiers: [2], hideImpossible: true })).toEqual(['tech_lasers_2']);
+    expect(ids({ tiers: [2], showPrerequisites: true })).toEqual(['tech_lasers_1', 'tech_lasers_2', 'tech_psionics']);
+    expect(exportService.layout({ researched: [] }).nodes.every(node => !node.isResearched)).toBe(true);
+  });
+
+  it('should export standalone SVG, PNG and PDF files', () => {
+    const svg = exportService.exportTree('svg', { title: 'LAN <poster>' });
+    expect(svg.contentType).toBe('image/svg+xml');
+    expect(svg.data).toMatch(/^<\?xml/);
+    expect(svg.data).toContain('Genome Mapping &#38; Editing');
+    expect(svg.data).toContain('<title>LAN &#60;poster&#62;</title>');
+
+    const png = exportService.exportTree('png', { scale: 0.5 });
+    expect(png.data.subarray(1, 4).toString()).toBe('PNG');
+
+    const countPages = pdf => (pdf.toString('latin1').match(/\/Type \/Page /g) || []).length;
+    const pdf = exportService.exportTree('pdf', {});
+    expect(pdf.data.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(countPages(pdf.data)).toBe(1);
+    expect(countPages(exportService.renderPdf({ pagesAcross: 3, landscape: false }))).toBeGreaterThanOrEqual(3);
+
+    expect(() => exportService.exportTree('bmp')).toThrow(ExportOptionsError);
+  });
+
+  it('should export PDFs in English when the PDF fonts cannot show the requested language', () => {
+    const names = {
+      german: { tech_lasers_1: 'Rote Laser', tech_genome: 'Genomänderung' },
+      russian: { tech_lasers_1: 'Красные лазеры' }
+    };
+    exportService.techService.localizeTechnologies = (technologies, language) =>
+      technologies.map(tech => Object.assign(Object.create(Object.getPrototypeOf(tech)), tech,
+        { displayName: names[language][tech.id] || tech.displayName }));
+
+    // Text of the drawing operators in all content streams
+    const pdfText = pdf => Array.from(pdf.toString('latin1').matchAll(/stream\n([\s\S]*?)\nendstream/g))
+      .map(match => zlib.inflateSync(Buffer.from(match[1], 'latin1')).toString('latin1'))
+      .join('\n');
+
+    const german = pdfText(exportService.renderPdf({ language: 'german' }));
+    expect(german).toContain('(Rote Laser)');
+    expect(german).toContain('(Genom\\344nderung)');
+
+    const russian = pdfText(exportService.renderPdf({ language: 'russian' }));
+    expect(russian).toContain('(Red Lasers)');
+    expect(russian).not.toContain('??');
+  });
+
+  it('should read export options from query parameters', () => {
+    expect(TreeExportService.parseOptions({ areas: 'physics,society', tiers: '1,2', hideImpossible: 'true', pagesAcross: '2' }))
+      .toMatchObject({ areas: ['physics', 'society'], tiers: [1, 2], hideImpossible: true, showPrerequisites: false, pagesAcross: 2, highlight: [] });
+
+    expect(() => TreeExportService.parseOptions({ tiers: 'one' })).toThrow(ExportOptionsError);
+    expect(() => TreeExportService.parseOptions({ scale: '100' })).toThrow(ExportOptionsError);
+    expect(() => TreeExportService.parseOptions({ paper: 'a9' })).toThrow(ExportOptionsError);
+  });
+});
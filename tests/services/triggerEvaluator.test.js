@@ -0,0 +1,66 @@
+const TriggerEvaluator = require('../../src/services/triggerEvaluator');
+const EmpireState = require('../../src/models/empireState');
+const { ScriptParser } = require('../../src/parsers');
+
+describe('TriggerEvaluator', () => {
+  const parser = new ScriptParser();
+  const evaluator = new TriggerEvaluator();
+  const empire = new EmpireState({
+    ethics: ['ethic_fanatic_materialist', 'ethic_xenophile'],
+    civics: ['civic_technocracy'],
+    origin: 'origin_default',
+    authority: 'auth_democratic',
+    technologies: ['tech_lasers_1'],
+    scientists: { physics: { traits: ['leader_trait_expertise_particles'] } }
+  });
+  const evaluate = (script, unknownTriggers) => evaluator.evaluate(parser.parse(script), empire, unknownTriggers);
+
+  test('should evaluate empire triggers', () => {
+    expect(evaluate('has_ethic = ethic_fanatic_materialist has_civic = civic_technocracy')).toBe(true);
+    expect(evaluate('has_ethic = ethic_materialist')).toBe(false);
+    expect(evaluate('has_origin = origin_default has_authority = auth_democratic')).toBe(true);
+    expect(evaluate('has_technology = tech_lasers_1 has_technology != tech_lasers_2')).toBe(true);
+    expect(evaluate('is_gestalt = no is_ai = no always = yes')).toBe(true);
+  });
+
+  test('should evaluate logical operators', () => {
+    expect(evaluate('OR = { has_ethic = ethic_pacifist has_ethic = ethic_xenophile }')).toBe(true);
+    expect(evaluate('NOT = { has_ethic = ethic_pacifist has_ethic = ethic_xenophile }')).toBe(false);
+    expect(evaluate('NOR = { has_ethic = ethic_pacifist is_gestalt = yes }')).toBe(true);
+    expect(evaluate('NAND = { has_ethic = ethic_xenophile has_civic = civic_technocracy }')).toBe(false);
+    expect(evaluate('AND = { has_ethic = ethic_xenophile OR = { is_gestalt = yes has_technology = tech_lasers_1 } }')).toBe(true);
+  });
+
+  test('should evaluate the expertise of the research leader', () => {
+    expect(evaluate('research_leader = { area = physics has_trait = leader_trait_expertise_particles }')).toBe(true);
+    expect(evaluate('research_leader = { area = society has_trait = leader_trait_expertise_particles }')).toBe(false);
+  });
+
+  test('should report unsupported triggers and treat them as false', () => {
+    const unknownTriggers = new Set();
+
+    expect(evaluate('num_owned_planets > 5', unknownTriggers)).toBe(false);
+    expect(evaluate('NOT = { years_passed < 50 }', unknownTriggers)).toBe(true);
+    expect(Array.from(unknownTriggers)).toEqual(['num_owned_planets', 'years_passed']);
+  });
+
+  test('should evaluate host_has_dlc against the enabled DLCs', () => {
+    const withDlcs = new EmpireState({ dlcs: ['Utopia'] });
+
+    expect(evaluator.evaluate(parser.parse('host_has_dlc = "Utopia"'), withDlcs)).toBe(true);
+    expect(evaluator.evaluate(parser.parse('NOT = { host_has_dlc = "Federations" }'), withDlcs)).toBe(true);
+    expect(evaluator.check(parser.parse('host_has_dlc = "Utopia"'), empire)).toBeNull();
+  });
+
+  test('should check conditions with unsupported triggers as unknown', () => {
+    const check = (script, unknownTriggers) => evaluator.check(parser.parse(script), empire, unknownTriggers);
+    const unknownTriggers = new Set();
+
+    expect(check('NOT = { years_passed < 50 }', unknownTriggers)).toBeNull();
+    expect(check('OR = { has_ethic = ethic_xenophile years_passed < 50 }')).toBe(true);
+    expect(check('has_ethic = ethic_pacifist years_passed < 50')).toBe(false);
+    expect(check('NAND = { is_gestalt = yes num_owned_planets > 5 }')).toBe(true);
+    expect(check('has_ethic = ethic_xenophile is_gestalt = no')).toBe(true);
+    expect(Array.from(unknownTriggers)).toEqual(['years_passed']);
+  });
+});
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/database/modRepository', () => ({
+  getActivePlayset: jest.fn(async () => null)
+}));
+
+const TechService = require('../../src/services/techService');
+const TechTreeService = require('../../src/services/techTreeService');
+const WatchService = require('../../src/services/watchService');
+
+describe('WatchService', () => {
+  let rootPath;
+  let gamePath;
+  let modPath;
+  let techService;
+  let techTreeService;
+  let service;
+  let events;
+
+  let clock = Date.now();
+
+  const writeFile = (filePath, content) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    // Move the modification time on, so the parsed file cache sees files rewritten within the same millisecond
+    clock += 1000;
+    fs.utimesSync(filePath, new Date(clock), new Date(clock));
+  };
+
+  const techFile = techs => techs.map(([id, prerequisites = []]) => [
+    `${id} = {`,
+    '  area = physics',
+    '  tier = 1',
+    '  cost = 100',
+    '  category = { particles }',
+    `  prerequisites = { ${prerequisites.map(prereq => `"${prereq}"`).join(' ')} }`,
+    '}'
+  ].join('\n')).join('\n');
+
+  beforeEach(async () => {
+    rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'stellaris-hot-reload-'));
+    gamePath = path.join(rootPath, 'game');
+    modPath = path.join(rootPath, 'mod');
+    writeFile(path.join(gamePath, 'common/technology/00_phys.txt'), techFile([['tech_a'], ['tech_b', ['tech_a']]]));
+    writeFile(path.join(modPath, 'common/technology/10_mod.txt'), techFile([['tech_c', ['tech_b']]]));
+
+    techService = new TechService();
+    await techService.loadTechnologySources(gamePath, [{ id: 'mod-1', name: 'Mod', dirPath: modPath }]);
+    techTreeService = new TechTreeService(techService);
+    await techTreeService.initialize();
+
+    service = new WatchService(techService, techTreeService, { debounce: 10 });
+    events = [];
+    service.on('event', event => events.push(event));
+  });
+
+  afterEach(() => {
+    service.stop();
+    fs.rmSync(rootPath, { recursive: true, force: true });
+  });
+
+  it('should watch the technology and localisation directories of the loaded sources', () => {
+    fs.mkdirSync(path.join(modPath, 'localisation'));
+
+    expect(service.start().sort()).toEqual([
+      path.join(gamePath, 'common/technology'),
+      path.join(modPath, 'common/technology'),
+      path.join(modPath, 'localisation')
+    ].sort());
+    expect(service.getState()).toMatchObject({ watching: true, reloading: false, lastUpdate: null });
+  });
+
+  it('should patch the technologies and the tree with the changed files only', async () => {
+    const parseSpy = jest.spyOn(techService.parser, 'parse');
+    writeFile(path.join(modPath, 'common/technology/10_mod.txt'), techFile([['tech_c', ['tech_a']], ['tech_d', ['tech_c']]]));
+
+    await service.reload([path.join(modPath, 'common/technology/10_mod.txt'), path.join(rootPath, 'notes.txt')]);
+
+    expect(parseSpy).toHaveBeenCalledTimes(1);
+    expect(events.map(event => event.type)).toEqual(['update']);
+    expect(events[0].data).toMatchObject({ added: ['tech_d'], updated: ['tech_c'], removed: [], technologyFiles: 1 });
+    expect(techService.getTechnology('tech_a').getChildTechs().sort()).toEqual(['tech_b', 'tech_c']);
+    expect(techTreeService.getTechnologyDepth('tech_d')).toBe(2);
+  });
+
+  it('should load the replaced file again when the file replacing it is deleted', async () => {
+    writeFile(path.join(modPath, 'common/technology/00_phys.txt'), techFile([['tech_a']]));
+    await service.reload([path.join(modPath, 'common/technology/00_phys.txt')]);
+
+    expect(events[0].data).toMatchObject({ removed: ['tech_b'], updated: ['tech_a'] });
+    expect(techService.getReplacedFiles()).toHaveLength(1);
+
+    fs.rmSync(path.join(modPath, 'common/technology/00_phys.txt'));
+    await service.reload([path.join(modPath, 'common/technology/00_phys.txt')]);
+
+    expect(events[1].data).toMatchObject({ added: ['tech_b'], updated: ['tech_a'] });
+    expect(techService.getTechnology('tech_a').sourceFile).toBe(path.join(gamePath, 'common/technology/00_phys.txt'));
+    expect(techService.getReplacedFiles()).toHaveLength(0);
+  });
+
+  it('should ignore changes while all technologies are being loaded', async () => {
+    service = new WatchService(techService, techTreeService, { isBusy: () => true });
+    const reloadSpy = jest.spyOn(techService, 'reloadChangedFiles');
+
+    await service.reload([path.join(gamePath, 'common/technology/00_phys.txt')]);
+
+    expect(reloadSpy).not.toHaveBeenCalled();
+  });
+
+  it('should let a load of all technologies wait for the changed files being loaded', async () => {
+    let isBusy = false;
+    service = new WatchService(techService, techTreeService, { isBusy: () => isBusy });
+    const reloadSpy = jest.spyOn(techService, 'reloadChangedFiles');
+    const changedFile = path.join(modPath, 'common/technology/10_mod.txt');
+    writeFile(changedFile, techFile([['tech_c', ['tech_a']], ['tech_d', ['tech_c']]]));
+
+    const reloading = service.reload([changedFile]);
+    // Changes that arrive while a load of all technologies waits are left to that load
+    const queued = service.reload([path.join(gamePath, 'common/technology/00_phys.txt')]);
+    isBusy = true;
+    await service.whenIdle();
+
+    expect(service.getState().reloading).toBe(false);
+    expect(techService.getTechnology('tech_d')).toBeTruthy();
+    expect(reloadSpy).toHaveBeenCalledTimes(1);
+    await Promise.all([reloading, queued]);
+  });
+});
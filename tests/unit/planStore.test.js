@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PlanStore = require('../../src/database/planStore');
+
+describe('PlanStore', () => {
+  const playset = { id: 'playset-1', name: 'Vanilla' };
+  const data = { targets: ['tech_lasers_2'], researched: ['tech_lasers_1'], output: { physics: 100 }, notes: '' };
+  let dir;
+  let dbPath;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stellaris-plans-'));
+    dbPath = path.join(dir, 'data', 'plans.sqlite');
+    store = new PlanStore(dbPath);
+  });
+
+  afterEach(async () => {
+    await store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should keep plans across instances', async () => {
+    const created = await store.createPlan({ name: 'Laser rush', playset, data });
+    await store.close();
+
+    const reopened = new PlanStore(dbPath);
+    const plan = await reopened.getPlan(created.id);
+    await reopened.close();
+
+    expect(plan).toMatchObject({
+      id: created.id,
+      name: 'Laser rush',
+      playset,
+      revision: 1,
+      currentRevision: 1,
+      targets: ['tech_lasers_2'],
+      researched: ['tech_lasers_1'],
+      output: { physics: 100 }
+    });
+    expect(await store.getPlan(created.id + 1)).toBeNull();
+  });
+
+  it('should keep every revision of a plan', async () => {
+    const { id } = await store.createPlan({ name: 'Laser rush', playset, data });
+    // Revisions saved together are numbered one after the other
+    await Promise.all([
+      store.addRevision(id, 'Laser rush', { ...data, targets: ['tech_lasers_3'] }),
+      store.addRevision(id, 'Lasers and shields', { ...data, targets: ['tech_lasers_3', 'tech_shields_1'] })
+    ]);
+
+    expect(await store.getPlan(id)).toMatchObject({ name: 'Lasers and shields', revision: 3, targets: ['tech_lasers_3', 'tech_shields_1'] });
+    expect(await store.getPlan(id, 1)).toMatchObject({ name: 'Laser rush', revision: 1, currentRevision: 3, targets: ['tech_lasers_2'] });
+    expect(await store.getPlan(id, 4)).toBeNull();
+    expect((await store.getRevisions(id)).map(revision => [revision.revision, revision.targetCount])).toEqual([[3, 2], [2, 1], [1, 1]]);
+    expect(await store.addRevision(id + 1, 'Missing', data)).toBeNull();
+  });
+
+  it('should list and delete plans', async () => {
+    const first = await store.createPlan({ name: 'First', playset, data });
+    await store.createPlan({ name: 'Other playset', playset: { id: 'playset-2', name: 'Modded' }, data });
+    await store.createPlan({ name: 'No playset', playset: null, data });
+
+    expect(await store.listPlans()).toHaveLength(3);
+    expect((await store.listPlans('playset-1')).map(plan => plan.name)).toEqual(['First']);
+
+    expect(await store.deletePlan(first.id)).toBe(true);
+    expect(await store.deletePlan(first.id)).toBe(false);
+    expect(await store.getRevisions(first.id)).toBeNull();
+    expect((await store.listPlans()).map(plan => plan.name).sort()).toEqual(['No playset', 'Other playset']);
+  });
+
+  it('should not let a failed revision undo a delete sent meanwhile', async () => {
+    const { id } = await store.createPlan({ name: 'Laser rush', playset, data });
+    const circular = { ...data };
+    circular.self = circular;
+
+    const [saved, deleted] = await Promise.allSettled([store.addRevision(id, 'Broken', circular), store.deletePlan(id)]);
+
+    expect(saved.status).toBe('rejected');
+    expect(deleted.value).toBe(true);
+    expect(await store.getPlan(id)).toBeNull();
+  });
+});
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TechCacheStore = require('../../src/database/techCacheStore');
+const TechParser = require('../../src/parsers/techParser');
+const Tech = require('../../src/models/tech');
+const Diagnostic = require('../../src/models/diagnostic');
+
+describe('TechCacheStore', () => {
+  let dir;
+  let dbPath;
+  let store;
+
+  const parsed = () => ({
+    technologies: [new Tech({ id: 'tech_lasers_1', area_id: 'physics', tier: 1, prerequisites: ['tech_basic'] })],
+    diagnostics: [new Diagnostic({ file: 'lasers.txt', mod_id: 'mod-1', line: 3, message: 'Unknown key' })],
+    variablesHash: 'vars-1'
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stellaris-tech-cache-'));
+    dbPath = path.join(dir, 'cache', 'tech-cache.sqlite');
+    store = new TechCacheStore(dbPath, 'parser-1');
+  });
+
+  afterEach(async () => {
+    await store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should keep parsed files across instances', async () => {
+    await store.set('/game/common/technology/lasers.txt', 'content-1', parsed());
+    await store.close();
+
+    const reopened = new TechCacheStore(dbPath, 'parser-1');
+    const cached = await reopened.get('/game/common/technology/lasers.txt', 'content-1', 'vars-1');
+    await reopened.close();
+
+    expect(cached.technologies[0]).toBeInstanceOf(Tech);
+    expect(cached.technologies[0]).toMatchObject({ id: 'tech_lasers_1', areaId: 'physics', tier: 1, prerequisites: ['tech_basic'] });
+    expect(cached.diagnostics[0]).toBeInstanceOf(Diagnostic);
+    expect(cached.diagnostics[0].toString()).toBe('lasers.txt:3:0: error: Unknown key');
+    expect(reopened.getStats()).toMatchObject({ entries: 1, hits: 1, misses: 0 });
+  });
+
+  it('should miss when the content or the scripted variables changed', async () => {
+    await store.set('/game/common/technology/lasers.txt', 'content-1', parsed());
+    await store.flush();
+
+    expect(await store.get('/game/common/technology/lasers.txt', 'content-2', 'vars-1')).toBeNull();
+    expect(await store.get('/game/common/technology/lasers.txt', 'content-1', 'vars-2')).toBeNull();
+    expect(await store.get('/game/common/technology/other.txt', 'content-1', 'vars-1')).toBeNull();
+    expect(store.getStats()).toMatchObject({ entries: 1, writes: 1, hits: 0, misses: 3 });
+  });
+
+  it('should discard the files parsed by another parser version', async () => {
+    await store.set('/game/common/technology/lasers.txt', 'content-1', parsed());
+    await store.close();
+
+    const updated = new TechCacheStore(dbPath, 'parser-2');
+    expect(await updated.get('/game/common/technology/lasers.txt', 'content-1', 'vars-1')).toBeNull();
+    expect(updated.getStats()).toMatchObject({ entries: 0, invalidated: 1 });
+    await updated.close();
+  });
+
+  it('should derive the parser version from the parser source', () => {
+    expect(TechParser.getVersion()).toMatch(/^[0-9a-f]{40}$/);
+    expect(TechParser.getVersion()).toBe(TechParser.getVersion());
+  });
+});
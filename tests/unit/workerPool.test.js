@@ -0,0 +1,65 @@
+const path = require('path');
+const WorkerPool = require('../../src/utils/workerPool');
+const TechParser = require('../../src/parsers/techParser');
+const ScriptedVariableRegistry = require('../../src/models/scriptedVariableRegistry');
+
+const PARSER_WORKER = path.join(__dirname, '../../src/parsers/techParserWorker.js');
+
+describe('WorkerPool', () => {
+  let pool;
+
+  const techFile = index => [
+    `tech_test_${index} = {`,
+    '  area = physics',
+    `  tier = ${index % 5}`,
+    '  cost = @tier_cost',
+    '  category = { particles }',
+    '}'
+  ].join('\n');
+
+  beforeEach(() => {
+    const variables = new ScriptedVariableRegistry();
+    variables.define('tier_cost', 250);
+    pool = new WorkerPool(PARSER_WORKER, { size: 2, workerData: { variables: variables.toEntries() } });
+  });
+
+  afterEach(async () => {
+    await pool.close();
+  });
+
+  it('should parse technology files on worker threads like the main thread does', async () => {
+    const files = Array.from({ length: 8 }, (_, index) => techFile(index));
+    const results = await Promise.all(files.map((content, index) =>
+      pool.run({ content, file: `tech_${index}.txt`, modId: '', modName: 'Base Game' })));
+
+    const variables = new ScriptedVariableRegistry();
+    variables.define('tier_cost', 250);
+    const expected = await new TechParser().parse(files[3], { diagnostics: [], file: 'tech_3.txt', variables });
+
+    // Results come back in the order the tasks were run, whichever worker finished first
+    expect(results.map(result => result.technologies[0].id)).toEqual(files.map((_, index) => `tech_test_${index}`));
+    expect(results[3].technologies[0]).toEqual({ ...expected[0] });
+    expect(results[3].technologies[0].cost).toBe(250);
+  });
+
+  it('should return the diagnostics of files with syntax errors', async () => {
+    const result = await pool.run({ content: 'tech_broken = {\n  area = physics\n', file: 'broken.txt', modId: 'mod-1', modName: 'Broken' });
+
+    expect(result.diagnostics.length).toBeGreaterThan(0);
+    expect(result.diagnostics[0]).toMatchObject({ file: 'broken.txt', modId: 'mod-1' });
+  });
+
+  it('should reject the tasks running on a worker when closed', async () => {
+    const running = expect(pool.run({ content: techFile(1), file: 'tech_1.txt', modId: '', modName: 'Base Game' }))
+      .rejects.toThrow('Worker pool is closed');
+    await pool.close();
+
+    await running;
+  });
+
+  it('should reject tasks once closed', async () => {
+    await pool.close();
+
+    await expect(pool.run({ content: '', file: 'empty.txt' })).rejects.toThrow('Worker pool is closed');
+  });
+});
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileWatcher = require('../../src/utils/fileWatcher');
+
+describe('FileWatcher', () => {
+  let dirPath;
+  let watcher;
+
+  const nextChange = () => new Promise(resolve => watcher.once('change', resolve));
+
+  beforeEach(() => {
+    dirPath = fs.mkdtempSync(path.join(os.tmpdir(), 'stellaris-watch-'));
+    fs.mkdirSync(path.join(dirPath, 'english'));
+    watcher = new FileWatcher({ debounce: 50 });
+  });
+
+  afterEach(() => {
+    watcher.close();
+    fs.rmSync(dirPath, { recursive: true, force: true });
+  });
+
+  it('should report the files changed in a batch once they stop changing', async () => {
+    expect(watcher.watch([
+      { path: dirPath, recursive: true },
+      { path: path.join(dirPath, 'missing'), recursive: false }
+    ])).toEqual([dirPath]);
+
+    const change = nextChange();
+    fs.writeFileSync(path.join(dirPath, 'tech.txt'), 'tech_a = {}');
+    fs.writeFileSync(path.join(dirPath, 'tech.txt'), 'tech_a = { tier = 1 }');
+    fs.writeFileSync(path.join(dirPath, 'english', 'tech_l_english.yml'), 'l_english:');
+
+    const files = await change;
+    expect(files.sort()).toEqual([path.join(dirPath, 'english', 'tech_l_english.yml'), path.join(dirPath, 'tech.txt')]);
+  });
+
+  it('should stop reporting changes once closed', async () => {
+    watcher.watch([{ path: dirPath, recursive: false }]);
+    const listener = jest.fn();
+    watcher.on('change', listener);
+
+    fs.writeFileSync(path.join(dirPath, 'tech.txt'), 'tech_a = {}');
+    watcher.close();
+    await new Promise(resolve => setTimeout(resolve, 150));
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(watcher.isWatching()).toBe(false);
+  });
+});
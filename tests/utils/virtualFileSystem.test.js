@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const VirtualFileSystem = require('../../src/utils/virtualFileSystem');
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+describe('VirtualFileSystem', () => {
+  let root;
+
+  const writeFile = (relativePath, content = '') => {
+    const filePath = path.join(root, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'stellaris-vfs-'));
+    writeFile('game/common/technology/00_phys_tech.txt');
+    writeFile('game/common/technology/zz_soc_tech.txt');
+    writeFile('game/common/technology/readme.md');
+    writeFile('game/common/technology/subdir/ignored.txt');
+    writeFile('mod_a/common/technology/00_phys_tech.txt');
+    writeFile('mod_a/common/technology/01_mod_a.txt');
+    writeFile('mod_b/common/technology/00_PHYS_TECH.txt');
+    writeFile('mod_b/common/technology/Z_mod_b.txt');
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const createFileSystem = () => new VirtualFileSystem()
+    .addSource(path.join(root, 'game'), '', 'Base Game')
+    .addSource(path.join(root, 'mod_a'), 'a', 'Mod A')
+    .addSource(path.join(root, 'mod_b'), 'b', 'Mod B')
+    .addSource(path.join(root, 'missing'), 'c', 'Missing');
+
+  it('should number the sources in load order', () => {
+    expect(createFileSystem().sources.map(source => [source.modId, source.loadOrder])).toEqual([
+      ['', 0], ['a', 1], ['b', 2], ['c', 3]
+    ]);
+  });
+
+  it('should read files of all sources in ASCII order of their names', async () => {
+    const files = await createFileSystem().listFiles('common/technology', name => name.endsWith('.txt'));
+
+    expect(files.map(file => [file.relativePath, file.source.modId])).toEqual([
+      ['common/technology/00_PHYS_TECH.txt', 'b'],
+      ['common/technology/01_mod_a.txt', 'a'],
+      ['common/technology/Z_mod_b.txt', 'b'],
+      ['common/technology/zz_soc_tech.txt', '']
+    ]);
+  });
+
+  it('should let files with the same path replace earlier ones in load order', async () => {
+    const [file] = await createFileSystem().listFiles('common/technology', name => name.endsWith('.txt'));
+
+    expect(file.filePath).toBe(path.join(root, 'mod_b', 'common', 'technology', '00_PHYS_TECH.txt'));
+    expect(file.replaced.map(replaced => replaced.source.modId)).toEqual(['', 'a']);
+    expect(file.replaced[0].filePath).toBe(path.join(root, 'game', 'common', 'technology', '00_phys_tech.txt'));
+  });
+});